@@ -22,6 +22,7 @@ import { Biddit2 } from "./pages/Biddit2.jsx";
 import { Login } from "./pages/Login.jsx";
 import ErrorBoundary from "./components/errorHandling/ErrorBoundary";
 import StudyondBanner from "./components/common/StudyondBanner.jsx";
+import { PENDING_DEEP_LINK_KEY } from "./components/helpers/urlState";
 
 
 // Initialize GA4 with Measurement ID and enable debug mode (for now)
@@ -46,6 +47,23 @@ const TrackPageView = () => {
   return null;
 };
 
+// Remembers a deep link opened while logged out; useUrlSync opens it after
+// login
+const RedirectToLogin = () => {
+  const location = useLocation();
+
+  useEffect(() => {
+    if (location.pathname !== "/" || location.search) {
+      sessionStorage.setItem(
+        PENDING_DEEP_LINK_KEY,
+        location.pathname + location.search
+      );
+    }
+  }, [location]);
+
+  return <Navigate to="/login" />;
+};
+
 const App = () => {
   /**
    * Most applications will need to conditionally render certain components based on whether a user is signed in or not.
@@ -65,23 +83,16 @@ const App = () => {
             <StudyondBanner />
 
             <Routes>
+              {/* One route for every path so Biddit2 stays mounted while
+                  useUrlSync changes the URL (/HS25/course/...) */}
               <Route
-                path="/"
-                element={
-                  <ErrorBoundary>
-                    <Biddit2 />
-                  </ErrorBoundary>
-                }
-              />
-              <Route
-                path="/biddit2"
+                path="/*"
                 element={
                   <ErrorBoundary>
                     <Biddit2 />
                   </ErrorBoundary>
                 }
               />
-              <Route path="*" element={<Navigate to="/" />} />
             </Routes>
           </AuthenticatedTemplate>
           <UnauthenticatedTemplate>
@@ -94,7 +105,7 @@ const App = () => {
                   </ErrorBoundary>
                 }
               />
-              <Route path="*" element={<Navigate to="/login" />} />
+              <Route path="*" element={<RedirectToLogin />} />
             </Routes>
           </UnauthenticatedTemplate>
         </BrowserRouter>
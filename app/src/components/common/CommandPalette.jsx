@@ -0,0 +1,257 @@
+import { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useRecoilValue, useSetRecoilState } from "recoil";
+import { Dialog } from "@headlessui/react";
+import { SearchIcon } from "@heroicons/react/outline";
+import { selectedTabAtom, TAB_LABELS } from "../recoil/selectedTabAtom";
+import { isLeftViewVisible } from "../recoil/isLeftViewVisible";
+import { termListState } from "../recoil/termListState";
+import { catalogueSearchModeState } from "../recoil/catalogueSearchAtom";
+import { planListSelector } from "../recoil/curriculumPlansSelectors";
+import {
+  selectedSemesterSelector,
+  semesterCoursesSelector,
+} from "../recoil/unifiedCourseDataSelectors";
+import { useUnifiedCourseData } from "../helpers/useUnifiedCourseData";
+import { useUnifiedSemesterState } from "../helpers/useUnifiedSemesterState";
+import usePlanManager from "../helpers/usePlanManager";
+import { getCourseIdentifier } from "../helpers/courseUtils";
+import {
+  filterCommands,
+  getNextRowIndex,
+  isCommandPaletteShortcut,
+} from "../helpers/keyboardNavigation";
+
+// Course matches shown above the other commands
+const MAX_COURSE_RESULTS = 8;
+
+const CURRICULUM_MAP_TAB_INDEX = TAB_LABELS.indexOf("Curriculum Map");
+
+const PaletteContent = ({ onClose }) => {
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const selectedSemester = useRecoilValue(selectedSemesterSelector);
+  const courses = useRecoilValue(
+    semesterCoursesSelector({ semester: selectedSemester, type: "available" })
+  );
+  const termList = useRecoilValue(termListState);
+  const plans = useRecoilValue(planListSelector);
+  const setSelectedTab = useSetRecoilState(selectedTabAtom);
+  const setIsLeftViewVisible = useSetRecoilState(isLeftViewVisible);
+  const setCatalogueSearchMode = useSetRecoilState(catalogueSearchModeState);
+  const { updateSelectedCourseInfo } = useUnifiedCourseData();
+  const { setSelectedSemester } = useUnifiedSemesterState();
+  const { switchPlan, createPlan, duplicatePlan, importSelectedCourses } =
+    usePlanManager();
+
+  const openTab = (index) => {
+    setSelectedTab(index);
+    setIsLeftViewVisible(false);
+  };
+
+  // Same as picking the semester in SelectSemester
+  const selectSemester = (shortName) => {
+    const latestValidTerm =
+      termList.find((term) => term.isCurrent)?.shortName ||
+      termList[0]?.shortName;
+    setCatalogueSearchMode(false);
+    setSelectedSemester(shortName, termList, latestValidTerm);
+    setIsLeftViewVisible(true);
+  };
+
+  const runPlanAction = (action) => {
+    openTab(CURRICULUM_MAP_TAB_INDEX);
+    action();
+  };
+
+  const activePlan = plans.find((plan) => plan.isActive);
+
+  const commands = [
+    ...TAB_LABELS.map((label, index) => ({
+      id: `tab-${index}`,
+      group: "Tab",
+      label: `Go to ${label}`,
+      run: () => openTab(index),
+    })),
+    ...termList.map((term) => ({
+      id: `semester-${term.shortName}`,
+      group: "Semester",
+      label: `Switch to ${term.shortName}`,
+      keywords: "semester term",
+      run: () => selectSemester(term.shortName),
+    })),
+    ...plans
+      .filter((plan) => !plan.isActive)
+      .map((plan) => ({
+        id: `plan-${plan.id}`,
+        group: "Plan",
+        label: `Switch to plan ${plan.name}`,
+        keywords: "curriculum",
+        run: () => runPlanAction(() => switchPlan(plan.id)),
+      })),
+    ...(activePlan
+      ? [
+          {
+            id: "plan-create",
+            group: "Plan",
+            label: "Create new plan",
+            keywords: "curriculum",
+            run: () => runPlanAction(() => createPlan()),
+          },
+          {
+            id: "plan-duplicate",
+            group: "Plan",
+            label: `Duplicate plan ${activePlan.name}`,
+            keywords: "curriculum copy",
+            run: () => runPlanAction(() => duplicatePlan(activePlan.id)),
+          },
+          {
+            id: "plan-import",
+            group: "Plan",
+            label: "Import wishlisted courses into the plan",
+            keywords: "curriculum selected",
+            run: () => runPlanAction(() => importSelectedCourses()),
+          },
+        ]
+      : []),
+  ];
+
+  // Courses only once something is typed; there are too many to list
+  const courseCommands = query.trim()
+    ? filterCommands(
+        (courses || []).map((course) => ({
+          id: `course-${getCourseIdentifier(course)}`,
+          group: course.courseNumber || "Course",
+          label: course.shortName || getCourseIdentifier(course),
+          keywords: course.courseNumber,
+          run: () => {
+            updateSelectedCourseInfo(course);
+            openTab(0);
+          },
+        })),
+        query
+      ).slice(0, MAX_COURSE_RESULTS)
+    : [];
+
+  const results = [...courseCommands, ...filterCommands(commands, query)];
+  const active = Math.min(activeIndex, results.length - 1);
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-index="${active}"]`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  const runCommand = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (e) => {
+    const next = getNextRowIndex(e.key, active, results.length);
+    if (next !== null && (e.key === "ArrowDown" || e.key === "ArrowUp")) {
+      e.preventDefault();
+      setActiveIndex(next);
+    } else if (e.key === "Enter" && results[active]) {
+      e.preventDefault();
+      runCommand(results[active]);
+    }
+  };
+
+  return (
+    <>
+      <div className="flex items-center px-3 border-b border-gray-200">
+        <SearchIcon className="w-5 h-5 text-gray-400" aria-hidden="true" />
+        <input
+          type="text"
+          autoFocus
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={`Course in ${selectedSemester || "this semester"}, tab, semester or plan…`}
+          className="w-full px-2 py-3 text-sm border-0 focus:ring-0"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-results"
+          aria-activedescendant={
+            results[active] ? `command-${results[active].id}` : undefined
+          }
+        />
+      </div>
+      <ul
+        id="command-palette-results"
+        ref={listRef}
+        role="listbox"
+        className="overflow-y-auto max-h-80 py-1 text-sm"
+      >
+        {results.length === 0 && (
+          <li className="px-4 py-2 text-gray-500">No matching commands</li>
+        )}
+        {results.map((command, index) => (
+          <li
+            key={command.id}
+            id={`command-${command.id}`}
+            data-index={index}
+            role="option"
+            aria-selected={index === active}
+            onMouseMove={() => setActiveIndex(index)}
+            onClick={() => runCommand(command)}
+            className={`flex justify-between gap-2 px-4 py-2 cursor-pointer ${
+              index === active ? "bg-hsg-100 text-hsg-900" : "text-gray-800"
+            }`}
+          >
+            <span className="truncate">{command.label}</span>
+            <span className="text-xs text-gray-500 whitespace-nowrap">
+              {command.group}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+};
+
+PaletteContent.propTypes = {
+  onClose: PropTypes.func.isRequired,
+};
+
+/**
+ * Ctrl/Cmd+K command palette: jump to a course of the selected semester,
+ * switch tabs, semesters and curriculum plans.
+ */
+export default function CommandPalette() {
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!isCommandPaletteShortcut(e)) return;
+      e.preventDefault();
+      setIsOpen((open) => !open);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  return (
+    <Dialog
+      open={isOpen}
+      onClose={() => setIsOpen(false)}
+      className="relative z-50"
+    >
+      <div className="fixed inset-0 bg-gray-900/30" aria-hidden="true" />
+      <div className="fixed inset-0 flex items-start justify-center p-4 pt-[15vh]">
+        <Dialog.Panel className="w-full max-w-xl overflow-hidden bg-white rounded-lg shadow-xl">
+          <Dialog.Title className="sr-only">Command palette</Dialog.Title>
+          {isOpen && <PaletteContent onClose={() => setIsOpen(false)} />}
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+}
+
+export { CommandPalette };
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import {
+  fitsAvailability,
+  getSlotKey,
+  isSessionBlocked,
+  splitWeeklyAndBlockSessions,
+} from "../availabilityFilter";
+import { applyFilterCriteria } from "../courseUtils";
+import { session, weeklySessions } from "../../../test/calendarFixtures";
+
+// Mondays 08:15–09:45 for three weeks
+const weekly = weeklySessions("2025-09-15T08:15:00", 3);
+// Friday and Saturday block days
+const block = [
+  session("2025-10-10T09:00:00", 240),
+  session("2025-10-11T09:00:00", 240),
+];
+
+const mondayMorning = [getSlotKey(1, 8), getSlotKey(1, 9)];
+const friday = Array.from({ length: 14 }, (_, i) => getSlotKey(5, i + 8));
+
+describe("splitWeeklyAndBlockSessions", () => {
+  it("separates recurring sessions from one-off sessions", () => {
+    const { weekly: w, block: b } = splitWeeklyAndBlockSessions([
+      ...weekly,
+      ...block,
+    ]);
+    expect(w).toHaveLength(3);
+    expect(b).toHaveLength(2);
+  });
+});
+
+describe("isSessionBlocked", () => {
+  it("checks every hour the session covers", () => {
+    expect(isSessionBlocked(weekly[0], new Set([getSlotKey(1, 9)]))).toBe(true);
+    expect(isSessionBlocked(weekly[0], new Set([getSlotKey(1, 10)]))).toBe(false);
+  });
+
+  it("does not count a session ending on the hour into the next slot", () => {
+    const endsAtTen = session("2025-09-15T09:00:00", 60);
+    expect(isSessionBlocked(endsAtTen, new Set([getSlotKey(1, 10)]))).toBe(false);
+  });
+});
+
+describe("fitsAvailability", () => {
+  const course = { calendarEntry: [...weekly, ...block] };
+
+  it("passes without blocked slots or sessions", () => {
+    expect(fitsAvailability(course, undefined)).toBe(true);
+    expect(fitsAvailability({}, { blockedSlots: friday })).toBe(true);
+  });
+
+  it("excludes courses whose weekly sessions fall into blocked slots", () => {
+    expect(fitsAvailability(course, { blockedSlots: mondayMorning })).toBe(false);
+  });
+
+  it("judges block sessions against their own threshold", () => {
+    // Half of the block days are on Friday: 50% is not more than 50%
+    expect(fitsAvailability(course, { blockedSlots: friday })).toBe(true);
+    expect(
+      fitsAvailability(course, { blockedSlots: friday, blockThreshold: 40 })
+    ).toBe(false);
+  });
+
+  it("is applied by applyFilterCriteria", () => {
+    expect(
+      applyFilterCriteria(course, { availability: { blockedSlots: mondayMorning } })
+    ).toBe(false);
+    expect(applyFilterCriteria(course, { availability: { blockedSlots: [] } })).toBe(
+      true
+    );
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildOfferingTimeline,
+  flattenCatalogueSheets,
+  getCatalogueGroupKey,
+  searchCatalogue,
+} from "../catalogueSearch";
+
+const course = (courseNumber, shortName, extra = {}) => ({
+  courseNumber,
+  shortName,
+  credits: 400,
+  classification: "Core Electives",
+  ...extra,
+});
+
+const catalogues = [
+  {
+    semester: "HS 23",
+    courses: [
+      course("3,135,1.00", "Corporate Finance"),
+      course("3,135,2.01", "Corporate Finance: Exercises Group 1", {
+        credits: 0,
+      }),
+      course("4,200,1.00", "Marketing Basics"),
+    ],
+  },
+  {
+    semester: "FS 24",
+    courses: [course("4,200,1.00", "Marketing Basics")],
+  },
+  {
+    semester: "HS 24",
+    courses: [
+      course("3,135,1.00", "Corporate Finance", { credits: 600 }),
+      course("5,010,1.00", "Advanced Corporate Finance"),
+    ],
+  },
+];
+
+describe("getCatalogueGroupKey", () => {
+  it("groups a course and its exercise groups by course number root", () => {
+    expect(getCatalogueGroupKey(course("3,135,1.00", "Corporate Finance"))).toBe(
+      "3,135"
+    );
+    expect(getCatalogueGroupKey(course("3,135,2.01", "Exercises"))).toBe(
+      "3,135"
+    );
+  });
+
+  it("falls back to the cleaned course name", () => {
+    expect(getCatalogueGroupKey({ shortName: "Statistics Group 2" })).toBe(
+      "statistics"
+    );
+    expect(getCatalogueGroupKey({})).toBeNull();
+  });
+});
+
+describe("flattenCatalogueSheets", () => {
+  it("creates one entry per nested course", () => {
+    const courses = flattenCatalogueSheets([
+      {
+        id: "sheet-1",
+        shortName: "Corporate Finance",
+        credits: 400,
+        classification: "Core Electives",
+        courses: [
+          { courseNumber: "3,135,1.00", lecturers: [{ displayName: "Meier" }] },
+          {
+            courseNumber: "3,135,2.01",
+            shortName: "Corporate Finance: Exercises Group 1",
+          },
+        ],
+      },
+      { id: "sheet-2", shortName: "No nested courses" },
+    ]);
+
+    expect(courses).toHaveLength(3);
+    expect(courses[0]).toMatchObject({
+      courseNumber: "3,135,1.00",
+      shortName: "Corporate Finance",
+      credits: 400,
+      lecturers: [{ displayName: "Meier" }],
+    });
+    expect(courses[0].courses).toBeUndefined();
+    expect(courses[1].credits).toBe(0);
+    expect(courses[2].shortName).toBe("No nested courses");
+  });
+
+  it("handles a failed fetch", () => {
+    expect(flattenCatalogueSheets(null)).toEqual([]);
+  });
+});
+
+describe("searchCatalogue", () => {
+  it("returns nothing without free-text criteria", () => {
+    expect(searchCatalogue(catalogues, {})).toEqual([]);
+  });
+
+  it("groups hits across semesters with offerings newest first", () => {
+    const groups = searchCatalogue(catalogues, {
+      searchTerm: "corporate finance",
+    });
+
+    // Equal scores and last offerings: alphabetical
+    expect(groups.map((group) => group.key)).toEqual(["5,010", "3,135"]);
+    const corporateFinance = groups[1];
+    expect(corporateFinance.shortName).toBe("Corporate Finance");
+    expect(corporateFinance.lastOffered).toBe("HS 24");
+    expect(corporateFinance.offerings.map((o) => o.semester)).toEqual([
+      "HS 24",
+      "HS 23",
+    ]);
+    // The lecture represents the offering, not its exercise group
+    expect(corporateFinance.offerings[1].course.courseNumber).toBe("3,135,1.00");
+    expect(corporateFinance.offerings[1].courses).toHaveLength(2);
+    expect(corporateFinance.offerings[0].course.credits).toBe(600);
+  });
+
+  it("applies excluded terms in every semester", () => {
+    const groups = searchCatalogue(catalogues, {
+      searchTerm: "finance",
+      excludedTerms: ["advanced"],
+    });
+    expect(groups.map((group) => group.key)).toEqual(["3,135"]);
+  });
+
+  it("breaks score ties by the most recent offering", () => {
+    const groups = searchCatalogue(
+      [
+        { semester: "HS 22", courses: [course("1,1,1.00", "Ethics A")] },
+        { semester: "FS 24", courses: [course("2,2,1.00", "Ethics B")] },
+      ],
+      { searchTerm: "ethics" }
+    );
+    expect(groups.map((group) => group.key)).toEqual(["2,2", "1,1"]);
+  });
+});
+
+describe("buildOfferingTimeline", () => {
+  it("marks every searched semester as offered or not", () => {
+    const [marketing] = searchCatalogue(catalogues, { searchTerm: "marketing" });
+    expect(
+      buildOfferingTimeline(marketing, ["HS 23", "HS 24", "FS 24"])
+    ).toEqual([
+      { semester: "HS 24", offered: false },
+      { semester: "FS 24", offered: true },
+      { semester: "HS 23", offered: true },
+    ]);
+  });
+});
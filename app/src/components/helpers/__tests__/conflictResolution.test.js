@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import {
+  RESOLUTION_TYPES,
+  countCollidingSessions,
+  findConflicts,
+  resolveConflicts,
+} from "../conflictResolution";
+import {
+  course,
+  financeCourse,
+  marketingCourse,
+  session,
+} from "../../../test/calendarFixtures";
+
+const MONDAY = "2025-09-15T10:15:00";
+const TUESDAY = "2025-09-16T14:15:00";
+const WEDNESDAY = "2025-09-17T08:15:00";
+
+const marketing = marketingCourse([session(MONDAY)], { enrolled: true });
+const lecture = financeCourse([session(WEDNESDAY)]);
+const groupMonday = course("3,135,2.01", "Corporate Finance: Exercises 1", [
+  session(MONDAY),
+]);
+const groupTuesday = course("3,135,2.02", "Corporate Finance: Exercises 2", [
+  session(TUESDAY),
+]);
+const lawA = course("7,001,1.00", "Contract Law", [session(MONDAY)]);
+const lawB = course("7,002,1.00", "Contract Law", [session(TUESDAY)]);
+
+const available = [marketing, lecture, groupMonday, groupTuesday, lawA, lawB];
+const wishlisted = (c) => ({ ...c, selected: true });
+
+describe("findConflicts", () => {
+  it("pairs overlapping courses and counts their sessions", () => {
+    const conflicts = findConflicts([marketing, wishlisted(groupMonday)]);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].sessionCount).toBe(2);
+    expect(conflicts[0].courses.map((c) => c.courseNumber).sort()).toEqual([
+      "3,135,2.01",
+      "4,200,1.00",
+    ]);
+  });
+
+  it("ignores touching sessions", () => {
+    const before = course("1,000,1.00", "Early", [session(MONDAY, 60)]);
+    const after = course("1,001,1.00", "Late", [
+      session("2025-09-15T11:15:00"),
+    ]);
+
+    expect(findConflicts([before, after])).toEqual([]);
+    expect(countCollidingSessions([before, after])).toBe(0);
+  });
+});
+
+describe("resolveConflicts", () => {
+  it("suggests another exercise group of the same course", () => {
+    const [conflict] = resolveConflicts(
+      [marketing, wishlisted(lecture), wishlisted(groupMonday)],
+      available
+    );
+
+    expect(conflict.options[0]).toMatchObject({
+      type: RESOLUTION_TYPES.GROUP,
+      add: groupTuesday,
+      freed: 2,
+    });
+    expect(conflict.options.map((option) => option.type)).toEqual([
+      RESOLUTION_TYPES.GROUP,
+      RESOLUTION_TYPES.DROP,
+    ]);
+  });
+
+  it("suggests parallel sections for lectures", () => {
+    const [conflict] = resolveConflicts(
+      [marketing, wishlisted(lawA)],
+      available
+    );
+
+    expect(conflict.options[0]).toMatchObject({
+      type: RESOLUTION_TYPES.SECTION,
+      add: lawB,
+      freed: 2,
+    });
+  });
+
+  it("never changes enrolled courses or personal commitments", () => {
+    const job = course("personal-job", "Job", [session(MONDAY)], {
+      isPersonal: true,
+    });
+    const [conflict] = resolveConflicts([marketing, job], available);
+
+    expect(conflict.options).toEqual([]);
+  });
+
+  it("leaves out swaps that free nothing", () => {
+    const [conflict] = resolveConflicts(
+      [marketing, wishlisted(groupMonday), wishlisted(lawB)],
+      [
+        ...available,
+        course("3,135,2.03", "Corporate Finance: Exercises 3", [
+          session(MONDAY),
+        ]),
+      ]
+    );
+
+    // Exercises 2 collides with Contract Law on Tuesday, Exercises 3 with
+    // Marketing on Monday: only dropping helps
+    expect(conflict.options.map((option) => option.type)).toEqual([
+      RESOLUTION_TYPES.DROP,
+    ]);
+  });
+});
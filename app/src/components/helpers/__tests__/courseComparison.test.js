@@ -0,0 +1,97 @@
+import { describe, it, expect } from "vitest";
+import {
+  findTrayCourse,
+  getContactHours,
+  summarizeWeeklySchedule,
+  toggleTrayEntry,
+} from "../courseComparison";
+import { session } from "../../../test/calendarFixtures";
+
+// Two lessons with a break
+const LESSON_MINUTES = 105;
+
+const entry = (courseId, semester = "HS25") => ({
+  courseId,
+  semester,
+  shortName: courseId,
+});
+
+describe("toggleTrayEntry", () => {
+  it("adds and removes courses per semester", () => {
+    const { tray } = toggleTrayEntry([], entry("a"), 4);
+    expect(tray).toEqual([entry("a")]);
+
+    const withOtherSemester = toggleTrayEntry(tray, entry("a", "FS26"), 4).tray;
+    expect(withOtherSemester).toHaveLength(2);
+
+    expect(toggleTrayEntry(withOtherSemester, entry("a"), 4).tray).toEqual([
+      entry("a", "FS26"),
+    ]);
+  });
+
+  it("refuses new courses when full but still removes", () => {
+    const full = [entry("a"), entry("b")];
+    expect(toggleTrayEntry(full, entry("c"), 2)).toEqual({
+      tray: full,
+      isFull: true,
+    });
+    expect(toggleTrayEntry(full, entry("b"), 2)).toEqual({
+      tray: [entry("a")],
+      isFull: false,
+    });
+  });
+});
+
+describe("findTrayCourse", () => {
+  const semesters = {
+    HS25: { available: [{ courseNumber: "3,135,1.00", shortName: "Finance" }] },
+  };
+
+  it("finds the course in its semester", () => {
+    expect(findTrayCourse(semesters, entry("3,135,1.00"))).toEqual(
+      semesters.HS25.available[0]
+    );
+  });
+
+  it("returns null when the course or semester is missing", () => {
+    expect(findTrayCourse(semesters, entry("9,999,1.00"))).toBeNull();
+    expect(findTrayCourse(semesters, entry("3,135,1.00", "FS26"))).toBeNull();
+  });
+});
+
+describe("summarizeWeeklySchedule", () => {
+  it("lists weekly slots from Monday and counts block sessions", () => {
+    const calendarEntry = [
+      session("2025-09-19T14:15:00", LESSON_MINUTES),
+      session("2025-09-15T10:15:00", LESSON_MINUTES),
+      session("2025-09-26T14:15:00", LESSON_MINUTES),
+      session("2025-09-22T10:15:00", LESSON_MINUTES),
+      session("2025-09-29T10:15:00", LESSON_MINUTES),
+      session("2025-10-11T09:00:00", 240),
+    ];
+
+    expect(summarizeWeeklySchedule(calendarEntry)).toEqual({
+      weekly: [
+        { label: "Mon 10:15–12:00", sessions: 3 },
+        { label: "Fri 14:15–16:00", sessions: 2 },
+      ],
+      blockSessions: 1,
+    });
+  });
+
+  it("handles courses without sessions", () => {
+    expect(summarizeWeeklySchedule()).toEqual({ weekly: [], blockSessions: 0 });
+  });
+});
+
+describe("getContactHours", () => {
+  it("sums the session durations", () => {
+    expect(
+      getContactHours([
+        session("2025-09-15T10:15:00", 90),
+        session("2025-09-22T10:15:00", 150),
+      ])
+    ).toBe(4);
+    expect(getContactHours()).toBe(0);
+  });
+});
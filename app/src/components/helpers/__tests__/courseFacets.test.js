@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { computeFacetCounts } from "../courseFacets";
+import { attachCourseDetails } from "../courseUtils";
+
+const course = (courseNumber, classification, credits, language, lecturers) => ({
+  courseNumber,
+  shortName: courseNumber,
+  classification,
+  credits,
+  courseLanguage: { code: language },
+  lecturers: lecturers.map((displayName) => ({ displayName })),
+});
+
+const courses = [
+  course("a", "Core", 400, "EN", ["Anna Müller"]),
+  course("b", "Core", 600, "DE", ["Anna Müller", "Peter Meier"]),
+  course("c", "Contextual", 400, "EN", ["Peter Meier"]),
+];
+
+describe("computeFacetCounts", () => {
+  it("counts every value without filters", () => {
+    const counts = computeFacetCounts(courses, {});
+    expect(counts.classification.get("Core")).toBe(2);
+    expect(counts.ects.get(400)).toBe(2);
+    expect(counts.language.get("DE")).toBe(1);
+    expect(counts.lecturer.get("Peter Meier")).toBe(2);
+  });
+
+  it("counts each facet against the other filters only", () => {
+    const counts = computeFacetCounts(courses, {
+      classifications: ["Core"],
+      courseLanguage: ["EN"],
+    });
+    // Classification ignores its own filter but respects the language
+    expect(counts.classification.get("Core")).toBe(1);
+    expect(counts.classification.get("Contextual")).toBe(1);
+    // Language ignores its own filter but respects the classification
+    expect(counts.language.get("EN")).toBe(1);
+    expect(counts.language.get("DE")).toBe(1);
+    // Other facets respect both
+    expect(counts.ects.get(400)).toBe(1);
+    expect(counts.ects.get(600)).toBeUndefined();
+  });
+});
+
+describe("attachCourseDetails", () => {
+  it("attaches ratings, rating details and exam parts", () => {
+    const semesterData = {
+      ratings: { a: 4.5 },
+      ratingDetails: { a: { avgRatings: { exam: 4 }, nbOfRatings: 7 } },
+      examInformation: { a: [{ weightage: 10000 }] },
+    };
+    expect(attachCourseDetails(courses[0], semesterData)).toMatchObject({
+      avgRating: 4.5,
+      avgRatings: { exam: 4 },
+      nbOfRatings: 7,
+      examinationParts: [{ weightage: 10000 }],
+    });
+  });
+});
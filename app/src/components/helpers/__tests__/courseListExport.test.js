@@ -0,0 +1,145 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildExportTable,
+  formatExamFormat,
+  formatWeeklySchedule,
+  toCsv,
+} from "../courseListExport";
+import { createXlsx, getColumnName } from "../xlsxWriter";
+import { session } from "../../../test/calendarFixtures";
+
+const LESSON_MINUTES = 105;
+
+const course = {
+  courseNumber: "3,135,1.00",
+  shortName: 'Finance "Advanced"',
+  credits: 400,
+  classification: "Core Electives",
+  courseLanguage: { code: "EN" },
+  courses: [
+    {
+      courseNumber: "3,135,1.00",
+      lecturers: [{ displayName: "Anna Müller" }, { displayName: "Ben Meier" }],
+    },
+  ],
+  avgRatings: { topic: 4.5, exam: 3 },
+  nbOfRatings: 12,
+  achievementFormStatus: { isCentral: true, isDeCentral: false },
+  examinationParts: [
+    { examinationTypeId: 1, weightage: 6000 },
+    { examinationTypeId: 2, weightage: 4000 },
+  ],
+  calendarEntry: [
+    session("2025-09-15T10:15:00", LESSON_MINUTES),
+    session("2025-09-22T10:15:00", LESSON_MINUTES),
+    session("2025-10-11T09:00:00", 240),
+  ],
+};
+
+const examinationTypes = {
+  1: { shortName: "Written exam" },
+  2: { shortName: "Presentation" },
+};
+
+describe("formatExamFormat", () => {
+  it("lists the format and the weighted parts", () => {
+    expect(formatExamFormat(course, examinationTypes)).toBe(
+      "Central: Written exam 60%, Presentation 40%"
+    );
+    expect(
+      formatExamFormat(
+        { achievementFormStatus: { isDeCentral: true } },
+        examinationTypes
+      )
+    ).toBe("Decentral");
+    expect(formatExamFormat({}, null)).toBe("");
+  });
+});
+
+describe("formatWeeklySchedule", () => {
+  it("puts weekly slots and block sessions on one line", () => {
+    expect(formatWeeklySchedule(course.calendarEntry)).toBe(
+      "Mon 10:15–12:00 (2×); 1 block session"
+    );
+    expect(formatWeeklySchedule(undefined)).toBe("");
+  });
+});
+
+describe("buildExportTable", () => {
+  it("keeps column order and expands ratings per dimension", () => {
+    const { header, rows } = buildExportTable(
+      [course],
+      ["ratings", "courseNumber", "ects", "lecturers"],
+      { examinationTypes }
+    );
+
+    expect(header.slice(0, 3)).toEqual([
+      "Course number",
+      "ECTS",
+      "Lecturers",
+    ]);
+    expect(header).toContain("Rating: Topic");
+    expect(header[header.length - 1]).toBe("Number of ratings");
+    expect(rows[0].slice(0, 3)).toEqual([
+      "3,135,1.00",
+      4,
+      "Anna Müller; Ben Meier",
+    ]);
+    expect(rows[0][header.indexOf("Rating: Topic")]).toBe(4.5);
+    expect(rows[0][header.indexOf("Rating: Lecture")]).toBeNull();
+    expect(rows[0][rows[0].length - 1]).toBe(12);
+  });
+});
+
+describe("toCsv", () => {
+  it("quotes cells with separators and quotes", () => {
+    const csv = toCsv(
+      ["Course number", "Title", "ECTS"],
+      [["3,135,1.00", 'Finance "Advanced"', 4], ["7,001,1.00", "Law", null]]
+    );
+
+    expect(csv).toBe(
+      "\uFEFF" +
+        "Course number,Title,ECTS\r\n" +
+        '"3,135,1.00","Finance ""Advanced""",4\r\n' +
+        '"7,001,1.00",Law,\r\n'
+    );
+  });
+
+  it("keeps text cells from being run as formulas", () => {
+    const csv = toCsv(
+      ["Title", "Lecturers", "ECTS"],
+      [
+        ["=HYPERLINK(\"http://x\")", "@Anna", -2],
+        ["+Law", "-Ben", 4],
+      ]
+    );
+
+    expect(csv.split("\r\n").slice(1, 3)).toEqual([
+      `"'=HYPERLINK(""http://x"")",'@Anna,-2`,
+      "'+Law,'-Ben,4",
+    ]);
+  });
+});
+
+describe("xlsxWriter", () => {
+  it("names columns like spreadsheets", () => {
+    expect(getColumnName(0)).toBe("A");
+    expect(getColumnName(25)).toBe("Z");
+    expect(getColumnName(26)).toBe("AA");
+    expect(getColumnName(701)).toBe("ZZ");
+  });
+
+  it("writes a zip with the workbook parts and escaped cells", () => {
+    const bytes = createXlsx(["Title", "ECTS"], [["R&D <intro>", 4]], "HS25");
+    const text = new TextDecoder().decode(bytes);
+
+    // Local file header signature "PK\x03\x04"
+    expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    expect(text).toContain("[Content_Types].xml");
+    expect(text).toContain("xl/worksheets/sheet1.xml");
+    expect(text).toContain('<sheet name="HS25"');
+    expect(text).toContain("R&amp;D &lt;intro&gt;");
+    expect(text).toContain('<c r="B2"><v>4</v></c>');
+  });
+});
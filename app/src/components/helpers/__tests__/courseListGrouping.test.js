@@ -0,0 +1,98 @@
+import { describe, it, expect } from "vitest";
+import {
+  COURSE_LIST_ROW_TYPES,
+  flattenCourseList,
+  groupCourseList,
+  pickBestFittingGroup,
+} from "../courseListGrouping";
+import {
+  course,
+  financeCourse,
+  marketingCourse,
+  session,
+} from "../../../test/calendarFixtures";
+
+// Lecture Monday 10:15, groups Monday 10:15 (collides) and Tuesday 14:15
+const lecture = financeCourse([session("2025-09-15T10:15:00")]);
+const groupMonday = course("3,135,2.01", "Corporate Finance: Exercises 1", [
+  session("2025-09-15T10:15:00"),
+]);
+const groupTuesday = course("3,135,2.02", "Corporate Finance: Exercises 2", [
+  session("2025-09-16T14:15:00"),
+]);
+const marketing = marketingCourse([session("2025-09-16T14:15:00")]);
+
+describe("groupCourseList", () => {
+  it("nests groups under their lecture at the first member's position", () => {
+    const items = groupCourseList([
+      groupMonday,
+      marketing,
+      lecture,
+      groupTuesday,
+    ]);
+    expect(items.map((item) => [item.type, item.course.shortName])).toEqual([
+      [COURSE_LIST_ROW_TYPES.GROUP, "Corporate Finance"],
+      [COURSE_LIST_ROW_TYPES.COURSE, "Marketing"],
+    ]);
+    expect(items[0].children).toEqual([groupMonday, groupTuesday]);
+  });
+
+  it("keeps groups without their lecture as plain rows", () => {
+    const items = groupCourseList([groupMonday, groupTuesday]);
+    expect(items.map((item) => item.type)).toEqual([
+      COURSE_LIST_ROW_TYPES.COURSE,
+      COURSE_LIST_ROW_TYPES.COURSE,
+    ]);
+  });
+});
+
+describe("flattenCourseList", () => {
+  const items = groupCourseList([
+    lecture,
+    groupMonday,
+    groupTuesday,
+    marketing,
+  ]);
+
+  it("hides the groups of collapsed lectures", () => {
+    const rows = flattenCourseList(items, new Set());
+    expect(rows.map((row) => row.type)).toEqual([
+      COURSE_LIST_ROW_TYPES.GROUP,
+      COURSE_LIST_ROW_TYPES.COURSE,
+    ]);
+    expect(rows[0].isExpanded).toBe(false);
+  });
+
+  it("lists the groups after an expanded lecture", () => {
+    const rows = flattenCourseList(items, new Set(["3,135"]));
+    expect(rows.map((row) => [row.type, row.course.shortName])).toEqual([
+      [COURSE_LIST_ROW_TYPES.GROUP, "Corporate Finance"],
+      [COURSE_LIST_ROW_TYPES.CHILD, "Corporate Finance: Exercises 1"],
+      [COURSE_LIST_ROW_TYPES.CHILD, "Corporate Finance: Exercises 2"],
+      [COURSE_LIST_ROW_TYPES.COURSE, "Marketing"],
+    ]);
+    expect(rows[1].groupKey).toBe("3,135");
+  });
+});
+
+describe("pickBestFittingGroup", () => {
+  it("avoids groups colliding with the lecture", () => {
+    const best = pickBestFittingGroup([groupMonday, groupTuesday], [], lecture);
+    expect(best.course).toBe(groupTuesday);
+    expect(best.collision.count).toBe(0);
+  });
+
+  it("keeps the list order when all groups collide equally", () => {
+    const best = pickBestFittingGroup(
+      [groupMonday, groupTuesday],
+      [marketing],
+      lecture
+    );
+    expect(best.course).toBe(groupMonday);
+    expect(best.collision.count).toBe(1);
+  });
+
+  it("returns null without groups", () => {
+    expect(pickBestFittingGroup([], [], lecture)).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect } from "vitest";
+import {
+  stripHtml,
+  tokenize,
+  buildCourseSearchIndex,
+  getCourseSearchIndex,
+  searchCourseIndex,
+  applySearchRanking,
+  getHighlightSegments,
+} from "../courseSearchIndex";
+import { applyFilterCriteria } from "../courseUtils";
+
+const COURSES = [
+  {
+    courseNumber: "3,135,1.00",
+    shortName: "Machine Learning for Finance",
+    lecturers: [{ displayName: "Anna Müller" }],
+    learningObjectives: "<p>Understand <b>regression</b> models.</p>",
+    courseContent: "<ul><li>Neural networks</li></ul>",
+  },
+  {
+    courseNumber: "4,200,1.00",
+    shortName: "Corporate Strategy",
+    lecturers: [{ displayName: "Peter Meier" }],
+    learningObjectives: "<p>Apply machine learning to strategy&nbsp;cases.</p>",
+    courseContent: "",
+  },
+  {
+    courseNumber: "5,300,1.00",
+    shortName: "Business Ethics",
+    lecturers: [],
+    learningObjectives: "",
+    courseContent: "<p>Ethics of machine learning systems</p>",
+  },
+];
+
+describe("stripHtml", () => {
+  it("removes tags and decodes entities", () => {
+    expect(stripHtml("<p>A&nbsp;&amp;&nbsp;B</p><br/>C")).toBe("A & B C");
+  });
+
+  it("handles empty input", () => {
+    expect(stripHtml(null)).toBe("");
+    expect(stripHtml(undefined)).toBe("");
+  });
+});
+
+describe("tokenize", () => {
+  it("lowercases and strips diacritics", () => {
+    expect(tokenize("Müller, Ökonomie 2")).toEqual(["muller", "okonomie", "2"]);
+  });
+});
+
+describe("searchCourseIndex", () => {
+  const index = buildCourseSearchIndex(COURSES);
+
+  it("returns null for an empty query", () => {
+    expect(searchCourseIndex(index, "   ")).toBeNull();
+  });
+
+  it("finds courses by content, objectives and lecturer", () => {
+    expect([...searchCourseIndex(index, "neural").keys()]).toEqual([
+      "3,135,1.00",
+    ]);
+    expect([...searchCourseIndex(index, "regression").keys()]).toEqual([
+      "3,135,1.00",
+    ]);
+    expect([...searchCourseIndex(index, "muller").keys()]).toEqual([
+      "3,135,1.00",
+    ]);
+  });
+
+  it("does not index HTML tag names", () => {
+    expect(searchCourseIndex(index, "li").size).toBe(0);
+  });
+
+  it("ranks title > objectives > content", () => {
+    const results = searchCourseIndex(index, "machine learning");
+    const ranked = [...results.entries()]
+      .sort((a, b) => b[1].score - a[1].score)
+      .map(([id]) => id);
+    expect(ranked).toEqual(["3,135,1.00", "4,200,1.00", "5,300,1.00"]);
+  });
+
+  it("requires all query terms to match", () => {
+    expect([...searchCourseIndex(index, "machine strategy").keys()]).toEqual([
+      "4,200,1.00",
+    ]);
+  });
+
+  it("matches prefixes with a lower score than exact terms", () => {
+    const prefix = searchCourseIndex(index, "corp").get("4,200,1.00");
+    const exact = searchCourseIndex(index, "corporate").get("4,200,1.00");
+    expect(prefix.score).toBeLessThan(exact.score);
+  });
+});
+
+describe("getCourseSearchIndex", () => {
+  it("caches the index per course array", () => {
+    expect(getCourseSearchIndex(COURSES)).toBe(getCourseSearchIndex(COURSES));
+    expect(getCourseSearchIndex([...COURSES])).not.toBe(
+      getCourseSearchIndex(COURSES)
+    );
+  });
+});
+
+describe("applyFilterCriteria with search results", () => {
+  it("uses the full-text matches instead of the shortName substring", () => {
+    const results = searchCourseIndex(buildCourseSearchIndex(COURSES), "neural");
+    const options = { searchTerm: "neural" };
+    expect(applyFilterCriteria(COURSES[0], options, results)).toBe(true);
+    expect(applyFilterCriteria(COURSES[1], options, results)).toBe(false);
+  });
+});
+
+describe("applySearchRanking", () => {
+  it("sorts by score and attaches matched fields", () => {
+    const results = searchCourseIndex(
+      buildCourseSearchIndex(COURSES),
+      "machine"
+    );
+    const ranked = applySearchRanking([...COURSES].reverse(), results);
+    expect(ranked.map((c) => c.courseNumber)).toEqual([
+      "3,135,1.00",
+      "4,200,1.00",
+      "5,300,1.00",
+    ]);
+    expect(ranked[0].searchFields).toContain("title");
+  });
+
+  it("returns courses unchanged without search results", () => {
+    expect(applySearchRanking(COURSES, null)).toBe(COURSES);
+  });
+});
+
+describe("getHighlightSegments", () => {
+  it("highlights matched prefixes", () => {
+    expect(getHighlightSegments("Machine Learning", "learn")).toEqual([
+      { text: "Machine ", match: false },
+      { text: "Learn", match: true },
+      { text: "ing", match: false },
+    ]);
+  });
+
+  it("matches accented words with plain query terms", () => {
+    expect(getHighlightSegments("Ökonomie", "oko")).toEqual([
+      { text: "Öko", match: true },
+      { text: "nomie", match: false },
+    ]);
+  });
+});
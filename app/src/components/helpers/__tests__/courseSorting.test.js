@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import { sortCourses, SORT_KEYS } from "../courseSorting";
+
+const courses = [
+  {
+    courseNumber: "a",
+    shortName: "Banking",
+    avgRating: 4.1,
+    avgRatings: { workload: 2.5 },
+    nbOfRatings: 10,
+    credits: 400,
+    courseLanguage: { code: "EN" },
+    calendarEntry: [{ eventDate: "2025-09-20T10:00:00" }],
+  },
+  {
+    courseNumber: "b",
+    shortName: "Accounting",
+    avgRating: 3.2,
+    avgRatings: { workload: 4.5 },
+    nbOfRatings: 40,
+    credits: 400,
+    courseLanguage: { code: "DE" },
+    calendarEntry: [{ eventDate: "2025-09-16T10:00:00" }],
+    selected: true,
+  },
+  {
+    courseNumber: "c",
+    shortName: "Contract Law",
+    credits: 200,
+    courseLanguage: { code: "DE" },
+  },
+];
+
+const order = (result) => result.map((course) => course.courseNumber);
+
+describe("sortCourses", () => {
+  it("keeps the filtered order by default", () => {
+    expect(order(sortCourses(courses))).toEqual(["b", "a", "c"]);
+    expect(order(sortCourses(courses, { pinStatus: false }))).toEqual([
+      "a",
+      "b",
+      "c",
+    ]);
+  });
+
+  it("sorts by a key in both directions with missing values last", () => {
+    const byRating = (direction) =>
+      order(
+        sortCourses(courses, {
+          primary: { key: "rating", direction },
+          pinStatus: false,
+        })
+      );
+    expect(byRating("desc")).toEqual(["a", "b", "c"]);
+    expect(byRating("asc")).toEqual(["b", "a", "c"]);
+  });
+
+  it("sorts by rating dimensions, names and first session", () => {
+    const by = (key, direction = "asc") =>
+      order(sortCourses(courses, { primary: { key, direction }, pinStatus: false }));
+    expect(by("rating.workload", "desc")).toEqual(["b", "a", "c"]);
+    expect(by("name")).toEqual(["b", "a", "c"]);
+    expect(by("firstSession")).toEqual(["b", "a", "c"]);
+  });
+
+  it("breaks ties with the secondary key", () => {
+    const result = sortCourses(courses, {
+      primary: { key: "credits", direction: "desc" },
+      secondary: { key: "nbOfRatings", direction: "desc" },
+      pinStatus: false,
+    });
+    expect(order(result)).toEqual(["b", "a", "c"]);
+  });
+
+  it("pins enrolled and selected courses when requested", () => {
+    const result = sortCourses(courses, {
+      primary: { key: "rating", direction: "desc" },
+      pinStatus: true,
+    });
+    expect(order(result)).toEqual(["b", "a", "c"]);
+  });
+
+  it("un-pins an already pinned list using the reference order", () => {
+    // As delivered by updateFilteredCourses: selected "b" already on top
+    const pinned = [courses[1], courses[0], courses[2]];
+    expect(order(sortCourses(pinned, { pinStatus: false }, courses))).toEqual([
+      "a",
+      "b",
+      "c",
+    ]);
+    expect(order(sortCourses(pinned, { pinStatus: true }, courses))).toEqual([
+      "b",
+      "a",
+      "c",
+    ]);
+  });
+
+  it("ranks search matches before restoring the rest of the order", () => {
+    const ranked = [
+      { ...courses[2], searchScore: 5 },
+      { ...courses[1], searchScore: 2 },
+      courses[0],
+    ];
+    expect(order(sortCourses(ranked, { pinStatus: false }, courses))).toEqual([
+      "c",
+      "b",
+      "a",
+    ]);
+  });
+
+  it("offers every rating dimension as a sort key", () => {
+    expect(Object.keys(SORT_KEYS)).toEqual(
+      expect.arrayContaining(["rating.workload", "rating.exam", "language"])
+    );
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import {
+  findOpenCategoryForCourse,
+  getRemainingCredits,
+} from "../curriculumGapFilter";
+
+const category = (name, validClassifications, credits) => ({
+  name,
+  path: name,
+  validClassifications,
+  minCredits: credits.min,
+  maxCredits: credits.max,
+  earnedCredits: credits.earned || 0,
+  plannedCredits: credits.planned || 0,
+});
+
+const coreElectives = category("Core Electives", ["Core Electives"], {
+  min: 18,
+  max: 18,
+  earned: 12,
+});
+const contextual = category("Contextual Studies", ["Contextual Studies"], {
+  min: 12,
+  max: 12,
+  earned: 8,
+  planned: 4,
+});
+const freeElectives = category("Electives", ["Electives", "Contextual"], {
+  min: 0,
+  max: 6,
+});
+
+const flatCategories = [coreElectives, contextual, freeElectives];
+
+describe("getRemainingCredits", () => {
+  it("counts earned and planned credits against the target", () => {
+    expect(getRemainingCredits(coreElectives)).toBe(6);
+    expect(getRemainingCredits(contextual)).toBe(0);
+    expect(getRemainingCredits(freeElectives)).toBe(6);
+  });
+});
+
+describe("findOpenCategoryForCourse", () => {
+  it("returns the directly matching open category", () => {
+    expect(findOpenCategoryForCourse("Core Electives", flatCategories)).toBe(
+      coreElectives
+    );
+  });
+
+  it("falls back to another open category when the direct one is full", () => {
+    expect(findOpenCategoryForCourse("Contextual Studies", flatCategories)).toBe(
+      freeElectives
+    );
+  });
+
+  it("returns null when no open category accepts the course", () => {
+    expect(
+      findOpenCategoryForCourse("Contextual Studies", [coreElectives, contextual])
+    ).toBeNull();
+    expect(findOpenCategoryForCourse("Mathematics", flatCategories)).toBeNull();
+    expect(findOpenCategoryForCourse(undefined, flatCategories)).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { matchesExamFilter, needsExaminationParts } from "../examFilter";
+import { applyFilterCriteria } from "../courseUtils";
+
+const central = { isCentral: true, isDeCentral: false };
+const decentral = { isCentral: false, isDeCentral: true };
+const mixed = { isCentral: true, isDeCentral: true };
+
+const course = (achievementFormStatus, examinationParts) => ({
+  achievementFormStatus,
+  examinationParts,
+});
+
+describe("matchesExamFilter", () => {
+  it("filters on the exam format", () => {
+    expect(matchesExamFilter(course(central), { format: "central" })).toBe(true);
+    expect(matchesExamFilter(course(decentral), { format: "central" })).toBe(false);
+    expect(matchesExamFilter(course(mixed), { format: "decentral" })).toBe(true);
+    expect(matchesExamFilter(course(mixed), { format: "noCentral" })).toBe(false);
+    expect(matchesExamFilter(course(decentral), { format: "noCentral" })).toBe(true);
+  });
+
+  it("requires a part of one of the selected examination types", () => {
+    const parts = [
+      { examinationTypeId: 3, weightage: 6000 },
+      { examinationTypeId: 7, weightage: 4000 },
+    ];
+    expect(
+      matchesExamFilter(course(central, parts), { examinationTypeIds: ["7"] })
+    ).toBe(true);
+    expect(
+      matchesExamFilter(course(central, parts), { examinationTypeIds: ["9"] })
+    ).toBe(false);
+  });
+
+  it("rejects courses with a part weighted above the maximum", () => {
+    const parts = [
+      { examinationTypeId: 3, weightage: 6000 },
+      { examinationTypeId: 7, weightage: 4000 },
+    ];
+    expect(matchesExamFilter(course(central, parts), { maxPartWeight: 60 })).toBe(
+      true
+    );
+    expect(matchesExamFilter(course(central, parts), { maxPartWeight: 50 })).toBe(
+      false
+    );
+  });
+
+  it("lets courses without exam information pass", () => {
+    expect(
+      matchesExamFilter(course(undefined, undefined), {
+        format: "central",
+        examinationTypeIds: ["1"],
+        maxPartWeight: 50,
+      })
+    ).toBe(true);
+  });
+
+  it("is applied by applyFilterCriteria", () => {
+    expect(
+      applyFilterCriteria(course(decentral), { examFilter: { format: "central" } })
+    ).toBe(false);
+  });
+});
+
+describe("needsExaminationParts", () => {
+  it("is only true for filters that need exam parts", () => {
+    expect(needsExaminationParts(undefined)).toBe(false);
+    expect(needsExaminationParts({ format: "central", examinationTypeIds: [], maxPartWeight: null })).toBe(false);
+    expect(needsExaminationParts({ examinationTypeIds: ["1"] })).toBe(true);
+    expect(needsExaminationParts({ examinationTypeIds: [], maxPartWeight: 70 })).toBe(true);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * examInformationApi.test.js
+ *
+ * Contract pins for the course information sheet and examination type
+ * requests, and for the batching of the bulk prefetch.
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const mockGet = vi.fn();
+
+vi.mock("../axiosClient", () => ({
+  apiClient: {
+    get: (...args) => mockGet(...args),
+  },
+}));
+
+const SHEET_BASE =
+  "https://integration.unisg.ch/EventApi/CourseInformationSheets/latestPublishedByHsgEntityId";
+const TOKEN = "test-token-xyz";
+
+describe("examInformationApi", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("requests the sheet by hsgEntityId with API version 3", async () => {
+    const { fetchCourseExamInformation } = await import("../examInformationApi");
+    mockGet.mockResolvedValueOnce({ data: { examinationParts: [] } });
+
+    await fetchCourseExamInformation({ hsgEntityId: "42" }, TOKEN);
+    expect(mockGet).toHaveBeenCalledWith(`${SHEET_BASE}/42`, TOKEN, {
+      headers: { "API-Version": "3" },
+    });
+  });
+
+  it("falls back to the course number", async () => {
+    const { fetchCourseExamInformation } = await import("../examInformationApi");
+    mockGet
+      .mockRejectedValueOnce(new Error("404"))
+      .mockResolvedValueOnce({ data: { examinationParts: [{ weightage: 10000 }] } });
+
+    const sheet = await fetchCourseExamInformation(
+      { hsgEntityId: "42", courseNumber: "7,123,1.00" },
+      TOKEN
+    );
+    expect(mockGet).toHaveBeenLastCalledWith(
+      `${SHEET_BASE}/7,123,1.00`,
+      TOKEN,
+      expect.anything()
+    );
+    expect(sheet.examinationParts).toHaveLength(1);
+  });
+
+  it("maps examination types by id", async () => {
+    const { fetchExaminationTypes } = await import("../examInformationApi");
+    mockGet.mockResolvedValueOnce({
+      data: [{ id: 3, shortName: "Written exam", description: "Written" }],
+    });
+
+    await expect(fetchExaminationTypes(TOKEN)).resolves.toEqual({
+      3: { shortName: "Written exam", description: "Written" },
+    });
+  });
+
+  it("loads in batches and leaves out failed courses", async () => {
+    const { fetchExamInformationBulk } = await import("../examInformationApi");
+    mockGet.mockImplementation((url) =>
+      url.endsWith("/bad")
+        ? Promise.reject(new Error("500"))
+        : Promise.resolve({ data: { examinationParts: [{ weightage: 10000 }] } })
+    );
+    const courses = [
+      { hsgEntityId: "a", courseNumber: "a" },
+      { hsgEntityId: "bad", courseNumber: "bad" },
+      { hsgEntityId: "c", courseNumber: "c" },
+    ];
+    const onBatch = vi.fn();
+
+    const results = await fetchExamInformationBulk(courses, TOKEN, {
+      concurrency: 2,
+      onBatch,
+      getId: (course) => course.courseNumber,
+    });
+    expect(onBatch).toHaveBeenCalledTimes(2);
+    expect(onBatch.mock.calls[0][1]).toHaveLength(2);
+    expect(results.a).toHaveLength(1);
+    expect(results).not.toHaveProperty("bad");
+    expect(results.c).toHaveLength(1);
+  });
+});
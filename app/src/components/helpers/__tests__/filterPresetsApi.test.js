@@ -0,0 +1,63 @@
+/**
+ * filterPresetsApi.test.js
+ *
+ * Contract pins for the filter-presets HTTP client: URL, verb, payload and
+ * token propagation. Errors must be rethrown so useFilterPresets can fall
+ * back to localStorage.
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const mockGet = vi.fn();
+const mockPost = vi.fn();
+const mockDelete = vi.fn();
+
+vi.mock("../axiosClient", () => ({
+  apiClient: {
+    get: (...args) => mockGet(...args),
+    post: (...args) => mockPost(...args),
+    delete: (...args) => mockDelete(...args),
+  },
+}));
+
+const PROD_BASE = "https://api.shsg.ch/filter-presets";
+const TOKEN = "test-token-xyz";
+
+describe("filterPresetsApi", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("GETs the collection with the token and returns response.data", async () => {
+    const { getFilterPresets } = await import("../filterPresetsApi");
+    mockGet.mockResolvedValueOnce({ data: { presets: {} } });
+
+    await expect(getFilterPresets(TOKEN)).resolves.toEqual({ presets: {} });
+    expect(mockGet).toHaveBeenCalledWith(PROD_BASE, TOKEN);
+  });
+
+  it("POSTs name and options to the preset URL", async () => {
+    const { upsertFilterPreset } = await import("../filterPresetsApi");
+    mockPost.mockResolvedValueOnce({ data: { presets: {} } });
+    const data = { name: "English", options: { courseLanguage: ["EN"] } };
+
+    await upsertFilterPreset("preset-1", data, TOKEN);
+    expect(mockPost).toHaveBeenCalledWith(`${PROD_BASE}/preset-1`, data, TOKEN);
+  });
+
+  it("DELETEs the preset URL", async () => {
+    const { deleteFilterPresetApi } = await import("../filterPresetsApi");
+    mockDelete.mockResolvedValueOnce({ data: { presets: {} } });
+
+    await deleteFilterPresetApi("preset-1", TOKEN);
+    expect(mockDelete).toHaveBeenCalledWith(`${PROD_BASE}/preset-1`, TOKEN);
+  });
+
+  it("rethrows failures", async () => {
+    const { getFilterPresets } = await import("../filterPresetsApi");
+    mockGet.mockRejectedValueOnce(new Error("offline"));
+
+    await expect(getFilterPresets(TOKEN)).rejects.toThrow("offline");
+  });
+});
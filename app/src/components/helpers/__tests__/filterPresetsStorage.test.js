@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  getStorageUserId,
+  loadLocalPresets,
+  saveLocalPresets,
+  loadSearchHistory,
+  saveSearchHistory,
+  addToSearchHistory,
+  MAX_SEARCH_HISTORY,
+} from "../filterPresetsStorage";
+
+// Builds an unsigned JWT with the given claims
+const makeToken = (claims) =>
+  `header.${btoa(JSON.stringify(claims)).replace(/=+$/, "")}.signature`;
+
+describe("filterPresetsStorage", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("getStorageUserId", () => {
+    it("prefers the oid claim, then sub", () => {
+      expect(getStorageUserId(makeToken({ oid: "o-1", sub: "s-1" }))).toBe("o-1");
+      expect(getStorageUserId(makeToken({ sub: "s-1" }))).toBe("s-1");
+    });
+
+    it("falls back to anonymous for missing or malformed tokens", () => {
+      expect(getStorageUserId(null)).toBe("anonymous");
+      expect(getStorageUserId("not-a-jwt")).toBe("anonymous");
+      expect(getStorageUserId("a.!!!.c")).toBe("anonymous");
+    });
+  });
+
+  it("stores presets per user", () => {
+    saveLocalPresets("alice", { p1: { id: "p1", name: "English 4 ECTS" } });
+    expect(loadLocalPresets("alice").p1.name).toBe("English 4 ECTS");
+    expect(loadLocalPresets("bob")).toEqual({});
+  });
+
+  it("ignores corrupt storage entries", () => {
+    localStorage.setItem("biddit_search_history__alice", "{not json");
+    expect(loadSearchHistory("alice")).toEqual([]);
+  });
+
+  it("round-trips the search history", () => {
+    saveSearchHistory("alice", ["lang:EN", "finance"]);
+    expect(loadSearchHistory("alice")).toEqual(["lang:EN", "finance"]);
+  });
+
+  describe("addToSearchHistory", () => {
+    it("adds new queries to the front and de-duplicates", () => {
+      expect(addToSearchHistory(["a", "b"], " b ")).toEqual(["b", "a"]);
+    });
+
+    it("ignores empty queries", () => {
+      const entries = ["a"];
+      expect(addToSearchHistory(entries, "   ")).toBe(entries);
+    });
+
+    it(`keeps at most ${MAX_SEARCH_HISTORY} entries`, () => {
+      const entries = Array.from({ length: MAX_SEARCH_HISTORY }, (_, i) => `q${i}`);
+      const next = addToSearchHistory(entries, "new");
+      expect(next).toHaveLength(MAX_SEARCH_HISTORY);
+      expect(next[0]).toBe("new");
+      expect(next).not.toContain(`q${MAX_SEARCH_HISTORY - 1}`);
+    });
+  });
+});
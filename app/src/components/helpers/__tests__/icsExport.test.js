@@ -0,0 +1,128 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildIcsCalendar,
+  escapeIcsText,
+  foldIcsLine,
+  getSessionUid,
+} from "../icsExport";
+
+const generatedAt = new Date("2025-09-01T12:00:00Z");
+
+const enrolled = {
+  courseNumber: "3,135,1.00",
+  shortName: "Finance; Advanced, Part 1",
+  enrolled: true,
+  calendarEntry: [
+    {
+      id: 42,
+      eventDate: "2025-09-15T08:15:00Z",
+      durationInMinutes: 105,
+      room: "01-U127",
+    },
+    { eventDate: "2025-09-22T08:15:00Z", durationInMinutes: 105 },
+  ],
+};
+
+const wishlisted = {
+  courseNumber: "7,001,1.00",
+  shortName: "Law",
+  selected: true,
+  calendarEntry: [{ eventDate: "2025-09-16T12:15:00Z", durationInMinutes: 90 }],
+};
+
+describe("escapeIcsText", () => {
+  it("escapes separators and newlines", () => {
+    expect(escapeIcsText("a;b,c\\d\ne")).toBe("a\\;b\\,c\\\\d\\ne");
+  });
+});
+
+describe("foldIcsLine", () => {
+  it("folds at 75 octets without splitting characters", () => {
+    const folded = foldIcsLine(`SUMMARY:${"ü".repeat(60)}`);
+    const lines = folded.split("\r\n");
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach((line) =>
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75)
+    );
+    expect(lines.slice(1).every((line) => line.startsWith(" "))).toBe(true);
+    expect(folded.replace(/\r\n /g, "")).toBe(`SUMMARY:${"ü".repeat(60)}`);
+  });
+});
+
+describe("getSessionUid", () => {
+  it("prefers the session id and falls back to the start time", () => {
+    expect(getSessionUid(enrolled, enrolled.calendarEntry[0], "HS25")).toBe(
+      "HS25-3_135_1.00-42@biddit.app"
+    );
+    expect(getSessionUid(enrolled, enrolled.calendarEntry[1], "HS25")).toBe(
+      "HS25-3_135_1.00-20250922T081500Z@biddit.app"
+    );
+  });
+});
+
+describe("buildIcsCalendar", () => {
+  it("writes one event per session with room and duration", () => {
+    const { ics, eventCount } = buildIcsCalendar([enrolled, wishlisted], {
+      semester: "HS25",
+      generatedAt,
+    });
+
+    expect(eventCount).toBe(3);
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics).toContain("DTSTART:20250915T081500Z\r\nDTEND:20250915T100000Z");
+    expect(ics).toContain("SUMMARY:Finance\\; Advanced\\, Part 1");
+    expect(ics).toContain("LOCATION:01-U127");
+    expect(ics).toContain("STATUS:TENTATIVE");
+    expect(ics).toContain("DTSTAMP:20250901T120000Z");
+  });
+
+  it("can leave out wishlist-only courses", () => {
+    const { ics, eventCount } = buildIcsCalendar([enrolled, wishlisted], {
+      semester: "HS25",
+      includeWishlist: false,
+      generatedAt,
+    });
+
+    expect(eventCount).toBe(2);
+    expect(ics).not.toContain("SUMMARY:Law");
+  });
+
+  it("keeps UIDs and raises SEQUENCE when regenerated", () => {
+    const uids = (ics) => ics.match(/^UID:.*$/gm);
+    const sequence = (ics) => Number(ics.match(/^SEQUENCE:(\d+)/m)[1]);
+
+    const first = buildIcsCalendar([enrolled], {
+      semester: "HS25",
+      generatedAt,
+    }).ics;
+    const second = buildIcsCalendar([enrolled], {
+      semester: "HS25",
+      generatedAt: new Date("2025-09-08T12:00:00Z"),
+    }).ics;
+
+    expect(uids(second)).toEqual(uids(first));
+    expect(sequence(second)).toBeGreaterThan(sequence(first));
+  });
+
+  it("cancels sessions of earlier exports that are no longer scheduled", () => {
+    const first = buildIcsCalendar([enrolled, wishlisted], {
+      semester: "HS25",
+      generatedAt,
+    });
+    const second = buildIcsCalendar([enrolled], {
+      semester: "HS25",
+      generatedAt: new Date("2025-09-08T12:00:00Z"),
+      previousSessions: first.exportedSessions,
+    });
+
+    expect(second.eventCount).toBe(2);
+    expect(second.cancelledCount).toBe(1);
+    expect(second.ics).toMatch(
+      /UID:HS25-7_001_1.00-20250916T121500Z@biddit.app\r\n(.*\r\n)*?SUMMARY:Law\r\nSTATUS:CANCELLED/
+    );
+    // Stays listed for the next export, in case this file is skipped
+    expect(Object.keys(second.exportedSessions)).toHaveLength(3);
+  });
+});
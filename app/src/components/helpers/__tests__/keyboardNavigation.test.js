@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import {
+  filterCommands,
+  getNextRowIndex,
+  isCommandPaletteShortcut,
+  isTypingTarget,
+} from "../keyboardNavigation";
+
+describe("isTypingTarget", () => {
+  it("detects text fields", () => {
+    expect(isTypingTarget(document.createElement("input"))).toBe(true);
+    expect(isTypingTarget(document.createElement("textarea"))).toBe(true);
+    expect(isTypingTarget(document.createElement("div"))).toBe(false);
+    expect(isTypingTarget(null)).toBe(false);
+  });
+});
+
+describe("isCommandPaletteShortcut", () => {
+  it("accepts Ctrl+K and Cmd+K", () => {
+    expect(isCommandPaletteShortcut({ ctrlKey: true, key: "k" })).toBe(true);
+    expect(isCommandPaletteShortcut({ metaKey: true, key: "K" })).toBe(true);
+    expect(isCommandPaletteShortcut({ key: "k" })).toBe(false);
+    expect(
+      isCommandPaletteShortcut({ ctrlKey: true, altKey: true, key: "k" })
+    ).toBe(false);
+  });
+});
+
+describe("getNextRowIndex", () => {
+  it("moves within the list bounds", () => {
+    expect(getNextRowIndex("ArrowDown", -1, 3)).toBe(0);
+    expect(getNextRowIndex("ArrowDown", 2, 3)).toBe(2);
+    expect(getNextRowIndex("ArrowUp", 0, 3)).toBe(0);
+    expect(getNextRowIndex("Home", 2, 3)).toBe(0);
+    expect(getNextRowIndex("End", 0, 3)).toBe(2);
+  });
+
+  it("ignores other keys and empty lists", () => {
+    expect(getNextRowIndex("Enter", 1, 3)).toBeNull();
+    expect(getNextRowIndex("ArrowDown", 0, 0)).toBeNull();
+  });
+});
+
+describe("filterCommands", () => {
+  const commands = [
+    { label: "Go to Calendar" },
+    { label: "Switch to HS25", keywords: "semester term" },
+    { label: "Calendar export" },
+  ];
+
+  it("returns everything for an empty query", () => {
+    expect(filterCommands(commands, "  ")).toBe(commands);
+  });
+
+  it("matches all words in labels and keywords, prefix matches first", () => {
+    expect(filterCommands(commands, "calendar").map((c) => c.label)).toEqual([
+      "Calendar export",
+      "Go to Calendar",
+    ]);
+    expect(filterCommands(commands, "term hs").map((c) => c.label)).toEqual([
+      "Switch to HS25",
+    ]);
+  });
+});
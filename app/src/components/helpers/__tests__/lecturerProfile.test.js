@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import {
+  aggregateExamFormats,
+  aggregateRatings,
+  buildLecturerProfile,
+} from "../lecturerProfile";
+
+const course = (courseNumber, shortName, lecturers, extra = {}) => ({
+  courseNumber,
+  shortName,
+  lecturers: lecturers.map((displayName) => ({ displayName })),
+  achievementFormStatus: { isCentral: false, isDeCentral: true },
+  ...extra,
+});
+
+const finance = course("3,135,1.00", "Corporate Finance", ["Anna Müller"]);
+const marketing = course(
+  "4,200,1.00",
+  "Marketing",
+  ["Anna Müller", "Peter Meier"],
+  { achievementFormStatus: { isCentral: true, isDeCentral: false } }
+);
+const law = course("5,010,1.00", "Law", ["Peter Meier"]);
+
+const semesters = {
+  HS24: {
+    available: [finance, law],
+    ratingDetails: {
+      "3,135,1.00": { avgRatings: { topic: 3, exam: 2 }, nbOfRatings: 10 },
+    },
+  },
+  FS25: {
+    available: [finance, marketing],
+    ratingDetails: {
+      "3,135,1.00": { avgRatings: { topic: 4, exam: 3 }, nbOfRatings: 10 },
+      "4,200,1.00": { avgRatings: { topic: 5 }, nbOfRatings: 30 },
+    },
+    examInformation: {
+      "3,135,1.00": [
+        { examinationTypeId: 1, weightage: 6000 },
+        { examinationTypeId: 2, weightage: 4000 },
+      ],
+      "4,200,1.00": [{ examinationTypeId: 1, weightage: 10000 }],
+    },
+  },
+  HS25: { isProjected: true, available: [finance] },
+};
+
+describe("buildLecturerProfile", () => {
+  const profile = buildLecturerProfile("Anna Müller", semesters);
+
+  it("lists the lecturer's courses newest first, skipping projected semesters", () => {
+    expect(
+      profile.offerings.map(({ semester, course, isLatest }) => [
+        semester,
+        course.shortName,
+        isLatest,
+      ])
+    ).toEqual([
+      ["FS25", "Corporate Finance", true],
+      ["FS25", "Marketing", true],
+      ["HS24", "Corporate Finance", false],
+    ]);
+    expect(profile.courseCount).toBe(2);
+  });
+
+  it("aggregates the newest offering of each course", () => {
+    expect(profile.ratings).toEqual({
+      dimensions: { topic: 4.8, exam: 3 },
+      nbOfRatings: 40,
+      ratedCourses: 2,
+    });
+    expect(profile.examFormats).toEqual({
+      central: 1,
+      decentral: 1,
+      withParts: 2,
+      types: [
+        { examinationTypeId: 1, courses: 2, averageWeight: 80 },
+        { examinationTypeId: 2, courses: 1, averageWeight: 40 },
+      ],
+    });
+  });
+
+  it("is empty for unknown lecturers", () => {
+    const unknown = buildLecturerProfile("Nobody", semesters);
+    expect(unknown.offerings).toEqual([]);
+    expect(unknown.ratings.ratedCourses).toBe(0);
+  });
+});
+
+describe("aggregateRatings", () => {
+  it("counts courses without a rating count once", () => {
+    expect(
+      aggregateRatings([
+        { avgRatings: { topic: 2 } },
+        { avgRatings: { topic: 4 } },
+        { avgRating: 3 },
+      ]).dimensions
+    ).toEqual({ topic: 3 });
+  });
+});
+
+describe("aggregateExamFormats", () => {
+  it("adds up several parts of the same type within a course", () => {
+    expect(
+      aggregateExamFormats([
+        {
+          examinationParts: [
+            { examinationTypeId: 3, weightage: 2500 },
+            { examinationTypeId: 3, weightage: 2500 },
+          ],
+        },
+      ]).types
+    ).toEqual([{ examinationTypeId: 3, courses: 1, averageWeight: 50 }]);
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildAvailabilityWarnings,
+  buildOfferingHistory,
+  getCourseOfferings,
+  isRarelyOffered,
+  predictOffering,
+  predictUpcomingOfferings,
+} from "../offeringHistory";
+
+const course = (courseNumber, shortName) => ({ courseNumber, shortName });
+
+const finance = course("3,135,1.00", "Corporate Finance");
+const financeExercises = course("3,135,2.01", "Corporate Finance: Exercises");
+const marketing = course("4,200,1.00", "Marketing Basics");
+
+// Corporate Finance: every HS; Marketing: every FS and once in HS 22
+const catalogues = [
+  { semester: "HS 22", courses: [finance, marketing] },
+  { semester: "FS 23", courses: [marketing] },
+  { semester: "HS 23", courses: [finance, financeExercises] },
+  { semester: "FS 24", courses: [marketing] },
+  { semester: "HS 24", courses: [finance] },
+  { semester: "FS 25", courses: [marketing] },
+  { semester: "Summer", courses: [finance] },
+  { semester: "HS 25", courses: [] },
+];
+
+const history = buildOfferingHistory(catalogues);
+
+describe("buildOfferingHistory", () => {
+  it("records observed semesters chronologically, ignoring empty and unknown ones", () => {
+    expect(history.observedSemesters).toEqual([
+      "HS22",
+      "FS23",
+      "HS23",
+      "FS24",
+      "HS24",
+      "FS25",
+    ]);
+  });
+
+  it("groups offerings by course root key", () => {
+    expect(history.offeringsByKey["3,135"]).toEqual(["HS22", "HS23", "HS24"]);
+    expect(getCourseOfferings(history, financeExercises)).toEqual([
+      "HS22",
+      "HS23",
+      "HS24",
+    ]);
+    expect(getCourseOfferings(history, course("9,999,1.00", "New"))).toBeNull();
+  });
+});
+
+describe("predictOffering", () => {
+  const financeOfferings = history.offeringsByKey["3,135"];
+  const marketingOfferings = history.offeringsByKey["4,200"];
+
+  it("predicts the usual season with growing confidence", () => {
+    const hs = predictOffering(financeOfferings, history.observedSemesters, "HS26");
+    expect(hs).toMatchObject({
+      semester: "HS26",
+      season: "HS",
+      likelihood: 1,
+      confidence: 0.75,
+      offeredCount: 3,
+      observedCount: 3,
+      isKnown: false,
+    });
+
+    const fs = predictOffering(financeOfferings, history.observedSemesters, "FS 26");
+    expect(fs.likelihood).toBe(0);
+    expect(isRarelyOffered(fs)).toBe(true);
+  });
+
+  it("weighs recent semesters more", () => {
+    // Marketing was only offered in the oldest HS
+    const prediction = predictOffering(
+      marketingOfferings,
+      history.observedSemesters,
+      "HS25"
+    );
+    expect(prediction.offeredCount).toBe(1);
+    expect(prediction.likelihood).toBeGreaterThan(0);
+    expect(prediction.likelihood).toBeLessThan(1 / 3);
+  });
+
+  it("knows observed semesters for sure", () => {
+    expect(
+      predictOffering(marketingOfferings, history.observedSemesters, "HS24")
+    ).toMatchObject({ likelihood: 0, confidence: 1, isKnown: true });
+  });
+
+  it("has no likelihood without observed semesters of the season", () => {
+    const prediction = predictOffering([], ["HS24"], "FS25");
+    expect(prediction.likelihood).toBeNull();
+    expect(prediction.confidence).toBe(0);
+    expect(isRarelyOffered(prediction)).toBe(false);
+  });
+
+  it("needs some confidence before calling a course rarely offered", () => {
+    expect(
+      isRarelyOffered({ likelihood: 0, confidence: 0.25 })
+    ).toBe(false);
+  });
+});
+
+describe("predictUpcomingOfferings", () => {
+  it("predicts the semesters following the given one", () => {
+    const predictions = predictUpcomingOfferings(
+      history.offeringsByKey["3,135"],
+      history.observedSemesters,
+      "FS25"
+    );
+    expect(predictions.map((p) => [p.semester, p.likelihood])).toEqual([
+      ["HS25", 1],
+      ["FS26", 0],
+    ]);
+  });
+});
+
+describe("buildAvailabilityWarnings", () => {
+  const planned = (courseId, name) => ({
+    id: courseId,
+    courseId,
+    name,
+    isPlanned: true,
+  });
+
+  const grid = {
+    FS26: {
+      core: [planned("3,135,1.00", "Corporate Finance")],
+      electives: [planned("4,200,1.00", "Marketing Basics")],
+    },
+    HS26: {
+      core: [
+        planned("3,135,1.00", "Corporate Finance"),
+        { id: "p1", name: "TBD", isPlaceholder: true },
+      ],
+    },
+    FS24: {
+      core: [{ ...planned("3,135,1.00", "Corporate Finance") }],
+    },
+  };
+  const semesters = [
+    { key: "FS24", status: "completed" },
+    { key: "FS26", status: "future" },
+    { key: "HS26", status: "future" },
+  ];
+
+  it("warns about courses planned in a season they are rarely offered in", () => {
+    const warnings = buildAvailabilityWarnings(grid, semesters, history);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({
+      semesterKey: "FS26",
+      categoryPath: "core",
+      courseId: "3,135,1.00",
+      likelihood: 0,
+    });
+    expect(warnings[0].warning).toBe(
+      "Corporate Finance is rarely offered in FS (0 of the last 3 FS semesters)"
+    );
+  });
+
+  it("warns when an observed semester does not offer the course", () => {
+    const warnings = buildAvailabilityWarnings(
+      { FS25: { core: [planned("3,135,1.00", "Corporate Finance")] } },
+      [{ key: "FS25", status: "future" }],
+      history
+    );
+    expect(warnings[0].warning).toBe("Corporate Finance is not offered in FS25");
+  });
+
+  it("has no warnings without history", () => {
+    expect(
+      buildAvailabilityWarnings(grid, semesters, buildOfferingHistory([]))
+    ).toEqual([]);
+  });
+});
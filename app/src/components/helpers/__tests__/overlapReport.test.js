@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_SEVERITY_THRESHOLDS,
+  SEVERITY_LEVELS,
+  buildOverlapReport,
+  getEntryOverlaps,
+  getOverlapSeverity,
+  maxSeverity,
+} from "../overlapReport";
+import {
+  course,
+  financeCourse,
+  session,
+  weeklySessions,
+} from "../../../test/calendarFixtures";
+
+// 14 Mondays from 15 Sep 2025, 10:15–11:45
+const weeklyMondays = () => weeklySessions("2025-09-15T10:15:00", 14);
+
+describe("getOverlapSeverity", () => {
+  it("rates by session share first, then by minutes", () => {
+    expect(getOverlapSeverity({ share: 1, overlapMinutes: 90 })).toBe(
+      SEVERITY_LEVELS.BLOCKING
+    );
+    expect(getOverlapSeverity({ share: 0.25, overlapMinutes: 30 })).toBe(
+      SEVERITY_LEVELS.MAJOR
+    );
+    expect(getOverlapSeverity({ share: 0.1, overlapMinutes: 200 })).toBe(
+      SEVERITY_LEVELS.MAJOR
+    );
+    expect(getOverlapSeverity({ share: 0.1, overlapMinutes: 30 })).toBe(
+      SEVERITY_LEVELS.MINOR
+    );
+  });
+
+  it("uses the given thresholds", () => {
+    const strict = { ...DEFAULT_SEVERITY_THRESHOLDS, blockingShare: 0.05 };
+    expect(getOverlapSeverity({ share: 0.1, overlapMinutes: 30 }, strict)).toBe(
+      SEVERITY_LEVELS.BLOCKING
+    );
+  });
+
+  it("picks the more severe level", () => {
+    expect(maxSeverity(null, SEVERITY_LEVELS.MINOR)).toBe(SEVERITY_LEVELS.MINOR);
+    expect(maxSeverity(SEVERITY_LEVELS.BLOCKING, SEVERITY_LEVELS.MAJOR)).toBe(
+      SEVERITY_LEVELS.BLOCKING
+    );
+  });
+});
+
+describe("buildOverlapReport", () => {
+  const finance = financeCourse(weeklyMondays());
+  const law = course("7,001,1.00", "Contract Law", weeklyMondays());
+  // One block session on a single Monday, overlapping the last 30 minutes
+  const workshop = course("9,500,1.00", "Workshop", [
+    session("2025-09-29T11:15:00", 240),
+    session("2025-10-04T09:00:00", 240),
+    session("2025-10-11T09:00:00", 240),
+    session("2025-10-18T09:00:00", 240),
+    session("2025-10-25T09:00:00", 240),
+    session("2025-11-01T09:00:00", 240),
+  ]);
+
+  it("shows a one-off short clash as minor", () => {
+    const { pairs } = buildOverlapReport([finance, workshop]);
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0]).toMatchObject({
+      key: "0-1",
+      sessions: [
+        { overlapping: 1, total: 14 },
+        { overlapping: 1, total: 6 },
+      ],
+      overlapMinutes: 30,
+      dates: ["2025-09-29"],
+      severity: SEVERITY_LEVELS.MINOR,
+    });
+  });
+
+  it("shows a weekly full overlap as blocking", () => {
+    const { pairs } = buildOverlapReport([finance, law]);
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].sessions).toEqual([
+      { overlapping: 14, total: 14 },
+      { overlapping: 14, total: 14 },
+    ]);
+    expect(pairs[0].overlapMinutes).toBe(14 * 90);
+    expect(pairs[0].dates).toHaveLength(14);
+    expect(pairs[0].severity).toBe(SEVERITY_LEVELS.BLOCKING);
+  });
+
+  it("lists the most severe pairs first", () => {
+    const { pairs } = buildOverlapReport([workshop, finance, law]);
+    expect(pairs.map((pair) => pair.key)).toEqual(["1-2", "0-1", "0-2"]);
+  });
+
+  it("ignores touching sessions", () => {
+    const later = course("8,000,1.00", "Ethics", [
+      session("2025-09-15T11:45:00"),
+    ]);
+    expect(buildOverlapReport([finance, later]).pairs).toEqual([]);
+  });
+
+  it("describes a session's overlaps from its course's side", () => {
+    const report = buildOverlapReport([finance, workshop]);
+    // Indexed once per report, not looked up per call
+    expect(report.entryPairs.get("1-0")[0]).toBe(report.pairs[0]);
+    expect(getEntryOverlaps(report, "1-0")).toEqual([
+      {
+        with: "Corporate Finance",
+        summary: "1 of 6 sessions, 30 min",
+        severity: SEVERITY_LEVELS.MINOR,
+      },
+    ]);
+    expect(getEntryOverlaps(report, "0-2")[0].summary).toBe(
+      "1 of 14 sessions, 30 min"
+    );
+    expect(getEntryOverlaps(report, "0-0")).toEqual([]);
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it, expect } from "vitest";
+import moment from "moment";
+import {
+  expandPersonalEvent,
+  getSemesterDateRange,
+  mergeImportedEvents,
+  parseIcsPersonalEvents,
+  toPersonalCourse,
+} from "../personalEvents";
+import { buildCollisionGroups } from "../calendarOverlap";
+
+const ics = (...events) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    ...events.flatMap((lines) => ["BEGIN:VEVENT", ...lines, "END:VEVENT"]),
+    "END:VCALENDAR",
+  ].join("\r\n");
+
+const semester = {
+  start: moment("2025-09-15T00:00:00"),
+  end: moment("2025-10-12T23:59:59"),
+};
+
+describe("parseIcsPersonalEvents", () => {
+  it("reads single events with local times, text escapes and folding", () => {
+    const { events, skipped } = parseIcsPersonalEvents(
+      ics([
+        "UID:job-1",
+        "DTSTART;TZID=Europe/Zurich:20250917T180000",
+        "DTEND;TZID=Europe/Zurich:20250917T213000",
+        "SUMMARY:Shift\\, bar",
+        "LOCATION:Main str",
+        " eet 1",
+      ])
+    );
+
+    expect(skipped).toBe(0);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      title: "Shift, bar",
+      location: "Main street 1",
+      start: "2025-09-17T18:00:00",
+      durationInMinutes: 210,
+      repeat: null,
+      uid: "job-1",
+    });
+  });
+
+  it("splits weekly rules per day and resolves COUNT to an end date", () => {
+    const { events } = parseIcsPersonalEvents(
+      ics([
+        "DTSTART:20250915T170000",
+        "DURATION:PT1H30M",
+        "RRULE:FREQ=WEEKLY;BYDAY=MO,TH;COUNT=4",
+        "SUMMARY:Training",
+      ])
+    );
+
+    expect(events.map((event) => event.start)).toEqual([
+      "2025-09-15T17:00:00",
+      "2025-09-18T17:00:00",
+    ]);
+    expect(events.every((event) => event.repeat.until === "2025-09-25")).toBe(
+      true
+    );
+    expect(events[0].durationInMinutes).toBe(90);
+  });
+
+  it("copes with malformed weekly rules", () => {
+    const result = parseIcsPersonalEvents(
+      ics(
+        ["DTSTART:20250915T170000", "RRULE:FREQ=WEEKLY;BYDAY=;COUNT=3"],
+        ["DTSTART:20250916T170000", "RRULE:FREQ=WEEKLY;BYDAY=XX;COUNT=3"],
+        ["DTSTART:20250917T170000", "RRULE:FREQ=WEEKLY;COUNT=0"]
+      )
+    );
+
+    // An empty BYDAY repeats on the start day; an invalid one is simplified
+    expect(result.simplified).toBe(1);
+    expect(result.events.map((event) => event.repeat)).toEqual([
+      { intervalWeeks: 1, from: "2025-09-15T17:00:00", until: "2025-09-29" },
+      null,
+      { intervalWeeks: 1, from: "2025-09-17T17:00:00", until: "2025-09-17" },
+    ]);
+  });
+
+  it("skips all-day and cancelled events and simplifies monthly rules", () => {
+    const result = parseIcsPersonalEvents(
+      ics(
+        ["DTSTART;VALUE=DATE:20250915", "SUMMARY:Holiday"],
+        ["DTSTART:20250916T100000", "STATUS:CANCELLED"],
+        ["DTSTART:20250917T100000", "RRULE:FREQ=MONTHLY", "SUMMARY:Board"]
+      )
+    );
+
+    expect(result.skipped).toBe(2);
+    expect(result.simplified).toBe(1);
+    expect(result.events).toHaveLength(1);
+    expect(result.events[0].repeat).toBeNull();
+  });
+
+  it("falls back to an hour when the end is not after the start", () => {
+    const { events } = parseIcsPersonalEvents(
+      ics(
+        ["DTSTART:20250915T170000", "DTEND:20250915T160000"],
+        ["DTSTART:20250916T170000", "DTEND:20250916T170000"]
+      )
+    );
+
+    expect(events.map((event) => event.durationInMinutes)).toEqual([60, 60]);
+  });
+
+  it("ignores an END:VEVENT without a matching BEGIN", () => {
+    const result = parseIcsPersonalEvents(
+      [
+        "BEGIN:VCALENDAR",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "DTSTART:20250915T170000",
+        "END:VEVENT",
+        "END:VEVENT",
+        "END:VCALENDAR",
+      ].join("\r\n")
+    );
+
+    expect(result.skipped).toBe(0);
+    expect(result.events).toHaveLength(1);
+  });
+});
+
+describe("expandPersonalEvent", () => {
+  const weekly = {
+    id: "a",
+    start: "2025-09-17T18:00:00",
+    durationInMinutes: 60,
+    repeat: { intervalWeeks: 1, from: null, until: null },
+    exceptions: ["2025-10-01T18:00:00"],
+  };
+
+  it("repeats drawn blocks over the whole semester, minus exceptions", () => {
+    const dates = expandPersonalEvent(weekly, semester).map((s) => s.eventDate);
+
+    expect(dates).toEqual([
+      "2025-09-17T18:00:00",
+      "2025-09-24T18:00:00",
+      "2025-10-08T18:00:00",
+    ]);
+  });
+
+  it("respects the start, end and interval of imported series", () => {
+    const event = {
+      ...weekly,
+      start: "2025-09-22T08:00:00",
+      repeat: {
+        intervalWeeks: 2,
+        from: "2025-09-22T08:00:00",
+        until: "2025-12-31",
+      },
+      exceptions: [],
+    };
+
+    expect(expandPersonalEvent(event, semester).map((s) => s.eventDate)).toEqual(
+      ["2025-09-22T08:00:00", "2025-10-06T08:00:00"]
+    );
+  });
+
+  it("does not expand open-ended series without a semester range", () => {
+    expect(expandPersonalEvent(weekly, null)).toEqual([]);
+  });
+});
+
+describe("personal courses", () => {
+  it("collide with course sessions like any other course", () => {
+    const course = {
+      courseNumber: "3,135,1.00",
+      shortName: "Finance",
+      calendarEntry: [
+        { eventDate: "2025-09-17T18:15:00", durationInMinutes: 90 },
+      ],
+    };
+    const range = getSemesterDateRange([course]);
+    const personal = toPersonalCourse(
+      {
+        id: "job",
+        title: "Job",
+        start: "2025-09-17T18:00:00",
+        durationInMinutes: 60,
+        repeat: null,
+      },
+      range
+    );
+
+    const { entryMetadata } = buildCollisionGroups([course, personal]);
+
+    expect(personal.courseNumber).toBe("personal-job");
+    expect(entryMetadata.get("0-0").conflictsWith).toEqual(["Job"]);
+  });
+
+  it("replaces earlier imports of the same UID", () => {
+    const merged = mergeImportedEvents(
+      [
+        { id: "1", uid: "x" },
+        { id: "2", uid: null },
+      ],
+      [{ id: "3", uid: "x" }]
+    );
+
+    expect(merged.map((event) => event.id)).toEqual(["2", "3"]);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { matchesRatingFilter, isRangeActive } from "../ratingFilter";
+import { applyFilterCriteria } from "../courseUtils";
+
+const rated = {
+  avgRating: 4.2,
+  avgRatings: { topic: 4.5, exam: 3.0, workload: 2.0 },
+  nbOfRatings: 12,
+};
+const unrated = { avgRating: null };
+
+describe("matchesRatingFilter", () => {
+  it("keeps courses inside every dimension range", () => {
+    expect(
+      matchesRatingFilter(rated, { dimensions: { topic: [4, 5], exam: [2.5, 5] } })
+    ).toBe(true);
+    expect(matchesRatingFilter(rated, { dimensions: { exam: [3.5, 5] } })).toBe(
+      false
+    );
+    expect(matchesRatingFilter(rated, { dimensions: { workload: [1, 1.5] } })).toBe(
+      false
+    );
+  });
+
+  it("requires a minimum number of ratings", () => {
+    expect(matchesRatingFilter(rated, { minRatings: 10 })).toBe(true);
+    expect(matchesRatingFilter(rated, { minRatings: 20 })).toBe(false);
+  });
+
+  it("includes or excludes unrated courses", () => {
+    expect(matchesRatingFilter(unrated, { includeUnrated: true })).toBe(true);
+    expect(matchesRatingFilter(unrated, { includeUnrated: false })).toBe(false);
+    expect(
+      matchesRatingFilter(rated, {
+        dimensions: { materials: [3, 5] },
+        includeUnrated: false,
+      })
+    ).toBe(false);
+  });
+
+  it("ignores full ranges", () => {
+    expect(isRangeActive([1, 5])).toBe(false);
+    expect(isRangeActive([1.5, 5])).toBe(true);
+  });
+});
+
+describe("applyFilterCriteria with unrated courses", () => {
+  it("lets unrated courses pass rating thresholds only when included", () => {
+    expect(applyFilterCriteria(unrated, { ratings: [4] })).toBe(true);
+    expect(
+      applyFilterCriteria(unrated, {
+        ratings: [4],
+        ratingFilter: { includeUnrated: false },
+      })
+    ).toBe(false);
+    expect(
+      applyFilterCriteria(unrated, {
+        comparisons: [{ field: "rating", op: ">", value: 3 }],
+        ratingFilter: { includeUnrated: false },
+      })
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect } from "vitest";
+import {
+  tokenizeQuery,
+  parseSearchQuery,
+  serializeSearchQuery,
+  withSyncedQuery,
+} from "../searchQueryParser";
+import { runCourseSearch } from "../courseSearchIndex";
+import { applyFilterCriteria } from "../courseUtils";
+
+const CONTEXT = {
+  lecturers: ["Anna Müller", "Hans Müller", "Peter Meier"],
+  classifications: ["Contextual Studies", "Core Electives"],
+  languages: ["EN", "DE"],
+};
+
+describe("tokenizeQuery", () => {
+  it("splits fields, operators, negations and quoted phrases", () => {
+    const { tokens, errors } = tokenizeQuery(
+      'lecturer:Müller ects:>=4 -exercise "machine learning"'
+    );
+    expect(errors).toEqual([]);
+    expect(tokens).toMatchObject([
+      { field: "lecturer", op: null, value: "Müller", negated: false },
+      { field: "ects", op: ">=", value: "4" },
+      { field: null, value: "exercise", negated: true },
+      { field: null, value: "machine learning", quoted: true },
+    ]);
+  });
+
+  it("reports an unterminated quote", () => {
+    const { tokens, errors } = tokenizeQuery('"machine learn');
+    expect(errors[0].message).toMatch(/closing quote/);
+    expect(tokens[0].value).toBe("machine learn");
+  });
+});
+
+describe("parseSearchQuery", () => {
+  it("parses the full example query", () => {
+    const { criteria, errors } = parseSearchQuery(
+      'lecturer:Müller ects:>=4 lang:EN rating:>3.5 -exercise "machine learning"',
+      CONTEXT
+    );
+    expect(errors).toEqual([]);
+    expect(criteria.lecturer).toEqual(["Anna Müller", "Hans Müller"]);
+    expect(criteria.courseLanguage).toEqual(["EN"]);
+    expect(criteria.comparisons).toEqual([
+      { field: "ects", op: ">=", value: 4 },
+      { field: "rating", op: ">", value: 3.5 },
+    ]);
+    expect(criteria.excludedTerms).toEqual(["exercise"]);
+    expect(criteria.phrases).toEqual(["machine learning"]);
+    expect(criteria.searchTerm).toBe("");
+  });
+
+  it("accepts German aliases and language names", () => {
+    const { criteria, errors } = parseSearchQuery(
+      "dozent:meier sprache:englisch kp:6 kategorie:core",
+      CONTEXT
+    );
+    expect(errors).toEqual([]);
+    expect(criteria.lecturer).toEqual(["Peter Meier"]);
+    expect(criteria.courseLanguage).toEqual(["EN"]);
+    expect(criteria.ects).toEqual([600]);
+    expect(criteria.classifications).toEqual(["Core Electives"]);
+  });
+
+  it("maps integer minimum ratings onto the ratings dropdown", () => {
+    expect(parseSearchQuery("rating:3", CONTEXT).criteria.ratings).toEqual([3]);
+    expect(parseSearchQuery("rating:>=4", CONTEXT).criteria.ratings).toEqual([
+      4,
+    ]);
+  });
+
+  it("supports negated field filters", () => {
+    const { criteria } = parseSearchQuery(
+      '-lang:DE -class:"Contextual Studies"',
+      CONTEXT
+    );
+    expect(criteria.excludedLanguages).toEqual(["DE"]);
+    expect(criteria.excludedClassifications).toEqual(["Contextual Studies"]);
+  });
+
+  it("keeps free text and title colons as search terms", () => {
+    const { criteria, errors } = parseSearchQuery("Marketing: Exercises", CONTEXT);
+    expect(errors).toEqual([]);
+    expect(criteria.searchTerm).toBe("Marketing: Exercises");
+  });
+
+  it("reports errors with positions and keeps the valid parts", () => {
+    const { criteria, errors } = parseSearchQuery(
+      "lectrer:x ects:abc lang:XX lecturer:Nobody finance",
+      CONTEXT
+    );
+    expect(errors.map((e) => e.message)).toEqual([
+      'Unknown filter "lectrer"',
+      '"abc" is not a number',
+      'No course language "XX"',
+      'No lecturer matches "Nobody"',
+    ]);
+    expect(errors[0]).toMatchObject({ start: 0, end: 9 });
+    expect(criteria.searchTerm).toBe("finance");
+  });
+
+  it("rejects operators on text fields and out of range ratings", () => {
+    expect(parseSearchQuery("lang:>EN", CONTEXT).errors).toHaveLength(1);
+    expect(parseSearchQuery("rating:>7", CONTEXT).errors).toHaveLength(1);
+  });
+});
+
+describe("serializeSearchQuery", () => {
+  it("round-trips dropdown criteria", () => {
+    const options = {
+      classifications: ["Contextual Studies"],
+      lecturer: ["Peter Meier"],
+      ects: [400],
+      courseLanguage: ["EN"],
+      ratings: [3],
+      comparisons: [{ field: "rating", op: ">", value: 3.5 }],
+      phrases: ["machine learning"],
+      excludedTerms: ["exercise"],
+      searchTerm: "finance",
+    };
+    const query = serializeSearchQuery(options);
+    expect(query).toBe(
+      'class:"Contextual Studies" lecturer:"Peter Meier" ects:4 lang:EN rating:>=3 rating:>3.5 "machine learning" -exercise finance'
+    );
+    const { criteria, errors } = parseSearchQuery(query, CONTEXT);
+    expect(errors).toEqual([]);
+    expect(criteria).toMatchObject(options);
+  });
+
+  it("withSyncedQuery updates the query text", () => {
+    expect(withSyncedQuery({ courseLanguage: ["DE"] }).query).toBe("lang:DE");
+  });
+});
+
+describe("structured query filtering", () => {
+  const courses = [
+    {
+      courseNumber: "1,100,1.00",
+      shortName: "Machine Learning",
+      credits: 400,
+      avgRating: 4.2,
+      courseContent: "Supervised machine learning",
+      courseLanguage: { code: "EN" },
+      lecturers: [{ displayName: "Anna Müller" }],
+    },
+    {
+      courseNumber: "1,100,2.00",
+      shortName: "Machine Learning: Exercises, Group 1",
+      credits: 0,
+      courseLanguage: { code: "EN" },
+      lecturers: [{ displayName: "Anna Müller" }],
+    },
+    {
+      courseNumber: "2,200,1.00",
+      shortName: "Learning Machines",
+      credits: 300,
+      avgRating: 3.1,
+      courseLanguage: { code: "DE" },
+      lecturers: [{ displayName: "Peter Meier" }],
+    },
+  ];
+
+  const filter = (query) => {
+    const { criteria } = parseSearchQuery(query, CONTEXT);
+    const results = runCourseSearch(courses, criteria);
+    return courses
+      .filter((course) => applyFilterCriteria(course, criteria, results))
+      .map((course) => course.courseNumber);
+  };
+
+  it("requires phrases as consecutive words", () => {
+    expect(filter('"machine learning"')).toEqual(["1,100,1.00", "1,100,2.00"]);
+  });
+
+  it("excludes negated terms", () => {
+    expect(filter('"machine learning" -exercises')).toEqual(["1,100,1.00"]);
+  });
+
+  it("excludes whole terms only, not prefixes", () => {
+    expect(filter('"machine learning" -exercise')).toEqual([
+      "1,100,1.00",
+      "1,100,2.00",
+    ]);
+    // "Learning Machines" has "machines", not "machine"
+    expect(filter("-machine")).toEqual(["2,200,1.00"]);
+    expect(filter("-mach")).toEqual(["1,100,1.00", "1,100,2.00", "2,200,1.00"]);
+  });
+
+  it("applies numeric comparisons", () => {
+    expect(filter("ects:>=3 rating:>3.5")).toEqual(["1,100,1.00"]);
+  });
+
+  it("applies negated field filters", () => {
+    expect(filter("-lang:EN")).toEqual(["2,200,1.00"]);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildScheduleIndex,
+  countTimetableCollisions,
+  computeTimetableCollisions,
+  exceedsTimetableTolerance,
+} from "../timetableFit";
+import { rangesOverlap } from "../calendarOverlap";
+import {
+  course,
+  session,
+  weeklySessions,
+} from "../../../test/calendarFixtures";
+
+// Mondays 10:15–11:45 for three weeks
+const enrolled = course(
+  "1,000,1.00",
+  "Enrolled",
+  weeklySessions("2025-09-15T10:15:00", 3)
+);
+
+describe("rangesOverlap", () => {
+  it("treats touching ranges as free and identical ranges as overlapping", () => {
+    expect(rangesOverlap(0, 10, 10, 20)).toBe(false);
+    expect(rangesOverlap(0, 10, 0, 10)).toBe(true);
+    expect(rangesOverlap(0, 10, 5, 20)).toBe(true);
+  });
+});
+
+describe("countTimetableCollisions", () => {
+  const index = buildScheduleIndex([enrolled]);
+
+  it("counts weekly recurring collisions separately", () => {
+    const candidate = course("2,000,1.00", "Candidate", [
+      session("2025-09-15T11:00:00"),
+      session("2025-09-22T11:00:00"),
+      session("2025-10-01T10:15:00"), // Wednesday, free
+    ]);
+    expect(countTimetableCollisions(candidate, index)).toEqual({
+      count: 2,
+      weeklyCount: 2,
+      conflictsWith: ["Enrolled"],
+    });
+  });
+
+  it("does not count one-off collisions as weekly", () => {
+    const candidate = course("3,000,1.00", "Candidate", [
+      session("2025-09-29T09:00:00"),
+    ]);
+    expect(countTimetableCollisions(candidate, index)).toMatchObject({
+      count: 1,
+      weeklyCount: 0,
+    });
+  });
+
+  it("ignores adjacent sessions and the course's own sessions", () => {
+    const adjacent = course("4,000,1.00", "Candidate", [
+      session("2025-09-15T11:45:00"),
+    ]);
+    expect(countTimetableCollisions(adjacent, index).count).toBe(0);
+    expect(countTimetableCollisions(enrolled, index).count).toBe(0);
+  });
+});
+
+describe("computeTimetableCollisions", () => {
+  it("returns colliding courses only", () => {
+    const free = course("5,000,1.00", "Candidate", [
+      session("2025-09-16T10:15:00"),
+    ]);
+    const clash = course("6,000,1.00", "Candidate", [
+      session("2025-09-15T10:15:00"),
+    ]);
+    const result = computeTimetableCollisions([free, clash], [enrolled]);
+    expect([...result.keys()]).toEqual(["6,000,1.00"]);
+  });
+
+  it("returns nothing without a schedule", () => {
+    expect(computeTimetableCollisions([enrolled], []).size).toBe(0);
+  });
+});
+
+describe("exceedsTimetableTolerance", () => {
+  const collision = { count: 3, weeklyCount: 0, conflictsWith: [] };
+
+  it("applies the overlap allowance", () => {
+    expect(exceedsTimetableTolerance(collision, { mode: "hide", maxOverlaps: 2 })).toBe(true);
+    expect(exceedsTimetableTolerance(collision, { mode: "hide", maxOverlaps: 3 })).toBe(false);
+  });
+
+  it("only counts weekly collisions when requested", () => {
+    expect(
+      exceedsTimetableTolerance(collision, { mode: "hide", maxOverlaps: 0, weeklyOnly: true })
+    ).toBe(false);
+  });
+
+  it("never blocks when switched off or without collisions", () => {
+    expect(exceedsTimetableTolerance(collision, { mode: "off" })).toBe(false);
+    expect(exceedsTimetableTolerance(undefined, { mode: "hide" })).toBe(false);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect } from "vitest";
+import {
+  OPTIMIZER_ROLES,
+  buildOptimizerUnits,
+  getWeeklyPreview,
+  optimizeTimetables,
+} from "../timetableOptimizer";
+import {
+  course as baseCourse,
+  weeklySessions,
+} from "../../../test/calendarFixtures";
+
+// Two weeks of a weekly slot, so it counts as a regular session
+const weekly = (day, time) => weeklySessions(`2025-09-${day}T${time}:00`, 2);
+
+// 4 ECTS unless given
+const course = (courseNumber, shortName, calendarEntry, extra = {}) =>
+  baseCourse(courseNumber, shortName, calendarEntry, {
+    credits: 400,
+    ...extra,
+  });
+
+// 15 Sep 2025 is a Monday
+const finance = course("3,135,1.00", "Corporate Finance", weekly(15, "10:15"), {
+  avgRating: 4.5,
+});
+const financeGroupMon = course(
+  "3,135,2.01",
+  "Corporate Finance: Exercises 1",
+  weekly(15, "14:15"),
+  { credits: 0 }
+);
+const financeGroupTue = course(
+  "3,135,2.02",
+  "Corporate Finance: Exercises 2",
+  weekly(16, "14:15"),
+  { credits: 0 }
+);
+const marketing = course("4,200,1.00", "Marketing", weekly(16, "14:15"), {
+  avgRating: 3,
+});
+const law = course("7,001,1.00", "Contract Law", weekly(15, "10:15"), {
+  avgRating: 5,
+});
+const ethics = course("8,001,1.00", "Ethics", weekly(17, "08:15"), {
+  avgRating: 2,
+});
+
+const available = [
+  finance,
+  financeGroupMon,
+  financeGroupTue,
+  marketing,
+  law,
+  ethics,
+];
+
+const pool = (must, optional) => [
+  ...must.map((c) => ({ course: c, role: OPTIMIZER_ROLES.MUST })),
+  ...optional.map((c) => ({ course: c, role: OPTIMIZER_ROLES.OPTIONAL })),
+];
+
+const courseNames = (units, result) =>
+  result.choices
+    .flatMap(([unit, option]) => units[unit].options[option].courses)
+    .map((c) => c.shortName)
+    .sort();
+
+describe("buildOptimizerUnits", () => {
+  it("folds exercise groups into their lecture as options", () => {
+    const units = buildOptimizerUnits(
+      pool([financeGroupMon], [marketing]),
+      available
+    );
+
+    expect(units).toHaveLength(2);
+    expect(units[0]).toMatchObject({ id: "3,135,1.00", isMustHave: true });
+    expect(units[0].options).toHaveLength(2);
+    expect(units[1].options).toEqual([{ courses: [marketing] }]);
+  });
+});
+
+describe("optimizeTimetables", () => {
+  it("picks the exercise group that avoids the other must-have", () => {
+    const units = buildOptimizerUnits(
+      pool([finance, marketing], []),
+      available
+    );
+    const { results } = optimizeTimetables({
+      units,
+      ectsRange: { min: 8, max: 8 },
+    });
+
+    expect(results).toHaveLength(2);
+    expect(results[0].overlapCount).toBe(0);
+    expect(courseNames(units, results[0])).toContain(
+      "Corporate Finance: Exercises 1"
+    );
+    // Exercises 2 sits on Marketing's Tuesday slot
+    expect(results[1].overlapCount).toBe(4);
+  });
+
+  it("ranks conflict-free timetables first, then by rating", () => {
+    const units = buildOptimizerUnits(
+      pool([finance], [law, ethics, marketing]),
+      available
+    );
+    const { results } = optimizeTimetables({
+      units,
+      ectsRange: { min: 12, max: 12 },
+      topN: 3,
+    });
+
+    // Law collides with Finance every Monday morning
+    expect(results[0].overlapCount).toBe(0);
+    expect(courseNames(units, results[0])).toEqual([
+      "Corporate Finance",
+      "Corporate Finance: Exercises 1",
+      "Ethics",
+      "Marketing",
+    ]);
+    expect(results.at(-1).overlapCount).toBeGreaterThan(0);
+  });
+
+  it("explains when the must-haves exceed the range", () => {
+    const units = buildOptimizerUnits(pool([finance, law], []), available);
+    const result = optimizeTimetables({ units, ectsRange: { min: 0, max: 6 } });
+
+    expect(result.results).toEqual([]);
+    expect(result.reason).toMatch(/8 ECTS/);
+  });
+
+  it("stops at the node limit", () => {
+    const units = buildOptimizerUnits(
+      pool([], [finance, marketing, law, ethics]),
+      available
+    );
+    const result = optimizeTimetables({
+      units,
+      ectsRange: { min: 0, max: 40 },
+      maxNodes: 5,
+    });
+
+    expect(result.truncated).toBe(true);
+  });
+});
+
+describe("getWeeklyPreview", () => {
+  it("collapses weeks into weekday slots and flags overlaps", () => {
+    const { blocks } = getWeeklyPreview([finance, law, ethics]);
+
+    expect(blocks).toHaveLength(3);
+    expect(
+      blocks.filter((block) => block.overlapping).map((block) => block.name)
+    ).toEqual(["Corporate Finance", "Contract Law"]);
+    expect(blocks.find((block) => block.name === "Ethics")).toMatchObject({
+      weekday: 3,
+      startMinutes: 495,
+      endMinutes: 585,
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from "vitest";
+import {
+  OFF_SITE_MINUTES,
+  getTravelMinutes,
+  resolveLocation,
+} from "../campusBuildings";
+import {
+  findTravelWarnings,
+  getEntryTravelWarnings,
+  groupTravelWarnings,
+} from "../travelBuffer";
+import {
+  course,
+  financeCourse,
+  marketingCourse,
+  session,
+} from "../../../test/calendarFixtures";
+
+describe("resolveLocation", () => {
+  it("maps room codes to buildings", () => {
+    expect(resolveLocation("01-U127")).toEqual({
+      id: "01",
+      name: "Main Building",
+      offSite: false,
+    });
+    expect(resolveLocation("23-102")?.name).toBe("Tellstrasse");
+  });
+
+  it("treats free-text venues as off-site", () => {
+    expect(resolveLocation("Company visit, Zurich")).toMatchObject({
+      offSite: true,
+      name: "Company visit, Zurich",
+    });
+  });
+
+  it("skips online sessions and unknown room codes", () => {
+    expect(resolveLocation("")).toBeNull();
+    expect(resolveLocation("Online")).toBeNull();
+    expect(resolveLocation("77-001")).toBeNull();
+    expect(resolveLocation("A-1021")).toBeNull();
+  });
+});
+
+describe("getTravelMinutes", () => {
+  it("reads the walking table in both directions", () => {
+    const main = resolveLocation("01-011");
+    const city = resolveLocation("23-102");
+    expect(getTravelMinutes(main, city)).toBe(20);
+    expect(getTravelMinutes(city, main)).toBe(20);
+    expect(getTravelMinutes(main, resolveLocation("01-U127"))).toBe(0);
+  });
+
+  it("adds the off-site time and gives up on unknown locations", () => {
+    const main = resolveLocation("01-011");
+    expect(getTravelMinutes(main, resolveLocation("Olma Halls"))).toBe(
+      OFF_SITE_MINUTES
+    );
+    expect(getTravelMinutes(main, null)).toBeNull();
+  });
+});
+
+describe("findTravelWarnings", () => {
+  const finance = financeCourse([
+    session("2025-09-15T08:15:00", 90, "01-011"),
+    session("2025-09-22T08:15:00", 90, "01-011"),
+  ]);
+  // Starts 15 minutes after Finance ends, across town
+  const law = course("7,001,1.00", "Contract Law", [
+    session("2025-09-15T10:00:00", 90, "23-102"),
+    session("2025-09-22T10:00:00", 90, "23-102"),
+  ]);
+  // Same break, but next door
+  const ethics = course("8,000,1.00", "Ethics", [
+    session("2025-09-16T10:00:00", 90, "09-110"),
+  ]);
+  const marketing = marketingCourse([
+    session("2025-09-16T08:15:00", 90, "01-U127"),
+  ]);
+
+  it("flags breaks shorter than the walk", () => {
+    const { warnings } = findTravelWarnings([finance, law]);
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toMatchObject({
+      key: "0-0>1-0",
+      date: "2025-09-15",
+      gapMinutes: 15,
+      travelMinutes: 20,
+    });
+  });
+
+  it("keeps breaks that are long enough", () => {
+    expect(findTravelWarnings([marketing, ethics]).warnings).toEqual([]);
+  });
+
+  it("only checks the sessions right after each other", () => {
+    const seminar = course("9,000,1.00", "Seminar", [
+      session("2025-09-15T10:00:00", 60, "01-012"),
+    ]);
+    const tax = course("7,002,1.00", "Tax Law", [
+      session("2025-09-15T11:10:00", 90, "23-102"),
+    ]);
+    const { warnings } = findTravelWarnings([finance, seminar, tax]);
+    // Finance → Seminar stays in the building; Finance → Tax Law is not checked
+    expect(warnings.map((warning) => warning.key)).toEqual(["1-0>2-0"]);
+  });
+
+  it("describes warnings per session and folds weekly repeats", () => {
+    const tight = course("7,002,1.00", "Tax Law", [
+      session("2025-09-15T10:00:00", 90, "61-001"),
+      session("2025-09-22T10:00:00", 90, "61-001"),
+    ]);
+    const result = findTravelWarnings([finance, tight]);
+    expect(getEntryTravelWarnings(result, "0-0")).toEqual([
+      {
+        with: "then Tax Law at 10:00",
+        summary: "15 min break, 20 min from Main Building to Müller-Friedberg-Strasse",
+      },
+    ]);
+    expect(getEntryTravelWarnings(result, "1-0")[0].with).toBe(
+      "after Corporate Finance at 08:15"
+    );
+
+    const groups = groupTravelWarnings(result.warnings);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].dates).toEqual(["2025-09-15", "2025-09-22"]);
+  });
+});
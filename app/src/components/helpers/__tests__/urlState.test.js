@@ -0,0 +1,118 @@
+import { describe, it, expect } from "vitest";
+import { createEmptyQueryCriteria } from "../searchQueryParser";
+import { buildViewUrl, parseViewUrl } from "../urlState";
+
+const options = (overrides) => ({
+  ...createEmptyQueryCriteria(),
+  query: "",
+  timetableFit: { mode: "off" },
+  ...overrides,
+});
+
+describe("buildViewUrl", () => {
+  it("puts semester and course in the path", () => {
+    expect(
+      buildViewUrl({
+        semester: "HS25",
+        courseNumber: "7,123,1.00",
+        tab: 0,
+        selectionOptions: options(),
+      })
+    ).toBe("/HS25/course/7,123,1.00");
+    expect(
+      buildViewUrl({ semester: null, tab: 0, selectionOptions: options() })
+    ).toBe("/");
+  });
+
+  it("adds the tab and filters as params", () => {
+    const url = buildViewUrl({
+      semester: "FS26",
+      courseNumber: null,
+      tab: 1,
+      selectionOptions: options({
+        courseLanguage: ["EN"],
+        lecturer: ["Anna Müller", "Ben Meier"],
+        ects: [300],
+        ratings: [3, 4],
+        phrases: ["data science"],
+      }),
+    });
+    const params = new URL(url, "http://localhost").searchParams;
+
+    expect(url.startsWith("/FS26?")).toBe(true);
+    expect(params.get("tab")).toBe("calendar");
+    expect(params.getAll("lang")).toEqual(["EN"]);
+    expect(params.getAll("lecturer")).toEqual(["Anna Müller", "Ben Meier"]);
+    expect(params.get("ects")).toBe("3");
+    expect(params.get("rating")).toBe("4");
+    expect(params.get("q")).toBe('"data science"');
+  });
+});
+
+describe("parseViewUrl", () => {
+  it("reads semester, course and tab", () => {
+    expect(
+      parseViewUrl("/HS25/course/7%2C123%2C1.00", "?tab=details")
+    ).toEqual({
+      semester: "HS25",
+      courseNumber: "7,123,1.00",
+      tab: 0,
+      filters: null,
+    });
+    expect(parseViewUrl("/hs25", "?tab=unknown").semester).toBe("HS25");
+    expect(parseViewUrl("/hs25", "?tab=unknown").tab).toBeNull();
+  });
+
+  it("ignores other paths", () => {
+    expect(parseViewUrl("/biddit2", "")).toEqual({
+      semester: null,
+      courseNumber: null,
+      tab: null,
+      filters: null,
+    });
+  });
+
+  it("turns params into search criteria with a synced query", () => {
+    const { filters } = parseViewUrl(
+      "/HS25",
+      "?lang=en&lecturer=Anna+M%C3%BCller&ects=4.5&rating=4&q=-lecturer%3A%22Ben+Meier%22+ects%3A%3C6+marketing"
+    );
+
+    expect(filters.courseLanguage).toEqual(["EN"]);
+    expect(filters.lecturer).toEqual(["Anna Müller"]);
+    expect(filters.ects).toEqual([450]);
+    expect(filters.ratings).toEqual([4]);
+    expect(filters.excludedLecturers).toEqual(["Ben Meier"]);
+    expect(filters.comparisons).toEqual([
+      { field: "ects", op: "<", value: 6 },
+    ]);
+    expect(filters.searchTerm).toBe("marketing");
+    expect(filters.query).toContain('lecturer:"Anna Müller"');
+  });
+
+  it("round-trips a built URL", () => {
+    const selectionOptions = options({
+      classifications: ["Core Electives"],
+      courseLanguage: ["DE"],
+      excludedTerms: ["exercise"],
+      searchTerm: "finance",
+    });
+    const url = new URL(
+      buildViewUrl({
+        semester: "HS25",
+        courseNumber: "3,456,1.00",
+        tab: 7,
+        selectionOptions,
+      }),
+      "http://localhost"
+    );
+    const view = parseViewUrl(url.pathname, url.search);
+
+    expect(view.courseNumber).toBe("3,456,1.00");
+    expect(view.tab).toBe(7);
+    expect(view.filters.classifications).toEqual(["Core Electives"]);
+    expect(view.filters.courseLanguage).toEqual(["DE"]);
+    expect(view.filters.excludedTerms).toEqual(["exercise"]);
+    expect(view.filters.searchTerm).toBe("finance");
+  });
+});
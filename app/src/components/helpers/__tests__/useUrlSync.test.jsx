@@ -0,0 +1,88 @@
+/**
+ * useUrlSync.test.jsx
+ *
+ * A course opened from a link waits until its semester has loaded. These
+ * tests cover the ways that wait ends without the course, after which the
+ * URL follows the state again.
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { MemoryRouter, useLocation } from "react-router-dom";
+import { RecoilRoot, useSetRecoilState } from "recoil";
+
+const { mockToast } = vi.hoisted(() => ({
+  mockToast: Object.assign(vi.fn(), { info: vi.fn(), error: vi.fn() }),
+}));
+vi.mock("react-toastify", () => ({ toast: mockToast }));
+
+import { useUrlSync } from "../useUrlSync";
+import { termListState } from "../../recoil/termListState";
+import { unifiedCourseDataState } from "../../recoil/unifiedCourseDataAtom";
+
+const TERMS = [
+  { shortName: "HS25", cisId: "hs25", isCurrent: true },
+  { shortName: "FS25", cisId: "fs25" },
+];
+
+const renderUrlSync = (url) =>
+  renderHook(
+    () => {
+      useUrlSync();
+      return {
+        location: useLocation(),
+        setCourseData: useSetRecoilState(unifiedCourseDataState),
+      };
+    },
+    {
+      wrapper: ({ children }) => (
+        <RecoilRoot
+          initializeState={({ set }) => {
+            set(termListState, TERMS);
+            set(unifiedCourseDataState, (state) => ({
+              ...state,
+              selectedSemester: "HS25",
+            }));
+          }}
+        >
+          <MemoryRouter initialEntries={[url]}>{children}</MemoryRouter>
+        </RecoilRoot>
+      ),
+    }
+  );
+
+describe("useUrlSync", () => {
+  it("drops the linked course when another semester is selected", async () => {
+    const { result } = renderUrlSync("/HS25/course/7,123,1.00");
+
+    act(() =>
+      result.current.setCourseData((state) => ({
+        ...state,
+        selectedSemester: "FS25",
+      }))
+    );
+
+    await waitFor(() => expect(result.current.location.pathname).toBe("/FS25"));
+  });
+
+  it("drops the linked course when its semester loads without courses", async () => {
+    const { result } = renderUrlSync("/HS25/course/7,123,1.00?tab=calendar");
+
+    act(() =>
+      result.current.setCourseData((state) => ({
+        ...state,
+        semesters: {
+          HS25: { available: [], lastFetched: "2025-09-01T00:00:00.000Z" },
+        },
+      }))
+    );
+
+    await waitFor(() =>
+      expect(result.current.location.pathname).toBe("/HS25")
+    );
+    expect(mockToast.info).toHaveBeenCalledWith(
+      "Course 7,123,1.00 is not offered in HS25.",
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import { buildWorkload, getHoursLevel, getWeekKey } from "../workload";
+import { course, session } from "../../../test/calendarFixtures";
+
+describe("getHoursLevel", () => {
+  it("maps hours to colour levels", () => {
+    expect(getHoursLevel(0)).toBe(0);
+    expect(getHoursLevel(1.5)).toBe(1);
+    expect(getHoursLevel(3)).toBe(2);
+    expect(getHoursLevel(8)).toBe(5);
+  });
+});
+
+describe("getWeekKey", () => {
+  it("uses the Monday of the week", () => {
+    expect(getWeekKey("2025-09-19")).toBe("2025-09-15");
+    expect(getWeekKey("2025-09-15")).toBe("2025-09-15");
+  });
+});
+
+describe("buildWorkload", () => {
+  // 3 ECTS, two weeks of Monday sessions
+  const threeEcts = { credits: 300 };
+  const finance = course(
+    "3,135,1.00",
+    "Finance",
+    [
+      session("2025-09-22T10:15:00"),
+      session("2025-09-15T10:15:00", 90, "01-011"),
+    ],
+    threeEcts
+  );
+  const law = course(
+    "7,001,1.00",
+    "Law",
+    [session("2025-09-15T08:15:00", 120)],
+    threeEcts
+  );
+
+  it("sums contact hours per day and week, listing the sessions", () => {
+    const { days, weeks } = buildWorkload([finance, law], { hoursPerEcts: 0 });
+    const monday = days.get("2025-09-15");
+    expect(monday.contactHours).toBe(3.5);
+    expect(monday.sessions.map((s) => `${s.start} ${s.title}`)).toEqual([
+      "08:15 Law",
+      "10:15 Finance",
+    ]);
+    expect(monday.sessions[1]).toMatchObject({ end: "11:45", room: "01-011" });
+    expect(weeks.get("2025-09-15").contactHours).toBe(3.5);
+    expect(weeks.get("2025-09-22").contactHours).toBe(1.5);
+  });
+
+  it("spreads self-study over the weekdays of the course's weeks", () => {
+    const { days, weeks, totals } = buildWorkload([finance], {
+      hoursPerEcts: 10,
+    });
+    // 3 ECTS × 10h − 3h of sessions over 10 weekdays
+    expect(totals.selfStudyHours).toBeCloseTo(27);
+    expect(days.get("2025-09-17").selfStudyHours).toBeCloseTo(2.7);
+    expect(days.has("2025-09-20")).toBe(false);
+    expect(weeks.get("2025-09-22").selfStudyHours).toBeCloseTo(13.5);
+  });
+
+  it("leaves out personal commitments", () => {
+    const gym = course("personal-gym", "Gym", [session("2025-09-15T18:00:00")], {
+      isPersonal: true,
+    });
+    expect(buildWorkload([gym]).days.size).toBe(0);
+  });
+
+  it("moves sessions into the given year", () => {
+    const { days } = buildWorkload([law], { hoursPerEcts: 0, year: 2026 });
+    expect(days.get("2026-09-15").contactHours).toBe(2);
+  });
+});
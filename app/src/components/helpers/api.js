@@ -100,13 +100,24 @@ export const deleteCourse = async (studyPlanId, eventId, token) => {
   }
 };
 
+/**
+ * Course sheets of a term with the fields needed for lists and search.
+ * Throws on failure; getLightCourseDetails reports the error instead.
+ * @param {string} cisTermId - CIS id of the term
+ * @param {string} token - authentication token
+ * @returns {Promise<Array>} Course information sheets
+ */
+export const fetchLightCourseDetails = async (cisTermId, token) => {
+  const res = await apiClient.get(
+    `https://integration.unisg.ch/EventApi/CourseInformationSheets/myLatestPublishedPossiblebyTerm/${cisTermId}/?fields=id,shortName,credits,classification,courses`,
+    token
+  );
+  return res.data;
+};
+
 export const getLightCourseDetails = async (cisTermId, token) => {
   try {
-    const res = await apiClient.get(
-      `https://integration.unisg.ch/EventApi/CourseInformationSheets/myLatestPublishedPossiblebyTerm/${cisTermId}/?fields=id,shortName,credits,classification,courses`,
-      token
-    );
-    return res.data;
+    return await fetchLightCourseDetails(cisTermId, token);
   } catch (err) {
     errorHandlingService.handleError(err);
     console.error("Error fetching course details:", err);
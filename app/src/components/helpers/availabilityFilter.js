@@ -0,0 +1,115 @@
+/**
+ * Weekly availability filter.
+ *
+ * Students block hour slots of the week (e.g. "Friday" or "before 10:00")
+ * and courses whose sessions mostly fall into those slots are filtered out.
+ * Regular weekly sessions and one-off block sessions are judged separately,
+ * so a weekly Monday lecture with a single Friday block day can still pass.
+ */
+
+import moment from "moment/moment";
+
+// Monday (1) to Saturday (6), in moment's day() numbering
+export const AVAILABILITY_DAYS = [
+  { day: 1, label: "Mon" },
+  { day: 2, label: "Tue" },
+  { day: 3, label: "Wed" },
+  { day: 4, label: "Thu" },
+  { day: 5, label: "Fri" },
+  { day: 6, label: "Sat" },
+];
+
+// Hour slots shown in the grid; slot 8 covers 08:00–09:00
+export const AVAILABILITY_HOURS = Array.from({ length: 14 }, (_, i) => i + 8);
+
+export const DEFAULT_AVAILABILITY = {
+  blockedSlots: [], // slot keys, see getSlotKey
+  weeklyThreshold: 50, // % of weekly sessions that may be blocked
+  blockThreshold: 50, // % of one-off block sessions that may be blocked
+};
+
+/**
+ * @param {number} day - moment day() (0 = Sunday)
+ * @param {number} hour - Hour of the day (0–23)
+ * @returns {string} Slot key, e.g. "5-8" for Friday 08:00–09:00
+ */
+export const getSlotKey = (day, hour) => `${day}-${hour}`;
+
+/**
+ * Splits sessions into regular weekly sessions and one-off block sessions.
+ * A session is weekly when another session of the course starts on the same
+ * weekday at the same time.
+ *
+ * @param {Array} calendarEntry - Sessions with eventDate and durationInMinutes
+ * @returns {{weekly: Array, block: Array}}
+ */
+export const splitWeeklyAndBlockSessions = (calendarEntry = []) => {
+  const slotOf = (entry) => moment(entry.eventDate).format("d HH:mm");
+  const perSlot = new Map();
+  calendarEntry.forEach((entry) => {
+    const slot = slotOf(entry);
+    perSlot.set(slot, (perSlot.get(slot) || 0) + 1);
+  });
+
+  const weekly = [];
+  const block = [];
+  calendarEntry.forEach((entry) =>
+    (perSlot.get(slotOf(entry)) > 1 ? weekly : block).push(entry)
+  );
+  return { weekly, block };
+};
+
+/**
+ * Whether a session touches any blocked hour slot.
+ *
+ * @param {Object} entry - Session with eventDate and durationInMinutes
+ * @param {Set<string>} blockedSlots - Blocked slot keys
+ * @returns {boolean}
+ */
+export const isSessionBlocked = (entry, blockedSlots) => {
+  const start = moment(entry.eventDate);
+  const end = moment(start).add(entry.durationInMinutes, "minutes");
+  const day = start.day();
+
+  // Walk the hours the session covers; a session ending at 10:00 sharp
+  // does not occupy the 10:00 slot
+  const cursor = moment(start).startOf("hour");
+  while (cursor.isBefore(end)) {
+    if (blockedSlots.has(getSlotKey(day, cursor.hour()))) return true;
+    cursor.add(1, "hour");
+  }
+  return false;
+};
+
+const exceedsThreshold = (sessions, blockedSlots, threshold) => {
+  if (sessions.length === 0) return false;
+  const blocked = sessions.filter((entry) =>
+    isSessionBlocked(entry, blockedSlots)
+  ).length;
+  return (blocked / sessions.length) * 100 > threshold;
+};
+
+/**
+ * Whether a course fits the student's weekly availability.
+ * Courses without sessions always pass.
+ *
+ * @param {Object} course - Course with calendarEntry sessions
+ * @param {Object} [availability] - selectionOptions.availability
+ * @returns {boolean}
+ */
+export const fitsAvailability = (course, availability) => {
+  const blockedSlots = availability?.blockedSlots || [];
+  if (blockedSlots.length === 0 || !course.calendarEntry?.length) return true;
+
+  const blockedSet = new Set(blockedSlots);
+  const { weekly, block } = splitWeeklyAndBlockSessions(course.calendarEntry);
+  const { weeklyThreshold, blockThreshold } = {
+    ...DEFAULT_AVAILABILITY,
+    ...availability,
+  };
+
+  return (
+    !exceedsThreshold(weekly, blockedSet, weeklyThreshold) &&
+    !exceedsThreshold(block, blockedSet, blockThreshold)
+  );
+};
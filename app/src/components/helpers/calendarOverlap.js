@@ -0,0 +1,153 @@
+/**
+ * Overlap rules of the calendar, shared by the calendar selectors, the
+ * timetable filter, the conflict assistant and the optimizer worker.
+ * Plain functions without Recoil, so the worker bundle stays small.
+ */
+
+import moment from "moment/moment";
+
+/**
+ * Union-Find data structure for clustering overlapping events into collision groups.
+ * Uses path compression for efficient lookups.
+ */
+class UnionFind {
+  constructor() {
+    this.parent = new Map();
+  }
+
+  find(x) {
+    if (!this.parent.has(x)) this.parent.set(x, x);
+    if (this.parent.get(x) !== x) {
+      this.parent.set(x, this.find(this.parent.get(x))); // Path compression
+    }
+    return this.parent.get(x);
+  }
+
+  union(x, y) {
+    const rootX = this.find(x);
+    const rootY = this.find(y);
+    if (rootX !== rootY) {
+      this.parent.set(rootX, rootY);
+    }
+  }
+}
+
+/**
+ * Check if two time ranges (epoch milliseconds) overlap, exclusive of touching boundaries.
+ * Ranges [aStart, aEnd) and [bStart, bEnd) overlap if aStart < bEnd AND bStart < aEnd.
+ */
+export const rangesOverlap = (aStart, aEnd, bStart, bEnd) => {
+  // Exact same slot counts as overlap
+  if (aStart === bStart && aEnd === bEnd) return true;
+  // Adjacent intervals (touching at boundary) are NOT overlaps
+  if (aEnd === bStart || bEnd === aStart) return false;
+  // Standard interval overlap check
+  return aStart < bEnd && bStart < aEnd;
+};
+
+/**
+ * Check if two time intervals overlap (exclusive of touching boundaries).
+ * Intervals [aStart, aEnd) and [bStart, bEnd) overlap if aStart < bEnd AND bStart < aEnd.
+ */
+export const intervalsOverlap = (entryA, entryB) =>
+  rangesOverlap(
+    entryA.start.valueOf(),
+    entryA.end.valueOf(),
+    entryB.start.valueOf(),
+    entryB.end.valueOf(),
+  );
+
+/**
+ * Flatten the calendar entries of courses into entries with precomputed time bounds.
+ * Entry IDs are `${courseIdx}-${entryIdx}`.
+ */
+export const buildTimedEntries = (courses) => {
+  const entries = [];
+  courses.forEach((course, courseIdx) => {
+    if (!course.calendarEntry) return;
+    course.calendarEntry.forEach((entry, entryIdx) => {
+      const start = moment(entry.eventDate);
+      const end = moment(start).add(entry.durationInMinutes, "minutes");
+      entries.push({
+        id: `${courseIdx}-${entryIdx}`,
+        entry,
+        course,
+        courseIdx,
+        entryIdx,
+        start,
+        end,
+      });
+    });
+  });
+  return entries;
+};
+
+/**
+ * Build collision groups using Union-Find to cluster overlapping events.
+ * Returns metadata about each entry including its collision group and conflicting courses.
+ */
+export const buildCollisionGroups = (courses) => {
+  const uf = new UnionFind();
+
+  // Collect all calendar entries with unique IDs and precomputed time bounds
+  const entries = buildTimedEntries(courses);
+
+  // Pairwise comparison to find overlaps and union them
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (intervalsOverlap(entries[i], entries[j])) {
+        uf.union(entries[i].id, entries[j].id);
+      }
+    }
+  }
+
+  // Build group mapping: root → groupId (sequential numbers starting from 0)
+  const rootToGroupId = new Map();
+  let nextGroupId = 0;
+
+  // Count members per group to identify actual collision groups (size > 1)
+  const groupMembers = new Map();
+  entries.forEach(({ id }) => {
+    const root = uf.find(id);
+    if (!groupMembers.has(root)) {
+      groupMembers.set(root, []);
+    }
+    groupMembers.get(root).push(id);
+  });
+
+  // Only assign group IDs to groups with more than one member (actual collisions)
+  groupMembers.forEach((members, root) => {
+    if (members.length > 1) {
+      rootToGroupId.set(root, nextGroupId++);
+    }
+  });
+
+  // Build final entry metadata with collision info
+  const entryMetadata = new Map();
+  entries.forEach((entryData) => {
+    const root = uf.find(entryData.id);
+    const groupId = rootToGroupId.has(root) ? rootToGroupId.get(root) : null;
+
+    // Find conflicting courses for this entry
+    const conflictsWith = [];
+    if (groupId !== null) {
+      entries.forEach((other) => {
+        if (other.id !== entryData.id && intervalsOverlap(entryData, other)) {
+          const courseName = other.course?.shortName || other.course?.courseName;
+          if (courseName && !conflictsWith.includes(courseName)) {
+            conflictsWith.push(courseName);
+          }
+        }
+      });
+    }
+
+    entryMetadata.set(entryData.id, {
+      ...entryData,
+      collisionGroupId: groupId,
+      conflictsWith,
+      overlapping: groupId !== null,
+    });
+  });
+
+  return { entries, entryMetadata, groupCount: nextGroupId };
+};
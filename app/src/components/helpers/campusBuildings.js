@@ -0,0 +1,92 @@
+/**
+ * Static location model for travel times between sessions.
+ *
+ * Room codes in calendarEntry start with the building number, e.g. "01-U127"
+ * is room U127 in building 01. Walking times are rounded minutes between the
+ * building entrances at a normal pace; extend both tables when new buildings
+ * show up in the course data.
+ */
+
+export const BUILDINGS = {
+  "01": { name: "Main Building", area: "Campus" },
+  "09": { name: "Library Building", area: "Campus" },
+  "10": { name: "Executive Building", area: "Campus" },
+  "20": { name: "Holzweid Centre", area: "Campus" },
+  "23": { name: "Tellstrasse", area: "City" },
+  "52": { name: "SQUARE", area: "Campus" },
+  "61": { name: "Müller-Friedberg-Strasse", area: "City" },
+};
+
+// Keys are the two building numbers in ascending order
+const WALKING_MINUTES = {
+  "01|09": 3,
+  "01|10": 4,
+  "01|20": 10,
+  "01|23": 20,
+  "01|52": 3,
+  "01|61": 20,
+  "09|10": 4,
+  "09|20": 10,
+  "09|23": 20,
+  "09|52": 3,
+  "09|61": 20,
+  "10|20": 8,
+  "10|23": 20,
+  "10|52": 5,
+  "10|61": 20,
+  "20|23": 25,
+  "20|52": 10,
+  "20|61": 25,
+  "23|52": 20,
+  "23|61": 5,
+  "52|61": 20,
+};
+
+// Rooms in the same building are assumed to be reachable in the break
+export const SAME_BUILDING_MINUTES = 0;
+
+// Anything that is not a campus room, e.g. a company visit or a personal
+// commitment with a free-text location
+export const OFF_SITE_MINUTES = 30;
+
+const BUILDING_CODE_PATTERN = /^(\d{2})-/;
+// Codes of rooms we do not know the building of, e.g. "A-1021"
+const ROOM_CODE_PATTERN = /^[A-Z0-9]+-[A-Z0-9-]+$/i;
+const NO_LOCATION_PATTERN = /^(online|zoom|teams|webex|virtual|tba|tbd|-)\b/i;
+
+/**
+ * Where a session takes place.
+ *
+ * @param {string} room - The room of a calendarEntry
+ * @returns {{id: string, name: string, offSite: boolean}|null} null for
+ *   online sessions, missing rooms and room codes of unknown buildings
+ */
+export const resolveLocation = (room) => {
+  const value = (room || "").trim();
+  if (!value || NO_LOCATION_PATTERN.test(value)) return null;
+
+  const code = value.match(BUILDING_CODE_PATTERN)?.[1];
+  if (code) {
+    return BUILDINGS[code]
+      ? { id: code, name: BUILDINGS[code].name, offSite: false }
+      : null;
+  }
+  if (ROOM_CODE_PATTERN.test(value)) return null;
+
+  return { id: `off-site:${value.toLowerCase()}`, name: value, offSite: true };
+};
+
+/**
+ * Minutes needed to get from one location to the other.
+ *
+ * @param {Object|null} from - resolveLocation result
+ * @param {Object|null} to - resolveLocation result
+ * @returns {number|null} null when either location is unknown
+ */
+export const getTravelMinutes = (from, to) => {
+  if (!from || !to) return null;
+  if (from.id === to.id) return SAME_BUILDING_MINUTES;
+  if (from.offSite || to.offSite) return OFF_SITE_MINUTES;
+  const key = [from.id, to.id].sort().join("|");
+  return WALKING_MINUTES[key] ?? null;
+};
@@ -0,0 +1,141 @@
+/**
+ * Cross-semester catalogue search.
+ *
+ * Runs the free-text search (searchTerm, phrases, excludedTerms) over several
+ * semester catalogues at once and groups the hits by course root key, so the
+ * same course offered in different semesters shows up once with its
+ * offering history.
+ */
+
+import { getCourseIdentifier } from "./courseUtils";
+import { runCourseSearch } from "./courseSearchIndex";
+import { compareSemesters } from "../recoil/curriculumPlanAtom";
+import {
+  extractBaseName,
+  getCourseRootKey,
+  isExerciseGroup,
+} from "./smartExerciseGroupHandler";
+
+/**
+ * Key that identifies "the same course" across semesters: the root of the
+ * course number ("3,135"), or the cleaned course name without one.
+ *
+ * @param {Object} course
+ * @returns {string|null}
+ */
+export const getCatalogueGroupKey = (course) => {
+  const rootKey = getCourseRootKey(course);
+  if (rootKey) return rootKey;
+  const baseName = extractBaseName(course?.shortName || course?.name || "");
+  return baseName ? baseName.toLowerCase() : null;
+};
+
+/**
+ * Flattens course information sheets (as returned by getLightCourseDetails)
+ * into one entry per nested course, like updateAvailableCourses does for the
+ * loaded semesters.
+ *
+ * @param {Array|null} sheets - Course information sheets
+ * @returns {Array} Flattened courses
+ */
+export const flattenCatalogueSheets = (sheets) => {
+  const courses = [];
+  (sheets || []).forEach((sheet) => {
+    if (!Array.isArray(sheet.courses) || sheet.courses.length === 0) {
+      courses.push(sheet);
+      return;
+    }
+    sheet.courses.forEach((nestedCourse) => {
+      const course = {
+        ...sheet,
+        ...nestedCourse,
+        courseNumber: nestedCourse.courseNumber || sheet.courseNumber,
+        shortName: nestedCourse.shortName || sheet.shortName,
+        id: nestedCourse.id || sheet.id,
+        lecturers: nestedCourse.lecturers || sheet.lecturers,
+        courses: undefined,
+      };
+      if (isExerciseGroup(course)) course.credits = 0;
+      courses.push(course);
+    });
+  });
+  return courses;
+};
+
+// The lecture of an offering, not one of its exercise groups
+const getMainCourse = (courses) =>
+  courses.find((course) => !isExerciseGroup(course)) || courses[0];
+
+/**
+ * Searches several semester catalogues and groups the hits by course.
+ *
+ * @param {Array<{semester: string, courses: Array}>} catalogues - Course lists per semester
+ * @param {Object} filterOptions - selectionOptionsState value (free-text criteria are used)
+ * @returns {Array<Object>} Groups, best match first:
+ *   { key, shortName, score, lastOffered, offerings: [{ semester, course, courses }] }
+ *   with offerings newest first. Empty when no free-text criteria are set.
+ */
+export function searchCatalogue(catalogues, filterOptions = {}) {
+  const groups = new Map();
+
+  (catalogues || []).forEach(({ semester, courses }) => {
+    const results = runCourseSearch(courses, filterOptions);
+    if (!results || results.size === 0) return;
+
+    (courses || []).forEach((course) => {
+      const hit = results.get(getCourseIdentifier(course));
+      if (!hit) return;
+      const key = getCatalogueGroupKey(course);
+      if (!key) return;
+
+      if (!groups.has(key)) {
+        groups.set(key, { key, score: 0, offerings: new Map() });
+      }
+      const group = groups.get(key);
+      group.score = Math.max(group.score, hit.score);
+      if (!group.offerings.has(semester)) group.offerings.set(semester, []);
+      group.offerings.get(semester).push(course);
+    });
+  });
+
+  return Array.from(groups.values())
+    .map((group) => {
+      const offerings = Array.from(group.offerings.entries())
+        .map(([semester, courses]) => ({
+          semester,
+          course: getMainCourse(courses),
+          courses,
+        }))
+        .sort((a, b) => compareSemesters(b.semester, a.semester));
+      const latest = offerings[0].course;
+      return {
+        key: group.key,
+        shortName: isExerciseGroup(latest)
+          ? extractBaseName(latest.shortName)
+          : latest.shortName,
+        score: group.score,
+        lastOffered: offerings[0].semester,
+        offerings,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        compareSemesters(b.lastOffered, a.lastOffered) ||
+        (a.shortName || "").localeCompare(b.shortName || "")
+    );
+}
+
+/**
+ * Offering history of a group over all searched semesters.
+ *
+ * @param {Object} group - Group as returned by searchCatalogue
+ * @param {string[]} semesters - All searched semesters
+ * @returns {Array<{semester: string, offered: boolean}>} Newest first
+ */
+export const buildOfferingTimeline = (group, semesters) => {
+  const offered = new Set(group.offerings.map((offering) => offering.semester));
+  return [...semesters]
+    .sort((a, b) => compareSemesters(b, a))
+    .map((semester) => ({ semester, offered: offered.has(semester) }));
+};
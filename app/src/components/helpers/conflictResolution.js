@@ -0,0 +1,256 @@
+/**
+ * Conflict resolution assistant.
+ *
+ * Lists the pairs of scheduled courses (and personal commitments) whose
+ * sessions overlap, and for each pair the wishlist changes that would
+ * resolve it: another exercise or coaching group of the same course, a
+ * parallel section of the same course, or dropping one side. Only
+ * wishlisted courses are changed; enrolled courses and personal
+ * commitments are fixed.
+ *
+ * "Freed" sessions are the colliding sessions of the whole timetable before
+ * the change minus those after it, with the overlap rules of the calendar
+ * (see calendarOverlap.js).
+ */
+
+import { buildTimedEntries, rangesOverlap } from "./calendarOverlap";
+import { getCourseIdentifier } from "./courseUtils";
+import {
+  extractBaseName,
+  groupCoursesByBaseName,
+  isExerciseGroup,
+  isLikelySubgroupByNumber,
+} from "./smartExerciseGroupHandler";
+
+export const RESOLUTION_TYPES = {
+  GROUP: "group", // other exercise or coaching group of the same course
+  SECTION: "section", // parallel section of the same course
+  DROP: "drop", // remove from the wishlist
+};
+
+// Swap suggestions per course and type; the best ones come first
+const MAX_SWAPS = 3;
+
+const TYPE_ORDER = [
+  RESOLUTION_TYPES.GROUP,
+  RESOLUTION_TYPES.SECTION,
+  RESOLUTION_TYPES.DROP,
+];
+
+/**
+ * Whether the assistant may change a course: wishlisted, not enrolled and
+ * not a personal commitment.
+ * @param {Object} course
+ * @returns {boolean}
+ */
+export const isResolvable = (course) =>
+  Boolean(course?.selected && !course.enrolled && !course.isPersonal);
+
+const timedSessions = (courses) =>
+  buildTimedEntries(courses)
+    .map(({ course, start, end }) => ({
+      course,
+      start: start.valueOf(),
+      end: end.valueOf(),
+    }))
+    .sort((a, b) => a.start - b.start);
+
+// Calls visit(a, b) for every overlapping pair of start-sorted sessions
+const forEachOverlap = (sessions, visit) => {
+  for (let i = 0; i < sessions.length; i++) {
+    for (let j = i + 1; j < sessions.length; j++) {
+      if (sessions[j].start > sessions[i].end) break;
+      if (
+        rangesOverlap(
+          sessions[i].start,
+          sessions[i].end,
+          sessions[j].start,
+          sessions[j].end
+        )
+      ) {
+        visit(sessions[i], sessions[j]);
+      }
+    }
+  }
+};
+
+/**
+ * Number of sessions that overlap at least one other session.
+ * @param {Array} courses - Courses with calendarEntry sessions
+ * @returns {number}
+ */
+export const countCollidingSessions = (courses) => {
+  const colliding = new Set();
+  forEachOverlap(timedSessions(courses), (a, b) => {
+    colliding.add(a);
+    colliding.add(b);
+  });
+  return colliding.size;
+};
+
+/**
+ * Pairs of courses with overlapping sessions.
+ *
+ * @param {Array} busyCourses - Scheduled courses and personal commitments
+ * @returns {Array<{key: string, courses: [Object, Object], sessionCount: number}>}
+ *   Most overlapping sessions first
+ */
+export const findConflicts = (busyCourses) => {
+  const conflicts = new Map();
+  forEachOverlap(timedSessions(busyCourses), (a, b) => {
+    const idA = getCourseIdentifier(a.course);
+    const idB = getCourseIdentifier(b.course);
+    if (idA === idB) return;
+
+    const [first, second] = idA < idB ? [a, b] : [b, a];
+    const key = `${getCourseIdentifier(first.course)}|${getCourseIdentifier(
+      second.course
+    )}`;
+    if (!conflicts.has(key)) {
+      conflicts.set(key, {
+        key,
+        courses: [first.course, second.course],
+        sessions: new Set(),
+      });
+    }
+    conflicts.get(key).sessions.add(a).add(b);
+  });
+
+  return [...conflicts.values()]
+    .map(({ key, courses, sessions }) => ({
+      key,
+      courses,
+      sessionCount: sessions.size,
+    }))
+    .sort((a, b) => b.sessionCount - a.sessionCount);
+};
+
+/**
+ * Indexes the available courses for swap lookups: the members of each
+ * course root, which of them are groups, and the lecture sections per name.
+ *
+ * @param {Array} availableCourses
+ * @returns {{membersById: Map, subgroupIds: Set, sectionsByName: Map}}
+ */
+export const buildAlternativeIndex = (availableCourses) => {
+  const membersById = new Map();
+  const subgroupIds = new Set();
+  const sectionsByName = new Map();
+
+  groupCoursesByBaseName(availableCourses).forEach((members) => {
+    members.forEach((course) => {
+      const id = getCourseIdentifier(course);
+      membersById.set(id, members);
+      if (isExerciseGroup(course) || isLikelySubgroupByNumber(course, members)) {
+        subgroupIds.add(id);
+      }
+    });
+  });
+
+  availableCourses.forEach((course) => {
+    if (subgroupIds.has(getCourseIdentifier(course))) return;
+    const name = extractBaseName(course.shortName || course.name).toLowerCase();
+    if (!name) return;
+    if (!sectionsByName.has(name)) sectionsByName.set(name, []);
+    sectionsByName.get(name).push(course);
+  });
+
+  return { membersById, subgroupIds, sectionsByName };
+};
+
+const getSwapCandidates = (course, index, busyIds) => {
+  const id = getCourseIdentifier(course);
+  const isFree = (candidate) =>
+    !busyIds.has(getCourseIdentifier(candidate)) &&
+    (candidate.calendarEntry || []).length > 0;
+
+  if (index.subgroupIds.has(id) || isExerciseGroup(course)) {
+    return (index.membersById.get(id) || [])
+      .filter((candidate) => index.subgroupIds.has(getCourseIdentifier(candidate)))
+      .filter(isFree)
+      .map((candidate) => ({ type: RESOLUTION_TYPES.GROUP, add: candidate }));
+  }
+
+  const name = extractBaseName(course.shortName || course.name).toLowerCase();
+  return (index.sectionsByName.get(name) || [])
+    .filter(isFree)
+    .map((candidate) => ({ type: RESOLUTION_TYPES.SECTION, add: candidate }));
+};
+
+/**
+ * Ways to resolve one conflict, each with the sessions it frees.
+ *
+ * @param {Object} conflict - Item of findConflicts
+ * @param {Object} context
+ * @param {Array} context.busyCourses - Scheduled courses and personal commitments
+ * @param {Object} context.index - buildAlternativeIndex of the available courses
+ * @param {number} [context.collidingBefore] - countCollidingSessions(busyCourses)
+ * @returns {Array<{type: string, remove: Object, add: Object|null, freed: number}>}
+ *   Alternatives that free at least one session, most freed first
+ */
+export const getResolutionOptions = (
+  conflict,
+  {
+    busyCourses,
+    index,
+    collidingBefore = countCollidingSessions(busyCourses),
+  }
+) => {
+  const busyIds = new Set(busyCourses.map(getCourseIdentifier));
+  const options = [];
+
+  conflict.courses.filter(isResolvable).forEach((remove) => {
+    const removeId = getCourseIdentifier(remove);
+    const rest = busyCourses.filter(
+      (course) => getCourseIdentifier(course) !== removeId
+    );
+    const withFreed = (option) => ({
+      ...option,
+      remove,
+      freed:
+        collidingBefore -
+        countCollidingSessions(option.add ? [...rest, option.add] : rest),
+    });
+
+    const swaps = getSwapCandidates(remove, index, busyIds)
+      .map(withFreed)
+      .filter((option) => option.freed > 0)
+      .sort((a, b) => b.freed - a.freed)
+      .slice(0, MAX_SWAPS);
+
+    options.push(
+      ...swaps,
+      withFreed({ type: RESOLUTION_TYPES.DROP, add: null })
+    );
+  });
+
+  return options
+    .filter((option) => option.freed > 0)
+    .sort(
+      (a, b) =>
+        b.freed - a.freed ||
+        TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type)
+    );
+};
+
+/**
+ * Conflicts of a timetable with their resolution options.
+ *
+ * @param {Array} busyCourses - Scheduled courses and personal commitments
+ * @param {Array} availableCourses - All courses of the semester
+ * @returns {Array<{key, courses, sessionCount, options: Array}>}
+ */
+export const resolveConflicts = (busyCourses, availableCourses) => {
+  const conflicts = findConflicts(busyCourses);
+  if (conflicts.length === 0) return [];
+
+  const context = {
+    busyCourses,
+    index: buildAlternativeIndex(availableCourses),
+    collidingBefore: countCollidingSessions(busyCourses),
+  };
+  return conflicts.map((conflict) => ({
+    ...conflict,
+    options: getResolutionOptions(conflict, context),
+  }));
+};
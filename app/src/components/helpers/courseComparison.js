@@ -0,0 +1,82 @@
+/**
+ * Helpers for the side-by-side course comparison.
+ */
+
+import moment from "moment/moment";
+import { getCourseIdentifier } from "./courseUtils";
+import { splitWeeklyAndBlockSessions } from "./availabilityFilter";
+
+/**
+ * Adds a course to the compare tray, or removes it when it is already there.
+ *
+ * @param {Array} tray - compareTrayState value
+ * @param {{courseId: string, semester: string, shortName: string}} entry
+ * @param {number} maxSize - Maximum number of courses in the tray
+ * @returns {{tray: Array, isFull: boolean}} New tray; isFull when the course
+ *   could not be added
+ */
+export const toggleTrayEntry = (tray, entry, maxSize) => {
+  const isSame = (item) =>
+    item.courseId === entry.courseId && item.semester === entry.semester;
+  if (tray.some(isSame)) {
+    return { tray: tray.filter((item) => !isSame(item)), isFull: false };
+  }
+  if (tray.length >= maxSize) return { tray, isFull: true };
+  return { tray: [...tray, entry], isFull: false };
+};
+
+/**
+ * Finds a tray entry's course in the loaded semesters.
+ *
+ * @param {Object} semesters - unifiedCourseDataState.semesters
+ * @param {{courseId: string, semester: string}} entry
+ * @returns {Object|null} Course from the semester's available list
+ */
+export const findTrayCourse = (semesters, { courseId, semester }) =>
+  (semesters?.[semester]?.available || []).find(
+    (course) => getCourseIdentifier(course) === courseId
+  ) || null;
+
+/**
+ * Regular weekly time slots of a course and the number of one-off sessions.
+ *
+ * @param {Array} [calendarEntry] - Sessions with eventDate and durationInMinutes
+ * @returns {{weekly: Array<{label: string, sessions: number}>, blockSessions: number}}
+ *   Weekly slots ordered Monday to Sunday, then by time
+ */
+export const summarizeWeeklySchedule = (calendarEntry = []) => {
+  const { weekly, block } = splitWeeklyAndBlockSessions(calendarEntry);
+  const slots = new Map();
+
+  weekly.forEach((entry) => {
+    const start = moment(entry.eventDate);
+    const end = moment(start).add(entry.durationInMinutes, "minutes");
+    const label = `${start.format("ddd HH:mm")}–${end.format("HH:mm")}`;
+    if (!slots.has(label)) {
+      // isoWeekday puts Sunday last
+      slots.set(label, {
+        label,
+        sessions: 0,
+        order: start.isoWeekday() * 1440 + start.hours() * 60 + start.minutes(),
+      });
+    }
+    slots.get(label).sessions += 1;
+  });
+
+  return {
+    weekly: Array.from(slots.values())
+      .sort((a, b) => a.order - b.order)
+      .map(({ label, sessions }) => ({ label, sessions })),
+    blockSessions: block.length,
+  };
+};
+
+/**
+ * Total contact hours over all sessions of a course.
+ *
+ * @param {Array} [calendarEntry] - Sessions with durationInMinutes
+ * @returns {number} Hours
+ */
+export const getContactHours = (calendarEntry = []) =>
+  calendarEntry.reduce((sum, entry) => sum + (entry.durationInMinutes || 0), 0) /
+  60;
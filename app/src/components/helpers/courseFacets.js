@@ -0,0 +1,61 @@
+/**
+ * Facet counts for the filter dropdowns.
+ *
+ * Like a search engine's disjunctive facets, each facet is counted against
+ * the courses matching every other filter, ignoring the facet's own
+ * criteria. Picking a second classification therefore shows how many
+ * courses it adds, not zero.
+ */
+
+import { applyFilterCriteria } from "./courseUtils";
+
+export const FACETS = {
+  classification: {
+    criteria: ["classifications", "excludedClassifications"],
+    getValues: (course) => [course.classification],
+  },
+  ects: {
+    criteria: ["ects"],
+    getValues: (course) => [course.credits],
+  },
+  language: {
+    criteria: ["courseLanguage", "excludedLanguages"],
+    getValues: (course) => [course.courseLanguage?.code],
+  },
+  lecturer: {
+    criteria: ["lecturer", "excludedLecturers"],
+    getValues: (course) =>
+      (course.lecturers || []).map((lecturer) => lecturer?.displayName),
+  },
+};
+
+/**
+ * @param {Array} courses - Courses with rating/exam details attached
+ * @param {Object} filterOptions - selectionOptionsState value
+ * @param {Map|null} [searchResults] - Free-text matches from runCourseSearch
+ * @returns {Object<string, Map>} Facet name → (value → course count)
+ */
+export const computeFacetCounts = (
+  courses,
+  filterOptions = {},
+  searchResults = null
+) => {
+  const counts = {};
+  Object.entries(FACETS).forEach(([facet, { criteria, getValues }]) => {
+    const facetOptions = { ...filterOptions };
+    criteria.forEach((key) => {
+      facetOptions[key] = [];
+    });
+
+    const facetCounts = new Map();
+    courses.forEach((course) => {
+      if (!applyFilterCriteria(course, facetOptions, searchResults)) return;
+      new Set(getValues(course)).forEach((value) => {
+        if (value === undefined || value === null) return;
+        facetCounts.set(value, (facetCounts.get(value) || 0) + 1);
+      });
+    });
+    counts[facet] = facetCounts;
+  });
+  return counts;
+};
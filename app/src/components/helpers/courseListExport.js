@@ -0,0 +1,244 @@
+/**
+ * Export of the course list to CSV and XLSX.
+ *
+ * Each column the user can pick may span several cells (the ratings give
+ * one cell per dimension). Values stay numbers where they are numbers, so
+ * spreadsheets can sort and sum them.
+ */
+
+import { getCourseIdentifier } from "./courseUtils";
+import { summarizeWeeklySchedule } from "./courseComparison";
+import { RATING_DIMENSIONS } from "./ratingFilter";
+import { createXlsx } from "./xlsxWriter";
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const getLecturerNames = (course) =>
+  (course.courses?.[0]?.lecturers || course.lecturers || [])
+    .map((lecturer) => lecturer.displayName)
+    .filter(Boolean)
+    .join("; ");
+
+/**
+ * Central/decentral format, followed by the exam parts when their
+ * information is loaded: "Central: Written exam 60%, Presentation 40%".
+ *
+ * @param {Object} course
+ * @param {Object|null} examinationTypes - examinationTypesState value
+ * @returns {string}
+ */
+export const formatExamFormat = (course, examinationTypes) => {
+  const status = course.achievementFormStatus;
+  const formats = [
+    status?.isCentral && "Central",
+    status?.isDeCentral && "Decentral",
+  ].filter(Boolean);
+  const parts = (course.examinationParts || []).map(
+    (part) =>
+      `${examinationTypes?.[part.examinationTypeId]?.shortName || "Exam"} ${
+        part.weightage / 100
+      }%`
+  );
+
+  if (parts.length === 0) return formats.join(", ");
+  return formats.length > 0
+    ? `${formats.join(", ")}: ${parts.join(", ")}`
+    : parts.join(", ");
+};
+
+/**
+ * Weekly slots and block sessions on one line:
+ * "Mon 08:15–10:00 (14×); 3 block sessions".
+ *
+ * @param {Array} [calendarEntry]
+ * @returns {string}
+ */
+export const formatWeeklySchedule = (calendarEntry) => {
+  const { weekly, blockSessions } = summarizeWeeklySchedule(calendarEntry);
+  return [
+    ...weekly.map(({ label, sessions }) => `${label} (${sessions}×)`),
+    ...(blockSessions > 0
+      ? [`${blockSessions} block session${blockSessions === 1 ? "" : "s"}`]
+      : []),
+  ].join("; ");
+};
+
+/**
+ * Pickable columns: header cells and a getter for the matching row cells.
+ */
+export const EXPORT_COLUMNS = [
+  {
+    id: "courseNumber",
+    label: "Course number",
+    headers: ["Course number"],
+    getCells: (course) => [getCourseIdentifier(course)],
+  },
+  {
+    id: "title",
+    label: "Title",
+    headers: ["Title"],
+    getCells: (course) => [course.shortName || ""],
+  },
+  {
+    id: "ects",
+    label: "ECTS",
+    headers: ["ECTS"],
+    getCells: (course) => [course.credits ? course.credits / 100 : null],
+  },
+  {
+    id: "classification",
+    label: "Classification",
+    headers: ["Classification"],
+    getCells: (course) => [course.classification || ""],
+  },
+  {
+    id: "language",
+    label: "Language",
+    headers: ["Language"],
+    getCells: (course) => [course.courseLanguage?.code || ""],
+  },
+  {
+    id: "lecturers",
+    label: "Lecturers",
+    headers: ["Lecturers"],
+    getCells: (course) => [getLecturerNames(course)],
+  },
+  {
+    id: "ratings",
+    label: "Ratings per dimension",
+    headers: [
+      ...RATING_DIMENSIONS.map((dimension) => `Rating: ${capitalize(dimension)}`),
+      "Number of ratings",
+    ],
+    getCells: (course) => [
+      ...RATING_DIMENSIONS.map(
+        (dimension) => course.avgRatings?.[dimension] ?? null
+      ),
+      course.nbOfRatings ?? null,
+    ],
+  },
+  {
+    id: "exam",
+    label: "Exam format",
+    headers: ["Exam format"],
+    getCells: (course, { examinationTypes }) => [
+      formatExamFormat(course, examinationTypes),
+    ],
+  },
+  {
+    id: "schedule",
+    label: "Weekly schedule",
+    headers: ["Weekly schedule"],
+    getCells: (course) => [formatWeeklySchedule(course.calendarEntry)],
+  },
+];
+
+export const DEFAULT_EXPORT_COLUMN_IDS = EXPORT_COLUMNS.map(
+  (column) => column.id
+);
+
+/**
+ * Header and rows for the picked columns, in EXPORT_COLUMNS order.
+ *
+ * @param {Array} courses - Courses in list order
+ * @param {string[]} columnIds - Picked column ids
+ * @param {Object} [context]
+ * @param {Object|null} [context.examinationTypes] - For exam part names
+ * @returns {{header: string[], rows: Array<Array<string|number|null>>}}
+ */
+export const buildExportTable = (courses, columnIds, context = {}) => {
+  const columns = EXPORT_COLUMNS.filter((column) =>
+    columnIds.includes(column.id)
+  );
+  return {
+    header: columns.flatMap((column) => column.headers),
+    rows: courses.map((course) =>
+      columns.flatMap((column) => column.getCells(course, context))
+    ),
+  };
+};
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "string" && FORMULA_START.test(value)
+      ? `'${value}`
+      : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text (RFC 4180) with a byte order mark so Excel reads it as UTF-8.
+ * Text cells starting like a formula get a leading apostrophe.
+ *
+ * @param {string[]} header
+ * @param {Array<Array<string|number|null>>} rows
+ * @returns {string}
+ */
+export const toCsv = (header, rows) =>
+  "\uFEFF" +
+  [header, ...rows]
+    .map((cells) => cells.map(escapeCsvCell).join(","))
+    .join("\r\n") +
+  "\r\n";
+
+export const EXPORT_FORMATS = {
+  csv: {
+    label: "CSV",
+    mimeType: "text/csv;charset=utf-8",
+    build: (header, rows) => toCsv(header, rows),
+  },
+  xlsx: {
+    label: "Excel",
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    build: (header, rows, sheetName) => createXlsx(header, rows, sheetName),
+  },
+};
+
+/**
+ * Lets the browser download a file.
+ *
+ * @param {string|Uint8Array} content
+ * @param {string} fileName
+ * @param {string} mimeType
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right after click() cancels the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Exports courses as a CSV or XLSX download named after the semester.
+ *
+ * @param {Array} courses - Courses in list order
+ * @param {Object} options
+ * @param {"csv"|"xlsx"} options.format
+ * @param {string[]} options.columnIds
+ * @param {string} options.semester - Semester short name
+ * @param {Object|null} [options.examinationTypes]
+ */
+export const exportCourseList = (
+  courses,
+  { format, columnIds, semester, examinationTypes = null }
+) => {
+  const { header, rows } = buildExportTable(courses, columnIds, {
+    examinationTypes,
+  });
+  const { build, mimeType } = EXPORT_FORMATS[format];
+  downloadFile(
+    build(header, rows, `Courses ${semester}`),
+    `courses-${semester || "export"}.${format}`,
+    mimeType
+  );
+};
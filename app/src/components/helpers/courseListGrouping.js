@@ -0,0 +1,129 @@
+/**
+ * Groups exercise, coaching and case-study groups under their lecture in the
+ * course list.
+ *
+ * Uses the same grouping as the ECTS handling in smartExerciseGroupHandler:
+ * courses sharing a root key (or base name) belong together, and the
+ * members that look like subgroups become children of the first member
+ * that does not.
+ */
+
+import {
+  groupCoursesByBaseName,
+  isExerciseGroup,
+  isLikelySubgroupByNumber,
+} from "./smartExerciseGroupHandler";
+import { getCourseIdentifier } from "./courseUtils";
+import {
+  buildScheduleIndex,
+  countTimetableCollisions,
+} from "./timetableFit";
+
+export const COURSE_LIST_ROW_TYPES = {
+  COURSE: "course", // course without groups
+  GROUP: "group", // lecture with its groups
+  CHILD: "child", // group of a lecture
+};
+
+/**
+ * Groups a sorted course list. Groups take the position of their first
+ * member, so the sort order of the list is kept.
+ *
+ * @param {Array} courses - Sorted courses
+ * @returns {Array<{type: string, key: string, course: Object, children?: Array}>}
+ *   Course and group items; a group's course is the lecture
+ */
+export const groupCourseList = (courses) => {
+  const groupByCourse = new Map();
+
+  groupCoursesByBaseName(courses).forEach((members, key) => {
+    if (members.length < 2) return;
+    const isSubgroup = (course) =>
+      isExerciseGroup(course) || isLikelySubgroupByNumber(course, members);
+    const lecture = members.find((course) => !isSubgroup(course));
+    const children = members.filter(
+      (course) => course !== lecture && isSubgroup(course)
+    );
+    // Only exercise groups left after filtering: nothing to nest them under
+    if (!lecture || children.length === 0) return;
+
+    const group = { key, lecture, children };
+    groupByCourse.set(lecture, group);
+    children.forEach((child) => groupByCourse.set(child, group));
+  });
+
+  const placed = new Set();
+  const items = [];
+  courses.forEach((course) => {
+    const group = groupByCourse.get(course);
+    if (!group) {
+      items.push({
+        type: COURSE_LIST_ROW_TYPES.COURSE,
+        key: getCourseIdentifier(course),
+        course,
+      });
+      return;
+    }
+    if (placed.has(group)) return;
+    placed.add(group);
+    items.push({
+      type: COURSE_LIST_ROW_TYPES.GROUP,
+      key: group.key,
+      course: group.lecture,
+      children: group.children,
+    });
+  });
+  return items;
+};
+
+/**
+ * Rows for the virtualized list, with the children of expanded groups
+ * following their group.
+ *
+ * @param {Array} items - Result of groupCourseList
+ * @param {Set<string>} expandedKeys - Keys of expanded groups
+ * @returns {Array<Object>} Items plus child rows ({ type, key, course, groupKey })
+ */
+export const flattenCourseList = (items, expandedKeys) =>
+  items.flatMap((item) => {
+    if (item.type !== COURSE_LIST_ROW_TYPES.GROUP) return [item];
+    const isExpanded = expandedKeys.has(item.key);
+    return [
+      { ...item, isExpanded },
+      ...(isExpanded
+        ? item.children.map((child) => ({
+            type: COURSE_LIST_ROW_TYPES.CHILD,
+            key: `${item.key}-${getCourseIdentifier(child)}`,
+            course: child,
+            groupKey: item.key,
+          }))
+        : []),
+    ];
+  });
+
+/**
+ * The group that collides least with the timetable once the lecture is
+ * added to it.
+ *
+ * @param {Array} children - Groups of the lecture
+ * @param {Array} scheduledCourses - Enrolled and wishlisted courses
+ * @param {Object} lecture - The lecture itself
+ * @returns {{course: Object, collision: Object}|null} Fewest colliding
+ *   sessions first, then fewest weekly ones; null without groups
+ */
+export const pickBestFittingGroup = (children, scheduledCourses, lecture) => {
+  const scheduleIndex = buildScheduleIndex([...scheduledCourses, lecture]);
+  let best = null;
+  children.forEach((child) => {
+    const collision = countTimetableCollisions(child, scheduleIndex);
+    if (
+      !best ||
+      collision.count < best.collision.count ||
+      (collision.count === best.collision.count &&
+        collision.weeklyCount < best.collision.weeklyCount)
+    ) {
+      best = { course: child, collision };
+    }
+  });
+  return best;
+};
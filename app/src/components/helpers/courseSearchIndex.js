@@ -0,0 +1,356 @@
+/**
+ * Client-side full-text search over a semester's available courses.
+ *
+ * Builds an inverted index (term -> course -> weighted hits) over the course
+ * title, lecturers, learning objectives and course content. HTML markup in the
+ * course information sheet fields is stripped before tokenizing.
+ *
+ * Results are ranked by field weight: a hit in the title outranks a hit in the
+ * learning objectives, which outranks a hit in the course content.
+ */
+
+import { getCourseIdentifier } from "./courseUtils";
+
+/**
+ * Field weights used for ranking. Higher weight = more relevant hit.
+ */
+export const SEARCH_FIELD_WEIGHTS = {
+  title: 10,
+  lecturers: 6,
+  objectives: 4,
+  content: 2,
+};
+
+// Prefix hits (e.g. "mark" -> "marketing") score lower than exact term hits
+const PREFIX_MATCH_FACTOR = 0.5;
+
+const HTML_ENTITIES = {
+  "&nbsp;": " ",
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+  "&apos;": "'",
+};
+
+/**
+ * Removes HTML tags and decodes the common entities found in course sheets.
+ *
+ * @param {string|null|undefined} html - Raw HTML string
+ * @returns {string} Plain text
+ */
+export function stripHtml(html) {
+  if (!html || typeof html !== "string") return "";
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&[a-z]+;|&#\d+;/gi, (entity) => HTML_ENTITIES[entity] ?? " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalizes a single word for index lookups: lowercase, diacritics removed
+ * (so "muller" finds "Müller" and "okonomie" finds "Ökonomie").
+ *
+ * @param {string} word - Word to normalize
+ * @returns {string} Normalized term
+ */
+export function normalizeTerm(word) {
+  if (!word) return "";
+  return word
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+/**
+ * Splits text into normalized search terms.
+ *
+ * @param {string} text - Plain text
+ * @returns {string[]} Normalized terms (duplicates preserved)
+ */
+export function tokenize(text) {
+  if (!text || typeof text !== "string") return [];
+  return (text.match(/[\p{L}\p{N}]+/gu) || [])
+    .map(normalizeTerm)
+    .filter(Boolean);
+}
+
+/**
+ * Extracts the searchable fields of a course as plain text.
+ *
+ * @param {Object} course - Course object from unified course data
+ * @returns {Object} Plain text per field key of SEARCH_FIELD_WEIGHTS
+ */
+function getSearchableFields(course) {
+  const lecturers = (course.lecturers || [])
+    .map((lecturer) => lecturer?.displayName)
+    .filter(Boolean)
+    .join(" ");
+
+  return {
+    title: course.shortName || "",
+    lecturers,
+    objectives: stripHtml(course.learningObjectives),
+    content: stripHtml(course.courseContent),
+  };
+}
+
+/**
+ * Builds an inverted index over a list of courses.
+ *
+ * @param {Array} courses - Course objects (e.g. a semester's `available` list)
+ * @returns {{postings: Map<string, Map<string, Object>>, documents: Map<string, string[]>, terms: string[], size: number}}
+ *   postings: term -> (courseId -> { score, fields })
+ *   documents: courseId -> normalized text per field (for phrase matching)
+ */
+export function buildCourseSearchIndex(courses) {
+  const postings = new Map();
+  const documents = new Map();
+
+  (courses || []).forEach((course) => {
+    const courseId = getCourseIdentifier(course);
+    if (!courseId) return;
+
+    const fields = getSearchableFields(course);
+    const fieldTexts = [];
+    Object.entries(fields).forEach(([field, text]) => {
+      const weight = SEARCH_FIELD_WEIGHTS[field];
+      const terms = tokenize(text);
+      fieldTexts.push(` ${terms.join(" ")} `);
+      new Set(terms).forEach((term) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const courseHits = postings.get(term);
+        const hit = courseHits.get(courseId) || { score: 0, fields: [] };
+        hit.score += weight;
+        hit.fields.push(field);
+        courseHits.set(courseId, hit);
+      });
+    });
+    documents.set(courseId, fieldTexts);
+  });
+
+  return {
+    postings,
+    documents,
+    terms: Array.from(postings.keys()),
+    size: documents.size,
+  };
+}
+
+// Indexes are cached per `available` array, so typing in the search box does
+// not rebuild the index until the semester's courses are reloaded.
+const indexCache = new WeakMap();
+
+/**
+ * Returns the (cached) search index for a course list.
+ *
+ * @param {Array} courses - Course objects
+ * @returns {Object} Index as returned by buildCourseSearchIndex
+ */
+export function getCourseSearchIndex(courses) {
+  if (!Array.isArray(courses)) return buildCourseSearchIndex([]);
+  if (!indexCache.has(courses)) {
+    indexCache.set(courses, buildCourseSearchIndex(courses));
+  }
+  return indexCache.get(courses);
+}
+
+/**
+ * Runs a query against a search index. All query terms must match (AND);
+ * each term matches index terms exactly or by prefix.
+ *
+ * @param {Object} index - Index as returned by buildCourseSearchIndex
+ * @param {string} query - Free-text query
+ * @returns {Map<string, {score: number, fields: string[]}>|null}
+ *   courseId -> ranking info, or null when the query has no terms
+ */
+export function searchCourseIndex(index, query) {
+  const queryTerms = Array.from(new Set(tokenize(query)));
+  if (queryTerms.length === 0 || !index) return null;
+
+  let results = null;
+
+  for (const queryTerm of queryTerms) {
+    const termHits = new Map();
+
+    index.terms.forEach((term) => {
+      if (!term.startsWith(queryTerm)) return;
+      const factor = term === queryTerm ? 1 : PREFIX_MATCH_FACTOR;
+      index.postings.get(term).forEach((hit, courseId) => {
+        const existing = termHits.get(courseId) || { score: 0, fields: [] };
+        // Only the best-scoring variant of a query term counts per course
+        existing.score = Math.max(existing.score, hit.score * factor);
+        hit.fields.forEach((field) => {
+          if (!existing.fields.includes(field)) existing.fields.push(field);
+        });
+        termHits.set(courseId, existing);
+      });
+    });
+
+    if (results === null) {
+      results = termHits;
+    } else {
+      const intersected = new Map();
+      results.forEach((hit, courseId) => {
+        const termHit = termHits.get(courseId);
+        if (!termHit) return;
+        intersected.set(courseId, {
+          score: hit.score + termHit.score,
+          fields: Array.from(new Set([...hit.fields, ...termHit.fields])),
+        });
+      });
+      results = intersected;
+    }
+
+    if (results.size === 0) break;
+  }
+
+  return results;
+}
+
+/**
+ * Checks whether a course contains the phrase as consecutive words within a
+ * single field.
+ *
+ * @param {Object} index - Index as returned by buildCourseSearchIndex
+ * @param {string} courseId - Course identifier
+ * @param {string} phrase - Phrase to look for
+ * @returns {boolean} True if the phrase occurs
+ */
+export function courseContainsPhrase(index, courseId, phrase) {
+  const terms = tokenize(phrase);
+  if (terms.length === 0) return true;
+  const needle = ` ${terms.join(" ")} `;
+  return (index.documents.get(courseId) || []).some((text) =>
+    text.includes(needle)
+  );
+}
+
+// Courses containing a term or phrase as whole words (used for exclusions,
+// so "-art" does not also drop "article")
+const findCourseIds = (index, text) => {
+  const terms = tokenize(text);
+  if (terms.length === 0) return new Set();
+  if (terms.length === 1) {
+    return new Set((index.postings.get(terms[0]) || new Map()).keys());
+  }
+  return new Set(
+    [...index.documents.keys()].filter((courseId) =>
+      courseContainsPhrase(index, courseId, text)
+    )
+  );
+};
+
+/**
+ * Runs the free-text part of the filter options (searchTerm, phrases and
+ * excludedTerms) against the cached index of a course list.
+ *
+ * @param {Array} courses - Course objects, typically a semester's `available` list
+ * @param {Object} filterOptions - selectionOptionsState value
+ * @returns {Map<string, {score: number, fields: string[]}>|null}
+ *   Matching courseIds, or null when no free-text criteria are set
+ */
+export function runCourseSearch(courses, filterOptions = {}) {
+  const searchTerm = filterOptions.searchTerm || "";
+  const phrases = filterOptions.phrases || [];
+  const excludedTerms = filterOptions.excludedTerms || [];
+
+  const positiveQuery = [searchTerm, ...phrases].join(" ");
+  if (tokenize(positiveQuery).length === 0 && excludedTerms.length === 0) {
+    return null;
+  }
+
+  const index = getCourseSearchIndex(courses);
+  let results = searchCourseIndex(index, positiveQuery);
+
+  // Only exclusions: start from every indexed course
+  if (!results) {
+    results = new Map();
+    index.documents.forEach((_, courseId) =>
+      results.set(courseId, { score: 0, fields: [] })
+    );
+  }
+
+  phrases.forEach((phrase) => {
+    results.forEach((_, courseId) => {
+      if (!courseContainsPhrase(index, courseId, phrase)) {
+        results.delete(courseId);
+      }
+    });
+  });
+
+  excludedTerms.forEach((term) => {
+    findCourseIds(index, term).forEach((courseId) => results.delete(courseId));
+  });
+
+  return results;
+}
+
+/**
+ * Attaches search ranking info to courses and orders them by relevance.
+ * Without search results the courses are returned unchanged.
+ *
+ * @param {Array} courses - Courses that passed the filter criteria
+ * @param {Map|null} searchResults - Result of searchCourseIndex
+ * @returns {Array} New array sorted by descending searchScore
+ */
+export function applySearchRanking(courses, searchResults) {
+  if (!searchResults) return courses;
+  return courses
+    .map((course) => {
+      const hit = searchResults.get(getCourseIdentifier(course));
+      return {
+        ...course,
+        searchScore: hit?.score || 0,
+        searchFields: hit?.fields || [],
+      };
+    })
+    .sort((a, b) => b.searchScore - a.searchScore);
+}
+
+/**
+ * Splits text into highlighted and plain segments for the given query.
+ * A word is highlighted when its normalized form starts with a query term.
+ *
+ * @param {string} text - Text to display (e.g. the course title)
+ * @param {string} query - Free-text query
+ * @returns {Array<{text: string, match: boolean}>} Segments in display order
+ */
+export function getHighlightSegments(text, query) {
+  if (!text) return [];
+  const queryTerms = tokenize(query);
+  if (queryTerms.length === 0) return [{ text, match: false }];
+
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = match[0];
+    const normalized = normalizeTerm(word);
+    const queryTerm = queryTerms.find((term) => normalized.startsWith(term));
+    if (!queryTerm) continue;
+
+    // Highlight only the matched prefix; normalization keeps string length
+    // for precomposed characters, fall back to the whole word otherwise.
+    const matchLength =
+      normalized.length === word.length ? queryTerm.length : word.length;
+
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({
+      text: word.slice(0, matchLength),
+      match: true,
+    });
+    lastIndex = match.index + matchLength;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+
+  return segments;
+}
@@ -0,0 +1,135 @@
+/**
+ * Sorting for the course list.
+ *
+ * The default ("relevance") orders by search score and otherwise keeps the
+ * order produced by filtering (API order). Courses without a value for the
+ * sort key always go last, whatever the direction.
+ */
+
+import { RATING_TOOLTIP_TEXTS } from "../../constants/ratingTooltips";
+import { getCourseIdentifier, sortCoursesByStatus } from "./courseUtils";
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const getFirstSessionTime = (course) => {
+  const times = (course.calendarEntry || [])
+    .map((entry) => new Date(entry.eventDate).getTime())
+    .filter((time) => !isNaN(time));
+  return times.length > 0 ? Math.min(...times) : null;
+};
+
+/**
+ * Sort keys: label for the UI and a value getter (null = no value)
+ */
+export const SORT_KEYS = {
+  relevance: {
+    label: "Relevance",
+    getValue: (course) => course.searchScore ?? null,
+  },
+  rating: { label: "Rating", getValue: (course) => course.avgRating ?? null },
+  ...Object.fromEntries(
+    Object.keys(RATING_TOOLTIP_TEXTS).map((dimension) => [
+      `rating.${dimension}`,
+      {
+        label: `Rating: ${capitalize(dimension)}`,
+        getValue: (course) => course.avgRatings?.[dimension] ?? null,
+      },
+    ])
+  ),
+  nbOfRatings: {
+    label: "Number of ratings",
+    getValue: (course) => course.nbOfRatings ?? null,
+  },
+  credits: { label: "ECTS", getValue: (course) => course.credits ?? null },
+  name: { label: "Name", getValue: (course) => course.shortName || null },
+  firstSession: { label: "First session", getValue: getFirstSessionTime },
+  language: {
+    label: "Language",
+    getValue: (course) => course.courseLanguage?.code || null,
+  },
+};
+
+export const DEFAULT_COURSE_SORT = {
+  primary: { key: "relevance", direction: "desc" },
+  secondary: null, // { key, direction } or null
+  pinStatus: true, // keep enrolled, then selected courses on top
+};
+
+const compareValues = (a, b) =>
+  typeof a === "string" && typeof b === "string"
+    ? a.localeCompare(b)
+    : a - b;
+
+// Compares precomputed values; null (no value) always sorts last
+const compareNullable = (valueA, valueB, sign) => {
+  if (valueA === null && valueB === null) return 0;
+  if (valueA === null) return 1;
+  if (valueB === null) return -1;
+  return sign * compareValues(valueA, valueB);
+};
+
+const prepareKey = (sortKey) => {
+  const definition = sortKey && SORT_KEYS[sortKey.key];
+  if (!definition) return null;
+  // Best search matches always come first
+  const sign =
+    sortKey.direction === "asc" && sortKey.key !== "relevance" ? 1 : -1;
+  return { getValue: definition.getValue, sign };
+};
+
+// Puts courses back into the reference order; unknown courses go last
+const restoreOrder = (courses, referenceOrder) => {
+  const positions = new Map(
+    referenceOrder.map((course, index) => [getCourseIdentifier(course), index])
+  );
+  const position = (course) =>
+    positions.get(getCourseIdentifier(course)) ?? referenceOrder.length;
+  return [...courses].sort((a, b) => position(a) - position(b));
+};
+
+/**
+ * Sorts courses by a primary and optional secondary key.
+ *
+ * The filtered list arrives already pinned (updateFilteredCourses), so
+ * turning pinStatus off needs the unpinned order to start from.
+ *
+ * @param {Array} courses - Courses in their filtered order
+ * @param {Object} [sort] - { primary, secondary, pinStatus }, see DEFAULT_COURSE_SORT
+ * @param {Array} [referenceOrder] - The same courses in API order, e.g. the
+ *   semester's `available` list; used when pinStatus is off
+ * @returns {Array} New sorted array (does not mutate original)
+ */
+export const sortCourses = (
+  courses,
+  sort = DEFAULT_COURSE_SORT,
+  referenceOrder = null
+) => {
+  if (!courses || courses.length === 0) return [];
+  const { primary, secondary, pinStatus } = { ...DEFAULT_COURSE_SORT, ...sort };
+  const unpinned =
+    !pinStatus && referenceOrder ? restoreOrder(courses, referenceOrder) : courses;
+
+  const primaryKey = prepareKey(primary);
+  const secondaryKey = prepareKey(secondary);
+
+  // Values are computed once per course, not once per comparison
+  const decorated = unpinned.map((course) => ({
+    course,
+    primaryValue: primaryKey ? primaryKey.getValue(course) : null,
+    secondaryValue: secondaryKey ? secondaryKey.getValue(course) : null,
+  }));
+
+  // Array.prototype.sort is stable, so ties keep the filtered order
+  decorated.sort(
+    (a, b) =>
+      (primaryKey
+        ? compareNullable(a.primaryValue, b.primaryValue, primaryKey.sign)
+        : 0) ||
+      (secondaryKey
+        ? compareNullable(a.secondaryValue, b.secondaryValue, secondaryKey.sign)
+        : 0)
+  );
+
+  const sorted = decorated.map(({ course }) => course);
+  return pinStatus ? sortCoursesByStatus(sorted) : sorted;
+};
@@ -3,6 +3,10 @@
  * Extracted from useUnifiedCourseData.js to eliminate duplication and improve testability.
  */
 
+import { fitsAvailability } from "./availabilityFilter";
+import { matchesExamFilter } from "./examFilter";
+import { matchesRatingFilter } from "./ratingFilter";
+
 /**
  * Extracts a unique identifier from a course object.
  * Handles various course data structures from different API responses.
@@ -76,6 +80,33 @@ export function sortCoursesByStatus(courses) {
   });
 }
 
+/**
+ * Attaches the semester's rating data and prefetched exam parts to a course,
+ * so applyFilterCriteria can filter on them.
+ *
+ * @param {Object} course - Available course
+ * @param {Object} semesterData - Semester from unifiedCourseDataState
+ *   (ratings, ratingDetails, examInformation)
+ * @returns {Object} New course object
+ */
+export function attachCourseDetails(course, semesterData) {
+  const rating = lookupCourseRating(course, semesterData.ratings || {});
+  const ratingDetails = lookupCourseRating(
+    course,
+    semesterData.ratingDetails || {}
+  );
+  const examinationParts = (semesterData.examInformation || {})[
+    getCourseIdentifier(course)
+  ];
+  return {
+    ...course,
+    avgRating: rating || course.avgRating, // Preserve existing rating if found
+    avgRatings: ratingDetails?.avgRatings || course.avgRatings,
+    nbOfRatings: ratingDetails?.nbOfRatings ?? course.nbOfRatings,
+    examinationParts: examinationParts || course.examinationParts,
+  };
+}
+
 /**
  * Looks up a course rating from a ratings map using multiple matching strategies.
  * Tries different course properties to find a matching rating.
@@ -126,6 +157,15 @@ export function lookupCourseRating(course, ratingsMap) {
   return null;
 }
 
+// Evaluates a numeric comparison from the structured search query
+const COMPARATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "=": (a, b) => a === b,
+};
+
 /**
  * Applies filter criteria to determine if a course should be included.
  * Used for filtering course lists based on user selections.
@@ -137,10 +177,25 @@ export function lookupCourseRating(course, ratingsMap) {
  * @param {string[]} filterOptions.lecturer - Allowed lecturer names
  * @param {number[]} filterOptions.ratings - Minimum rating thresholds
  * @param {string[]} filterOptions.courseLanguage - Allowed language codes
- * @param {string} filterOptions.searchTerm - Search term for shortName
+ * @param {string} filterOptions.searchTerm - Free-text search term
+ * @param {Array<{field: string, op: string, value: number}>} [filterOptions.comparisons]
+ *   Numeric comparisons on "ects" (in ECTS, not credits * 100) or "rating"
+ * @param {string[]} [filterOptions.excludedClassifications] - Excluded classifications
+ * @param {string[]} [filterOptions.excludedLecturers] - Excluded lecturer names
+ * @param {string[]} [filterOptions.excludedLanguages] - Excluded language codes
+ * @param {Object} [filterOptions.availability] - Blocked weekly slots and
+ *   thresholds (see helpers/availabilityFilter.js)
+ * @param {Object} [filterOptions.ratingFilter] - Per-dimension rating ranges,
+ *   minimum number of ratings and whether unrated courses pass
+ *   (see helpers/ratingFilter.js)
+ * @param {Object} [filterOptions.examFilter] - Exam format, examination types
+ *   and maximum part weight (see helpers/examFilter.js)
+ * @param {Map|null} [searchResults] - Free-text matches from runCourseSearch
+ *   (courseId -> ranking info). Without it, searchTerm falls back to a
+ *   substring match on shortName.
  * @returns {boolean} True if course passes all filters
  */
-export function applyFilterCriteria(course, filterOptions) {
+export function applyFilterCriteria(course, filterOptions, searchResults = null) {
   if (!filterOptions) return true;
 
   const classifications = filterOptions.classifications || [];
@@ -149,6 +204,10 @@ export function applyFilterCriteria(course, filterOptions) {
   const courseLanguage = filterOptions.courseLanguage || [];
   const lecturer = filterOptions.lecturer || [];
   const searchTerm = filterOptions.searchTerm || "";
+  const comparisons = filterOptions.comparisons || [];
+  const excludedClassifications = filterOptions.excludedClassifications || [];
+  const excludedLecturers = filterOptions.excludedLecturers || [];
+  const excludedLanguages = filterOptions.excludedLanguages || [];
 
   // Classification filter
   if (
@@ -157,6 +216,9 @@ export function applyFilterCriteria(course, filterOptions) {
   ) {
     return false;
   }
+  if (excludedClassifications.includes(course.classification)) {
+    return false;
+  }
 
   // ECTS filter
   if (ects.length > 0 && !ects.includes(course.credits)) {
@@ -171,17 +233,48 @@ export function applyFilterCriteria(course, filterOptions) {
   ) {
     return false;
   }
+  if (
+    excludedLecturers.length > 0 &&
+    course.lecturers?.some((lect) => excludedLecturers.includes(lect.displayName))
+  ) {
+    return false;
+  }
+
+  // Unrated courses pass rating thresholds unless the rating panel excludes them
+  const includeUnrated = filterOptions.ratingFilter?.includeUnrated !== false;
 
   // Rating filter - only exclude if course HAS a rating below threshold
   if (ratings.length > 0) {
     const courseRating = course.avgRating;
     const minRequiredRating = Math.max(...ratings);
 
-    if (
-      courseRating !== null &&
-      courseRating !== undefined &&
-      courseRating < minRequiredRating
-    ) {
+    if (courseRating === null || courseRating === undefined) {
+      if (!includeUnrated) return false;
+    } else if (courseRating < minRequiredRating) {
+      return false;
+    }
+  }
+
+  // Per-dimension rating filter
+  if (!matchesRatingFilter(course, filterOptions.ratingFilter)) {
+    return false;
+  }
+
+  // Numeric comparisons - like the rating filter, unrated courses pass
+  for (const { field, op, value } of comparisons) {
+    const compare = COMPARATORS[op];
+    if (!compare) continue;
+    const courseValue =
+      field === "ects"
+        ? course.credits / 100
+        : field === "rating"
+        ? course.avgRating
+        : undefined;
+    if (courseValue === null || courseValue === undefined || isNaN(courseValue)) {
+      if (field === "rating" && !includeUnrated) return false;
+      continue;
+    }
+    if (!compare(Number(courseValue), value)) {
       return false;
     }
   }
@@ -193,9 +286,24 @@ export function applyFilterCriteria(course, filterOptions) {
   ) {
     return false;
   }
+  if (excludedLanguages.includes(course.courseLanguage?.code)) {
+    return false;
+  }
 
-  // Search term filter (case insensitive)
-  if (
+  // Weekly availability filter
+  if (!fitsAvailability(course, filterOptions.availability)) {
+    return false;
+  }
+
+  // Exam format filter
+  if (!matchesExamFilter(course, filterOptions.examFilter)) {
+    return false;
+  }
+
+  // Free-text filter: full-text index when available, else case insensitive shortName match
+  if (searchResults) {
+    if (!searchResults.has(getCourseIdentifier(course))) return false;
+  } else if (
     searchTerm.length > 0 &&
     !course.shortName?.toLowerCase().includes(searchTerm.toLowerCase())
   ) {
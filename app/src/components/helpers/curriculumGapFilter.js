@@ -0,0 +1,57 @@
+/**
+ * "Counts toward my open requirements" filter.
+ *
+ * Maps a course classification onto the curriculum map categories
+ * (flatCategories from curriculumMapSelector) and keeps courses that would
+ * fill a category which still needs credits.
+ */
+
+import {
+  doesClassificationMatchCategory,
+  matchClassificationToCategory,
+} from "../recoil/curriculumMapSelector";
+
+/**
+ * Credits a category still needs, counting earned and planned credits.
+ * Uses the same target as the curriculum map's isComplete flag.
+ *
+ * @param {Object} category - Entry of flatCategories
+ * @returns {number}
+ */
+export const getRemainingCredits = (category) =>
+  Math.max(
+    0,
+    (category.maxCredits || category.minCredits || 0) -
+      ((category.earnedCredits || 0) + (category.plannedCredits || 0))
+  );
+
+/**
+ * Finds the open category a course would count toward. The category the
+ * classification maps to directly wins; if that one is complete, any other
+ * open category accepting the classification is used.
+ *
+ * @param {string} classification - Course classification
+ * @param {Array} flatCategories - Categories with credit totals
+ * @returns {Object|null} Open category, or null if the course fills no gap
+ */
+export const findOpenCategoryForCourse = (classification, flatCategories) => {
+  if (!classification || !flatCategories?.length) return null;
+
+  const openCategories = flatCategories.filter(
+    (category) => getRemainingCredits(category) > 0
+  );
+  if (openCategories.length === 0) return null;
+
+  const direct = matchClassificationToCategory(classification, flatCategories);
+  if (direct && getRemainingCredits(direct) > 0) return direct;
+
+  return (
+    openCategories.find((category) =>
+      doesClassificationMatchCategory(
+        classification,
+        category.name,
+        category.validClassifications
+      )
+    ) || null
+  );
+};
@@ -0,0 +1,75 @@
+/**
+ * Exam-format filter.
+ *
+ * The central/decentral format comes with every course
+ * (achievementFormStatus). Examination types and part weights need the
+ * examinationParts of the course information sheet, which are prefetched by
+ * useExamInformationPrefetch and attached to the courses before filtering.
+ */
+
+export const EXAM_FORMATS = {
+  ANY: "any",
+  CENTRAL: "central", // has a central exam
+  DECENTRAL: "decentral", // has a decentral exam
+  NO_CENTRAL: "noCentral", // no central exam at all
+};
+
+export const DEFAULT_EXAM_FILTER = {
+  format: EXAM_FORMATS.ANY,
+  examinationTypeIds: [], // course needs a part of one of these types
+  maxPartWeight: null, // % no single part may exceed, null = off
+};
+
+/**
+ * Whether the filter needs examinationParts (and so the bulk prefetch).
+ * @param {Object} [examFilter] - selectionOptions.examFilter
+ * @returns {boolean}
+ */
+export const needsExaminationParts = (examFilter) =>
+  (examFilter?.examinationTypeIds?.length || 0) > 0 ||
+  (examFilter?.maxPartWeight !== null && examFilter?.maxPartWeight !== undefined);
+
+/**
+ * Whether a course matches the exam filter. Like the rating filter, courses
+ * without exam information (not loaded or not published) pass.
+ *
+ * @param {Object} course - Course, optionally with examinationParts attached
+ * @param {Object} [examFilter] - selectionOptions.examFilter
+ * @returns {boolean}
+ */
+export const matchesExamFilter = (course, examFilter) => {
+  if (!examFilter) return true;
+  const { format, examinationTypeIds, maxPartWeight } = {
+    ...DEFAULT_EXAM_FILTER,
+    ...examFilter,
+  };
+
+  const status = course.achievementFormStatus;
+  if (status && format !== EXAM_FORMATS.ANY) {
+    if (format === EXAM_FORMATS.CENTRAL && !status.isCentral) return false;
+    if (format === EXAM_FORMATS.DECENTRAL && !status.isDeCentral) return false;
+    if (format === EXAM_FORMATS.NO_CENTRAL && status.isCentral) return false;
+  }
+
+  const parts = course.examinationParts;
+  if (!parts || parts.length === 0) return true;
+
+  // Type ids are object keys in examinationTypesState, so compare as strings
+  const typeIds = examinationTypeIds.map(String);
+  if (
+    typeIds.length > 0 &&
+    !parts.some((part) => typeIds.includes(String(part.examinationTypeId)))
+  ) {
+    return false;
+  }
+
+  // Weightage is stored in hundredths of a percent (10000 = 100%)
+  if (
+    maxPartWeight !== null &&
+    parts.some((part) => part.weightage / 100 > maxPartWeight)
+  ) {
+    return false;
+  }
+
+  return true;
+};
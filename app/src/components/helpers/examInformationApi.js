@@ -0,0 +1,100 @@
+import { apiClient } from "./axiosClient";
+
+const COURSE_SHEET_URL =
+  "https://integration.unisg.ch/EventApi/CourseInformationSheets/latestPublishedByHsgEntityId";
+const EXAMINATION_TYPES_URL =
+  "https://integration.unisg.ch/AcametaApi/ExaminationTypes?fields=id,shortName,description";
+
+/**
+ * Exam Information API Client
+ *
+ * Errors are rethrown without reporting: CourseInfo reports them for the one
+ * course on screen, while the bulk prefetch skips courses it cannot load.
+ */
+
+/**
+ * Fetch the latest published course information sheet of a course, which
+ * carries the examinationParts. Falls back to the course number when the
+ * hsgEntityId lookup fails.
+ * @param {Object} course - Course with hsgEntityId and/or courseNumber
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} - Course information sheet
+ */
+export const fetchCourseExamInformation = async (course, token) => {
+  const config = { headers: { "API-Version": "3" } };
+  try {
+    const res = await apiClient.get(
+      `${COURSE_SHEET_URL}/${course.hsgEntityId}`,
+      token,
+      config
+    );
+    return res.data;
+  } catch (err) {
+    const courseNumber =
+      course.courses?.[0]?.courseNumber || course.courseNumber;
+    const res = await apiClient.get(
+      `${COURSE_SHEET_URL}/${courseNumber}`,
+      token,
+      config
+    );
+    return res.data;
+  }
+};
+
+/**
+ * Fetch all examination types
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} - { [examinationTypeId]: { shortName, description } }
+ */
+export const fetchExaminationTypes = async (token) => {
+  const res = await apiClient.get(EXAMINATION_TYPES_URL, token);
+
+  const examinationTypes = {};
+  res.data.forEach((examinationType) => {
+    examinationTypes[examinationType.id] = {
+      shortName: examinationType.shortName,
+      description: examinationType.description,
+    };
+  });
+  return examinationTypes;
+};
+
+/**
+ * Fetch exam information for many courses with limited parallelism.
+ * Courses that fail to load are left out, so callers try them again later
+ * instead of storing the failure.
+ * @param {Array} courses - Courses to load
+ * @param {string} token - Authentication token
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=6] - Parallel requests
+ * @param {Function} [options.onBatch] - Called with { [courseId]: examinationParts }
+ *   and the batch's courses after every batch
+ * @param {Function} [options.isCancelled] - Stops after the current batch when it returns true
+ * @param {Function} options.getId - Course id used as result key
+ * @returns {Promise<Object>} - { [courseId]: examinationParts }
+ */
+export const fetchExamInformationBulk = async (
+  courses,
+  token,
+  { concurrency = 6, onBatch, isCancelled = () => false, getId }
+) => {
+  const results = {};
+  for (let i = 0; i < courses.length; i += concurrency) {
+    if (isCancelled()) break;
+
+    const batch = courses.slice(i, i + concurrency);
+    const sheets = await Promise.allSettled(
+      batch.map((course) => fetchCourseExamInformation(course, token))
+    );
+
+    const batchResults = {};
+    sheets.forEach((sheet, index) => {
+      if (sheet.status === "fulfilled") {
+        batchResults[getId(batch[index])] = sheet.value?.examinationParts || [];
+      }
+    });
+    Object.assign(results, batchResults);
+    if (onBatch) onBatch(batchResults, batch);
+  }
+  return results;
+};
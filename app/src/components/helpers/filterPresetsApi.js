@@ -0,0 +1,59 @@
+import { apiClient } from "./axiosClient";
+
+const BASE_URL = "https://api.shsg.ch/filter-presets";
+
+/**
+ * Filter Presets API Client
+ * All endpoints return full state: { presets: { [presetId]: { name, options, createdAt, lastModified } } }
+ *
+ * Errors are logged and rethrown but not reported through errorHandlingService:
+ * useFilterPresets falls back to localStorage, so a failing call is not a user-facing error.
+ */
+
+/**
+ * Fetch all filter presets for the authenticated user
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} - { presets }
+ */
+export const getFilterPresets = async (token) => {
+  try {
+    const res = await apiClient.get(BASE_URL, token);
+    return res.data;
+  } catch (err) {
+    console.error("[FilterPresetsAPI] Error fetching presets:", err);
+    throw err;
+  }
+};
+
+/**
+ * Create or update a filter preset
+ * @param {string} presetId - Preset ID
+ * @param {Object} data - { name?, options? }
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} - Updated state
+ */
+export const upsertFilterPreset = async (presetId, data, token) => {
+  try {
+    const res = await apiClient.post(`${BASE_URL}/${presetId}`, data, token);
+    return res.data;
+  } catch (err) {
+    console.error("[FilterPresetsAPI] Error upserting preset:", err);
+    throw err;
+  }
+};
+
+/**
+ * Delete a filter preset
+ * @param {string} presetId - Preset ID to delete
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} - Updated state
+ */
+export const deleteFilterPresetApi = async (presetId, token) => {
+  try {
+    const res = await apiClient.delete(`${BASE_URL}/${presetId}`, token);
+    return res.data;
+  } catch (err) {
+    console.error("[FilterPresetsAPI] Error deleting preset:", err);
+    throw err;
+  }
+};
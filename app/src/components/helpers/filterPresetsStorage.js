@@ -0,0 +1,94 @@
+/**
+ * localStorage persistence for filter presets and the search history.
+ *
+ * Entries are keyed per user (taken from the auth token), so several
+ * students sharing a browser don't see each other's presets.
+ */
+
+export const PRESETS_STORAGE_PREFIX = "biddit_filter_presets__";
+export const SEARCH_HISTORY_STORAGE_PREFIX = "biddit_search_history__";
+export const MAX_SEARCH_HISTORY = 10;
+
+/**
+ * Extracts a stable user id from a JWT access token (oid, then sub).
+ * Falls back to "anonymous" for missing or malformed tokens.
+ *
+ * @param {string|null} token - Authentication token
+ * @returns {string} User id used in storage keys
+ */
+export const getStorageUserId = (token) => {
+  try {
+    const payload = token?.split(".")[1];
+    if (!payload) return "anonymous";
+    const json = atob(payload.replace(/-/g, "+").replace(/_/g, "/"));
+    const claims = JSON.parse(json);
+    return claims.oid || claims.sub || "anonymous";
+  } catch {
+    return "anonymous";
+  }
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn(`[filterPresetsStorage] Could not read ${key}`, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`[filterPresetsStorage] Could not write ${key}`, error);
+  }
+};
+
+/**
+ * @param {string} userId - Id from getStorageUserId
+ * @returns {Object} Presets by id
+ */
+export const loadLocalPresets = (userId) =>
+  readJson(`${PRESETS_STORAGE_PREFIX}${userId}`, {});
+
+/**
+ * @param {string} userId - Id from getStorageUserId
+ * @param {Object} presets - Presets by id
+ */
+export const saveLocalPresets = (userId, presets) =>
+  writeJson(`${PRESETS_STORAGE_PREFIX}${userId}`, presets);
+
+/**
+ * @param {string} userId - Id from getStorageUserId
+ * @returns {string[]} Recent queries, newest first
+ */
+export const loadSearchHistory = (userId) => {
+  const entries = readJson(`${SEARCH_HISTORY_STORAGE_PREFIX}${userId}`, []);
+  return Array.isArray(entries) ? entries : [];
+};
+
+/**
+ * @param {string} userId - Id from getStorageUserId
+ * @param {string[]} entries - Recent queries, newest first
+ */
+export const saveSearchHistory = (userId, entries) =>
+  writeJson(`${SEARCH_HISTORY_STORAGE_PREFIX}${userId}`, entries);
+
+/**
+ * Adds a query to the front of the history, removing duplicates and
+ * trimming to MAX_SEARCH_HISTORY entries.
+ *
+ * @param {string[]} entries - Current history, newest first
+ * @param {string} query - Query to add
+ * @returns {string[]} New history
+ */
+export const addToSearchHistory = (entries, query) => {
+  const trimmed = (query || "").trim();
+  if (!trimmed) return entries;
+  return [trimmed, ...entries.filter((entry) => entry !== trimmed)].slice(
+    0,
+    MAX_SEARCH_HISTORY
+  );
+};
@@ -0,0 +1,197 @@
+/**
+ * iCalendar (RFC 5545) export of the enrolled and wishlisted courses.
+ *
+ * Every session becomes its own VEVENT. UIDs are derived from the semester,
+ * course and session, so importing a regenerated file updates the events of
+ * an earlier import instead of adding them again; SEQUENCE grows with the
+ * export time so calendar apps take the newer version. Sessions of earlier
+ * exports that are no longer in the schedule (e.g. a dropped course) are
+ * written as cancelled events, so they disappear from the calendar too.
+ */
+
+import moment from "moment";
+import { getCourseIdentifier } from "./courseUtils";
+
+const PRODUCT_ID = "-//Biddit//Course Schedule//EN";
+const UID_DOMAIN = "biddit.app";
+
+/**
+ * Escapes TEXT values (RFC 5545 3.3.11).
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeIcsText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Folds a content line to 75 octets (RFC 5545 3.1), never splitting a
+ * UTF-8 character.
+ * @param {string} line
+ * @returns {string} Line with CRLF + space continuations
+ */
+export const foldIcsLine = (line) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let chunk = "";
+  let octets = 0;
+  // The first line holds 75 octets, continuations 74 after the leading space
+  let limit = 75;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = "";
+      octets = 0;
+      limit = 74;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join("\r\n ");
+};
+
+/**
+ * UTC date-time in the basic format, e.g. 20250915T081500Z.
+ * @param {moment.Moment|Date|string} date
+ * @returns {string}
+ */
+export const formatIcsDateTime = (date) =>
+  moment(date).utc().format("YYYYMMDD[T]HHmmss[Z]");
+
+/**
+ * Stable UID of a session: the session id when the API provides one,
+ * otherwise its start time.
+ *
+ * @param {Object} course
+ * @param {Object} entry - calendarEntry item
+ * @param {string} semester
+ * @returns {string}
+ */
+export const getSessionUid = (course, entry, semester) => {
+  const sessionKey = entry.id ?? formatIcsDateTime(entry.eventDate);
+  return `${[semester, getCourseIdentifier(course), sessionKey]
+    .join("-")
+    .replace(/[^\w.-]/g, "_")}@${UID_DOMAIN}`;
+};
+
+const getLecturerNames = (course) =>
+  (course.courses?.[0]?.lecturers || course.lecturers || [])
+    .map((lecturer) => lecturer.displayName)
+    .filter(Boolean)
+    .join(", ");
+
+// What a calendar app needs to know about an exported session; also kept
+// to cancel the session in a later export
+const describeSession = (course, entry, semester) => {
+  const start = moment(entry.eventDate);
+  const end = moment(start).add(entry.durationInMinutes || 0, "minutes");
+  return {
+    uid: getSessionUid(course, entry, semester),
+    start: formatIcsDateTime(start),
+    end: formatIcsDateTime(end),
+    summary: course.shortName || getCourseIdentifier(course),
+  };
+};
+
+const buildEvent = (session, { stamp, sequence }, details) => [
+  "BEGIN:VEVENT",
+  `UID:${session.uid}`,
+  `DTSTAMP:${stamp}`,
+  `SEQUENCE:${sequence}`,
+  `DTSTART:${session.start}`,
+  `DTEND:${session.end}`,
+  `SUMMARY:${escapeIcsText(session.summary)}`,
+  ...details,
+  "END:VEVENT",
+];
+
+const buildSessionEvent = (course, entry, session, context) => {
+  const description = [
+    getCourseIdentifier(course),
+    getLecturerNames(course),
+    course.enrolled ? "Enrolled" : "Wishlist",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return buildEvent(session, context, [
+    ...(entry.room ? [`LOCATION:${escapeIcsText(entry.room)}`] : []),
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    `STATUS:${course.enrolled ? "CONFIRMED" : "TENTATIVE"}`,
+  ]);
+};
+
+/**
+ * Builds the .ics file of a semester's schedule.
+ *
+ * @param {Array} courses - Enrolled and wishlisted courses (scheduledCoursesSelector)
+ * @param {Object} options
+ * @param {string} options.semester - Semester short name
+ * @param {boolean} [options.includeWishlist=true] - Include courses that are
+ *   only wishlisted, not enrolled
+ * @param {Date} [options.generatedAt=new Date()] - Export time
+ * @param {Object} [options.previousSessions={}] - exportedSessions of the
+ *   earlier exports of this semester; the ones not scheduled any more are
+ *   cancelled
+ * @returns {{ics: string, eventCount: number, cancelledCount: number,
+ *   exportedSessions: Object}} exportedSessions (UID → session) is what the
+ *   calendar may hold after importing the file; pass it to the next export
+ */
+export const buildIcsCalendar = (
+  courses,
+  {
+    semester,
+    includeWishlist = true,
+    generatedAt = new Date(),
+    previousSessions = {},
+  }
+) => {
+  const context = {
+    semester,
+    stamp: formatIcsDateTime(generatedAt),
+    sequence: Math.floor(generatedAt.getTime() / 60000),
+  };
+
+  const sessions = {};
+  const events = courses
+    .filter((course) => includeWishlist || course.enrolled)
+    .flatMap((course) =>
+      (course.calendarEntry || [])
+        .filter((entry) => entry.eventDate)
+        .map((entry) => {
+          const session = describeSession(course, entry, semester);
+          sessions[session.uid] = session;
+          return buildSessionEvent(course, entry, session, context);
+        })
+    );
+
+  const cancelled = Object.values(previousSessions)
+    .filter((session) => !sessions[session.uid])
+    .map((session) => buildEvent(session, context, ["STATUS:CANCELLED"]));
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(`Courses ${semester}`)}`,
+    ...events.flat(),
+    ...cancelled.flat(),
+    "END:VCALENDAR",
+  ];
+
+  return {
+    ics: lines.map(foldIcsLine).join("\r\n") + "\r\n",
+    eventCount: events.length,
+    cancelledCount: cancelled.length,
+    // Cancelled sessions stay listed, for calendars that missed this file
+    exportedSessions: { ...previousSessions, ...sessions },
+  };
+};
@@ -0,0 +1,81 @@
+/**
+ * Keyboard shortcuts for the course list and the command palette.
+ */
+
+/**
+ * Whether a key event comes from a text field, where shortcuts like "/"
+ * must keep their normal meaning.
+ * @param {EventTarget} target - event.target
+ * @returns {boolean}
+ */
+export const isTypingTarget = (target) => {
+  if (!target) return false;
+  const tag = target.tagName;
+  return (
+    tag === "INPUT" ||
+    tag === "TEXTAREA" ||
+    tag === "SELECT" ||
+    target.isContentEditable === true
+  );
+};
+
+/**
+ * Ctrl+K, or Cmd+K on macOS.
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+export const isCommandPaletteShortcut = (event) =>
+  Boolean(event.ctrlKey || event.metaKey) &&
+  !event.altKey &&
+  event.key?.toLowerCase() === "k";
+
+/**
+ * Row a navigation key moves to.
+ *
+ * @param {string} key - KeyboardEvent.key
+ * @param {number} index - Active row, -1 when none is active yet
+ * @param {number} count - Number of rows
+ * @returns {number|null} New row, or null when the key does not navigate
+ */
+export const getNextRowIndex = (key, index, count) => {
+  if (count === 0) return null;
+  switch (key) {
+    case "ArrowDown":
+      return Math.min(index + 1, count - 1);
+    case "ArrowUp":
+      return Math.max(index - 1, 0);
+    case "Home":
+      return 0;
+    case "End":
+      return count - 1;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Commands matching a palette query. Every word of the query has to occur
+ * in the label or keywords; commands whose label starts with the query come
+ * first, otherwise the given order is kept.
+ *
+ * @param {Array<{label: string, keywords?: string}>} commands
+ * @param {string} query - Text typed into the palette
+ * @returns {Array} Matching commands
+ */
+export const filterCommands = (commands, query) => {
+  const normalizedQuery = query.trim().toLowerCase();
+  if (!normalizedQuery) return commands;
+  const words = normalizedQuery.split(/\s+/);
+
+  const matches = commands.filter((command) => {
+    const text = `${command.label} ${command.keywords || ""}`.toLowerCase();
+    return words.every((word) => text.includes(word));
+  });
+
+  const startsWithQuery = (command) =>
+    command.label.toLowerCase().startsWith(normalizedQuery);
+  return [
+    ...matches.filter(startsWithQuery),
+    ...matches.filter((command) => !startsWithQuery(command)),
+  ];
+};
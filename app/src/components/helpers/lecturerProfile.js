@@ -0,0 +1,156 @@
+/**
+ * Lecturer profiles built from the loaded semesters.
+ *
+ * Ratings and exam parts come from the semester's ratingDetails and
+ * examInformation (see attachCourseDetails). A course taught in several
+ * semesters counts once towards the aggregates, with its newest offering.
+ */
+
+import { compareSemesters } from "../recoil/curriculumPlanAtom";
+import { attachCourseDetails, getCourseIdentifier } from "./courseUtils";
+import { getCatalogueGroupKey } from "./catalogueSearch";
+import { RATING_DIMENSIONS } from "./ratingFilter";
+
+const teaches = (course, lecturerName) =>
+  (course.lecturers || []).some(
+    (lecturer) => lecturer?.displayName === lecturerName
+  );
+
+/**
+ * Rating dimensions averaged over courses, weighted by their number of ratings.
+ *
+ * @param {Array} courses - Courses with avgRatings and nbOfRatings attached
+ * @returns {{dimensions: Object<string, number>, nbOfRatings: number, ratedCourses: number}}
+ *   dimensions maps each rated dimension to its average, rounded to one decimal
+ */
+export const aggregateRatings = (courses) => {
+  const sums = {};
+  let nbOfRatings = 0;
+  let ratedCourses = 0;
+
+  courses.forEach((course) => {
+    if (!course.avgRatings) return;
+    // Courses without a rating count still count as one rating
+    const weight = course.nbOfRatings || 1;
+    ratedCourses += 1;
+    nbOfRatings += course.nbOfRatings || 0;
+    RATING_DIMENSIONS.forEach((dimension) => {
+      const value = course.avgRatings[dimension];
+      if (typeof value !== "number") return;
+      sums[dimension] = sums[dimension] || { total: 0, weight: 0 };
+      sums[dimension].total += value * weight;
+      sums[dimension].weight += weight;
+    });
+  });
+
+  const dimensions = {};
+  Object.entries(sums).forEach(([dimension, { total, weight }]) => {
+    dimensions[dimension] = Math.round((total / weight) * 10) / 10;
+  });
+  return { dimensions, nbOfRatings, ratedCourses };
+};
+
+/**
+ * How often each exam format occurs over courses.
+ *
+ * @param {Array} courses - Courses with achievementFormStatus and, when
+ *   prefetched, examinationParts
+ * @returns {{central: number, decentral: number, withParts: number,
+ *   types: Array<{examinationTypeId: number, courses: number, averageWeight: number}>}}
+ *   types are sorted by the number of courses using them
+ */
+export const aggregateExamFormats = (courses) => {
+  let central = 0;
+  let decentral = 0;
+  let withParts = 0;
+  const types = new Map();
+
+  courses.forEach((course) => {
+    if (course.achievementFormStatus?.isCentral) central += 1;
+    if (course.achievementFormStatus?.isDeCentral) decentral += 1;
+
+    const parts = course.examinationParts;
+    if (!parts?.length) return;
+    withParts += 1;
+
+    // Several parts of the same type count once per course
+    const weightByType = new Map();
+    parts.forEach((part) => {
+      weightByType.set(
+        part.examinationTypeId,
+        (weightByType.get(part.examinationTypeId) || 0) + (part.weightage || 0)
+      );
+    });
+    weightByType.forEach((weight, examinationTypeId) => {
+      const type = types.get(examinationTypeId) || { courses: 0, weight: 0 };
+      type.courses += 1;
+      type.weight += weight;
+      types.set(examinationTypeId, type);
+    });
+  });
+
+  return {
+    central,
+    decentral,
+    withParts,
+    types: Array.from(types, ([examinationTypeId, { courses, weight }]) => ({
+      examinationTypeId,
+      courses,
+      averageWeight: Math.round(weight / courses / 100),
+    })).sort((a, b) => b.courses - a.courses),
+  };
+};
+
+/**
+ * Profile of a lecturer over the loaded semesters.
+ *
+ * @param {string} lecturerName - Lecturer displayName
+ * @param {Object} semesters - unifiedCourseDataState.semesters
+ * @returns {{name: string,
+ *   offerings: Array<{semester: string, course: Object, isLatest: boolean}>,
+ *   courseCount: number, ratings: Object, examFormats: Object}}
+ *   offerings are newest semester first, isLatest marks the offerings the
+ *   aggregates use; projected semesters are skipped since they repeat their
+ *   reference semester
+ */
+export const buildLecturerProfile = (lecturerName, semesters = {}) => {
+  const offerings = [];
+
+  Object.keys(semesters)
+    .filter((semester) => !semesters[semester]?.isProjected)
+    .sort((a, b) => compareSemesters(b, a))
+    .forEach((semester) => {
+      const semesterData = semesters[semester];
+      const seen = new Set();
+      (semesterData.available || []).forEach((course) => {
+        const id = getCourseIdentifier(course);
+        if (seen.has(id) || !teaches(course, lecturerName)) return;
+        seen.add(id);
+        offerings.push({
+          semester,
+          course: attachCourseDetails(course, semesterData),
+        });
+      });
+    });
+
+  // Newest offering of each course, for the aggregates
+  const latestKeys = new Set();
+  offerings.forEach((offering) => {
+    const key =
+      getCatalogueGroupKey(offering.course) ||
+      getCourseIdentifier(offering.course);
+    offering.isLatest = !latestKeys.has(key);
+    latestKeys.add(key);
+  });
+  const courses = offerings
+    .filter((offering) => offering.isLatest)
+    .map((offering) => offering.course);
+
+  return {
+    name: lecturerName,
+    offerings,
+    courseCount: courses.length,
+    ratings: aggregateRatings(courses),
+    examFormats: aggregateExamFormats(courses),
+  };
+};
@@ -0,0 +1,219 @@
+/**
+ * Course offering history and season prediction.
+ *
+ * The history records in which of the loaded term catalogues each course
+ * (by root key, see getCatalogueGroupKey) appeared. Predictions for a
+ * semester look at the observed semesters of the same season, with recent
+ * years weighing more. Semester keys are normalized without spaces ("HS24"),
+ * like the curriculum map uses them.
+ */
+
+import {
+  compareSemesters,
+  getNextSemesterKey,
+  parseSemesterKey,
+} from "../recoil/curriculumPlanAtom";
+import { getCatalogueGroupKey } from "./catalogueSearch";
+
+// Each year further back counts this much less
+const RECENCY_DECAY = 0.75;
+
+// Observed semesters of a season needed for full confidence
+const FULL_CONFIDENCE_SEMESTERS = 4;
+
+// Below this likelihood a course counts as rarely offered in a season
+export const RARELY_OFFERED_THRESHOLD = 0.25;
+
+// Warnings need at least this confidence (two observed semesters)
+const WARNING_MIN_CONFIDENCE = 0.5;
+
+const normalizeSemesterKey = (semester) => (semester || "").replace(/\s+/g, "");
+
+const isSemesterKey = (semesterKey) => /^(HS|FS)\d{2}$/.test(semesterKey);
+
+/**
+ * Builds the offering history from semester catalogues.
+ *
+ * @param {Array<{semester: string, courses: Array}>} catalogues - Course lists per semester
+ * @returns {{observedSemesters: string[], offeringsByKey: Object<string, string[]>}}
+ *   Semesters oldest first; offeringsByKey maps a course key to its semesters
+ */
+export const buildOfferingHistory = (catalogues) => {
+  const observed = new Set();
+  const offerings = new Map();
+
+  (catalogues || []).forEach(({ semester, courses }) => {
+    const semesterKey = normalizeSemesterKey(semester);
+    if (!isSemesterKey(semesterKey) || !courses?.length) return;
+    observed.add(semesterKey);
+    courses.forEach((course) => {
+      const key = getCatalogueGroupKey(course);
+      if (!key) return;
+      if (!offerings.has(key)) offerings.set(key, new Set());
+      offerings.get(key).add(semesterKey);
+    });
+  });
+
+  const sort = (semesterKeys) => [...semesterKeys].sort(compareSemesters);
+  return {
+    observedSemesters: sort(observed),
+    offeringsByKey: Object.fromEntries(
+      Array.from(offerings, ([key, semesterKeys]) => [key, sort(semesterKeys)])
+    ),
+  };
+};
+
+/**
+ * Semesters a course was offered in, or null if it never appeared in the
+ * observed catalogues.
+ *
+ * @param {Object} history - Result of buildOfferingHistory
+ * @param {Object} course - Course or curriculum plan item
+ * @returns {string[]|null} Semester keys, oldest first
+ */
+export const getCourseOfferings = (history, course) => {
+  const key = getCatalogueGroupKey(course);
+  return (key && history?.offeringsByKey[key]) || null;
+};
+
+/**
+ * Predicts whether a course is offered in a semester.
+ *
+ * A semester whose catalogue was observed is known for sure. Otherwise the
+ * likelihood is the recency-weighted share of observed semesters of the same
+ * season that offered the course; confidence grows with the number of those
+ * semesters.
+ *
+ * @param {string[]} offeredIn - Semester keys the course was offered in
+ * @param {string[]} observedSemesters - All observed semester keys
+ * @param {string} semester - Semester to predict, e.g. "HS26" or "HS 26"
+ * @returns {{semester: string, season: string, likelihood: number|null,
+ *   confidence: number, offeredCount: number, observedCount: number, isKnown: boolean}}
+ */
+export const predictOffering = (offeredIn, observedSemesters, semester) => {
+  const semesterKey = normalizeSemesterKey(semester);
+  const { type: season, fullYear } = parseSemesterKey(semesterKey);
+  const offered = new Set(offeredIn);
+
+  if (observedSemesters.includes(semesterKey)) {
+    const isOffered = offered.has(semesterKey);
+    return {
+      semester: semesterKey,
+      season,
+      likelihood: isOffered ? 1 : 0,
+      confidence: 1,
+      offeredCount: isOffered ? 1 : 0,
+      observedCount: 1,
+      isKnown: true,
+    };
+  }
+
+  const sameSeason = observedSemesters.filter(
+    (observedKey) => parseSemesterKey(observedKey).type === season
+  );
+  let weightedOffered = 0;
+  let totalWeight = 0;
+  sameSeason.forEach((observedKey) => {
+    const yearsApart = Math.abs(fullYear - parseSemesterKey(observedKey).fullYear);
+    const weight = Math.pow(RECENCY_DECAY, yearsApart);
+    totalWeight += weight;
+    if (offered.has(observedKey)) weightedOffered += weight;
+  });
+
+  return {
+    semester: semesterKey,
+    season,
+    likelihood: totalWeight > 0 ? weightedOffered / totalWeight : null,
+    confidence: Math.min(1, sameSeason.length / FULL_CONFIDENCE_SEMESTERS),
+    offeredCount: sameSeason.filter((observedKey) => offered.has(observedKey))
+      .length,
+    observedCount: sameSeason.length,
+    isKnown: false,
+  };
+};
+
+/**
+ * Predictions for the semesters following a semester.
+ *
+ * @param {string[]} offeredIn - Semester keys the course was offered in
+ * @param {string[]} observedSemesters - All observed semester keys
+ * @param {string} fromSemester - Last semester before the predicted ones
+ * @param {number} [count=2] - Number of semesters to predict
+ * @returns {Array} Results of predictOffering, chronological
+ */
+export const predictUpcomingOfferings = (
+  offeredIn,
+  observedSemesters,
+  fromSemester,
+  count = 2
+) => {
+  const predictions = [];
+  let semesterKey = normalizeSemesterKey(fromSemester);
+  for (let i = 0; i < count; i++) {
+    semesterKey = getNextSemesterKey(semesterKey);
+    predictions.push(predictOffering(offeredIn, observedSemesters, semesterKey));
+  }
+  return predictions;
+};
+
+/**
+ * Whether a prediction is a reliable "probably not offered".
+ * @param {Object} prediction - Result of predictOffering
+ * @returns {boolean}
+ */
+export const isRarelyOffered = (prediction) =>
+  prediction.likelihood !== null &&
+  prediction.likelihood < RARELY_OFFERED_THRESHOLD &&
+  prediction.confidence >= WARNING_MIN_CONFIDENCE;
+
+/**
+ * Availability warnings for courses planned in future semesters of the
+ * curriculum map.
+ *
+ * @param {Object} coursesBySemesterAndCategory - Curriculum map grid
+ * @param {Array<{key: string, status: string}>} semesters - Curriculum map semesters
+ * @param {Object} history - Result of buildOfferingHistory
+ * @returns {Array<Object>} { semesterKey, categoryPath, courseId, likelihood, confidence, warning }
+ */
+export const buildAvailabilityWarnings = (
+  coursesBySemesterAndCategory,
+  semesters,
+  history
+) => {
+  if (!history?.observedSemesters.length) return [];
+  const warnings = [];
+
+  semesters
+    .filter((semester) => semester.status === "future")
+    .forEach(({ key: semesterKey }) => {
+      Object.entries(coursesBySemesterAndCategory[semesterKey] || {}).forEach(
+        ([categoryPath, courses]) => {
+          courses.forEach((course) => {
+            if (!course.isPlanned) return;
+            const offeredIn = getCourseOfferings(history, course);
+            if (!offeredIn) return;
+
+            const prediction = predictOffering(
+              offeredIn,
+              history.observedSemesters,
+              semesterKey
+            );
+            if (!isRarelyOffered(prediction)) return;
+
+            warnings.push({
+              semesterKey,
+              categoryPath,
+              courseId: course.courseId || course.id,
+              likelihood: prediction.likelihood,
+              confidence: prediction.confidence,
+              warning: prediction.isKnown
+                ? `${course.name} is not offered in ${semesterKey}`
+                : `${course.name} is rarely offered in ${prediction.season} (${prediction.offeredCount} of the last ${prediction.observedCount} ${prediction.season} semesters)`,
+            });
+          });
+        }
+      );
+    });
+
+  return warnings;
+};
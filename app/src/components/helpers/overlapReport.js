@@ -0,0 +1,228 @@
+/**
+ * Quantified overlap report for pairs of courses in the calendar.
+ *
+ * Instead of a single "overlapping" flag, each pair of courses with
+ * overlapping sessions gets the number of affected sessions on both sides
+ * (out of their totals), the overlapping minutes and the affected dates. A
+ * severity derived from user thresholds then tells a one-off short clash
+ * (minor) from a clash every week (blocking).
+ *
+ * Uses the overlap rules of the calendar (calendarOverlap.js): touching
+ * sessions do not overlap, identical slots always do.
+ */
+
+import moment from "moment/moment";
+import { buildTimedEntries } from "./calendarOverlap";
+
+export const SEVERITY_LEVELS = {
+  MINOR: "minor",
+  MAJOR: "major",
+  BLOCKING: "blocking",
+};
+
+const SEVERITY_ORDER = [
+  SEVERITY_LEVELS.MINOR,
+  SEVERITY_LEVELS.MAJOR,
+  SEVERITY_LEVELS.BLOCKING,
+];
+
+export const SEVERITY_COLORS = {
+  [SEVERITY_LEVELS.MINOR]: "#E9B949", // Muted yellow
+  [SEVERITY_LEVELS.MAJOR]: "#FCA311", // Orange, the former single collision color
+  [SEVERITY_LEVELS.BLOCKING]: "#DC2626", // Red
+};
+
+export const SEVERITY_LABELS = {
+  [SEVERITY_LEVELS.MINOR]: "Minor",
+  [SEVERITY_LEVELS.MAJOR]: "Major",
+  [SEVERITY_LEVELS.BLOCKING]: "Blocking",
+};
+
+/**
+ * blockingShare: share of a course's sessions that must overlap for a
+ *   blocking clash; majorShare / majorMinutes: share of sessions or total
+ *   overlapping minutes from which a clash is major. Anything below is minor.
+ */
+export const DEFAULT_SEVERITY_THRESHOLDS = {
+  blockingShare: 0.5,
+  majorShare: 0.2,
+  majorMinutes: 180,
+};
+
+/**
+ * The more severe of two levels.
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {string|null}
+ */
+export const maxSeverity = (a, b) =>
+  SEVERITY_ORDER.indexOf(a) >= SEVERITY_ORDER.indexOf(b) ? a : b;
+
+/**
+ * Severity of a pair's overlap.
+ *
+ * @param {{share: number, overlapMinutes: number}} overlap - share is the
+ *   larger of the two courses' overlapping/total session ratios
+ * @param {Object} [thresholds=DEFAULT_SEVERITY_THRESHOLDS]
+ * @returns {string} One of SEVERITY_LEVELS
+ */
+export const getOverlapSeverity = (
+  { share, overlapMinutes },
+  thresholds = DEFAULT_SEVERITY_THRESHOLDS
+) => {
+  if (share >= thresholds.blockingShare) return SEVERITY_LEVELS.BLOCKING;
+  if (share >= thresholds.majorShare || overlapMinutes >= thresholds.majorMinutes) {
+    return SEVERITY_LEVELS.MAJOR;
+  }
+  return SEVERITY_LEVELS.MINOR;
+};
+
+const getCourseName = (course) =>
+  course?.shortName || course?.courseName || course?.courseNumber || "";
+
+// Sessions by start, with their bounds in epoch milliseconds
+const timedSessions = (courses) =>
+  buildTimedEntries(courses)
+    .map(({ id, courseIdx, start, end }) => ({
+      id,
+      courseIdx,
+      start: start.valueOf(),
+      end: end.valueOf(),
+    }))
+    .sort((a, b) => a.start - b.start);
+
+const overlapMilliseconds = (a, b) => {
+  const overlap = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+  if (overlap > 0) return overlap;
+  // Identical (zero-length) slots still count, as in the calendar
+  return a.start === b.start && a.end === b.end ? 0 : null;
+};
+
+/**
+ * Builds the overlap report of the calendar courses.
+ *
+ * @param {Array} courses - Courses with calendarEntry sessions, in the order
+ *   of calendarEntriesSelector
+ * @param {Object} [thresholds=DEFAULT_SEVERITY_THRESHOLDS]
+ * @returns {{pairs: Array<{key: string, courseIdx: [number, number],
+ *   courses: [Object, Object],
+ *   sessions: [{overlapping: number, total: number}, {overlapping: number, total: number}],
+ *   overlapMinutes: number, dates: string[], share: number, severity: string}>,
+ *   entryPairs: Map<string, Array>}} Pairs, most severe first; entryPairs
+ *   maps a session id to the pairs it takes part in
+ */
+export const buildOverlapReport = (
+  courses,
+  thresholds = DEFAULT_SEVERITY_THRESHOLDS
+) => {
+  const sessions = timedSessions(courses);
+  const pairs = new Map();
+  const entryKeys = new Map();
+
+  for (let i = 0; i < sessions.length; i++) {
+    for (let j = i + 1; j < sessions.length; j++) {
+      const a = sessions[i];
+      const b = sessions[j];
+      if (b.start > a.end) break;
+      if (a.courseIdx === b.courseIdx) continue;
+      const overlap = overlapMilliseconds(a, b);
+      if (overlap === null) continue;
+
+      const [first, second] = a.courseIdx < b.courseIdx ? [a, b] : [b, a];
+      const key = `${first.courseIdx}-${second.courseIdx}`;
+      if (!pairs.has(key)) {
+        pairs.set(key, {
+          key,
+          courseIdx: [first.courseIdx, second.courseIdx],
+          sessionIds: [new Set(), new Set()],
+          overlapMs: 0,
+          dates: new Set(),
+        });
+      }
+      const pair = pairs.get(key);
+      pair.sessionIds[0].add(first.id);
+      pair.sessionIds[1].add(second.id);
+      pair.overlapMs += overlap;
+      pair.dates.add(moment(Math.max(a.start, b.start)).format("YYYY-MM-DD"));
+
+      [a.id, b.id].forEach((id) => {
+        if (!entryKeys.has(id)) entryKeys.set(id, new Set());
+        entryKeys.get(id).add(key);
+      });
+    }
+  }
+
+  const report = [...pairs.values()].map((pair) => {
+    const pairCourses = pair.courseIdx.map((idx) => courses[idx]);
+    const pairSessions = pairCourses.map((course, side) => ({
+      overlapping: pair.sessionIds[side].size,
+      total: (course.calendarEntry || []).length,
+    }));
+    const share = Math.max(
+      ...pairSessions.map(({ overlapping, total }) =>
+        total > 0 ? overlapping / total : 0
+      )
+    );
+    const overlapMinutes = Math.round(pair.overlapMs / 60000);
+    return {
+      key: pair.key,
+      courseIdx: pair.courseIdx,
+      courses: pairCourses,
+      sessions: pairSessions,
+      overlapMinutes,
+      dates: [...pair.dates].sort(),
+      share,
+      severity: getOverlapSeverity({ share, overlapMinutes }, thresholds),
+    };
+  });
+
+  report.sort(
+    (a, b) =>
+      SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity) ||
+      b.share - a.share ||
+      b.overlapMinutes - a.overlapMinutes
+  );
+
+  const byKey = new Map(report.map((pair) => [pair.key, pair]));
+  const entryPairs = new Map();
+  entryKeys.forEach((keys, id) =>
+    entryPairs.set(id, [...keys].map((key) => byKey.get(key)))
+  );
+
+  return { pairs: report, entryPairs };
+};
+
+/**
+ * Short description of a pair from one course's point of view, e.g.
+ * "3 of 14 sessions, 135 min".
+ *
+ * @param {Object} pair - Item of buildOverlapReport().pairs
+ * @param {number} side - 0 or 1, the course whose sessions are counted
+ * @returns {string}
+ */
+export const describeOverlap = (pair, side) => {
+  const { overlapping, total } = pair.sessions[side];
+  return `${overlapping} of ${total} session${total === 1 ? "" : "s"}, ${
+    pair.overlapMinutes
+  } min`;
+};
+
+/**
+ * Overlap details of a calendar session: the other course, the pair's
+ * figures from this course's side and the severity.
+ *
+ * @param {Object} report - buildOverlapReport result
+ * @param {string} entryId - `${courseIdx}-${entryIdx}`
+ * @returns {Array<{with: string, summary: string, severity: string}>}
+ */
+export const getEntryOverlaps = (report, entryId) => {
+  const courseIdx = Number(entryId.split("-")[0]);
+  return (report.entryPairs.get(entryId) || []).map((pair) => {
+    const side = pair.courseIdx[0] === courseIdx ? 0 : 1;
+    return {
+      with: getCourseName(pair.courses[1 - side]),
+      summary: describeOverlap(pair, side),
+      severity: pair.severity,
+    };
+  });
+};
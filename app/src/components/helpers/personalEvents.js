@@ -0,0 +1,406 @@
+/**
+ * Personal commitments (job, training, association meetings) that block
+ * time like course sessions.
+ *
+ * A personal event is stored as
+ *   { id, title, location, start, durationInMinutes, repeat, exceptions, uid }
+ * with `start` a local date-time ("2025-09-15T18:00:00", the format of
+ * course eventDates) and `repeat` null for a single event or
+ *   { intervalWeeks, from, until }
+ * for a weekly one. Weekly events without `from` (drawn on the calendar)
+ * repeat over the whole semester; `until` is the last day (inclusive).
+ *
+ * Events are expanded into calendarEntry-like sessions per semester and
+ * merged into the calendar, collision and heatmap data as pseudo-courses
+ * (see recoil/personalEventsSelector.js).
+ */
+
+import moment from "moment";
+import { v4 as uuidv4 } from "uuid";
+
+export const LOCAL_DATE_TIME_FORMAT = "YYYY-MM-DDTHH:mm:ss";
+
+// Prefix of the pseudo-course numbers of personal events
+export const PERSONAL_EVENT_PREFIX = "personal-";
+
+// Safety net against runaway recurrences
+const MAX_OCCURRENCES = 400;
+
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * Whether a course or calendar entry comes from a personal event.
+ * @param {Object} courseOrEntry
+ * @returns {boolean}
+ */
+export const isPersonalEvent = (courseOrEntry) =>
+  Boolean(courseOrEntry?.isPersonal);
+
+/**
+ * Personal event for a block drawn on the calendar.
+ *
+ * @param {Object} block
+ * @param {string} block.title
+ * @param {Date} block.start
+ * @param {Date} block.end
+ * @param {boolean} block.weekly - Repeat every week of the semester
+ * @returns {Object} Personal event
+ */
+export const createPersonalEvent = ({ title, start, end, weekly }) => ({
+  id: uuidv4(),
+  title: title.trim() || "Busy",
+  location: "",
+  start: moment(start).format(LOCAL_DATE_TIME_FORMAT),
+  durationInMinutes: Math.max(moment(end).diff(moment(start), "minutes"), 5),
+  repeat: weekly ? { intervalWeeks: 1, from: null, until: null } : null,
+  exceptions: [],
+  uid: null,
+});
+
+/**
+ * First and last day with course sessions in a semester, the window in
+ * which open-ended weekly events repeat.
+ *
+ * @param {Array} courses - Available courses of the semester
+ * @returns {{start: moment.Moment, end: moment.Moment}|null}
+ */
+export const getSemesterDateRange = (courses) => {
+  let min = null;
+  let max = null;
+  courses.forEach((course) =>
+    (course.calendarEntry || []).forEach(({ eventDate }) => {
+      const time = new Date(eventDate).getTime();
+      if (isNaN(time)) return;
+      if (min === null || time < min) min = time;
+      if (max === null || time > max) max = time;
+    })
+  );
+  if (min === null) return null;
+  return {
+    start: moment(min).startOf("isoWeek"),
+    end: moment(max).endOf("isoWeek"),
+  };
+};
+
+/**
+ * Sessions of a personal event within a semester.
+ *
+ * @param {Object} event - Personal event
+ * @param {{start: moment.Moment, end: moment.Moment}|null} range -
+ *   getSemesterDateRange; without it only single and bounded weekly
+ *   events have sessions
+ * @returns {Array<{eventDate: string, durationInMinutes: number}>}
+ */
+export const expandPersonalEvent = (event, range) => {
+  const start = moment(event.start, LOCAL_DATE_TIME_FORMAT);
+  const exceptions = new Set(event.exceptions || []);
+  const toSession = (date) => ({
+    eventDate: date.format(LOCAL_DATE_TIME_FORMAT),
+    durationInMinutes: event.durationInMinutes,
+  });
+  const inRange = (date) =>
+    !range || (!date.isBefore(range.start) && !date.isAfter(range.end));
+
+  if (!event.repeat) {
+    return inRange(start) && !exceptions.has(event.start)
+      ? [toSession(start)]
+      : [];
+  }
+
+  const { intervalWeeks = 1, from = null, until = null } = event.repeat;
+  const lowerBounds = [
+    from && moment(from, LOCAL_DATE_TIME_FORMAT),
+    range?.start,
+  ].filter(Boolean);
+  const upperBounds = [
+    until && moment(until, "YYYY-MM-DD").endOf("day"),
+    range?.end,
+  ].filter(Boolean);
+  // Open-ended on either side and no semester to bound it
+  if (!from && !range) return [];
+  if (!until && !range) return [];
+
+  const lower = moment.max(lowerBounds);
+  const upper = moment.min(upperBounds);
+
+  // First occurrence on the event's weekly rhythm at or after the lower bound
+  const weeksToLower = Math.floor(lower.diff(start, "days") / 7);
+  let step = Math.floor(weeksToLower / intervalWeeks) - 1;
+
+  const sessions = [];
+  for (let i = 0; i < MAX_OCCURRENCES; i++, step++) {
+    const date = moment(start).add(step * intervalWeeks, "weeks");
+    if (date.isAfter(upper)) break;
+    if (date.isBefore(lower)) continue;
+    if (!exceptions.has(date.format(LOCAL_DATE_TIME_FORMAT))) {
+      sessions.push(toSession(date));
+    }
+  }
+  return sessions;
+};
+
+/**
+ * Pseudo-course of a personal event, shaped like a course so the calendar,
+ * collision and heatmap code can treat both alike.
+ *
+ * @param {Object} event - Personal event
+ * @param {Object|null} range - getSemesterDateRange
+ * @returns {Object}
+ */
+export const toPersonalCourse = (event, range) => {
+  const courseNumber = `${PERSONAL_EVENT_PREFIX}${event.id}`;
+  return {
+    id: courseNumber,
+    courseNumber,
+    shortName: event.title,
+    isPersonal: true,
+    personalEventId: event.id,
+    calendarEntry: expandPersonalEvent(event, range).map((session) => ({
+      ...session,
+      courseNumber,
+      room: event.location || "",
+      isPersonal: true,
+      personalEventId: event.id,
+      isRecurring: Boolean(event.repeat),
+    })),
+  };
+};
+
+// ---------------------------------------------------------------------------
+// .ics import
+// ---------------------------------------------------------------------------
+
+const unescapeIcsText = (value) =>
+  value
+    .replace(/\\n/gi, "\n")
+    .replace(/\\([,;\\])/g, "$1");
+
+// Unfolds continuation lines and splits "NAME;PARAM=x:value"
+const parseIcsLines = (text) =>
+  text
+    .replace(/\r\n[ \t]/g, "")
+    .replace(/\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => {
+      const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+      const head = colon === -1 ? line : line.slice(0, colon);
+      const [name, ...paramParts] = head.split(";");
+      const params = Object.fromEntries(
+        paramParts.map((part) => {
+          const [key, ...rest] = part.split("=");
+          return [key.toUpperCase(), rest.join("=")];
+        })
+      );
+      return {
+        name: name.toUpperCase(),
+        params,
+        value: colon === -1 ? "" : line.slice(colon + 1),
+      };
+    });
+
+/**
+ * Parses an iCalendar date or date-time. UTC times ("...Z") are converted
+ * to local time; times with a TZID or without zone are taken as local.
+ *
+ * @param {string} value
+ * @returns {{date: moment.Moment, isAllDay: boolean}|null}
+ */
+export const parseIcsDate = (value) => {
+  const match = /^(\d{8})(?:T(\d{6})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, day, time, utc] = match;
+  if (!time) return { date: moment(day, "YYYYMMDD"), isAllDay: true };
+  const date = utc
+    ? moment.utc(`${day}${time}`, "YYYYMMDDHHmmss").local()
+    : moment(`${day}${time}`, "YYYYMMDDHHmmss");
+  return { date, isAllDay: false };
+};
+
+// ISO 8601 durations as used by iCalendar: P1W, PT1H30M, P1DT2H
+const parseIcsDuration = (value) => {
+  const match =
+    /^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+      value.trim()
+    );
+  if (!match) return null;
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match.map((part) =>
+    part === undefined ? 0 : part
+  );
+  return (
+    Number(weeks) * 10080 +
+    Number(days) * 1440 +
+    Number(hours) * 60 +
+    Number(minutes)
+  );
+};
+
+const parseRrule = (value) =>
+  Object.fromEntries(
+    value.split(";").map((part) => {
+      const [key, rest = ""] = part.split("=");
+      return [key.toUpperCase(), rest];
+    })
+  );
+
+/**
+ * Turns one VEVENT into personal events. A weekly rule on several days
+ * becomes one event per day; daily rules become weekly rules on every day.
+ * Other rules (monthly, yearly, every n days) keep only their first
+ * occurrence.
+ *
+ * @returns {{events: Array<Object>, isSimplified: boolean}}
+ */
+const toPersonalEvents = (props) => {
+  const start = parseIcsDate(props.DTSTART.value);
+  const base = {
+    title: unescapeIcsText(props.SUMMARY?.value || "") || "Busy",
+    location: unescapeIcsText(props.LOCATION?.value || ""),
+    uid: props.UID?.value || null,
+  };
+
+  let durationInMinutes = null;
+  if (props.DTEND) {
+    const end = parseIcsDate(props.DTEND.value);
+    if (end) durationInMinutes = end.date.diff(start.date, "minutes");
+  } else if (props.DURATION) {
+    durationInMinutes = parseIcsDuration(props.DURATION.value);
+  }
+  // Missing, or an end at or before the start
+  if (!(durationInMinutes > 0)) durationInMinutes = 60;
+
+  const exceptions = (props.EXDATE || [])
+    .flatMap((exdate) => exdate.value.split(","))
+    .map(parseIcsDate)
+    .filter(Boolean)
+    .map(({ date }) => date.format(LOCAL_DATE_TIME_FORMAT));
+
+  const single = {
+    ...base,
+    id: uuidv4(),
+    start: start.date.format(LOCAL_DATE_TIME_FORMAT),
+    durationInMinutes,
+    repeat: null,
+    exceptions,
+  };
+
+  if (!props.RRULE) return { events: [single], isSimplified: false };
+
+  const rule = parseRrule(props.RRULE.value);
+  const interval = Number(rule.INTERVAL) || 1;
+  const isDaily = rule.FREQ === "DAILY" && interval === 1;
+  if (rule.FREQ !== "WEEKLY" && !isDaily) {
+    return { events: [single], isSimplified: true };
+  }
+
+  const startDay = ICS_WEEKDAYS[start.date.day()];
+  const days = isDaily
+    ? ICS_WEEKDAYS
+    : rule.BYDAY
+    ? rule.BYDAY.split(",").map((day) => day.slice(-2).toUpperCase())
+    : [startDay];
+
+  // First occurrence on each day, in the week of DTSTART or the next one
+  const firstDates = days
+    .filter((day) => ICS_WEEKDAYS.includes(day))
+    .map((day) => {
+      const date = moment(start.date).day(ICS_WEEKDAYS.indexOf(day));
+      return date.isBefore(start.date)
+        ? date.add(isDaily ? 1 : interval, "weeks")
+        : date;
+    });
+  // BYDAY without a valid day, e.g. "BYDAY=XX"; nothing to repeat on
+  if (firstDates.length === 0) return { events: [single], isSimplified: true };
+
+  let until = null;
+  if (rule.UNTIL) {
+    until = parseIcsDate(rule.UNTIL)?.date.format("YYYY-MM-DD") || null;
+  } else if (rule.COUNT) {
+    // Last day reached by COUNT occurrences over all days of the rule
+    const occurrences = [];
+    const count = Math.min(
+      Math.max(Number(rule.COUNT) || 1, 1),
+      MAX_OCCURRENCES
+    );
+    for (let week = 0; occurrences.length < count; week++) {
+      firstDates
+        .map((date) => moment(date).add(week * (isDaily ? 1 : interval), "weeks"))
+        .sort((a, b) => a - b)
+        .forEach((date) => occurrences.push(date));
+    }
+    occurrences.sort((a, b) => a - b);
+    until = occurrences[count - 1].format("YYYY-MM-DD");
+  }
+
+  return {
+    events: firstDates.map((date) => ({
+      ...single,
+      id: uuidv4(),
+      start: date.format(LOCAL_DATE_TIME_FORMAT),
+      repeat: {
+        intervalWeeks: isDaily ? 1 : interval,
+        from: date.format(LOCAL_DATE_TIME_FORMAT),
+        until,
+      },
+    })),
+    isSimplified: false,
+  };
+};
+
+/**
+ * Reads the events of an .ics file as personal events.
+ *
+ * @param {string} text - File content
+ * @returns {{events: Array<Object>, skipped: number, simplified: number}}
+ *   skipped: all-day or unreadable events; simplified: recurrences of which
+ *   only the first occurrence was kept
+ */
+export const parseIcsPersonalEvents = (text) => {
+  const events = [];
+  let skipped = 0;
+  let simplified = 0;
+  let current = null;
+
+  parseIcsLines(text).forEach(({ name, params, value }) => {
+    if (name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+      current = {};
+    } else if (name === "END" && value.toUpperCase() === "VEVENT") {
+      // Stray END without a BEGIN
+      if (!current) return;
+      const start = current.DTSTART && parseIcsDate(current.DTSTART.value);
+      const isCancelled = current.STATUS?.value.toUpperCase() === "CANCELLED";
+      if (!start || start.isAllDay || isCancelled || current["RECURRENCE-ID"]) {
+        skipped += 1;
+      } else {
+        const result = toPersonalEvents(current);
+        events.push(...result.events);
+        if (result.isSimplified) simplified += 1;
+      }
+      current = null;
+    } else if (current) {
+      if (name === "EXDATE") {
+        current.EXDATE = [...(current.EXDATE || []), { params, value }];
+      } else if (!current[name]) {
+        current[name] = { params, value };
+      }
+    }
+  });
+
+  return { events, skipped, simplified };
+};
+
+/**
+ * Adds imported events; events of an earlier import of the same calendar
+ * entry (same UID) are replaced instead of duplicated.
+ *
+ * @param {Array<Object>} existing - Stored personal events
+ * @param {Array<Object>} imported - parseIcsPersonalEvents events
+ * @returns {Array<Object>}
+ */
+export const mergeImportedEvents = (existing, imported) => {
+  const importedUids = new Set(imported.map((event) => event.uid).filter(Boolean));
+  return [
+    ...existing.filter((event) => !event.uid || !importedUids.has(event.uid)),
+    ...imported,
+  ];
+};
@@ -0,0 +1,68 @@
+/**
+ * Per-dimension rating filter.
+ *
+ * Dimension averages (avgRatings) and rating counts (nbOfRatings) come from
+ * the SHSG ratings list and are attached to the courses before filtering.
+ */
+
+import { RATING_TOOLTIP_TEXTS } from "../../constants/ratingTooltips";
+
+export const RATING_DIMENSIONS = Object.keys(RATING_TOOLTIP_TEXTS);
+
+export const RATING_SCALE = { min: 1, max: 5, step: 0.5 };
+
+export const DEFAULT_RATING_FILTER = {
+  dimensions: {}, // { [dimension]: [min, max] }, missing = no restriction
+  minRatings: 0, // minimum number of ratings
+  includeUnrated: true, // whether courses without ratings pass
+};
+
+/**
+ * Whether a course has no rating data at all.
+ * @param {Object} course
+ * @returns {boolean}
+ */
+export const isUnrated = (course) =>
+  (course.avgRating === null || course.avgRating === undefined) &&
+  !course.avgRatings;
+
+/**
+ * Whether a dimension range actually restricts anything.
+ * @param {number[]|undefined} range - [min, max]
+ * @returns {boolean}
+ */
+export const isRangeActive = (range) =>
+  !!range && (range[0] > RATING_SCALE.min || range[1] < RATING_SCALE.max);
+
+/**
+ * Whether a course passes the rating filter.
+ *
+ * @param {Object} course - Course with avgRating, avgRatings and nbOfRatings
+ * @param {Object} [ratingFilter] - selectionOptions.ratingFilter
+ * @returns {boolean}
+ */
+export const matchesRatingFilter = (course, ratingFilter) => {
+  if (!ratingFilter) return true;
+  const { dimensions, minRatings, includeUnrated } = {
+    ...DEFAULT_RATING_FILTER,
+    ...ratingFilter,
+  };
+
+  if (isUnrated(course)) return includeUnrated;
+
+  // Rating counts are only known when the ratings list provided them
+  if (
+    minRatings > 0 &&
+    course.nbOfRatings !== undefined &&
+    course.nbOfRatings < minRatings
+  ) {
+    return false;
+  }
+
+  return Object.entries(dimensions).every(([dimension, range]) => {
+    if (!isRangeActive(range)) return true;
+    const value = course.avgRatings?.[dimension];
+    if (value === null || value === undefined) return includeUnrated;
+    return value >= range[0] && value <= range[1];
+  });
+};
@@ -0,0 +1,375 @@
+/**
+ * Structured query language for the course search box.
+ *
+ * Parses queries like
+ *   lecturer:Müller ects:>=4 lang:EN rating:>3.5 -exercise "machine learning"
+ * into the filter criteria stored in selectionOptionsState, and serializes
+ * criteria back into a query string so the search box and the filter
+ * dropdowns stay in sync.
+ *
+ * Syntax:
+ * - `field:value`          filter on a field (aliases in English and German)
+ * - `field:"two words"`    quoted field value
+ * - `field:>=4`            numeric comparison (ects, rating): >, >=, <, <=, =
+ * - `-field:value`         exclude (lecturer, class, lang)
+ * - `"machine learning"`   exact phrase
+ * - `-word` / `-"a b"`     exclude courses mentioning the word / phrase
+ * - everything else        free-text search terms
+ */
+
+import { normalizeTerm } from "./courseSearchIndex";
+
+/**
+ * Canonical field names and their accepted aliases (English and German).
+ */
+export const QUERY_FIELD_ALIASES = {
+  lecturer: ["lecturer", "lecturers", "lect", "prof", "dozent", "dozentin", "lehrperson"],
+  class: ["class", "classification", "category", "klassifikation", "kategorie", "typ"],
+  ects: ["ects", "credits", "credit", "kp", "kreditpunkte"],
+  lang: ["lang", "language", "sprache"],
+  rating: ["rating", "ratings", "bewertung", "stars", "sterne"],
+};
+
+const ALIAS_TO_FIELD = Object.entries(QUERY_FIELD_ALIASES).reduce(
+  (map, [field, aliases]) => {
+    aliases.forEach((alias) => map.set(alias, field));
+    return map;
+  },
+  new Map()
+);
+
+// Language names users may type instead of the language code
+const LANGUAGE_ALIASES = {
+  english: "EN",
+  englisch: "EN",
+  german: "DE",
+  deutsch: "DE",
+  french: "FR",
+  franzosisch: "FR",
+  italian: "IT",
+  italienisch: "IT",
+  spanish: "ES",
+  spanisch: "ES",
+};
+
+const NUMERIC_FIELDS = new Set(["ects", "rating"]);
+const COMPARISON_OPERATORS = [">=", "<=", ">", "<", "="];
+
+/**
+ * Creates the empty criteria controlled by the search query. Spread into
+ * selectionOptionsState when a query is applied.
+ *
+ * @returns {Object} Fresh criteria object
+ */
+export const createEmptyQueryCriteria = () => ({
+  classifications: [],
+  ects: [],
+  lecturer: [],
+  ratings: [],
+  courseLanguage: [],
+  searchTerm: "",
+  phrases: [],
+  excludedTerms: [],
+  comparisons: [],
+  excludedLecturers: [],
+  excludedClassifications: [],
+  excludedLanguages: [],
+});
+
+/**
+ * Splits a raw query into tokens, keeping track of their position for
+ * error reporting.
+ *
+ * @param {string} input - Raw query
+ * @returns {{tokens: Array<Object>, errors: Array<Object>}}
+ *   tokens: { negated, field, value, quoted, start, end }
+ */
+export function tokenizeQuery(input) {
+  const tokens = [];
+  const errors = [];
+  const text = input || "";
+  let i = 0;
+
+  const readValue = () => {
+    if (text[i] === '"') {
+      const closing = text.indexOf('"', i + 1);
+      if (closing === -1) {
+        errors.push({
+          message: "Missing closing quote",
+          start: i,
+          end: text.length,
+        });
+        const value = text.slice(i + 1);
+        i = text.length;
+        return { value, quoted: true };
+      }
+      const value = text.slice(i + 1, closing);
+      i = closing + 1;
+      return { value, quoted: true };
+    }
+    const begin = i;
+    while (i < text.length && !/\s/.test(text[i])) i++;
+    return { value: text.slice(begin, i), quoted: false };
+  };
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let negated = false;
+    if (text[i] === "-" && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    // field:value — the field name is a run of letters directly followed by ':'
+    const fieldMatch = /^([\p{L}]+):/u.exec(text.slice(i));
+    if (fieldMatch) {
+      i += fieldMatch[0].length;
+      const op = COMPARISON_OPERATORS.find((o) => text.startsWith(o, i)) || null;
+      if (op) i += op.length;
+      const { value, quoted } = readValue();
+      tokens.push({
+        negated,
+        field: fieldMatch[1],
+        op,
+        value,
+        quoted,
+        start,
+        end: i,
+      });
+      continue;
+    }
+
+    const { value, quoted } = readValue();
+    tokens.push({ negated, field: null, op: null, value, quoted, start, end: i });
+  }
+
+  return { tokens, errors };
+}
+
+const parseNumber = (value) => {
+  if (!/^\d+(?:[.,]\d+)?$/.test(value)) return null;
+  return Number(value.replace(",", "."));
+};
+
+// Resolves a (partial) value against the known dropdown options.
+// Exact matches win; otherwise every option containing the value matches.
+const resolveOptions = (value, options) => {
+  const needle = normalizeTerm(value);
+  if (!needle) return [];
+  const exact = options.filter((option) => normalizeTerm(option) === needle);
+  if (exact.length > 0) return exact;
+  return options.filter((option) => normalizeTerm(option).includes(needle));
+};
+
+const pushUnique = (list, values) => {
+  values.forEach((value) => {
+    if (!list.includes(value)) list.push(value);
+  });
+};
+
+/**
+ * Parses a structured query into filter criteria.
+ *
+ * @param {string} input - Raw query from the search box
+ * @param {Object} [context] - Known option values used to resolve field values
+ * @param {string[]} [context.lecturers] - Lecturer display names
+ * @param {string[]} [context.classifications] - Classification names
+ * @param {string[]} [context.languages] - Language codes
+ * @returns {{criteria: Object, errors: Array<{message: string, start: number, end: number}>}}
+ */
+export function parseSearchQuery(input, context = {}) {
+  const { lecturers = [], classifications = [], languages = [] } = context;
+  const { tokens, errors } = tokenizeQuery(input);
+
+  const criteria = createEmptyQueryCriteria();
+  const freeTerms = [];
+
+  const addError = (token, message) =>
+    errors.push({ message, start: token.start, end: token.end });
+
+  tokens.forEach((token) => {
+    const fieldName = token.field && ALIAS_TO_FIELD.get(token.field.toLowerCase());
+
+    // Plain words and phrases (including unknown "word:" without a value,
+    // which is common in course titles like "Marketing: Exercises")
+    if (!token.field || (!fieldName && token.value === "" && !token.op)) {
+      const text = token.field ? `${token.field}:` : token.value;
+      if (!text.trim()) return;
+      const isPhrase = token.quoted && /\s/.test(text.trim());
+      if (token.negated) {
+        pushUnique(criteria.excludedTerms, [text.trim()]);
+      } else if (isPhrase) {
+        pushUnique(criteria.phrases, [text.trim()]);
+      } else {
+        freeTerms.push(text.trim());
+      }
+      return;
+    }
+
+    if (!fieldName) {
+      addError(token, `Unknown filter "${token.field}"`);
+      return;
+    }
+
+    if (!token.value) {
+      addError(token, `Missing value for "${token.field}"`);
+      return;
+    }
+
+    if (token.op && !NUMERIC_FIELDS.has(fieldName)) {
+      addError(token, `"${token.field}" does not support ${token.op}`);
+      return;
+    }
+
+    if (NUMERIC_FIELDS.has(fieldName)) {
+      const number = parseNumber(token.value);
+      if (number === null) {
+        addError(token, `"${token.value}" is not a number`);
+        return;
+      }
+      if (token.negated) {
+        addError(
+          token,
+          `Use a comparison instead of negating "${token.field}" (e.g. ${token.field}:<${token.value})`
+        );
+        return;
+      }
+
+      if (fieldName === "ects") {
+        if (!token.op || token.op === "=") {
+          pushUnique(criteria.ects, [Math.round(number * 100)]);
+        } else {
+          criteria.comparisons.push({ field: "ects", op: token.op, value: number });
+        }
+        return;
+      }
+
+      if (number < 0 || number > 5) {
+        addError(token, "Ratings range from 0 to 5");
+        return;
+      }
+      // "rating:3" and "rating:>=3" mean the same as the ratings dropdown
+      if ((!token.op || token.op === ">=") && Number.isInteger(number)) {
+        criteria.ratings = [Math.max(number, ...criteria.ratings)];
+      } else {
+        criteria.comparisons.push({
+          field: "rating",
+          op: token.op || ">=",
+          value: number,
+        });
+      }
+      return;
+    }
+
+    if (fieldName === "lang") {
+      const code =
+        LANGUAGE_ALIASES[normalizeTerm(token.value)] || token.value.toUpperCase();
+      const matches = languages.length
+        ? languages.filter((language) => language.toUpperCase() === code)
+        : [code];
+      if (matches.length === 0) {
+        addError(token, `No course language "${token.value}"`);
+        return;
+      }
+      pushUnique(
+        token.negated ? criteria.excludedLanguages : criteria.courseLanguage,
+        matches
+      );
+      return;
+    }
+
+    const isLecturer = fieldName === "lecturer";
+    const matches = resolveOptions(
+      token.value,
+      isLecturer ? lecturers : classifications
+    );
+    if (matches.length === 0) {
+      addError(
+        token,
+        `No ${isLecturer ? "lecturer" : "classification"} matches "${token.value}"`
+      );
+      return;
+    }
+    if (isLecturer) {
+      pushUnique(
+        token.negated ? criteria.excludedLecturers : criteria.lecturer,
+        matches
+      );
+    } else {
+      pushUnique(
+        token.negated
+          ? criteria.excludedClassifications
+          : criteria.classifications,
+        matches
+      );
+    }
+  });
+
+  criteria.searchTerm = freeTerms.join(" ");
+  return { criteria, errors };
+}
+
+const quoteIfNeeded = (value) =>
+  /[\s"]/.test(value) ? `"${value.replace(/"/g, "")}"` : value;
+
+const formatNumber = (value) => String(Number(value));
+
+/**
+ * Serializes filter criteria into a canonical query string. Used when the
+ * filter dropdowns change so the search box reflects the same criteria.
+ *
+ * @param {Object} options - selectionOptionsState value
+ * @returns {string} Query string
+ */
+export function serializeSearchQuery(options = {}) {
+  const parts = [];
+
+  (options.classifications || []).forEach((value) =>
+    parts.push(`class:${quoteIfNeeded(value)}`)
+  );
+  (options.excludedClassifications || []).forEach((value) =>
+    parts.push(`-class:${quoteIfNeeded(value)}`)
+  );
+  (options.lecturer || []).forEach((value) =>
+    parts.push(`lecturer:${quoteIfNeeded(value)}`)
+  );
+  (options.excludedLecturers || []).forEach((value) =>
+    parts.push(`-lecturer:${quoteIfNeeded(value)}`)
+  );
+  (options.ects || []).forEach((value) =>
+    parts.push(`ects:${formatNumber(value / 100)}`)
+  );
+  (options.courseLanguage || []).forEach((value) => parts.push(`lang:${value}`));
+  (options.excludedLanguages || []).forEach((value) =>
+    parts.push(`-lang:${value}`)
+  );
+  if ((options.ratings || []).length > 0) {
+    parts.push(`rating:>=${formatNumber(Math.max(...options.ratings))}`);
+  }
+  (options.comparisons || []).forEach(({ field, op, value }) =>
+    parts.push(`${field}:${op}${formatNumber(value)}`)
+  );
+  (options.phrases || []).forEach((phrase) => parts.push(`"${phrase}"`));
+  (options.excludedTerms || []).forEach((term) =>
+    parts.push(`-${quoteIfNeeded(term)}`)
+  );
+  if (options.searchTerm) parts.push(options.searchTerm);
+
+  return parts.join(" ");
+}
+
+/**
+ * Returns the options with `query` regenerated from the criteria. Dropdown
+ * handlers wrap their state updates with this to keep the search box in sync.
+ *
+ * @param {Object} options - selectionOptionsState value
+ * @returns {Object} Options with an updated `query`
+ */
+export function withSyncedQuery(options) {
+  return { ...options, query: serializeSearchQuery(options) };
+}
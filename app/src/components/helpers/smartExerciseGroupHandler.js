@@ -33,7 +33,7 @@ export const isExerciseGroup = (course) => {
 // - Prefer a normalized root key from identifiers like courseNumber/courseId/id
 //   Example: "3,135,1.00" and "3,135,2.04" -> root key "3,135"
 // - Fall back to a cleaned base name when identifiers are missing
-const getCourseRootKey = (course) => {
+export const getCourseRootKey = (course) => {
   const raw = course?.courseNumber || course?.courseId || course?.id || null;
   if (!raw || typeof raw !== 'string') return null;
   const m = raw.match(/^(\d+),(\d+),/);
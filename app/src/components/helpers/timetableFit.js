@@ -0,0 +1,125 @@
+/**
+ * "Fits my timetable" filter.
+ *
+ * Counts how many sessions of a course collide with the sessions of the
+ * courses already enrolled or wishlisted in the same semester. Uses the same
+ * overlap rules as the calendar (see calendarOverlap.js), so a course
+ * flagged here shows up orange in the calendar once it is added.
+ */
+
+import { buildTimedEntries, rangesOverlap } from "./calendarOverlap";
+import { getCourseIdentifier } from "./courseUtils";
+
+export const TIMETABLE_FIT_MODES = {
+  OFF: "off", // no collision checks
+  FLAG: "flag", // show a badge on colliding courses
+  HIDE: "hide", // hide courses above the tolerance, badge the rest
+};
+
+export const DEFAULT_TIMETABLE_FIT = {
+  mode: TIMETABLE_FIT_MODES.OFF,
+  maxOverlaps: 0, // colliding sessions allowed before a course is blocked
+  weeklyOnly: false, // only weekly recurring collisions count towards the limit
+};
+
+/**
+ * Builds a start-sorted list of the scheduled sessions to check against.
+ *
+ * @param {Array} scheduledCourses - Enrolled and wishlisted courses
+ * @returns {Array<{courseId: string, courseName: string, start: number, end: number}>}
+ */
+export const buildScheduleIndex = (scheduledCourses) =>
+  buildTimedEntries(scheduledCourses)
+    .map(({ course, start, end }) => ({
+      courseId: getCourseIdentifier(course),
+      courseName: course.shortName || course.courseName,
+      start: start.valueOf(),
+      end: end.valueOf(),
+    }))
+    .sort((a, b) => a.start - b.start);
+
+/**
+ * Counts the sessions of a course that collide with the schedule.
+ * Sessions of the course itself are ignored, so scheduled courses only
+ * report collisions with the rest of the timetable.
+ *
+ * A colliding session is "weekly" when another colliding session of the
+ * course falls on the same weekday and time in a different week.
+ *
+ * @param {Object} course - Course with calendarEntry sessions
+ * @param {Array} scheduleIndex - Result of buildScheduleIndex
+ * @returns {{count: number, weeklyCount: number, conflictsWith: string[]}}
+ */
+export const countTimetableCollisions = (course, scheduleIndex) => {
+  const courseId = getCourseIdentifier(course);
+  const collidingStarts = [];
+  const conflictsWith = new Set();
+
+  buildTimedEntries([course]).forEach(({ start, end }) => {
+    const sessionStart = start.valueOf();
+    const sessionEnd = end.valueOf();
+    let collides = false;
+
+    for (const slot of scheduleIndex) {
+      // The index is sorted by start, so nothing after this can overlap
+      if (slot.start > sessionEnd) break;
+      if (slot.courseId === courseId) continue;
+      if (rangesOverlap(sessionStart, sessionEnd, slot.start, slot.end)) {
+        collides = true;
+        if (slot.courseName) conflictsWith.add(slot.courseName);
+      }
+    }
+
+    if (collides) collidingStarts.push(start.format("d HH:mm"));
+  });
+
+  const perWeeklySlot = new Map();
+  collidingStarts.forEach((slot) =>
+    perWeeklySlot.set(slot, (perWeeklySlot.get(slot) || 0) + 1)
+  );
+  const weeklyCount = collidingStarts.filter(
+    (slot) => perWeeklySlot.get(slot) > 1
+  ).length;
+
+  return {
+    count: collidingStarts.length,
+    weeklyCount,
+    conflictsWith: [...conflictsWith],
+  };
+};
+
+/**
+ * Whether a course exceeds the configured collision tolerance.
+ *
+ * @param {Object|undefined} collision - Result of countTimetableCollisions
+ * @param {Object} settings - selectionOptions.timetableFit
+ * @returns {boolean}
+ */
+export const exceedsTimetableTolerance = (collision, settings) => {
+  if (!collision || !settings || settings.mode === TIMETABLE_FIT_MODES.OFF) {
+    return false;
+  }
+  const relevant = settings.weeklyOnly ? collision.weeklyCount : collision.count;
+  return relevant > (settings.maxOverlaps || 0);
+};
+
+/**
+ * Collision counts for every course of a semester.
+ *
+ * @param {Array} courses - Courses to check (usually all available courses)
+ * @param {Array} scheduledCourses - Enrolled and wishlisted courses
+ * @returns {Map<string, Object>} Course id → collision, colliding courses only
+ */
+export const computeTimetableCollisions = (courses, scheduledCourses) => {
+  const collisions = new Map();
+  const scheduleIndex = buildScheduleIndex(scheduledCourses);
+  if (scheduleIndex.length === 0) return collisions;
+
+  courses.forEach((course) => {
+    const collision = countTimetableCollisions(course, scheduleIndex);
+    if (collision.count > 0) {
+      collisions.set(getCourseIdentifier(course), collision);
+    }
+  });
+  return collisions;
+};
@@ -0,0 +1,352 @@
+/**
+ * Timetable optimizer.
+ *
+ * Searches combinations of must-have and optional courses, including the
+ * choice of exercise or coaching group, for timetables within an ECTS range
+ * with as few overlapping sessions as possible. Timetables with the same
+ * overlap are ranked by total rating, ECTS fit and free weekdays.
+ *
+ * The search runs in timetableOptimizer.worker.js; buildOptimizerUnits
+ * prepares its input on the main thread.
+ */
+
+import moment from "moment/moment";
+import {
+  buildCollisionGroups,
+  buildTimedEntries,
+  rangesOverlap,
+} from "./calendarOverlap";
+import { getCourseIdentifier } from "./courseUtils";
+import { splitWeeklyAndBlockSessions } from "./availabilityFilter";
+import {
+  groupCoursesByBaseName,
+  isExerciseGroup,
+  isLikelySubgroupByNumber,
+} from "./smartExerciseGroupHandler";
+
+export const OPTIMIZER_ROLES = {
+  MUST: "must",
+  OPTIONAL: "optional",
+  EXCLUDED: "excluded",
+};
+
+export const DEFAULT_ECTS_RANGE = { min: 27, max: 33 };
+
+// How much each criterion counts once the overlap is equal
+export const SCORE_WEIGHTS = {
+  rating: 1, // per rating point of each chosen course
+  ectsFit: 0.5, // per ECTS away from the middle of the range
+  freeDay: 2, // per weekday (Mon-Fri) without sessions
+};
+
+// Bound on explored combinations, so large pools still finish quickly
+export const MAX_SEARCH_NODES = 200000;
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+export const getEcts = (course) => (course?.credits || 0) / 100;
+
+/**
+ * Groups the pool into units the optimizer picks as a whole: a course with
+ * each of its exercise groups as options, or a single course. Exercise
+ * groups in the pool are folded into their lecture.
+ *
+ * @param {Array<{course: Object, role: string}>} pool - Courses with their role
+ * @param {Array} availableCourses - All courses of the semester, to find groups
+ * @returns {Array<{id: string, course: Object, isMustHave: boolean,
+ *   options: Array<{courses: Array}>}>}
+ */
+export const buildOptimizerUnits = (pool, availableCourses) => {
+  const lectureOf = new Map();
+  const groupsOf = new Map();
+
+  groupCoursesByBaseName(availableCourses).forEach((members) => {
+    const isSubgroup = (course) =>
+      isExerciseGroup(course) || isLikelySubgroupByNumber(course, members);
+    const lecture = members.find((course) => !isSubgroup(course));
+    if (!lecture) return;
+    const groups = members.filter(
+      (course) =>
+        isSubgroup(course) && (course.calendarEntry || []).length > 0
+    );
+    groupsOf.set(getCourseIdentifier(lecture), groups);
+    groups.forEach((group) => lectureOf.set(getCourseIdentifier(group), lecture));
+  });
+
+  const units = new Map();
+  pool
+    .filter(({ role }) => role !== OPTIMIZER_ROLES.EXCLUDED)
+    .forEach(({ course, role }) => {
+      const lecture = lectureOf.get(getCourseIdentifier(course)) || course;
+      const id = getCourseIdentifier(lecture);
+      const isMustHave = role === OPTIMIZER_ROLES.MUST;
+
+      if (units.has(id)) {
+        if (isMustHave) units.get(id).isMustHave = true;
+        return;
+      }
+      const groups = groupsOf.get(id) || [];
+      units.set(id, {
+        id,
+        course: lecture,
+        isMustHave,
+        options:
+          groups.length > 0
+            ? groups.map((group) => ({ courses: [lecture, group] }))
+            : [{ courses: [lecture] }],
+      });
+    });
+
+  return [...units.values()];
+};
+
+// Sessions of an option as sorted epoch ranges plus the weekdays they use
+const describeOption = (option) => {
+  const sessions = buildTimedEntries(option.courses)
+    .map(({ start, end }) => ({ start: start.valueOf(), end: end.valueOf() }))
+    .sort((a, b) => a.start - b.start);
+  const weekdays = new Set(
+    buildTimedEntries(option.courses).map(({ start }) => start.isoWeekday())
+  );
+  return { sessions, weekdays };
+};
+
+// Overlapping session pairs between two start-sorted session lists
+const countOverlapPairs = (a, b) => {
+  let count = 0;
+  let first = 0;
+  for (const session of a) {
+    while (first < b.length && b[first].end < session.start) first++;
+    for (let j = first; j < b.length && b[j].start <= session.end; j++) {
+      if (rangesOverlap(session.start, session.end, b[j].start, b[j].end)) {
+        count++;
+      }
+    }
+  }
+  return count;
+};
+
+const compareResults = (a, b) =>
+  a.overlapPairs - b.overlapPairs || b.score - a.score;
+
+/**
+ * Finds the best timetables.
+ *
+ * @param {Object} request
+ * @param {Array} request.units - buildOptimizerUnits result; personal
+ *   commitments can be added as must-have units
+ * @param {{min: number, max: number}} request.ectsRange
+ * @param {number} [request.topN=5]
+ * @param {number} [request.maxNodes=MAX_SEARCH_NODES]
+ * @returns {{results: Array<{choices: Array<[number, number]>, ects: number,
+ *   overlapCount: number, ratingTotal: number, freeDays: number[],
+ *   score: number}>, truncated: boolean, reason: string|null}}
+ *   choices are [unit index, option index] pairs of the request's units
+ */
+export const optimizeTimetables = ({
+  units,
+  ectsRange,
+  topN = 5,
+  maxNodes = MAX_SEARCH_NODES,
+}) => {
+  const target = (ectsRange.min + ectsRange.max) / 2;
+
+  // Flatten options and precompute their pairwise overlaps
+  const options = [];
+  units.forEach((unit, unitIndex) =>
+    unit.options.forEach((option, optionIndex) => {
+      const ratings = option.courses
+        .map((course) => course.avgRating)
+        .filter((rating) => typeof rating === "number");
+      options.push({
+        index: options.length,
+        unitIndex,
+        optionIndex,
+        ects: getEcts(unit.course),
+        rating: ratings.length ? Math.max(...ratings) : 0,
+        ...describeOption(option),
+      });
+    })
+  );
+  const overlaps = options.map((a) =>
+    options.map((b) => (a === b ? 0 : countOverlapPairs(a.sessions, b.sessions)))
+  );
+  // Lecture against its own group; every session also matches itself
+  const selfOverlaps = options.map(
+    (option) =>
+      (countOverlapPairs(option.sessions, option.sessions) -
+        option.sessions.length) /
+      2
+  );
+
+  // Must-haves first, then optional units by their best rating
+  const unitOrder = units
+    .map((unit, index) => ({
+      index,
+      isMustHave: unit.isMustHave,
+      options: options.filter((option) => option.unitIndex === index),
+    }))
+    .sort(
+      (a, b) =>
+        b.isMustHave - a.isMustHave ||
+        Math.max(...b.options.map((o) => o.rating)) -
+          Math.max(...a.options.map((o) => o.rating))
+    );
+
+  const mustEcts = unitOrder
+    .filter((unit) => unit.isMustHave)
+    .reduce((sum, unit) => sum + unit.options[0].ects, 0);
+  if (mustEcts > ectsRange.max) {
+    return {
+      results: [],
+      truncated: false,
+      reason: `The must-have courses already add up to ${mustEcts} ECTS.`,
+    };
+  }
+
+  // Most ECTS still reachable from each position, to prune early
+  const reachableEcts = new Array(unitOrder.length + 1).fill(0);
+  for (let i = unitOrder.length - 1; i >= 0; i--) {
+    reachableEcts[i] = reachableEcts[i + 1] + unitOrder[i].options[0].ects;
+  }
+
+  const best = [];
+  const chosen = [];
+  let nodes = 0;
+  let truncated = false;
+
+  const record = (ects, overlapPairs) => {
+    const weekdays = new Set(chosen.flatMap((option) => [...option.weekdays]));
+    const freeDays = WEEKDAYS.filter((day) => !weekdays.has(day));
+    const ratingTotal = chosen.reduce((sum, option) => sum + option.rating, 0);
+    const score =
+      SCORE_WEIGHTS.rating * ratingTotal -
+      SCORE_WEIGHTS.ectsFit * Math.abs(ects - target) +
+      SCORE_WEIGHTS.freeDay * freeDays.length;
+    const result = {
+      choices: chosen.map((option) => [option.unitIndex, option.optionIndex]),
+      ects,
+      overlapPairs,
+      ratingTotal,
+      freeDays,
+      score,
+    };
+    if (best.length < topN || compareResults(result, best[best.length - 1]) < 0) {
+      best.push(result);
+      best.sort(compareResults);
+      if (best.length > topN) best.pop();
+    }
+  };
+
+  const search = (position, ects, overlapPairs) => {
+    if (++nodes > maxNodes) {
+      truncated = true;
+      return;
+    }
+    if (ects > ectsRange.max) return;
+    if (ects + reachableEcts[position] < ectsRange.min) return;
+    if (
+      best.length === topN &&
+      overlapPairs > best[best.length - 1].overlapPairs
+    ) {
+      return;
+    }
+    if (position === unitOrder.length) {
+      record(ects, overlapPairs);
+      return;
+    }
+
+    const unit = unitOrder[position];
+    for (const option of unit.options) {
+      const added =
+        selfOverlaps[option.index] +
+        chosen.reduce(
+          (sum, other) => sum + overlaps[option.index][other.index],
+          0
+        );
+      chosen.push(option);
+      search(position + 1, ects + option.ects, overlapPairs + added);
+      chosen.pop();
+      if (truncated) return;
+    }
+    if (!unit.isMustHave) search(position + 1, ects, overlapPairs);
+  };
+
+  search(0, 0, 0);
+
+  // Report exact colliding sessions, as the calendar would show them
+  const results = best
+    .map((result) => {
+      const courses = result.choices.flatMap(
+        ([unitIndex, optionIndex]) => units[unitIndex].options[optionIndex].courses
+      );
+      const { entryMetadata } = buildCollisionGroups(courses);
+      return {
+        choices: result.choices,
+        ects: result.ects,
+        ratingTotal: result.ratingTotal,
+        freeDays: result.freeDays,
+        score: result.score,
+        overlapCount: [...entryMetadata.values()].filter(
+          (entry) => entry.overlapping
+        ).length,
+      };
+    })
+    .sort((a, b) => a.overlapCount - b.overlapCount || b.score - a.score);
+
+  return {
+    results,
+    truncated,
+    reason:
+      results.length === 0
+        ? `No combination reaches ${ectsRange.min}–${ectsRange.max} ECTS.`
+        : null,
+  };
+};
+
+/**
+ * Weekly slots of a timetable for its preview, one block per course and
+ * weekday/time; one-off (block) sessions are only counted.
+ *
+ * @param {Array} courses
+ * @returns {{blocks: Array<{key: string, name: string, isPersonal: boolean,
+ *   weekday: number, startMinutes: number, endMinutes: number,
+ *   overlapping: boolean}>, blockSessions: number}}
+ */
+export const getWeeklyPreview = (courses) => {
+  const blocks = new Map();
+  let blockSessions = 0;
+
+  courses.forEach((course) => {
+    const { weekly, block } = splitWeeklyAndBlockSessions(
+      course.calendarEntry || []
+    );
+    blockSessions += block.length;
+    weekly.forEach((entry) => {
+      const start = moment(entry.eventDate);
+      const startMinutes = start.hours() * 60 + start.minutes();
+      const key = `${getCourseIdentifier(course)}-${start.isoWeekday()}-${startMinutes}`;
+      if (blocks.has(key)) return;
+      blocks.set(key, {
+        key,
+        name: course.shortName || getCourseIdentifier(course),
+        isPersonal: Boolean(course.isPersonal),
+        weekday: start.isoWeekday(),
+        startMinutes,
+        endMinutes: startMinutes + (entry.durationInMinutes || 0),
+        overlapping: false,
+      });
+    });
+  });
+
+  const list = [...blocks.values()];
+  list.forEach((a) => {
+    a.overlapping = list.some(
+      (b) =>
+        b !== a &&
+        b.weekday === a.weekday &&
+        rangesOverlap(a.startMinutes, a.endMinutes, b.startMinutes, b.endMinutes)
+    );
+  });
+  return { blocks: list, blockSessions };
+};
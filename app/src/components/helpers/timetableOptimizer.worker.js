@@ -0,0 +1,15 @@
+/**
+ * Web Worker running the timetable optimizer off the main thread.
+ * Receives an optimizeTimetables request, answers with
+ * { type: "result", ...result } or { type: "error", message }.
+ */
+
+import { optimizeTimetables } from "./timetableOptimizer";
+
+self.onmessage = ({ data }) => {
+  try {
+    self.postMessage({ type: "result", ...optimizeTimetables(data) });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
@@ -0,0 +1,150 @@
+/**
+ * Travel-buffer warnings between consecutive sessions.
+ *
+ * Touching sessions are not overlaps (see rangesOverlap), but the break
+ * between them can still be too short to get from one building, or an
+ * off-site venue, to the next. Locations and walking times come from
+ * campusBuildings.js.
+ */
+
+import moment from "moment/moment";
+import { getTravelMinutes, resolveLocation } from "./campusBuildings";
+import { buildTimedEntries } from "./calendarOverlap";
+
+const getCourseName = (course) =>
+  course?.shortName || course?.courseName || course?.courseNumber || "";
+
+// Sessions by start, with their location and bounds in epoch milliseconds
+const timedSessions = (courses) =>
+  buildTimedEntries(courses)
+    .map(({ id, entry, course, start, end }) => ({
+      id,
+      course,
+      room: entry.room || "",
+      location: resolveLocation(entry.room),
+      day: start.format("YYYY-MM-DD"),
+      start: start.valueOf(),
+      end: end.valueOf(),
+    }))
+    .sort((a, b) => a.start - b.start);
+
+const describeSession = (session) => ({
+  id: session.id,
+  courseName: getCourseName(session.course),
+  room: session.room,
+  locationName: session.location?.name || session.room,
+  time: moment(session.start).format("HH:mm"),
+});
+
+/**
+ * Finds session pairs on the same day whose break is shorter than the time
+ * needed to get from the first session's location to the next one's. Only
+ * the sessions starting first after a session ends count as its next ones.
+ *
+ * @param {Array} courses - Courses with calendarEntry sessions, in the order
+ *   of calendarEntriesSelector
+ * @returns {{warnings: Array<{key: string, date: string,
+ *   from: Object, to: Object, gapMinutes: number, travelMinutes: number}>,
+ *   entryWarnings: Map<string, Array>}} Warnings by date; entryWarnings maps
+ *   a session id to the warnings it takes part in
+ */
+export const findTravelWarnings = (courses) => {
+  const sessions = timedSessions(courses);
+  const warnings = [];
+  const entryWarnings = new Map();
+
+  sessions.forEach((session, i) => {
+    if (!session.location) return;
+
+    let nextStart = null;
+    for (let j = i + 1; j < sessions.length; j++) {
+      const next = sessions[j];
+      if (next.day !== session.day) break;
+      if (next.start < session.end) continue;
+      if (nextStart === null) nextStart = next.start;
+      if (next.start !== nextStart) break;
+
+      const travelMinutes = getTravelMinutes(session.location, next.location);
+      const gapMinutes = Math.round((next.start - session.end) / 60000);
+      if (travelMinutes === null || gapMinutes >= travelMinutes) continue;
+
+      const warning = {
+        key: `${session.id}>${next.id}`,
+        date: session.day,
+        from: describeSession(session),
+        to: describeSession(next),
+        gapMinutes,
+        travelMinutes,
+      };
+      warnings.push(warning);
+      [session.id, next.id].forEach((id) => {
+        if (!entryWarnings.has(id)) entryWarnings.set(id, []);
+        entryWarnings.get(id).push(warning);
+      });
+    }
+  });
+
+  return { warnings, entryWarnings };
+};
+
+/**
+ * One-line description of a warning, e.g.
+ * "15 min break, 20 min from Main Building to Tellstrasse".
+ *
+ * @param {Object} warning - Item of findTravelWarnings().warnings
+ * @returns {string}
+ */
+export const describeTravelWarning = ({ from, to, gapMinutes, travelMinutes }) =>
+  `${gapMinutes} min break, ${travelMinutes} min from ${from.locationName} to ${to.locationName}`;
+
+/**
+ * Warnings of a calendar session, with the course on the other end.
+ *
+ * @param {Object} result - findTravelWarnings result
+ * @param {string} entryId - `${courseIdx}-${entryIdx}`
+ * @returns {Array<{with: string, summary: string}>}
+ */
+export const getEntryTravelWarnings = (result, entryId) =>
+  (result.entryWarnings.get(entryId) || []).map((warning) => {
+    const isFirst = warning.from.id === entryId;
+    const other = isFirst ? warning.to : warning.from;
+    return {
+      with: `${isFirst ? "then" : "after"} ${other.courseName} at ${other.time}`,
+      summary: describeTravelWarning(warning),
+    };
+  });
+
+/**
+ * Folds warnings that repeat every week into one item with all their dates,
+ * so a weekly tight connection is listed once.
+ *
+ * @param {Array} warnings - findTravelWarnings().warnings
+ * @returns {Array<{key: string, from: Object, to: Object, gapMinutes: number,
+ *   travelMinutes: number, dates: string[]}>} Most frequent first
+ */
+export const groupTravelWarnings = (warnings) => {
+  const groups = new Map();
+  warnings.forEach((warning) => {
+    const { from, to, gapMinutes } = warning;
+    const key = [
+      from.courseName,
+      from.locationName,
+      from.time,
+      to.courseName,
+      to.locationName,
+      gapMinutes,
+    ].join("|");
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        from,
+        to,
+        gapMinutes,
+        travelMinutes: warning.travelMinutes,
+        dates: [],
+      });
+    }
+    groups.get(key).dates.push(warning.date);
+  });
+  return [...groups.values()].sort((a, b) => b.dates.length - a.dates.length);
+};
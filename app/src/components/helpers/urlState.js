@@ -0,0 +1,166 @@
+/**
+ * URL representation of the current view.
+ *
+ *   /HS25/course/7,123,1.00?tab=details&lang=EN&lecturer=Anna%20Müller
+ *
+ * The path holds the semester and the selected course, the query the tab and
+ * the filters of the search box: lang, lecturer, class, ects and rating as
+ * their own (repeatable) params, everything else the search box understands
+ * as q. Filters without a search box syntax (timetable fit, rating details,
+ * exam, availability) are not part of the URL.
+ */
+
+import {
+  createEmptyQueryCriteria,
+  parseSearchQuery,
+  serializeSearchQuery,
+  tokenizeQuery,
+  withSyncedQuery,
+} from "./searchQueryParser";
+
+// URL names of the tabs, in TabComponent order
+export const TAB_SLUGS = [
+  "details",
+  "calendar",
+  "summary",
+  "transcript",
+  "overview",
+  "curriculum",
+  "search",
+  "compare",
+  "optimizer",
+];
+
+// Where a deep link opened before login is kept until the app is shown
+export const PENDING_DEEP_LINK_KEY = "biddit-pending-deep-link";
+
+const FILTER_PARAMS = ["lang", "lecturer", "class", "ects", "rating", "q"];
+
+const SEMESTER_PATTERN = /^(HS|FS)\s?\d{2}$/i;
+
+const normalizeSemester = (semester) =>
+  semester.replace(/\s+/g, "").toUpperCase();
+
+// Course numbers keep their commas readable in the path
+const encodePathSegment = (segment) =>
+  encodeURIComponent(segment).replace(/%2C/gi, ",");
+
+/**
+ * Builds the URL of a view.
+ *
+ * @param {Object} view
+ * @param {string|null} view.semester - Semester short name, e.g. "HS25"
+ * @param {string|null} view.courseNumber - Selected course
+ * @param {number} view.tab - Tab index
+ * @param {Object} view.selectionOptions - selectionOptionsState value
+ * @returns {string} Path and query
+ */
+export const buildViewUrl = ({ semester, courseNumber, tab, selectionOptions }) => {
+  let path = "/";
+  if (semester) {
+    path += encodePathSegment(normalizeSemester(semester));
+    if (courseNumber) path += `/course/${encodePathSegment(courseNumber)}`;
+  }
+
+  const params = new URLSearchParams();
+  if (TAB_SLUGS[tab] && tab !== 0) params.set("tab", TAB_SLUGS[tab]);
+
+  const options = selectionOptions || {};
+  (options.courseLanguage || []).forEach((value) =>
+    params.append("lang", value)
+  );
+  (options.lecturer || []).forEach((value) => params.append("lecturer", value));
+  (options.classifications || []).forEach((value) =>
+    params.append("class", value)
+  );
+  (options.ects || []).forEach((value) =>
+    params.append("ects", String(value / 100))
+  );
+  if ((options.ratings || []).length > 0) {
+    params.set("rating", String(Math.max(...options.ratings)));
+  }
+  const rest = serializeSearchQuery({
+    excludedLanguages: options.excludedLanguages,
+    excludedLecturers: options.excludedLecturers,
+    excludedClassifications: options.excludedClassifications,
+    comparisons: options.comparisons,
+    phrases: options.phrases,
+    excludedTerms: options.excludedTerms,
+    searchTerm: options.searchTerm,
+  });
+  if (rest) params.set("q", rest);
+
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+};
+
+/**
+ * Reads a view from a URL. Unknown paths (like "/biddit2") yield no
+ * semester.
+ *
+ * @param {string} pathname - location.pathname
+ * @param {string} search - location.search
+ * @returns {{semester: string|null, courseNumber: string|null,
+ *   tab: number|null, filters: Object|null}} filters are the search box
+ *   criteria (with query) when the URL has filter params
+ */
+export const parseViewUrl = (pathname, search) => {
+  const segments = pathname
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment));
+
+  const hasSemester = segments[0] && SEMESTER_PATTERN.test(segments[0]);
+  const semester = hasSemester ? normalizeSemester(segments[0]) : null;
+  const courseNumber =
+    hasSemester && segments[1] === "course" && segments[2]
+      ? segments[2]
+      : null;
+
+  const params = new URLSearchParams(search);
+  const tabIndex = TAB_SLUGS.indexOf(params.get("tab"));
+
+  return {
+    semester,
+    courseNumber,
+    tab: tabIndex === -1 ? null : tabIndex,
+    filters: FILTER_PARAMS.some((name) => params.has(name))
+      ? parseFilterParams(params)
+      : null,
+  };
+};
+
+/**
+ * Search box criteria from the filter params.
+ *
+ * Lecturer and classification names in q are taken as written: the option
+ * lists the search box resolves them against are not loaded yet when a link
+ * is opened.
+ *
+ * @param {URLSearchParams} params
+ * @returns {Object} Criteria and query to spread into selectionOptionsState
+ */
+const parseFilterParams = (params) => {
+  const q = params.get("q") || "";
+  const writtenValues = tokenizeQuery(q).tokens.map((token) => token.value);
+  const { criteria } = parseSearchQuery(q, {
+    lecturers: writtenValues,
+    classifications: writtenValues,
+  });
+
+  const ects = params
+    .getAll("ects")
+    .map((value) => Math.round(Number(value) * 100))
+    .filter((value) => Number.isFinite(value) && value > 0);
+  const rating = Number(params.get("rating"));
+
+  return withSyncedQuery({
+    ...createEmptyQueryCriteria(),
+    ...criteria,
+    courseLanguage: params.getAll("lang").map((value) => value.toUpperCase()),
+    lecturer: params.getAll("lecturer"),
+    classifications: params.getAll("class"),
+    ects,
+    ratings: params.has("rating") && rating > 0 && rating <= 5 ? [rating] : [],
+  });
+};
@@ -0,0 +1,54 @@
+import { useRecoilState } from "recoil";
+import { toast } from "react-toastify";
+import {
+  compareTrayState,
+  MAX_COMPARE_COURSES,
+} from "../recoil/compareTrayAtom";
+import { getCourseIdentifier } from "./courseUtils";
+import { toggleTrayEntry } from "./courseComparison";
+
+/**
+ * Compare tray state and actions.
+ * @returns {Object} { tray, isInTray, toggleCompare, removeFromTray, clearTray }
+ */
+export function useCompareTray() {
+  const [tray, setTray] = useRecoilState(compareTrayState);
+
+  const isInTray = (course, semester) => {
+    const courseId = getCourseIdentifier(course);
+    return tray.some(
+      (item) => item.courseId === courseId && item.semester === semester
+    );
+  };
+
+  const toggleCompare = (course, semester) => {
+    const courseId = getCourseIdentifier(course);
+    if (!courseId || !semester) return;
+    const result = toggleTrayEntry(
+      tray,
+      { courseId, semester, shortName: course.shortName || courseId },
+      MAX_COMPARE_COURSES
+    );
+    if (result.isFull) {
+      toast.info(`You can compare up to ${MAX_COMPARE_COURSES} courses.`, {
+        toastId: "compare-tray-full",
+      });
+      return;
+    }
+    setTray(result.tray);
+  };
+
+  const removeFromTray = (entry) =>
+    setTray((prev) =>
+      prev.filter(
+        (item) =>
+          item.courseId !== entry.courseId || item.semester !== entry.semester
+      )
+    );
+
+  const clearTray = () => setTray([]);
+
+  return { tray, isInTray, toggleCompare, removeFromTray, clearTray };
+}
+
+export default useCompareTray;
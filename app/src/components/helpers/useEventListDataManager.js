@@ -23,6 +23,7 @@ import { useEnrolledCoursesData } from "./useEnrolledCoursesData";
 import { useCourseInfoData } from "./useCourseInfoData";
 import { useCourseRatingsData } from "./useCourseRatingsData";
 import { useStudyPlanDataSimplified } from "./useStudyPlanDataSimplified";
+import { useExamInformationPrefetch } from "./useExamInformationPrefetch";
 
 /**
  * Simplified hook for managing EventListContainer data
@@ -68,6 +69,9 @@ export function useEventListDataManager(
 
   const { isCourseRatingsLoading } = useCourseRatingsData({ authToken });
 
+  // Exam parts are only fetched while an exam filter needs them
+  useExamInformationPrefetch(selectedSemester, selectionOptions, authToken);
+
   // Initialize unified semester data for the current semester
   useEffect(() => {
     if (selectedSemester?.shortName) {
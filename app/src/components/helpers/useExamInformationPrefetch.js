@@ -0,0 +1,101 @@
+/**
+ * useExamInformationPrefetch Hook
+ *
+ * Loads the examinationParts of all available courses of the selected
+ * semester, but only while an exam filter needs them (examination types or
+ * maximum part weight). Results are stored in the unified course data and
+ * the course list is re-filtered as they arrive.
+ */
+
+import { useEffect, useRef } from "react";
+import { useSetRecoilState } from "recoil";
+import { useUnifiedCourseData } from "./useUnifiedCourseData";
+import { getCourseIdentifier } from "./courseUtils";
+import { needsExaminationParts } from "./examFilter";
+import { fetchExamInformationBulk } from "./examInformationApi";
+import { examInformationLoadState } from "../recoil/examInformationAtom";
+
+// Courses loaded between two re-filters of the course list
+const FLUSH_SIZE = 60;
+
+/**
+ * @param {Object} selectedSemester - Current semester from termListObject
+ * @param {Object} selectionOptions - Current filter options
+ * @param {string} authToken - Authentication token
+ */
+export function useExamInformationPrefetch(
+  selectedSemester,
+  selectionOptions,
+  authToken
+) {
+  const { courseData, updateExamInformation, updateFilteredCourses } =
+    useUnifiedCourseData();
+  const setLoadState = useSetRecoilState(examInformationLoadState);
+
+  // Re-filtering must use the filters at the time a batch arrives
+  const selectionOptionsRef = useRef(selectionOptions);
+  selectionOptionsRef.current = selectionOptions;
+
+  const semesterShortName = selectedSemester?.shortName;
+  const semesterData = courseData.semesters?.[semesterShortName];
+  const availableCount = semesterData?.available?.length || 0;
+  const isNeeded = needsExaminationParts(selectionOptions?.examFilter);
+
+  useEffect(() => {
+    if (!isNeeded || !authToken || !semesterShortName || !availableCount) {
+      return undefined;
+    }
+
+    const known = semesterData.examInformation || {};
+    const missing = semesterData.available.filter(
+      (course) => !(getCourseIdentifier(course) in known)
+    );
+    if (missing.length === 0) return undefined;
+
+    let cancelled = false;
+    let loaded = 0;
+    let buffer = {};
+
+    const flush = () => {
+      if (Object.keys(buffer).length === 0) return;
+      updateExamInformation(semesterShortName, buffer);
+      updateFilteredCourses(semesterShortName, selectionOptionsRef.current);
+      buffer = {};
+    };
+
+    setLoadState({
+      semester: semesterShortName,
+      loaded: 0,
+      total: missing.length,
+      isLoading: true,
+    });
+
+    fetchExamInformationBulk(missing, authToken, {
+      getId: getCourseIdentifier,
+      isCancelled: () => cancelled,
+      onBatch: (batchResults, batch) => {
+        if (cancelled) return;
+        Object.assign(buffer, batchResults);
+        // Failed courses count as done here but are not stored, so the next
+        // run fetches them again
+        loaded += batch.length;
+        setLoadState((prev) => ({ ...prev, loaded }));
+        if (Object.keys(buffer).length >= FLUSH_SIZE) flush();
+      },
+    }).then(() => {
+      if (cancelled) return;
+      flush();
+      setLoadState((prev) => ({ ...prev, isLoading: false }));
+    });
+
+    return () => {
+      cancelled = true;
+      // Keep what was loaded so far; the next run only fetches the rest
+      flush();
+      setLoadState((prev) => ({ ...prev, isLoading: false }));
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isNeeded, authToken, semesterShortName, availableCount]);
+}
+
+export default useExamInformationPrefetch;
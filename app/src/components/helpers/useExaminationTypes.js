@@ -0,0 +1,32 @@
+import { useEffect } from "react";
+import { useRecoilState } from "recoil";
+import { examinationTypesState } from "../recoil/examinationTypesAtom";
+import { fetchExaminationTypes } from "./examInformationApi";
+import { errorHandlingService } from "../errorHandling/ErrorHandlingService";
+
+/**
+ * Examination types by id ({ shortName, description }), loaded once per session.
+ * @param {string} authToken - Authentication token
+ * @returns {Object|null} Examination types, null until loaded
+ */
+export function useExaminationTypes(authToken) {
+  const [examinationTypes, setExaminationTypes] = useRecoilState(
+    examinationTypesState
+  );
+
+  useEffect(() => {
+    if (!authToken || examinationTypes) return;
+    fetchExaminationTypes(authToken)
+      .then(setExaminationTypes)
+      .catch((err) => {
+        console.log(err);
+        errorHandlingService.handleError(err);
+      });
+    //never include setters
+    // eslint-disable-next-line
+  }, [authToken]);
+
+  return examinationTypes;
+}
+
+export default useExaminationTypes;
@@ -0,0 +1,222 @@
+import { useRecoilCallback, useRecoilValue } from "recoil";
+import { toast } from "react-toastify";
+import { authTokenState } from "../recoil/authAtom";
+import { selectionOptionsState } from "../recoil/selectionOptionsAtom";
+import {
+  filterPresetsState,
+  generatePresetId,
+} from "../recoil/filterPresetsAtom";
+import {
+  getFilterPresets,
+  upsertFilterPreset,
+  deleteFilterPresetApi,
+} from "./filterPresetsApi";
+import {
+  getStorageUserId,
+  loadLocalPresets,
+  saveLocalPresets,
+} from "./filterPresetsStorage";
+import { createEmptyQueryCriteria, withSyncedQuery } from "./searchQueryParser";
+
+/**
+ * Convert API presets to the atom shape (adds the id to each preset)
+ */
+const convertApiPresets = (presets = {}) => {
+  const result = {};
+  Object.entries(presets).forEach(([presetId, preset]) => {
+    result[presetId] = {
+      id: presetId,
+      name: preset.name,
+      options: preset.options || {},
+      createdAt: preset.createdAt,
+      lastModified: preset.lastModified,
+    };
+  });
+  return result;
+};
+
+/**
+ * Write-through persistence: keep localStorage current, then try the API
+ * unless this session already fell back to local storage.
+ */
+const persistPresets = async ({ token, source, presets, apiCall, set }) => {
+  saveLocalPresets(getStorageUserId(token), presets);
+  if (source !== "api") return;
+
+  try {
+    await apiCall();
+  } catch (error) {
+    console.warn("[useFilterPresets] Falling back to localStorage", error);
+    set(filterPresetsState, (prev) => ({ ...prev, source: "local" }));
+    toast.info("Filter presets are saved in this browser only for now.", {
+      toastId: "filter-presets-local",
+    });
+  }
+};
+
+/**
+ * Hook providing filter preset operations.
+ * Presets are synced with the SHSG API; if the API is unavailable they are
+ * kept in localStorage instead. localStorage always mirrors the latest state.
+ */
+const useFilterPresets = () => {
+  const token = useRecoilValue(authTokenState);
+  const presetsState = useRecoilValue(filterPresetsState);
+
+  /**
+   * Load presets (API first, localStorage as fallback). Runs once per session.
+   */
+  const loadPresets = useRecoilCallback(
+    ({ snapshot, set }) =>
+      async () => {
+        const state = await snapshot.getPromise(filterPresetsState);
+        if (state.isLoaded || !token) return;
+
+        const userId = getStorageUserId(token);
+        try {
+          const data = await getFilterPresets(token);
+          const presets = convertApiPresets(data?.presets);
+          saveLocalPresets(userId, presets);
+          set(filterPresetsState, { presets, isLoaded: true, source: "api" });
+        } catch (error) {
+          console.warn("[useFilterPresets] Using local presets", error);
+          set(filterPresetsState, {
+            presets: loadLocalPresets(userId),
+            isLoaded: true,
+            source: "local",
+          });
+        }
+      },
+    [token],
+  );
+
+  /**
+   * Snapshot the current filters under a name
+   */
+  const savePreset = useRecoilCallback(
+    ({ snapshot, set }) =>
+      async (name) => {
+        const trimmedName = (name || "").trim();
+        if (!trimmedName) return null;
+
+        const state = await snapshot.getPromise(filterPresetsState);
+        const options = await snapshot.getPromise(selectionOptionsState);
+        const presetId = generatePresetId();
+        const now = new Date().toISOString();
+
+        const presets = {
+          ...state.presets,
+          [presetId]: {
+            id: presetId,
+            name: trimmedName,
+            options,
+            createdAt: now,
+            lastModified: now,
+          },
+        };
+        set(filterPresetsState, { ...state, presets });
+        await persistPresets({
+          token,
+          source: state.source,
+          presets,
+          apiCall: () =>
+            upsertFilterPreset(presetId, { name: trimmedName, options }, token),
+          set,
+        });
+        return presetId;
+      },
+    [token],
+  );
+
+  /**
+   * Replace the current filters with a preset's snapshot
+   */
+  const applyPreset = useRecoilCallback(
+    ({ snapshot, set }) =>
+      async (presetId) => {
+        const state = await snapshot.getPromise(filterPresetsState);
+        const preset = state.presets[presetId];
+        if (!preset) return;
+
+        set(selectionOptionsState, (prev) =>
+          withSyncedQuery({
+            ...prev,
+            ...createEmptyQueryCriteria(),
+            ...preset.options,
+          }),
+        );
+      },
+    [],
+  );
+
+  /**
+   * Rename a preset
+   */
+  const renamePreset = useRecoilCallback(
+    ({ snapshot, set }) =>
+      async (presetId, name) => {
+        const trimmedName = (name || "").trim();
+        const state = await snapshot.getPromise(filterPresetsState);
+        if (!trimmedName || !state.presets[presetId]) return;
+
+        const presets = {
+          ...state.presets,
+          [presetId]: {
+            ...state.presets[presetId],
+            name: trimmedName,
+            lastModified: new Date().toISOString(),
+          },
+        };
+        set(filterPresetsState, { ...state, presets });
+        await persistPresets({
+          token,
+          source: state.source,
+          presets,
+          apiCall: () =>
+            upsertFilterPreset(presetId, { name: trimmedName }, token),
+          set,
+        });
+      },
+    [token],
+  );
+
+  /**
+   * Delete a preset
+   */
+  const deletePreset = useRecoilCallback(
+    ({ snapshot, set }) =>
+      async (presetId) => {
+        const state = await snapshot.getPromise(filterPresetsState);
+        if (!state.presets[presetId]) return;
+
+        const presets = { ...state.presets };
+        delete presets[presetId];
+        set(filterPresetsState, { ...state, presets });
+        await persistPresets({
+          token,
+          source: state.source,
+          presets,
+          apiCall: () => deleteFilterPresetApi(presetId, token),
+          set,
+        });
+      },
+    [token],
+  );
+
+  const presets = Object.values(presetsState.presets).sort((a, b) =>
+    (a.createdAt || "").localeCompare(b.createdAt || ""),
+  );
+
+  return {
+    presets,
+    isLoaded: presetsState.isLoaded,
+    source: presetsState.source,
+    loadPresets,
+    savePreset,
+    applyPreset,
+    renamePreset,
+    deletePreset,
+  };
+};
+
+export default useFilterPresets;
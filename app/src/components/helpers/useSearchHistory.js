@@ -0,0 +1,55 @@
+import { useEffect } from "react";
+import { useRecoilState, useRecoilValue } from "recoil";
+import { authTokenState } from "../recoil/authAtom";
+import { searchHistoryState } from "../recoil/filterPresetsAtom";
+import {
+  getStorageUserId,
+  loadSearchHistory,
+  saveSearchHistory,
+  addToSearchHistory,
+} from "./filterPresetsStorage";
+
+/**
+ * Hook for the recent-searches history shown under the search field.
+ * History is stored per user in localStorage.
+ */
+export const useSearchHistory = () => {
+  const token = useRecoilValue(authTokenState);
+  const [history, setHistory] = useRecoilState(searchHistoryState);
+
+  useEffect(() => {
+    if (!token || history.isLoaded) return;
+    setHistory({
+      entries: loadSearchHistory(getStorageUserId(token)),
+      isLoaded: true,
+    });
+  }, [token, history.isLoaded, setHistory]);
+
+  const updateEntries = (entries) => {
+    setHistory((prev) => ({ ...prev, entries }));
+    saveSearchHistory(getStorageUserId(token), entries);
+  };
+
+  /**
+   * Record a query (moves existing entries to the front)
+   */
+  const addSearch = (query) => {
+    const entries = addToSearchHistory(history.entries, query);
+    if (entries !== history.entries) updateEntries(entries);
+  };
+
+  const removeSearch = (query) => {
+    updateEntries(history.entries.filter((entry) => entry !== query));
+  };
+
+  const clearHistory = () => updateEntries([]);
+
+  return {
+    recentSearches: history.entries,
+    addSearch,
+    removeSearch,
+    clearHistory,
+  };
+};
+
+export default useSearchHistory;
@@ -0,0 +1,103 @@
+import { useEffect, useState } from "react";
+import { useRecoilState, useRecoilValue } from "recoil";
+import { cisIdList } from "../recoil/cisIdListAtom";
+import { termCataloguesState } from "../recoil/catalogueSearchAtom";
+import { loadedCatalogueSemestersSelector } from "../recoil/catalogueSearchSelector";
+import { fetchLightCourseDetails } from "./api";
+import { flattenCatalogueSheets } from "./catalogueSearch";
+
+// Several components load catalogues (search, course info); they share the
+// request for a term while it is in flight
+const pendingRequests = new Map();
+
+// Terms whose catalogue could not be loaded; not retried until a reload
+const failedTerms = new Set();
+
+const fetchTermCatalogue = (cisTermId, authToken) => {
+  if (!pendingRequests.has(cisTermId)) {
+    pendingRequests.set(
+      cisTermId,
+      fetchLightCourseDetails(cisTermId, authToken)
+        .catch((error) => {
+          // Past catalogues are optional, so a failure is logged, not toasted
+          console.warn(
+            `Could not load the catalogue of term ${cisTermId}:`,
+            error
+          );
+          failedTerms.add(cisTermId);
+          return null;
+        })
+        .finally(() => pendingRequests.delete(cisTermId))
+    );
+  }
+  return pendingRequests.get(cisTermId);
+};
+
+/**
+ * Loads the course catalogues of all terms in the cisIdList that are not
+ * already loaded as a semester, one term at a time (newest first).
+ * Callers enable it only once the user asks for past semesters. Failed
+ * terms are not retried until the page is reloaded.
+ *
+ * @param {string} authToken - Authentication token
+ * @param {boolean} enabled - Only loads while true
+ * @returns {{isLoading: boolean, loaded: number, total: number}}
+ */
+export function useTermCatalogues(authToken, enabled) {
+  const terms = useRecoilValue(cisIdList);
+  const loadedSemesters = useRecoilValue(loadedCatalogueSemestersSelector);
+  const [termCatalogues, setTermCatalogues] =
+    useRecoilState(termCataloguesState);
+  const [progress, setProgress] = useState({
+    isLoading: false,
+    loaded: 0,
+    total: 0,
+  });
+
+  useEffect(() => {
+    if (!enabled || !authToken || !terms) return;
+
+    const loaded = new Set(loadedSemesters.split("|"));
+    const pending = terms.filter(
+      (term) =>
+        term.shortName &&
+        term.id &&
+        !loaded.has(term.shortName) &&
+        !termCatalogues[term.shortName] &&
+        !failedTerms.has(term.id)
+    );
+    if (pending.length === 0) return;
+
+    let cancelled = false;
+    (async () => {
+      setProgress({ isLoading: true, loaded: 0, total: pending.length });
+      for (const [index, term] of pending.entries()) {
+        const sheets = await fetchTermCatalogue(term.id, authToken);
+        // A newer run has taken over, including this term
+        if (cancelled) return;
+        if (sheets) {
+          setTermCatalogues((prev) => ({
+            ...prev,
+            [term.shortName]: flattenCatalogueSheets(sheets),
+          }));
+        }
+        setProgress({
+          isLoading: index + 1 < pending.length,
+          loaded: index + 1,
+          total: pending.length,
+        });
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      setProgress((prev) => ({ ...prev, isLoading: false }));
+    };
+    //never include setters
+    // eslint-disable-next-line
+  }, [enabled, authToken, terms, loadedSemesters]);
+
+  return progress;
+}
+
+export default useTermCatalogues;
@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { errorHandlingService } from "../errorHandling/ErrorHandlingService";
+
+const IDLE = { status: "idle", results: [], truncated: false, reason: null };
+
+/**
+ * Runs the timetable optimizer in a Web Worker. Starting a new run or
+ * cancelling terminates the running search.
+ *
+ * @returns {{status: "idle"|"running"|"done", results: Array,
+ *   truncated: boolean, reason: string|null, run: Function, cancel: Function}}
+ */
+export function useTimetableOptimizer() {
+  const workerRef = useRef(null);
+  const [state, setState] = useState(IDLE);
+
+  const stopWorker = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  useEffect(() => stopWorker, [stopWorker]);
+
+  const run = useCallback(
+    (request) => {
+      stopWorker();
+      const worker = new Worker(
+        new URL("./timetableOptimizer.worker.js", import.meta.url),
+        { type: "module" }
+      );
+      workerRef.current = worker;
+      setState({ ...IDLE, status: "running" });
+
+      worker.onmessage = ({ data }) => {
+        stopWorker();
+        if (data.type === "error") {
+          errorHandlingService.handleError(new Error(data.message));
+          setState(IDLE);
+          return;
+        }
+        setState({
+          status: "done",
+          results: data.results,
+          truncated: data.truncated,
+          reason: data.reason,
+        });
+      };
+      worker.onerror = (event) => {
+        stopWorker();
+        errorHandlingService.handleError(
+          new Error(event.message || "Timetable optimizer failed")
+        );
+        setState(IDLE);
+      };
+
+      worker.postMessage(request);
+    },
+    [stopWorker]
+  );
+
+  const cancel = useCallback(() => {
+    stopWorker();
+    setState(IDLE);
+  }, [stopWorker]);
+
+  return { ...state, run, cancel };
+}
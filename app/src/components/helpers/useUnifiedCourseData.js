@@ -7,9 +7,10 @@ import { isExerciseGroup } from "./smartExerciseGroupHandler";
 import {
   getCourseIdentifier,
   sortCoursesByStatus,
-  lookupCourseRating,
   applyFilterCriteria,
+  attachCourseDetails,
 } from "./courseUtils";
+import { runCourseSearch, applySearchRanking } from "./courseSearchIndex";
 
 /**
  * Default semester structure with all required fields
@@ -23,6 +24,8 @@ const DEFAULT_SEMESTER_STRUCTURE = {
   filtered: [], // Filtered courses with selected/enrolled flags attached
   studyPlan: [], // Study plan courses for this semester
   ratings: {},
+  ratingDetails: {}, // Course ID -> { avgRatings, nbOfRatings }
+  examInformation: {}, // Course ID -> examinationParts ([] if not published)
   lastFetched: null,
   isFutureSemester: false,
   referenceSemester: null,
@@ -122,6 +125,24 @@ const logUnifiedDataOverview = (data) => {
   console.groupEnd();
 };
 
+/**
+ * Per-dimension averages and rating counts from the SHSG ratings list,
+ * keyed like the ratings map. Only arrays carry these details.
+ */
+const buildRatingDetailsMap = (ratings) => {
+  const detailsMap = {};
+  if (!Array.isArray(ratings)) return detailsMap;
+  ratings.forEach((r) => {
+    if (r._id && (r.avgRatings || r.nbOfRatings)) {
+      detailsMap[r._id] = {
+        avgRatings: r.avgRatings || null,
+        nbOfRatings: r.nbOfRatings || 0,
+      };
+    }
+  });
+  return detailsMap;
+};
+
 /**
  * Helper function to create a new semester with proper defaults
  */
@@ -502,7 +523,10 @@ export function useUnifiedCourseData() {
     } else if (ratings && typeof ratings === "object") {
       ratingsMap = ratings;
     }
-    patchSemester(semesterShortName, { ratings: ratingsMap });
+    patchSemester(semesterShortName, {
+      ratings: ratingsMap,
+      ratingDetails: buildRatingDetailsMap(ratings),
+    });
   };
 
   /**
@@ -518,15 +542,39 @@ export function useUnifiedCourseData() {
     } else if (ratings && typeof ratings === "object") {
       ratingsMap = ratings;
     }
+    const ratingDetails = buildRatingDetailsMap(ratings);
     setCourseData((prev) => {
       const semesters = { ...(prev.semesters || {}) };
       Object.keys(semesters).forEach((s) => {
-        semesters[s] = { ...semesters[s], ratings: ratingsMap };
+        semesters[s] = { ...semesters[s], ratings: ratingsMap, ratingDetails };
       });
       return { ...prev, semesters };
     });
   };
 
+  /**
+   * Merge prefetched exam information (course ID -> examinationParts) into a semester
+   */
+  const updateExamInformation = (semesterShortName, examInformation) => {
+    setCourseData((prev) => {
+      const semesterData = prev.semesters?.[semesterShortName];
+      if (!semesterData) return prev;
+      return {
+        ...prev,
+        semesters: {
+          ...prev.semesters,
+          [semesterShortName]: {
+            ...semesterData,
+            examInformation: {
+              ...(semesterData.examInformation || {}),
+              ...examInformation,
+            },
+          },
+        },
+      };
+    });
+  };
+
   /**
    * Update filtered courses for a semester based on filter criteria
    * This applies the same filtering logic as filteredCoursesSelector but stores results in unified state
@@ -556,8 +604,6 @@ export function useUnifiedCourseData() {
         filterOptions
       );
 
-      // Get ratings map BEFORE filtering so ratings are available during filter criteria
-      const ratingsMap = semesterData.ratings || {};
       const enrolledIds = semesterData.enrolledIds || [];
       const selectedIds = semesterData.selectedIds || [];
 
@@ -569,18 +615,17 @@ export function useUnifiedCourseData() {
       );
 
 
-      // Attach ratings to courses BEFORE filtering
-      const coursesWithRatings = coursesToFilter.map((course) => {
-        const rating = lookupCourseRating(course, ratingsMap);
-        return {
-          ...course,
-          avgRating: rating || course.avgRating, // Preserve existing rating if found
-        };
-      });
+      // Attach ratings and prefetched exam parts to courses BEFORE filtering
+      const coursesWithRatings = coursesToFilter.map((course) =>
+        attachCourseDetails(course, semesterData)
+      );
+
+      // Full-text search over the (cached) index of available courses
+      const searchResults = runCourseSearch(coursesToFilter, filterOptions);
 
       // Apply filter criteria to courses WITH ratings
       const filtered = coursesWithRatings.filter((course) => {
-        return applyFilterCriteria(course, filterOptions);
+        return applyFilterCriteria(course, filterOptions, searchResults);
       });
 
 
@@ -598,7 +643,10 @@ export function useUnifiedCourseData() {
       });
 
       // Sort courses: enrolled first, then selected, then everything else
-      const sortedFinalCourses = sortCoursesByStatus(finalCourses);
+      // (search relevance order is kept within each group)
+      const sortedFinalCourses = sortCoursesByStatus(
+        applySearchRanking(finalCourses, searchResults)
+      );
 
       const newData = {
         ...prev,
@@ -642,25 +690,28 @@ export function useUnifiedCourseData() {
           semesters[semesterShortName] = { ...semesterData, filtered: [] };
           return;
         }
-        const ratingsMap = semesterData.ratings || {};
         const enrolledIds = semesterData.enrolledIds || [];
         const selectedIds = semesterData.selectedIds || [];
-        const filtered = coursesToFilter.filter((course) =>
-          applyFilterCriteria(course, filterOptions)
+        const searchResults = runCourseSearch(coursesToFilter, filterOptions);
+        const coursesWithDetails = coursesToFilter.map((course) =>
+          attachCourseDetails(course, semesterData)
+        );
+        const filtered = coursesWithDetails.filter((course) =>
+          applyFilterCriteria(course, filterOptions, searchResults)
         );
         const coursesWithStatus = filtered.map((course) => {
-          const rating = lookupCourseRating(course, ratingsMap);
           const courseNumber = getCourseIdentifier(course);
           const isEnrolled = courseNumber && enrolledIds.includes(courseNumber);
           const isSelected = courseNumber && selectedIds.includes(courseNumber);
           return {
             ...course,
-            avgRating: rating || course.avgRating,
             enrolled: isEnrolled,
             selected: isSelected,
           };
         });
-        const sortedCourses = sortCoursesByStatus(coursesWithStatus);
+        const sortedCourses = sortCoursesByStatus(
+          applySearchRanking(coursesWithStatus, searchResults)
+        );
         semesters[semesterShortName] = {
           ...semesterData,
           filtered: sortedCourses,
@@ -751,6 +802,7 @@ export function useUnifiedCourseData() {
     updateCourseRatings,
     updateCourseRatingsForSemester: updateCourseRatings, // Alias for consistency
     updateCourseRatingsForAllSemesters, // New function for global ratings
+    updateExamInformation, // Prefetched exam parts for the exam filter
     updateFilteredCourses, // New function for filtered courses
     updateFilteredCoursesForSemester: updateFilteredCourses, // Alias for consistency
     updateFilteredCoursesForAllSemesters, // New function for global filtered courses
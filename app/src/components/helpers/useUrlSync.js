@@ -0,0 +1,214 @@
+import { useEffect, useRef, useState } from "react";
+import { useLocation, useNavigate, useNavigationType } from "react-router-dom";
+import { useRecoilState, useRecoilValue, useSetRecoilState } from "recoil";
+import { toast } from "react-toastify";
+import { termListState } from "../recoil/termListState";
+import { selectedTabAtom } from "../recoil/selectedTabAtom";
+import { selectionOptionsState } from "../recoil/selectionOptionsAtom";
+import { catalogueSearchModeState } from "../recoil/catalogueSearchAtom";
+import { isLeftViewVisible } from "../recoil/isLeftViewVisible";
+import {
+  selectedCourseInfoSelector,
+  selectedSemesterSelector,
+  semesterCourseDataSelector,
+  semesterCoursesSelector,
+} from "../recoil/unifiedCourseDataSelectors";
+import { useUnifiedSemesterState } from "./useUnifiedSemesterState";
+import { useUnifiedCourseData } from "./useUnifiedCourseData";
+import { getCourseIdentifier } from "./courseUtils";
+import { createEmptyQueryCriteria } from "./searchQueryParser";
+import {
+  buildViewUrl,
+  parseViewUrl,
+  PENDING_DEEP_LINK_KEY,
+} from "./urlState";
+
+/**
+ * Keeps the selected semester, course, tab and search filters in the URL
+ * (see urlState.js).
+ *
+ * The URL is read once the term list has loaded, then follows the state:
+ * opening another course adds a history entry, everything else replaces the
+ * current one, so back/forward steps through the viewed courses.
+ */
+export function useUrlSync() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const navigationType = useNavigationType();
+
+  const termList = useRecoilValue(termListState);
+  const selectedSemester = useRecoilValue(selectedSemesterSelector);
+  const selectedCourse = useRecoilValue(selectedCourseInfoSelector);
+  const [selectedTab, setSelectedTab] = useRecoilState(selectedTabAtom);
+  const [selectionOptions, setSelectionOptions] = useRecoilState(
+    selectionOptionsState
+  );
+  const setCatalogueSearchMode = useSetRecoilState(catalogueSearchModeState);
+  const setIsLeftViewVisible = useSetRecoilState(isLeftViewVisible);
+  const { setSelectedSemester } = useUnifiedSemesterState();
+  const { updateSelectedCourseInfo } = useUnifiedCourseData();
+
+  const [isHydrated, setIsHydrated] = useState(false);
+  // Course from the URL, selected once its semester's courses are loaded
+  const [pendingCourse, setPendingCourse] = useState(null);
+  const pendingSemesterCourses = useRecoilValue(
+    semesterCoursesSelector({
+      semester: pendingCourse?.semester ?? null,
+      type: "available",
+    })
+  );
+  const { lastFetched: pendingSemesterFetched } = useRecoilValue(
+    semesterCourseDataSelector(pendingCourse?.semester ?? null)
+  );
+  const previousSemesterRef = useRef(selectedSemester);
+
+  const currentUrl = location.pathname + location.search;
+  const currentUrlRef = useRef(currentUrl);
+  currentUrlRef.current = currentUrl;
+  // Course of the last written URL; a different one pushes a history entry
+  const lastCourseRef = useRef(null);
+  const handledUrlRef = useRef(null);
+
+  const applyView = (view, { isInitial }) => {
+    if (view.tab !== null || !isInitial) setSelectedTab(view.tab ?? 0);
+
+    if (view.filters) {
+      setSelectionOptions((prev) => ({ ...prev, ...view.filters }));
+    } else if (!isInitial) {
+      setSelectionOptions((prev) => ({
+        ...prev,
+        ...createEmptyQueryCriteria(),
+        query: "",
+      }));
+    }
+
+    const semester = view.semester || selectedSemester;
+    if (view.semester && view.semester !== selectedSemester) {
+      if (termList.some((term) => term.shortName === view.semester)) {
+        const latestValidTerm =
+          termList.find((term) => term.isCurrent)?.shortName ||
+          termList[0]?.shortName;
+        setCatalogueSearchMode(false);
+        setSelectedSemester(view.semester, termList, latestValidTerm);
+      } else {
+        toast.info(`Semester ${view.semester} is not available.`, {
+          toastId: "deep-link-semester",
+        });
+        return;
+      }
+    }
+
+    if (view.courseNumber) {
+      setPendingCourse({ semester, courseNumber: view.courseNumber });
+      if (isInitial && view.tab === null) setIsLeftViewVisible(false);
+    } else if (!isInitial && selectedCourse) {
+      updateSelectedCourseInfo(null);
+    }
+  };
+
+  // Read the URL (or the link opened before logging in) once terms are known
+  useEffect(() => {
+    if (isHydrated || termList.length === 0) return;
+
+    const pendingLink = sessionStorage.getItem(PENDING_DEEP_LINK_KEY);
+    sessionStorage.removeItem(PENDING_DEEP_LINK_KEY);
+    const url = new URL(pendingLink || currentUrl, window.location.origin);
+    const view = parseViewUrl(url.pathname, url.search);
+
+    applyView(view, { isInitial: true });
+    lastCourseRef.current = view.courseNumber;
+    handledUrlRef.current = currentUrl;
+    setIsHydrated(true);
+    // Runs once; applyView reads the state of this render
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [termList, isHydrated]);
+
+  // Back/forward: apply the URL to the state
+  useEffect(() => {
+    if (!isHydrated || handledUrlRef.current === currentUrl) return;
+    handledUrlRef.current = currentUrl;
+    if (navigationType !== "POP") return;
+
+    const view = parseViewUrl(location.pathname, location.search);
+    lastCourseRef.current = view.courseNumber;
+    applyView(view, { isInitial: false });
+    // Only URL changes matter here
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUrl, navigationType, isHydrated]);
+
+  // Give up on the course from the URL once another semester is selected
+  useEffect(() => {
+    const previousSemester = previousSemesterRef.current;
+    previousSemesterRef.current = selectedSemester;
+    if (
+      pendingCourse &&
+      selectedSemester !== previousSemester &&
+      selectedSemester !== pendingCourse.semester
+    ) {
+      setPendingCourse(null);
+    }
+  }, [selectedSemester, pendingCourse]);
+
+  // Select the course from the URL once its semester has loaded. A semester
+  // that loaded without courses does not offer it either.
+  useEffect(() => {
+    if (!pendingCourse || pendingCourse.semester !== selectedSemester) return;
+    if (pendingSemesterCourses.length === 0 && !pendingSemesterFetched) return;
+
+    const course = pendingSemesterCourses.find(
+      (candidate) =>
+        getCourseIdentifier(candidate) === pendingCourse.courseNumber ||
+        candidate.courseNumber === pendingCourse.courseNumber
+    );
+    if (course) {
+      updateSelectedCourseInfo(course);
+    } else {
+      toast.info(
+        `Course ${pendingCourse.courseNumber} is not offered in ${pendingCourse.semester}.`,
+        { toastId: "deep-link-course" }
+      );
+    }
+    setPendingCourse(null);
+    // updateSelectedCourseInfo changes on every render
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [
+    pendingCourse,
+    pendingSemesterCourses,
+    pendingSemesterFetched,
+    selectedSemester,
+  ]);
+
+  // Write the state to the URL. Not driven by location changes, so a
+  // back/forward navigation is only written once its state has been applied.
+  // A course from the URL that is still loading stays in it, also if its
+  // semester never loads.
+  useEffect(() => {
+    if (!isHydrated) return;
+
+    const courseNumber = pendingCourse
+      ? pendingCourse.courseNumber
+      : getCourseIdentifier(selectedCourse);
+    const url = buildViewUrl({
+      semester: pendingCourse?.semester ?? selectedSemester,
+      courseNumber,
+      tab: selectedTab,
+      selectionOptions,
+    });
+    if (url === currentUrlRef.current) return;
+
+    const isNewCourse = courseNumber && courseNumber !== lastCourseRef.current;
+    lastCourseRef.current = courseNumber;
+    handledUrlRef.current = url;
+    navigate(url, { replace: !isNewCourse });
+  }, [
+    isHydrated,
+    pendingCourse,
+    selectedSemester,
+    selectedCourse,
+    selectedTab,
+    selectionOptions,
+    navigate,
+  ]);
+}
+
+export default useUrlSync;
@@ -0,0 +1,132 @@
+/**
+ * Daily and weekly workload of the calendar courses.
+ *
+ * Contact hours are the scheduled sessions. Self-study is estimated from the
+ * ECTS at a number of hours per ECTS, minus the contact hours, and spread
+ * evenly over the weekdays from the course's first to its last week of
+ * sessions. Personal commitments are not workload and are left out.
+ */
+
+import moment from "moment/moment";
+import { getEcts } from "./timetableOptimizer";
+
+// Swiss universities count 25–30 hours of total work per ECTS
+export const DEFAULT_HOURS_PER_ECTS = 30;
+
+// Above this a week counts as overloaded, roughly a full-time working week
+export const WEEKLY_HOURS_LIMIT = 42;
+
+// Lower bounds of the colour levels of a day, in hours
+export const HOUR_LEVELS = [0, 2, 4, 6, 8];
+
+const DAY_FORMAT = "YYYY-MM-DD";
+
+/**
+ * Colour level of a day: 0 without hours, else 1–5 by HOUR_LEVELS.
+ * @param {number} hours
+ * @returns {number}
+ */
+export const getHoursLevel = (hours) =>
+  hours > 0
+    ? HOUR_LEVELS.filter((lowerBound) => hours >= lowerBound).length
+    : 0;
+
+/**
+ * Key of the week (its Monday) a day belongs to.
+ * @param {string|Date|moment.Moment} day
+ * @returns {string} YYYY-MM-DD
+ */
+export const getWeekKey = (day) =>
+  moment(day).startOf("isoWeek").format(DAY_FORMAT);
+
+// Projected semesters reuse last year's sessions, as in the Heatmap
+const toYear = (date, year) =>
+  year && date.year() !== year ? moment(date).year(year) : date;
+
+const emptyDay = () => ({ contactHours: 0, selfStudyHours: 0, sessions: [] });
+
+/**
+ * Builds the workload per day and per week.
+ *
+ * @param {Array} courses - Calendar courses (calendarCoursesSelector)
+ * @param {Object} [options]
+ * @param {number} [options.hoursPerEcts=DEFAULT_HOURS_PER_ECTS]
+ * @param {number} [options.year] - Moves sessions into this year
+ * @returns {{days: Map<string, {contactHours: number, selfStudyHours: number,
+ *   sessions: Array<{title: string, start: string, end: string,
+ *   hours: number, room: string}>}>,
+ *   weeks: Map<string, {contactHours: number, selfStudyHours: number}>,
+ *   totals: {contactHours: number, selfStudyHours: number}}}
+ *   Days keyed YYYY-MM-DD, weeks by their Monday
+ */
+export const buildWorkload = (
+  courses,
+  { hoursPerEcts = DEFAULT_HOURS_PER_ECTS, year } = {}
+) => {
+  const days = new Map();
+  const weeks = new Map();
+  const totals = { contactHours: 0, selfStudyHours: 0 };
+
+  const add = (dayKey, field, hours) => {
+    if (!days.has(dayKey)) days.set(dayKey, emptyDay());
+    days.get(dayKey)[field] += hours;
+
+    const weekKey = getWeekKey(dayKey);
+    if (!weeks.has(weekKey)) {
+      weeks.set(weekKey, { contactHours: 0, selfStudyHours: 0 });
+    }
+    weeks.get(weekKey)[field] += hours;
+    totals[field] += hours;
+  };
+
+  courses
+    .filter((course) => !course.isPersonal)
+    .forEach((course) => {
+      const sessions = (course.calendarEntry || []).map((entry) => {
+        const start = toYear(moment(entry.eventDate), year);
+        return {
+          entry,
+          start,
+          end: moment(start).add(entry.durationInMinutes, "minutes"),
+          hours: (entry.durationInMinutes || 0) / 60,
+        };
+      });
+      if (sessions.length === 0) return;
+
+      sessions.forEach(({ entry, start, end, hours }) => {
+        const dayKey = start.format(DAY_FORMAT);
+        add(dayKey, "contactHours", hours);
+        days.get(dayKey).sessions.push({
+          title: course.shortName || course.courseName || "",
+          start: start.format("HH:mm"),
+          end: end.format("HH:mm"),
+          hours,
+          room: entry.room || "",
+        });
+      });
+
+      const contactHours = sessions.reduce((sum, { hours }) => sum + hours, 0);
+      const selfStudyHours = getEcts(course) * hoursPerEcts - contactHours;
+      if (selfStudyHours <= 0) return;
+
+      // Weekdays from the Monday of the first to the Friday of the last week
+      const starts = sessions.map(({ start }) => start.valueOf());
+      const first = moment(Math.min(...starts)).startOf("isoWeek");
+      const last = moment(Math.max(...starts)).startOf("isoWeek");
+      const studyDays = [];
+      const monday = moment(first);
+      while (monday.isSameOrBefore(last, "day")) {
+        for (let weekday = 0; weekday < 5; weekday++) {
+          studyDays.push(moment(monday).add(weekday, "days").format(DAY_FORMAT));
+        }
+        monday.add(1, "week");
+      }
+      studyDays.forEach((dayKey) =>
+        add(dayKey, "selfStudyHours", selfStudyHours / studyDays.length)
+      );
+    });
+
+  days.forEach((day) => day.sessions.sort((a, b) => a.start.localeCompare(b.start)));
+
+  return { days, weeks, totals };
+};
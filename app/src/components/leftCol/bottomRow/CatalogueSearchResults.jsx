@@ -0,0 +1,172 @@
+import PropTypes from "prop-types";
+import { useRecoilValue } from "recoil";
+import { authTokenState } from "../../recoil/authAtom";
+import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import { catalogueSearchResultsSelector } from "../../recoil/catalogueSearchSelector";
+import { useTermCatalogues } from "../../helpers/useTermCatalogues";
+import { buildOfferingTimeline } from "../../helpers/catalogueSearch";
+import { HighlightedText } from "./HighlightedText";
+
+// Common words match hundreds of courses; nobody scrolls past this
+const MAX_VISIBLE_GROUPS = 100;
+
+const formatLecturers = (course) =>
+  (course?.lecturers || [])
+    .map((lecturer) => lecturer?.displayName)
+    .filter(Boolean)
+    .join(" • ");
+
+/**
+ * Offering history of one course: a chip per searched semester, filled when
+ * the course was offered. Offered semesters that can be selected switch the
+ * course list to that semester.
+ */
+const OfferingTimeline = ({ group, semesters, selectableSemesters, onSelectSemester }) => {
+  const offeringsBySemester = new Map(
+    group.offerings.map((offering) => [offering.semester, offering])
+  );
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {buildOfferingTimeline(group, semesters).map(({ semester, offered }) => {
+        if (!offered) {
+          return (
+            <span
+              key={semester}
+              className="px-1.5 rounded-full text-xs text-gray-400 border border-gray-200"
+              title={`Not offered in ${semester}`}
+            >
+              {semester}
+            </span>
+          );
+        }
+        const offering = offeringsBySemester.get(semester);
+        const lecturers = formatLecturers(offering.course);
+        const title = `${semester}: ${offering.course.courseNumber || ""}${
+          lecturers ? ` (${lecturers})` : ""
+        }`;
+        if (!selectableSemesters.includes(semester)) {
+          return (
+            <span
+              key={semester}
+              className="px-1.5 rounded-full text-xs bg-hsg-600 text-white"
+              title={title}
+            >
+              {semester}
+            </span>
+          );
+        }
+        return (
+          <button
+            key={semester}
+            type="button"
+            onClick={() => onSelectSemester(semester)}
+            className="px-1.5 rounded-full text-xs bg-hsg-600 text-white hover:bg-hsg-800"
+            title={`${title} – show this semester`}
+          >
+            {semester}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+OfferingTimeline.propTypes = {
+  group: PropTypes.object.isRequired,
+  semesters: PropTypes.arrayOf(PropTypes.string).isRequired,
+  selectableSemesters: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSelectSemester: PropTypes.func.isRequired,
+};
+
+/**
+ * Results of the all-semesters search: one card per course (grouped by
+ * course root key) with its latest offering and offering history.
+ */
+export default function CatalogueSearchResults({
+  selectableSemesters,
+  onSelectSemester,
+}) {
+  const authToken = useRecoilValue(authTokenState);
+  const selectionOptions = useRecoilValue(selectionOptionsState);
+  const { semesters, groups } = useRecoilValue(catalogueSearchResultsSelector);
+
+  const query = [
+    selectionOptions.searchTerm,
+    ...(selectionOptions.phrases || []),
+  ].join(" ");
+  const hasQuery =
+    query.trim().length > 0 || (selectionOptions.excludedTerms || []).length > 0;
+  // Past catalogues are only fetched once there is something to search for
+  const { isLoading, loaded, total } = useTermCatalogues(authToken, hasQuery);
+
+  return (
+    <div className="h-full overflow-auto text-sm scrollbar-hide">
+      <p className="mb-2 text-xs text-gray-500">
+        Searching {semesters.length} semester{semesters.length === 1 ? "" : "s"}
+        {isLoading && ` – loading catalogues ${loaded}/${total}…`}
+        {hasQuery &&
+          ` · ${groups.length} course${groups.length === 1 ? "" : "s"} found`}
+      </p>
+
+      {!hasQuery && (
+        <p className="mt-8 text-center text-main">
+          Type in the search box to search all semesters
+        </p>
+      )}
+
+      {hasQuery && groups.length === 0 && !isLoading && (
+        <p className="mt-8 text-xl text-center text-main">
+          No matching courses found in any semester
+        </p>
+      )}
+
+      {groups.slice(0, MAX_VISIBLE_GROUPS).map((group) => {
+        const latest = group.offerings[0].course;
+        return (
+          <div
+            key={group.key}
+            className="px-3 py-2 mb-2.5 bg-white rounded-lg shadow-sm text-gray-800"
+          >
+            <div className="flex items-center font-semibold">
+              <p className="flex-1 truncate">
+                <HighlightedText text={group.shortName || ""} query={query} />
+              </p>
+              <span className="ml-2 text-xs font-normal text-gray-500 shrink-0">
+                Last offered {group.lastOffered}
+              </span>
+            </div>
+            <div className="grid grid-cols-12 text-xs text-gray-700">
+              <p className="col-span-2 truncate">
+                {latest.credits ? `${latest.credits / 100} ECTS` : "–"}
+              </p>
+              <p className="col-span-10 truncate">
+                {latest.classification || ""}
+              </p>
+            </div>
+            <OfferingTimeline
+              group={group}
+              semesters={semesters}
+              selectableSemesters={selectableSemesters}
+              onSelectSemester={onSelectSemester}
+            />
+          </div>
+        );
+      })}
+
+      {groups.length > MAX_VISIBLE_GROUPS && (
+        <p className="mb-2 text-xs text-center text-gray-500">
+          Showing {MAX_VISIBLE_GROUPS} of {groups.length} courses, refine your
+          search to see more
+        </p>
+      )}
+    </div>
+  );
+}
+
+CatalogueSearchResults.propTypes = {
+  selectableSemesters: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSelectSemester: PropTypes.func.isRequired,
+};
+
+export { CatalogueSearchResults };
@@ -0,0 +1,40 @@
+import PropTypes from "prop-types";
+import { ScaleIcon } from "@heroicons/react/outline";
+import { useCompareTray } from "../../helpers/useCompareTray";
+
+/**
+ * Adds a course to the compare tray or removes it again.
+ * Used in the course list, similar courses and the curriculum map picker.
+ */
+export default function CompareButton({ course, semester, className = "" }) {
+  const { isInTray, toggleCompare } = useCompareTray();
+  const isActive = isInTray(course, semester);
+
+  return (
+    <button
+      type="button"
+      // Keeps drag sources (course rows, picker cards) from starting a drag
+      onPointerDown={(e) => e.stopPropagation()}
+      onClick={(e) => {
+        e.stopPropagation();
+        toggleCompare(course, semester);
+      }}
+      className={`shrink-0 rounded transition duration-300 ease-in-out ${
+        isActive ? "text-hsg-800" : "text-gray-400 hover:text-gray-700"
+      } ${className}`}
+      aria-pressed={isActive}
+      aria-label={isActive ? "Remove from comparison" : "Add to comparison"}
+      title={isActive ? "Remove from comparison" : "Add to comparison"}
+    >
+      <ScaleIcon className="w-4 h-4" />
+    </button>
+  );
+}
+
+CompareButton.propTypes = {
+  course: PropTypes.object.isRequired,
+  semester: PropTypes.string.isRequired,
+  className: PropTypes.string,
+};
+
+export { CompareButton };
@@ -0,0 +1,64 @@
+import { useSetRecoilState } from "recoil";
+import { XIcon } from "@heroicons/react/outline";
+import { useCompareTray } from "../../helpers/useCompareTray";
+import { selectedTabAtom, COMPARE_TAB_INDEX } from "../../recoil/selectedTabAtom";
+import { isLeftViewVisible } from "../../recoil/isLeftViewVisible";
+
+/**
+ * Courses picked for comparison, shown below the course list while the
+ * tray is not empty.
+ */
+export default function CompareTray() {
+  const { tray, removeFromTray, clearTray } = useCompareTray();
+  const setSelectedTab = useSetRecoilState(selectedTabAtom);
+  const setIsLeftViewVisible = useSetRecoilState(isLeftViewVisible);
+
+  if (tray.length === 0) return null;
+
+  const openComparison = () => {
+    setSelectedTab(COMPARE_TAB_INDEX);
+    setIsLeftViewVisible(false);
+  };
+
+  return (
+    <div className="flex items-center gap-2 px-2 py-1.5 border-t border-gray-200 bg-gray-50">
+      <div className="flex flex-1 gap-1 overflow-x-auto">
+        {tray.map((entry) => (
+          <span
+            key={`${entry.semester}-${entry.courseId}`}
+            className="flex items-center gap-1 px-2 py-0.5 text-xs rounded-full bg-white border border-gray-300 whitespace-nowrap"
+            title={`${entry.shortName} (${entry.semester})`}
+          >
+            <span className="max-w-[8rem] truncate">{entry.shortName}</span>
+            <button
+              type="button"
+              onClick={() => removeFromTray(entry)}
+              className="text-gray-400 hover:text-gray-700"
+              aria-label={`Remove ${entry.shortName} from comparison`}
+            >
+              <XIcon className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={clearTray}
+        className="text-xs text-gray-500 hover:text-gray-800"
+      >
+        Clear
+      </button>
+      <button
+        type="button"
+        onClick={openComparison}
+        disabled={tray.length < 2}
+        className="px-2 py-1 text-xs font-semibold text-white rounded bg-hsg-700 hover:bg-hsg-800 disabled:opacity-50 disabled:cursor-not-allowed"
+        title={tray.length < 2 ? "Add at least two courses" : undefined}
+      >
+        Compare ({tray.length})
+      </button>
+    </div>
+  );
+}
+
+export { CompareTray };
@@ -19,7 +19,8 @@
 import PropTypes from "prop-types";
 import { useRecoilState, useRecoilValue } from "recoil";
 import { Suspense } from "react";
-import { useEffect, useRef } from "react";
+import { useEffect, useRef, useState } from "react";
+import { toast } from "react-toastify";
 import { authTokenState } from "../../recoil/authAtom";
 import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
 import { FixedSizeList } from "react-window";
@@ -34,21 +35,56 @@ import { CSS } from "@dnd-kit/utilities";
 import { useEventListDataManager } from "../../helpers/useEventListDataManager";
 import { useCourseSelection } from "../../helpers/useCourseSelection";
 import { useUnifiedCourseData } from "../../helpers/useUnifiedCourseData";
+import { getCourseIdentifier } from "../../helpers/courseUtils";
+import { sortCourses } from "../../helpers/courseSorting";
+import {
+  DEFAULT_TIMETABLE_FIT,
+  TIMETABLE_FIT_MODES,
+  computeTimetableCollisions,
+  exceedsTimetableTolerance,
+} from "../../helpers/timetableFit";
+import {
+  COURSE_LIST_ROW_TYPES,
+  flattenCourseList,
+  groupCourseList,
+  pickBestFittingGroup,
+} from "../../helpers/courseListGrouping";
+import { summarizeWeeklySchedule } from "../../helpers/courseComparison";
+import { getNextRowIndex } from "../../helpers/keyboardNavigation";
+import {
+  findOpenCategoryForCourse,
+  getRemainingCredits,
+} from "../../helpers/curriculumGapFilter";
 
 // Unified course selectors - PRIMARY DATA SOURCE
 import {
   semesterCoursesSelector,
   selectedCoursesSelector,
 } from "../../recoil/unifiedCourseDataSelectors";
+import {
+  busyCoursesSelector,
+  timetableCollisionsSelector,
+} from "../../recoil/timetableCollisionsSelector";
+import { curriculumCategoriesSelector } from "../../recoil/curriculumMapSelector";
+import { hiddenCourseIdsSelector } from "../../recoil/hiddenCourseIdsSelector";
+import { courseSortState } from "../../recoil/courseSortAtom";
 
 // Icons
-import { PlusIcon } from "@heroicons/react/outline";
+import {
+  ChevronDownIcon,
+  ChevronRightIcon,
+  LightningBoltIcon,
+  PlusIcon,
+} from "@heroicons/react/outline";
 import { StarIcon } from "@heroicons/react/solid";
 import { Tooltip as ReactTooltip } from "react-tooltip";
 
 // Custom components
 import { LockClosed } from "./LockClosed";
 import { LockOpen } from "./LockOpen";
+import { HighlightedText } from "./HighlightedText";
+import { CompareButton } from "./CompareButton";
+import { ExportCourseList } from "./ExportCourseList";
 
 // Recoil state
 import { selectedTabAtom } from "../../recoil/selectedTabAtom";
@@ -99,6 +135,80 @@ export default function EventListContainer({
       })
     ) || [];
 
+  // API order, to undo the status pinning when the sort turns it off
+  const availableCourses =
+    useRecoilValue(
+      semesterCoursesSelector({
+        semester: selectedSemesterShortName,
+        type: "available",
+      })
+    ) || [];
+
+  // "Fits my timetable": collision counts against enrolled + wishlisted courses
+  const timetableFit = selectionOptions.timetableFit || DEFAULT_TIMETABLE_FIT;
+  const timetableCollisions = useRecoilValue(
+    timetableCollisionsSelector(
+      timetableFit.mode === TIMETABLE_FIT_MODES.OFF
+        ? null
+        : selectedSemesterShortName
+    )
+  );
+
+  // Open curriculum category each course would fill (keyed by classification)
+  const flatCategories = useRecoilValue(curriculumCategoriesSelector);
+  const openCategoryByClassification = new Map();
+  filteredCourses.forEach((course) => {
+    if (!openCategoryByClassification.has(course.classification)) {
+      openCategoryByClassification.set(
+        course.classification,
+        findOpenCategoryForCourse(course.classification, flatCategories)
+      );
+    }
+  });
+
+  const courseSort = useRecoilValue(courseSortState);
+
+  // Timetable-fit "hide" mode and "open requirements only"; shared with the
+  // facet counts so both see the same courses
+  const hiddenCourseIds = useRecoilValue(
+    hiddenCourseIdsSelector(selectedSemesterShortName)
+  );
+  const unsortedVisibleCourses = filteredCourses.filter(
+    (course) => !hiddenCourseIds.has(getCourseIdentifier(course))
+  );
+  const visibleCourses = sortCourses(
+    unsortedVisibleCourses,
+    courseSort,
+    availableCourses
+  );
+
+  // Exercise groups are nested under their lecture, collapsed by default
+  const [expandedGroups, setExpandedGroups] = useState(() => new Set());
+  const listItems = groupCourseList(visibleCourses);
+  const rows = flattenCourseList(listItems, expandedGroups);
+
+  // Keyboard navigation: the active row is highlighted while the list has focus
+  const listRef = useRef(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const activeRowIndex = Math.min(activeIndex, rows.length - 1);
+
+  const toggleGroup = (groupKey) =>
+    setExpandedGroups((prev) => {
+      const next = new Set(prev);
+      if (next.has(groupKey)) next.delete(groupKey);
+      else next.add(groupKey);
+      return next;
+    });
+
+  // Groups always show their conflict status, independent of the filter
+  const busyCourses = useRecoilValue(
+    busyCoursesSelector(selectedSemesterShortName)
+  );
+  const groupCollisions = computeTimetableCollisions(
+    listItems.flatMap((item) => item.children || []),
+    busyCourses
+  );
+
   /**
    * ========================= DEV LOGGING UTILITIES =========================
    * Provides short summary lines plus expandable full objects for quick inspection
@@ -201,10 +311,90 @@ export default function EventListContainer({
     authToken,
   });
 
+  const isScheduled = (course) =>
+    course.selected || (course.enrolled && !selectedSemester?.isProjected);
+
+  // Wishlists the lecture and, unless one is already chosen, the group that
+  // collides least with the timetable including the lecture
+  const selectLectureWithBestGroup = async ({ course: lecture, children }) => {
+    if (!isScheduled(lecture)) await addOrRemoveCourse(lecture);
+    if (children.some(isScheduled)) return;
+
+    const best = pickBestFittingGroup(children, busyCourses, lecture);
+    if (!best) return;
+    await addOrRemoveCourse(best.course);
+    if (best.collision.count > 0) {
+      toast.info(
+        `${best.course.shortName} fits best but still has ${best.collision.count} colliding session${
+          best.collision.count === 1 ? "" : "s"
+        }.`,
+        { toastId: "best-group-collisions" }
+      );
+    }
+  };
+
+  const openCourseInfo = (course) => {
+    updateSelectedCourseInfo(course);
+    setSelectedTabState(0);
+    setIsLeftViewVisibleState(false);
+  };
+
+  const moveToRow = (index) => {
+    setActiveIndex(index);
+    listRef.current?.scrollToItem(index);
+  };
+
+  const handleListKeyDown = (e) => {
+    if (isLoading || rows.length === 0) return;
+
+    const next = getNextRowIndex(e.key, activeRowIndex, rows.length);
+    if (next !== null) {
+      e.preventDefault();
+      moveToRow(next);
+      return;
+    }
+
+    // Buttons inside a row keep their own Enter and Space
+    const row = rows[activeRowIndex];
+    if (!row || e.target !== e.currentTarget) return;
+
+    if (e.key === "Enter") {
+      e.preventDefault();
+      openCourseInfo(row.course);
+    } else if (e.key === " ") {
+      e.preventDefault();
+      if (!(row.course.enrolled && !selectedSemester?.isProjected)) {
+        addOrRemoveCourse(row.course);
+      }
+    } else if (
+      e.key === "ArrowRight" &&
+      row.type === COURSE_LIST_ROW_TYPES.GROUP
+    ) {
+      e.preventDefault();
+      if (!row.isExpanded) toggleGroup(row.key);
+    } else if (e.key === "ArrowLeft") {
+      const groupKey =
+        row.type === COURSE_LIST_ROW_TYPES.CHILD ? row.groupKey : row.key;
+      if (!expandedGroups.has(groupKey)) return;
+      e.preventDefault();
+      toggleGroup(groupKey);
+      moveToRow(
+        rows.findIndex(
+          (candidate) =>
+            candidate.type === COURSE_LIST_ROW_TYPES.GROUP &&
+            candidate.key === groupKey
+        )
+      );
+    }
+  };
+
   // Row renderer - simplified to use only filtered courses
   // Now includes drag capability for CurriculumMap integration
   const Row = ({ index, style, data }) => {
-    const event = data.filteredCourses[index];
+    const row = data.rows[index];
+    const event = row?.course;
+    const isGroup = row?.type === COURSE_LIST_ROW_TYPES.GROUP;
+    const isChild = row?.type === COURSE_LIST_ROW_TYPES.CHILD;
     const courseId = event?.courseNumber || event?.id || `row-${index}`;
 
     // useDraggable hook for drag-and-drop (must be called unconditionally)
@@ -238,13 +428,22 @@ export default function EventListContainer({
     const wasPreviouslyEnrolled =
       event.enrolled && data.selectedSemester?.isProjected;
 
+    const collision = data.timetableCollisions.get(getCourseIdentifier(event));
+    const exceedsTolerance = exceedsTimetableTolerance(
+      collision,
+      data.timetableFit
+    );
+    const openCategory = data.openCategoryByClassification.get(
+      event.classification
+    );
+
     return (
       <div
         ref={setNodeRef}
         key={index}
         className={`flex w-full h-full overflow-visible pb-2.5 ${
-          isDragging ? "opacity-50" : ""
-        }`}
+          isChild ? "pl-6" : ""
+        } ${isDragging ? "opacity-50" : ""}`}
         style={{ ...style, ...dragStyle }}
         title={
           wasPreviouslyEnrolled
@@ -257,42 +456,132 @@ export default function EventListContainer({
           {...listeners}
           {...attributes}
           onClick={() => {
-            data.updateSelectedCourseInfo(event);
-            data.setSelectedTabState(0);
-            data.setIsLeftViewVisibleState(false);
+            data.setActiveIndex(index);
+            data.openCourseInfo(event);
           }}
           className={`flex-1 py-2 pl-3 pr-4 rounded-lg shadow-sm overflow-hidden cursor-grab hover:shadow-md transition duration-500 ease-in-out ${
             wasPreviouslyEnrolled
               ? "bg-gray-100 text-gray-500"
               : "bg-white text-gray-800"
-          } ${isDragging ? "cursor-grabbing" : ""}`}
+          } ${isDragging ? "cursor-grabbing" : ""} ${
+            index === data.activeRowIndex
+              ? "group-focus-visible/list:ring-2 group-focus-visible/list:ring-hsg-600"
+              : ""
+          }`}
         >
-          <div className="pb-2 font-semibold">
-            <p className="truncate">
-              {event.shortName ? event.shortName : "Loading..."}
+          <div className="flex items-center pb-2 font-semibold">
+            <p className="flex-1 truncate">
+              {event.shortName ? (
+                <HighlightedText
+                  text={event.shortName}
+                  query={data.searchTerm}
+                />
+              ) : (
+                "Loading..."
+              )}
             </p>
-          </div>
-          <div
-            className={`text-xs grid grid-cols-12 ${
-              wasPreviouslyEnrolled ? "text-gray-400" : "text-gray-700"
-            }`}
-          >
-            {event && event.avgRating && (
-              <p className="flex col-span-2 ">
-                <StarIcon
-                  width={12}
-                  color={wasPreviouslyEnrolled ? "#9CA3AF" : "#006625"}
-                />{" "}
-                {event.avgRating}
-              </p>
+            {collision && (
+              <span
+                className={`ml-2 shrink-0 px-1.5 rounded-full text-xs font-medium ${
+                  exceedsTolerance
+                    ? "bg-warning text-white"
+                    : "bg-gray-200 text-gray-600"
+                }`}
+                data-tooltip-id="timetable-collision-tooltip"
+                data-tooltip-content={`${collision.count} session${
+                  collision.count === 1 ? "" : "s"
+                } collide with ${collision.conflictsWith.join(", ")}${
+                  collision.weeklyCount > 0
+                    ? ` (${collision.weeklyCount} weekly recurring)`
+                    : ""
+                }`}
+              >
+                {collision.count}
+              </span>
             )}
-            <p className="hidden col-span-2 truncate md:block">
-              {event ? `${event.credits / 100} ECTS` : "NA"}
-            </p>
-            <p className="col-span-8 truncate">
-              {event ? `${event.classification}` : "NA"}
-            </p>
+            {isGroup && (
+              <>
+                <button
+                  type="button"
+                  onPointerDown={(e) => e.stopPropagation()}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    data.toggleGroup(row.key);
+                  }}
+                  className="flex items-center ml-2 px-1.5 shrink-0 rounded-full text-xs font-medium bg-gray-100 text-gray-600 hover:bg-gray-200"
+                  aria-expanded={row.isExpanded}
+                  title={row.isExpanded ? "Hide groups" : "Show groups"}
+                >
+                  {row.children.length} group
+                  {row.children.length === 1 ? "" : "s"}
+                  {row.children.some(data.isScheduled) && " · chosen"}
+                  {row.isExpanded ? (
+                    <ChevronDownIcon className="w-3 h-3 ml-0.5" />
+                  ) : (
+                    <ChevronRightIcon className="w-3 h-3 ml-0.5" />
+                  )}
+                </button>
+                <button
+                  type="button"
+                  onPointerDown={(e) => e.stopPropagation()}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    data.selectLectureWithBestGroup(row);
+                  }}
+                  className="ml-2 shrink-0 text-gray-400 hover:text-gray-700"
+                  aria-label="Select lecture and best-fitting group"
+                  title="Select lecture + best-fitting group"
+                >
+                  <LightningBoltIcon className="w-4 h-4" />
+                </button>
+              </>
+            )}
+            <CompareButton
+              course={event}
+              semester={data.selectedSemesterShortName}
+              className="ml-2"
+            />
           </div>
+          {isChild ? (
+            <ChildDetails
+              course={event}
+              collision={data.groupCollisions.get(getCourseIdentifier(event))}
+            />
+          ) : (
+            <div
+              className={`text-xs grid grid-cols-12 ${
+                wasPreviouslyEnrolled ? "text-gray-400" : "text-gray-700"
+              }`}
+            >
+              {event && event.avgRating && (
+                <p className="flex col-span-2 ">
+                  <StarIcon
+                    width={12}
+                    color={wasPreviouslyEnrolled ? "#9CA3AF" : "#006625"}
+                  />{" "}
+                  {event.avgRating}
+                </p>
+              )}
+              <p className="hidden col-span-2 truncate md:block">
+                {event ? `${event.credits / 100} ECTS` : "NA"}
+              </p>
+              <p className="flex items-center min-w-0 col-span-8">
+                <span className="truncate">
+                  {event ? `${event.classification}` : "NA"}
+                </span>
+                {openCategory && (
+                  <span
+                    className="ml-1 px-1.5 truncate rounded-full shrink max-w-[60%] bg-green-100 text-green-800"
+                    title={`Counts toward ${openCategory.name} (${getRemainingCredits(
+                      openCategory
+                    )} ECTS still open)`}
+                  >
+                    {openCategory.name}
+                  </span>
+                )}
+              </p>
+            </div>
+          )}
         </div>
 
         {/* Add/Remove Button */}
@@ -337,6 +626,45 @@ export default function EventListContainer({
     );
   };
 
+  const ChildDetails = ({ course, collision }) => {
+    const { weekly, blockSessions } = summarizeWeeklySchedule(
+      course.calendarEntry
+    );
+    const schedule = [
+      ...weekly.map((slot) => slot.label),
+      ...(blockSessions > 0
+        ? [`${blockSessions} block session${blockSessions === 1 ? "" : "s"}`]
+        : []),
+    ].join(", ");
+
+    return (
+      <div className="flex text-xs text-gray-700">
+        <p className="flex-1 truncate" title={schedule}>
+          {schedule || "No sessions"}
+        </p>
+        <p
+          className={`ml-2 shrink-0 ${
+            collision ? "text-warning" : "text-green-700"
+          }`}
+          title={
+            collision
+              ? `Collides with ${collision.conflictsWith.join(", ")}`
+              : undefined
+          }
+        >
+          {collision
+            ? `${collision.count} collision${collision.count === 1 ? "" : "s"}`
+            : "No conflicts"}
+        </p>
+      </div>
+    );
+  };
+
+  ChildDetails.propTypes = {
+    course: PropTypes.object.isRequired,
+    collision: PropTypes.object,
+  };
+
   Row.propTypes = {
     index: PropTypes.number.isRequired,
     style: PropTypes.object.isRequired,
@@ -371,13 +699,24 @@ export default function EventListContainer({
 
   // Prepare itemData for Row component (includes all needed callbacks and state)
   const itemData = {
-    filteredCourses,
+    rows,
+    groupCollisions,
+    toggleGroup,
+    isScheduled,
+    selectLectureWithBestGroup,
+    timetableCollisions,
+    timetableFit,
+    openCategoryByClassification,
+    searchTerm: [
+      selectionOptions.searchTerm,
+      ...(selectionOptions.phrases || []),
+    ].join(" "),
     selectedSemesterShortName,
     selectedSemester,
     selectedCourseIds,
-    updateSelectedCourseInfo,
-    setSelectedTabState,
-    setIsLeftViewVisibleState,
+    openCourseInfo,
+    activeRowIndex,
+    setActiveIndex,
     addOrRemoveCourse,
   };
 
@@ -385,28 +724,60 @@ export default function EventListContainer({
     <Suspense
       fallback={<LoadingText>Loading your data from unisg.ch...</LoadingText>}
     >
-      <AutoSizer>
-        {({ height, width }) => (
-          <FixedSizeList
-            className="overflow-auto text-sm scrollbar-hide"
-            height={height}
-            itemCount={isLoading ? 1 : filteredCourses?.length || 1}
-            itemSize={75}
-            width={width}
-            itemData={itemData}
-          >
-            {({ index, style, data }) => {
-              if (isLoading) {
-                return <LoadingRow style={style} />;
-              }
-              if (!filteredCourses || filteredCourses.length === 0) {
-                return <NoCoursesRow style={style} />;
-              }
-              return <Row index={index} style={style} data={data} />;
-            }}
-          </FixedSizeList>
-        )}
-      </AutoSizer>
+      <div className="flex flex-col w-full h-full">
+        <div className="flex items-center justify-between pb-1 text-xs text-gray-500">
+          <span>
+            {isLoading
+              ? "Loading courses…"
+              : `${visibleCourses.length} course${
+                  visibleCourses.length === 1 ? "" : "s"
+                }`}
+          </span>
+          {!isLoading && (
+            <ExportCourseList
+              courses={visibleCourses}
+              semester={selectedSemesterShortName}
+            />
+          )}
+        </div>
+        <div
+          tabIndex={0}
+          role="group"
+          aria-label="Courses: arrow keys to move, Enter for details, Space to wishlist"
+          onKeyDown={handleListKeyDown}
+          onFocus={() => activeIndex === -1 && setActiveIndex(0)}
+          className="flex-1 w-full min-h-0 outline-none group/list"
+        >
+          <AutoSizer>
+            {({ height, width }) => (
+              <FixedSizeList
+                ref={listRef}
+                className="overflow-auto text-sm scrollbar-hide"
+                height={height}
+                itemCount={isLoading ? 1 : rows.length || 1}
+                itemSize={75}
+                width={width}
+                itemData={itemData}
+              >
+                {({ index, style, data }) => {
+                  if (isLoading) {
+                    return <LoadingRow style={style} />;
+                  }
+                  if (rows.length === 0) {
+                    return <NoCoursesRow style={style} />;
+                  }
+                  return <Row index={index} style={style} data={data} />;
+                }}
+              </FixedSizeList>
+            )}
+          </AutoSizer>
+        </div>
+      </div>
+      <ReactTooltip
+        id="timetable-collision-tooltip"
+        place="top"
+        className="bg-gray-800 text-white text-xs rounded px-2 py-1 z-50"
+      />
       <ReactTooltip
         id="enrolled-tooltip"
         place="top"
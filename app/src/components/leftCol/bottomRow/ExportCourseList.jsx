@@ -0,0 +1,134 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { useRecoilState, useRecoilValue } from "recoil";
+import { Popover } from "@headlessui/react";
+import { DownloadIcon } from "@heroicons/react/outline";
+import { authTokenState } from "../../recoil/authAtom";
+import { exportColumnsState } from "../../recoil/exportColumnsAtom";
+import { useExaminationTypes } from "../../helpers/useExaminationTypes";
+import { useUnifiedCourseData } from "../../helpers/useUnifiedCourseData";
+import { getCourseIdentifier } from "../../helpers/courseUtils";
+import { fetchExamInformationBulk } from "../../helpers/examInformationApi";
+import {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  exportCourseList,
+} from "../../helpers/courseListExport";
+import { errorHandlingService } from "../../errorHandling/ErrorHandlingService";
+
+/**
+ * Export button above the course list: pick columns, then download the
+ * courses as shown (filtered and sorted) as CSV or Excel. Exam parts are
+ * only prefetched for the exam filter, so the exam format column loads the
+ * missing ones first.
+ */
+const ExportCourseList = ({ courses, semester }) => {
+  const authToken = useRecoilValue(authTokenState);
+  const examinationTypes = useExaminationTypes(authToken);
+  const [columnIds, setColumnIds] = useRecoilState(exportColumnsState);
+  const { updateExamInformation } = useUnifiedCourseData();
+  const [isExporting, setIsExporting] = useState(false);
+
+  const toggleColumn = (id) =>
+    setColumnIds((prev) =>
+      prev.includes(id) ? prev.filter((other) => other !== id) : [...prev, id]
+    );
+
+  const withExamParts = async () => {
+    const missing = courses.filter((course) => !course.examinationParts);
+    if (!columnIds.includes("exam") || !authToken || missing.length === 0) {
+      return courses;
+    }
+
+    const results = await fetchExamInformationBulk(missing, authToken, {
+      getId: getCourseIdentifier,
+    });
+    updateExamInformation(semester, results);
+    return courses.map((course) => {
+      const examinationParts = results[getCourseIdentifier(course)];
+      return examinationParts ? { ...course, examinationParts } : course;
+    });
+  };
+
+  const runExport = async (format, close) => {
+    setIsExporting(true);
+    try {
+      exportCourseList(await withExamParts(), {
+        format,
+        columnIds,
+        semester,
+        examinationTypes,
+      });
+      close();
+    } catch (error) {
+      errorHandlingService.handleError(error);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const canExport = courses.length > 0 && columnIds.length > 0 && !isExporting;
+
+  return (
+    <Popover className="relative">
+      <Popover.Button
+        className="flex items-center gap-1 px-2 py-1 text-xs text-gray-600 rounded hover:bg-gray-200 hover:text-gray-900"
+        title="Export the course list"
+      >
+        <DownloadIcon className="w-4 h-4" aria-hidden="true" />
+        Export
+      </Popover.Button>
+      <Popover.Panel className="absolute right-0 z-30 w-56 p-3 mt-1 text-sm bg-white border border-gray-200 rounded-lg shadow-lg">
+        {({ close }) => (
+          <>
+            <p className="pb-1 text-xs font-semibold text-gray-500 uppercase">
+              Columns
+            </p>
+            {EXPORT_COLUMNS.map((column) => (
+              <label
+                key={column.id}
+                className="flex items-center gap-2 py-0.5 text-gray-700"
+              >
+                <input
+                  type="checkbox"
+                  checked={columnIds.includes(column.id)}
+                  onChange={() => toggleColumn(column.id)}
+                  className="rounded text-hsg-700 focus:ring-hsg-500"
+                />
+                {column.label}
+              </label>
+            ))}
+            <div className="flex gap-2 pt-3">
+              {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  type="button"
+                  disabled={!canExport}
+                  onClick={() => runExport(format, close)}
+                  className="flex-1 px-2 py-1 font-semibold text-white rounded bg-hsg-700 hover:bg-hsg-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <p className="pt-2 text-xs text-gray-500">
+              {isExporting
+                ? "Loading exam formats…"
+                : `${courses.length} course${
+                    courses.length === 1 ? "" : "s"
+                  } in ${semester}, in list order`}
+            </p>
+          </>
+        )}
+      </Popover.Panel>
+    </Popover>
+  );
+};
+
+ExportCourseList.propTypes = {
+  courses: PropTypes.array.isRequired,
+  semester: PropTypes.string.isRequired,
+};
+
+export default ExportCourseList;
+export { ExportCourseList };
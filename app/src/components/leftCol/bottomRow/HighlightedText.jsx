@@ -0,0 +1,23 @@
+import PropTypes from "prop-types";
+import { getHighlightSegments } from "../../helpers/courseSearchIndex";
+
+// Renders text with the words matching the search query highlighted
+function HighlightedText({ text, query }) {
+  if (!query) return text;
+  return getHighlightSegments(text, query).map((segment, i) =>
+    segment.match ? (
+      <mark key={i} className="px-0 bg-yellow-200 text-inherit rounded-sm">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={i}>{segment.text}</span>
+    )
+  );
+}
+
+HighlightedText.propTypes = {
+  text: PropTypes.string.isRequired,
+  query: PropTypes.string,
+};
+
+export { HighlightedText };
@@ -0,0 +1,217 @@
+import { useEffect, useState } from "react";
+import { useRecoilState } from "recoil";
+import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import {
+  AVAILABILITY_DAYS,
+  AVAILABILITY_HOURS,
+  DEFAULT_AVAILABILITY,
+  getSlotKey,
+} from "../../helpers/availabilityFilter";
+
+/**
+ * Weekly availability grid: click or drag over hour slots to block them,
+ * click a day or hour label to toggle the whole column or row.
+ * Dragging paints into a local draft that is committed on mouse up, so the
+ * course list is only re-filtered once per stroke.
+ */
+const AvailabilityGrid = () => {
+  const [selectionOptions, setSelectionOptions] = useRecoilState(
+    selectionOptionsState
+  );
+  const availability = {
+    ...DEFAULT_AVAILABILITY,
+    ...selectionOptions.availability,
+  };
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(null); // Set of slot keys while dragging
+  const [paintBlocked, setPaintBlocked] = useState(true);
+
+  const blockedSlots = draft || new Set(availability.blockedSlots);
+
+  const updateAvailability = (changes) => {
+    setSelectionOptions((prev) => ({
+      ...prev,
+      availability: {
+        ...DEFAULT_AVAILABILITY,
+        ...prev.availability,
+        ...changes,
+      },
+    }));
+  };
+
+  // Commit the painted slots when the mouse is released anywhere
+  useEffect(() => {
+    if (!draft) return undefined;
+    const commit = () => {
+      updateAvailability({ blockedSlots: [...draft] });
+      setDraft(null);
+    };
+    window.addEventListener("mouseup", commit);
+    return () => window.removeEventListener("mouseup", commit);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [draft]);
+
+  const paint = (slots, current, blocked) => {
+    const next = new Set(current);
+    slots.forEach((slot) => (blocked ? next.add(slot) : next.delete(slot)));
+    return next;
+  };
+
+  const startPainting = (slot) => {
+    const blocked = !blockedSlots.has(slot);
+    setPaintBlocked(blocked);
+    setDraft(paint([slot], blockedSlots, blocked));
+  };
+
+  const continuePainting = (slot) => {
+    if (draft) setDraft(paint([slot], draft, paintBlocked));
+  };
+
+  // Toggle a whole row or column: block all unless all are already blocked
+  const toggleSlots = (slots) => {
+    const allBlocked = slots.every((slot) => blockedSlots.has(slot));
+    updateAvailability({
+      blockedSlots: [...paint(slots, blockedSlots, !allBlocked)],
+    });
+  };
+
+  const blockedCount = availability.blockedSlots.length;
+
+  return (
+    <div style={{ marginBottom: "10px" }}>
+      <button
+        type="button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="text-sm text-gray-600 hover:text-gray-900"
+        aria-expanded={isOpen}
+      >
+        Availability
+        {blockedCount > 0 && (
+          <span className="ml-1 text-gray-500">
+            ({blockedCount} blocked hour{blockedCount === 1 ? "" : "s"})
+          </span>
+        )}
+        <span className="ml-1 text-gray-400">{isOpen ? "▲" : "▼"}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-1 text-xs select-none">
+          <table className="w-full border-separate table-fixed border-spacing-0.5">
+            <thead>
+              <tr>
+                <th className="w-10" />
+                {AVAILABILITY_DAYS.map(({ day, label }) => (
+                  <th key={day} className="font-medium text-gray-600">
+                    <button
+                      type="button"
+                      className="w-full hover:text-gray-900"
+                      onClick={() =>
+                        toggleSlots(
+                          AVAILABILITY_HOURS.map((hour) => getSlotKey(day, hour))
+                        )
+                      }
+                      title={`Block or free all of ${label}`}
+                    >
+                      {label}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {AVAILABILITY_HOURS.map((hour) => (
+                <tr key={hour}>
+                  <th className="pr-1 font-normal text-right text-gray-500">
+                    <button
+                      type="button"
+                      className="hover:text-gray-900"
+                      onClick={() =>
+                        toggleSlots(
+                          AVAILABILITY_DAYS.map(({ day }) => getSlotKey(day, hour))
+                        )
+                      }
+                      title={`Block or free ${hour}:00 on all days`}
+                    >
+                      {`${hour}:00`}
+                    </button>
+                  </th>
+                  {AVAILABILITY_DAYS.map(({ day, label }) => {
+                    const slot = getSlotKey(day, hour);
+                    const isBlocked = blockedSlots.has(slot);
+                    return (
+                      <td
+                        key={slot}
+                        role="checkbox"
+                        aria-checked={isBlocked}
+                        aria-label={`${label} ${hour}:00 blocked`}
+                        onMouseDown={() => startPainting(slot)}
+                        onMouseEnter={() => continuePainting(slot)}
+                        className={`h-3 rounded-sm cursor-pointer ${
+                          isBlocked
+                            ? "bg-warning"
+                            : "bg-gray-200 hover:bg-gray-300"
+                        }`}
+                      />
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex flex-wrap items-center mt-1 text-gray-600 gap-x-4 gap-y-1">
+            <label className="flex items-center gap-1">
+              Hide if more than
+              <input
+                type="number"
+                min={0}
+                max={100}
+                step={10}
+                value={availability.weeklyThreshold}
+                onChange={(e) =>
+                  updateAvailability({
+                    weeklyThreshold: clampPercent(e.target.value),
+                  })
+                }
+                className="w-14 px-1 py-0 text-xs border-gray-300 rounded focus:border-hsg-600 focus:ring-hsg-600"
+              />
+              % of weekly sessions
+            </label>
+            <label className="flex items-center gap-1">
+              or
+              <input
+                type="number"
+                min={0}
+                max={100}
+                step={10}
+                value={availability.blockThreshold}
+                onChange={(e) =>
+                  updateAvailability({
+                    blockThreshold: clampPercent(e.target.value),
+                  })
+                }
+                className="w-14 px-1 py-0 text-xs border-gray-300 rounded focus:border-hsg-600 focus:ring-hsg-600"
+              />
+              % of block sessions are blocked
+            </label>
+            {blockedCount > 0 && (
+              <button
+                type="button"
+                onClick={() => updateAvailability({ blockedSlots: [] })}
+                className="text-gray-500 hover:text-gray-800 hover:underline"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const clampPercent = (value) =>
+  Math.min(100, Math.max(0, parseInt(value, 10) || 0));
+
+export { AvailabilityGrid };
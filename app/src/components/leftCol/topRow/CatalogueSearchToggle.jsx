@@ -0,0 +1,31 @@
+import { useRecoilState } from "recoil";
+import { catalogueSearchModeState } from "../../recoil/catalogueSearchAtom";
+
+/**
+ * Switches the search between the selected semester and all semesters.
+ * In the all-semesters mode only the search box applies, the other filters
+ * depend on a single semester's data.
+ */
+const CatalogueSearchToggle = () => {
+  const [isCatalogueSearch, setIsCatalogueSearch] = useRecoilState(
+    catalogueSearchModeState
+  );
+
+  return (
+    <label
+      className="flex items-center gap-1 text-xs text-gray-600"
+      style={{ marginBottom: "10px" }}
+      title="Search every semester's catalogue and see when each course was offered"
+    >
+      <input
+        type="checkbox"
+        checked={isCatalogueSearch}
+        onChange={(e) => setIsCatalogueSearch(e.target.checked)}
+        className="rounded text-hsg-600 focus:ring-hsg-600"
+      />
+      Search all semesters
+    </label>
+  );
+};
+
+export { CatalogueSearchToggle };
@@ -0,0 +1,166 @@
+import { useState, useRef, useEffect } from "react";
+import { PencilIcon, XIcon, BookmarkIcon } from "@heroicons/react/outline";
+import useFilterPresets from "../../helpers/useFilterPresets";
+
+/**
+ * Row of saved filter presets: click to apply, double-click or pencil to
+ * rename, x to delete, "Save filters" to snapshot the current filters.
+ */
+const FilterPresets = () => {
+  const {
+    presets,
+    isLoaded,
+    source,
+    loadPresets,
+    savePreset,
+    applyPreset,
+    renamePreset,
+    deletePreset,
+  } = useFilterPresets();
+
+  const [editingId, setEditingId] = useState(null); // preset id or "new"
+  const [editingName, setEditingName] = useState("");
+  const [deleteConfirm, setDeleteConfirm] = useState(null); // preset id
+  const editInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!isLoaded) loadPresets();
+  }, [isLoaded, loadPresets]);
+
+  // Focus input when entering edit mode
+  useEffect(() => {
+    if (editingId && editInputRef.current) {
+      editInputRef.current.focus();
+      editInputRef.current.select();
+    }
+  }, [editingId]);
+
+  const startEditing = (presetId, currentName) => {
+    setEditingId(presetId);
+    setEditingName(currentName);
+    setDeleteConfirm(null);
+  };
+
+  const stopEditing = () => {
+    setEditingId(null);
+    setEditingName("");
+  };
+
+  const commitEditing = () => {
+    if (editingName.trim()) {
+      if (editingId === "new") {
+        savePreset(editingName);
+      } else if (editingId) {
+        renamePreset(editingId, editingName);
+      }
+    }
+    stopEditing();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") commitEditing();
+    if (e.key === "Escape") stopEditing();
+  };
+
+  const renderNameInput = (key) => (
+    <input
+      key={key}
+      ref={editInputRef}
+      value={editingName}
+      onChange={(e) => setEditingName(e.target.value)}
+      onBlur={commitEditing}
+      onKeyDown={handleKeyDown}
+      placeholder="Preset name"
+      className="px-2 py-0.5 text-xs border border-hsg-600 rounded outline-none bg-white min-w-[80px] max-w-[180px]"
+      maxLength={40}
+    />
+  );
+
+  return (
+    <div
+      className="flex flex-wrap items-center gap-1"
+      style={{ marginBottom: "10px" }}
+    >
+      {presets.map((preset) => {
+        if (editingId === preset.id) return renderNameInput(preset.id);
+
+        if (deleteConfirm === preset.id) {
+          return (
+            <span
+              key={preset.id}
+              className="flex items-center gap-1 px-2 py-0.5 text-xs bg-gray-100 rounded"
+            >
+              Delete &quot;{preset.name}&quot;?
+              <button
+                className="px-1.5 bg-red-500 text-white rounded hover:bg-red-600"
+                onClick={() => {
+                  deletePreset(preset.id);
+                  setDeleteConfirm(null);
+                }}
+              >
+                Delete
+              </button>
+              <button
+                className="px-1.5 bg-white text-gray-600 rounded hover:bg-gray-200"
+                onClick={() => setDeleteConfirm(null)}
+              >
+                Cancel
+              </button>
+            </span>
+          );
+        }
+
+        return (
+          <span
+            key={preset.id}
+            className="group flex items-center max-w-[200px] text-xs bg-white border border-gray-300 rounded-full shadow-sm"
+          >
+            <button
+              onClick={() => applyPreset(preset.id)}
+              onDoubleClick={() => startEditing(preset.id, preset.name)}
+              className="pl-2.5 pr-1 py-0.5 truncate text-gray-700 hover:text-gray-900"
+              title={`Apply "${preset.name}"`}
+            >
+              {preset.name}
+            </button>
+            <button
+              onClick={() => startEditing(preset.id, preset.name)}
+              className="p-0.5 text-gray-400 hover:text-gray-700"
+              aria-label={`Rename preset "${preset.name}"`}
+            >
+              <PencilIcon className="w-3 h-3" />
+            </button>
+            <button
+              onClick={() => setDeleteConfirm(preset.id)}
+              className="p-0.5 pr-1.5 text-gray-400 hover:text-red-600"
+              aria-label={`Delete preset "${preset.name}"`}
+            >
+              <XIcon className="w-3 h-3" />
+            </button>
+          </span>
+        );
+      })}
+
+      {editingId === "new" ? (
+        renderNameInput("new")
+      ) : (
+        <button
+          onClick={() => startEditing("new", "")}
+          className="flex items-center gap-1 px-2 py-0.5 text-xs text-gray-500 hover:text-gray-800 hover:bg-gray-200 rounded"
+          title={
+            source === "local"
+              ? "Save the current filters (stored in this browser)"
+              : "Save the current filters as a preset"
+          }
+        >
+          <BookmarkIcon className="w-3.5 h-3.5" />
+          Save filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FilterPresets;
+
+export { FilterPresets };
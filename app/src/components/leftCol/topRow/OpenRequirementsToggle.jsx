@@ -0,0 +1,45 @@
+import { useRecoilState, useRecoilValue } from "recoil";
+import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import { curriculumCategoriesSelector } from "../../recoil/curriculumMapSelector";
+
+/**
+ * Toggle for the "counts toward my open requirements" filter.
+ * Disabled until the curriculum map has categories to compare against.
+ */
+const OpenRequirementsToggle = () => {
+  const [selectionOptions, setSelectionOptions] = useRecoilState(
+    selectionOptionsState
+  );
+  const flatCategories = useRecoilValue(curriculumCategoriesSelector);
+  const isAvailable = flatCategories.length > 0;
+
+  return (
+    <label
+      className={`flex items-center gap-1 text-xs ${
+        isAvailable ? "text-gray-600" : "text-gray-400"
+      }`}
+      style={{ marginBottom: "10px" }}
+      title={
+        isAvailable
+          ? "Only show courses whose classification fills a curriculum category that still needs credits"
+          : "Your curriculum is not loaded yet"
+      }
+    >
+      <input
+        type="checkbox"
+        checked={isAvailable && !!selectionOptions.openRequirementsOnly}
+        disabled={!isAvailable}
+        onChange={(e) =>
+          setSelectionOptions((prev) => ({
+            ...prev,
+            openRequirementsOnly: e.target.checked,
+          }))
+        }
+        className="rounded text-hsg-600 focus:ring-hsg-600"
+      />
+      Counts toward my open requirements
+    </label>
+  );
+};
+
+export { OpenRequirementsToggle };
@@ -0,0 +1,176 @@
+import { useState } from "react";
+import { useRecoilState } from "recoil";
+import { Tooltip as ReactTooltip } from "react-tooltip";
+import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import { RATING_TOOLTIP_TEXTS } from "../../../constants/ratingTooltips";
+import {
+  DEFAULT_RATING_FILTER,
+  RATING_DIMENSIONS,
+  RATING_SCALE,
+  isRangeActive,
+} from "../../helpers/ratingFilter";
+
+const FULL_RANGE = [RATING_SCALE.min, RATING_SCALE.max];
+
+/**
+ * Rating details: a min/max range per rating dimension, a minimum number of
+ * ratings and whether unrated courses are shown. Slider moves are kept in a
+ * local draft and committed when the slider is released, so the course list
+ * is not re-filtered on every step.
+ */
+const RatingFilterPanel = () => {
+  const [selectionOptions, setSelectionOptions] = useRecoilState(
+    selectionOptionsState
+  );
+  const ratingFilter = {
+    ...DEFAULT_RATING_FILTER,
+    ...selectionOptions.ratingFilter,
+  };
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(null); // dimensions while dragging
+
+  const dimensions = draft || ratingFilter.dimensions;
+
+  const updateRatingFilter = (changes) => {
+    setSelectionOptions((prev) => ({
+      ...prev,
+      ratingFilter: {
+        ...DEFAULT_RATING_FILTER,
+        ...prev.ratingFilter,
+        ...changes,
+      },
+    }));
+  };
+
+  const setBound = (dimension, boundIndex, value) => {
+    const range = [...(dimensions[dimension] || FULL_RANGE)];
+    range[boundIndex] = value;
+    // Keep min <= max by pushing the other bound along
+    if (range[0] > range[1]) range[1 - boundIndex] = value;
+    setDraft({ ...dimensions, [dimension]: range });
+  };
+
+  const commitDraft = () => {
+    if (!draft) return;
+    const active = Object.fromEntries(
+      Object.entries(draft).filter(([, range]) => isRangeActive(range))
+    );
+    updateRatingFilter({ dimensions: active });
+    setDraft(null);
+  };
+
+  const activeCount =
+    Object.values(ratingFilter.dimensions).filter(isRangeActive).length +
+    (ratingFilter.minRatings > 0 ? 1 : 0) +
+    (ratingFilter.includeUnrated ? 0 : 1);
+
+  const renderSlider = (dimension, boundIndex) => {
+    const range = dimensions[dimension] || FULL_RANGE;
+    return (
+      <input
+        type="range"
+        min={RATING_SCALE.min}
+        max={RATING_SCALE.max}
+        step={RATING_SCALE.step}
+        value={range[boundIndex]}
+        onChange={(e) => setBound(dimension, boundIndex, Number(e.target.value))}
+        onMouseUp={commitDraft}
+        onTouchEnd={commitDraft}
+        onKeyUp={commitDraft}
+        onBlur={commitDraft}
+        aria-label={`${boundIndex === 0 ? "Minimum" : "Maximum"} ${dimension} rating`}
+        className="w-full accent-hsg-600"
+      />
+    );
+  };
+
+  return (
+    <div style={{ marginBottom: "10px" }}>
+      <button
+        type="button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="text-sm text-gray-600 hover:text-gray-900"
+        aria-expanded={isOpen}
+      >
+        Rating details
+        {activeCount > 0 && (
+          <span className="ml-1 text-gray-500">({activeCount} active)</span>
+        )}
+        <span className="ml-1 text-gray-400">{isOpen ? "▲" : "▼"}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-1 space-y-1 text-xs text-gray-600">
+          {RATING_DIMENSIONS.map((dimension) => {
+            const range = dimensions[dimension] || FULL_RANGE;
+            return (
+              <div
+                key={dimension}
+                className="grid items-center grid-cols-12 gap-2"
+              >
+                <span
+                  className="col-span-3 capitalize cursor-help"
+                  data-tooltip-id="rating-dimension-tooltip"
+                  data-tooltip-content={RATING_TOOLTIP_TEXTS[dimension]}
+                >
+                  {dimension}
+                </span>
+                <div className="col-span-3">{renderSlider(dimension, 0)}</div>
+                <div className="col-span-3">{renderSlider(dimension, 1)}</div>
+                <span className="col-span-3 text-right tabular-nums">
+                  {range[0].toFixed(1)} – {range[1].toFixed(1)}
+                </span>
+              </div>
+            );
+          })}
+
+          <div className="flex flex-wrap items-center pt-1 gap-x-4 gap-y-1">
+            <label className="flex items-center gap-1">
+              At least
+              <input
+                type="number"
+                min={0}
+                value={ratingFilter.minRatings}
+                onChange={(e) =>
+                  updateRatingFilter({
+                    minRatings: Math.max(0, parseInt(e.target.value, 10) || 0),
+                  })
+                }
+                className="w-14 px-1 py-0 text-xs border-gray-300 rounded focus:border-hsg-600 focus:ring-hsg-600"
+              />
+              ratings
+            </label>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={ratingFilter.includeUnrated}
+                onChange={(e) =>
+                  updateRatingFilter({ includeUnrated: e.target.checked })
+                }
+                className="rounded text-hsg-600 focus:ring-hsg-600"
+              />
+              Include unrated courses
+            </label>
+            {activeCount > 0 && (
+              <button
+                type="button"
+                onClick={() => updateRatingFilter(DEFAULT_RATING_FILTER)}
+                className="text-gray-500 hover:text-gray-800 hover:underline"
+              >
+                Reset
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+      <ReactTooltip
+        id="rating-dimension-tooltip"
+        place="top"
+        className="bg-gray-800 text-white text-xs rounded px-2 py-1 z-50 max-w-xs"
+      />
+    </div>
+  );
+};
+
+export { RatingFilterPanel };
@@ -1,56 +1,202 @@
-import { useState } from "react";
-import { useRecoilState } from "recoil";
+import { useEffect, useRef, useState } from "react";
+import { useRecoilState, useRecoilValue } from "recoil";
+import { XIcon } from "@heroicons/react/outline";
+import { Tooltip as ReactTooltip } from "react-tooltip";
 import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import { lecturersListSelector } from "../../recoil/lecturersListSelector";
+import { classificationsListSelector } from "../../recoil/classificationsListSelector";
+import { languageListSelector } from "../../recoil/languageListSelector";
+import {
+  parseSearchQuery,
+  createEmptyQueryCriteria,
+} from "../../helpers/searchQueryParser";
+import { useSearchHistory } from "../../helpers/useSearchHistory";
+import { isTypingTarget } from "../../helpers/keyboardNavigation";
+
+const SYNTAX_HELP = [
+  'lecturer:Müller · class:"Contextual Studies"',
+  "ects:4 · ects:>=4 · rating:>3.5",
+  "lang:EN · -lang:DE",
+  '"machine learning" · -exercise',
+  "/ to search · ↑↓ Enter Space in the list · Ctrl/⌘+K for commands",
+].join("<br />");
 
 const SearchTerm = () => {
-  const [searchTerm, setSearchTerm] = useState("");
-  const [, setSelectionOptions] = useRecoilState(selectionOptionsState);
+  const [selectionOptions, setSelectionOptions] = useRecoilState(
+    selectionOptionsState
+  );
+  const lecturers = useRecoilValue(lecturersListSelector);
+  const classifications = useRecoilValue(classificationsListSelector);
+  const languages = useRecoilValue(languageListSelector);
+  const { recentSearches, addSearch, removeSearch } = useSearchHistory();
+  const [isFocused, setIsFocused] = useState(false);
+  const inputRef = useRef(null);
 
-  const handleSearch = (e) => {
-    const value = e.target.value;
-    setSearchTerm(value);
+  // "/" focuses the search from anywhere outside a text field
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== "/" || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (isTypingTarget(e.target)) return;
+      e.preventDefault();
+      inputRef.current?.focus();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  const query = selectionOptions.query || "";
+  const queryContext = { lecturers, classifications, languages };
+  const { errors } = parseSearchQuery(query, queryContext);
+
+  // The query holds the full filter state, so every change re-derives all
+  // query-controlled criteria (the dropdowns read them back from the atom)
+  const applyQuery = (value) => {
+    const { criteria } = parseSearchQuery(value, queryContext);
     setSelectionOptions((prev) => ({
       ...prev,
-      searchTerm: value,
+      ...criteria,
+      query: value,
     }));
   };
 
-  const handleFocus = () => {
-    setSearchTerm("");
+  const handleSearch = (e) => {
+    applyQuery(e.target.value);
+  };
+
+  // Only queries without errors make it into the history
+  const recordSearch = () => {
+    if (errors.length === 0) addSearch(query);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") recordSearch();
+  };
+
+  const handleBlur = () => {
+    setIsFocused(false);
+    recordSearch();
+  };
+
+  const handleClear = () => {
     setSelectionOptions((prev) => ({
       ...prev,
-      searchTerm: "",
+      ...createEmptyQueryCriteria(),
+      query: "",
     }));
   };
 
   return (
-    <div className="relative">
-      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-        <svg
-          className="h-5 w-5 text-gray-600"
-          xmlns="http://www.w3.org/2000/svg"
-          fill="none"
-          viewBox="0 0 24 24"
-          stroke="currentColor"
-        >
-          <path
-            strokeLinecap="round"
-            strokeLinejoin="round"
-            strokeWidth="2"
-            d="M11 4a7 7 0 1 0 0 14 7 7 0 0 0 0-14zM21 21l-4.35-4.35"
-          />
-        </svg>
+    <div style={{ marginBottom: "10px" }}>
+      <div className="relative">
+        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+          <svg
+            className="h-5 w-5 text-gray-600"
+            xmlns="http://www.w3.org/2000/svg"
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M11 4a7 7 0 1 0 0 14 7 7 0 0 0 0-14zM21 21l-4.35-4.35"
+            />
+          </svg>
+        </div>
+        <input
+          ref={inputRef}
+          type="text"
+          name="courseSearch"
+          id="courseSearch"
+          className={`block w-full pl-10 pr-16 rounded-md shadow-sm sm:text-sm ${
+            errors.length > 0
+              ? "border-warning focus:border-warning focus:ring-warning"
+              : "border-gray-300 focus:border-hsg-600 focus:ring-hsg-600"
+          }`}
+          placeholder='Search, e.g. lecturer:Müller ects:>=4 "machine learning"'
+          value={query}
+          onChange={handleSearch}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsFocused(true)}
+          onBlur={handleBlur}
+          aria-invalid={errors.length > 0}
+          aria-describedby={errors.length > 0 ? "courseSearchErrors" : undefined}
+        />
+        <div className="absolute inset-y-0 right-0 pr-2 flex items-center space-x-1">
+          {query && (
+            <button
+              type="button"
+              onClick={handleClear}
+              className="text-gray-500 hover:text-gray-800"
+              aria-label="Clear search"
+            >
+              <XIcon className="h-4 w-4" />
+            </button>
+          )}
+          <span
+            className="px-1 text-xs font-semibold text-gray-500 cursor-help"
+            data-tooltip-id="search-syntax-help"
+            data-tooltip-html={SYNTAX_HELP}
+          >
+            ?
+          </span>
+        </div>
       </div>
-      <input
-        type="text"
-        name="courseSearch"
-        id="courseSearch"
-        className="block w-full pl-10 border-gray-300 rounded-md shadow-sm focus:border-hsg-600 focus:ring-hsg-600 sm:text-sm"
-        placeholder="Search"
-        value={searchTerm}
-        onChange={handleSearch}
-        onFocus={handleFocus}
-        style={{ marginBottom: "10px" }}
+      {isFocused && !query && recentSearches.length > 0 && (
+        <ul
+          className="mt-1 rounded-md border border-gray-200 bg-white shadow-sm text-xs"
+          aria-label="Recent searches"
+        >
+          <li className="px-3 pt-1.5 pb-1 font-semibold text-gray-500">
+            Recent searches
+          </li>
+          {recentSearches.map((entry) => (
+            <li
+              key={entry}
+              className="flex items-center justify-between px-3 py-1 hover:bg-gray-100"
+            >
+              {/* onMouseDown fires before the input loses focus */}
+              <button
+                type="button"
+                className="flex-1 truncate text-left text-gray-700"
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  applyQuery(entry);
+                }}
+              >
+                {entry}
+              </button>
+              <button
+                type="button"
+                className="ml-2 text-gray-400 hover:text-gray-700"
+                aria-label={`Remove "${entry}" from recent searches`}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  removeSearch(entry);
+                }}
+              >
+                <XIcon className="h-3 w-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {errors.length > 0 && (
+        <ul id="courseSearchErrors" className="mt-1 text-xs text-warning">
+          {errors.map((error) => (
+            <li key={`${error.start}-${error.message}`}>
+              {error.message}
+              {error.end > error.start &&
+                ` (at "${query.slice(error.start, error.end)}")`}
+            </li>
+          ))}
+        </ul>
+      )}
+      <ReactTooltip
+        id="search-syntax-help"
+        place="bottom"
+        className="bg-gray-800 text-white text-xs rounded px-2 py-1 z-50"
       />
     </div>
   );
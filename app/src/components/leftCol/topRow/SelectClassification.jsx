@@ -2,27 +2,41 @@ import { useRecoilValue, useRecoilState } from "recoil";
 
 import { classificationsListSelector } from "../../recoil/classificationsListSelector";
 import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import { withSyncedQuery } from "../../helpers/searchQueryParser";
+import { courseFacetCountsSelector } from "../../recoil/courseFacetCountsSelector";
+import {
+  withFacetCounts,
+  isFacetOptionDisabled,
+  formatFacetOptionLabel,
+} from "./facetOptions";
 
 import Select from "react-select";
 
 export default function SelectClassification() {
   const classificationNames = useRecoilValue(classificationsListSelector);
+  const facetCounts = useRecoilValue(courseFacetCountsSelector);
 
-  const [, setSelectedClassificationAtom] = useRecoilState(
+  const [selectionOptions, setSelectedClassificationAtom] = useRecoilState(
     selectionOptionsState
   );
 
   const handleSelect = (e) => {
-    setSelectedClassificationAtom((prev) => ({
-      ...prev,
-      classifications: e.target.value,
-    }));
+    setSelectedClassificationAtom((prev) =>
+      withSyncedQuery({
+        ...prev,
+        classifications: e.target.value,
+      })
+    );
   };
 
   return (
     <Select
       name="classification"
       id="classification"
+      value={selectionOptions.classifications.map((classification) => ({
+        value: classification,
+        label: classification,
+      }))}
       onChange={(selectedOptions) =>
         handleSelect({
           target: {
@@ -34,10 +48,15 @@ export default function SelectClassification() {
       }
       isClearable
       isMulti
-      options={classificationNames.map((classification) => ({
-        value: classification,
-        label: classification,
-      }))}
+      options={withFacetCounts(
+        classificationNames.map((classification) => ({
+          value: classification,
+          label: classification,
+        })),
+        facetCounts.classification
+      )}
+      isOptionDisabled={isFacetOptionDisabled}
+      formatOptionLabel={formatFacetOptionLabel}
       placeholder="Classification(s)"
     />
   );
@@ -1,28 +1,73 @@
 import { useRecoilState, useRecoilValue } from "recoil";
 import { ectsListSelector } from "../../recoil/ectsListSelector";
 import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import { withSyncedQuery } from "../../helpers/searchQueryParser";
+import { courseFacetCountsSelector } from "../../recoil/courseFacetCountsSelector";
+import {
+  withFacetCounts,
+  isFacetOptionDisabled,
+  formatFacetOptionLabel,
+} from "./facetOptions";
 import Select from "react-select";
 
+const toOption = (ects) => ({ value: ects, label: (ects / 100).toFixed(2) });
+
+// ECTS comparisons from the search box (e.g. ects:>=6) show as values too,
+// so they can be seen and cleared here
+const toComparisonOption = (comparison) => ({
+  value: `${comparison.op}${comparison.value}`,
+  label: `${comparison.op} ${comparison.value}`,
+  comparison,
+});
+
+const isEctsComparison = (comparison) => comparison.field === "ects";
+
 export default function SelectEcts() {
   const ectsList = useRecoilValue(ectsListSelector);
-  const [, setSelectedEctsAtom] = useRecoilState(selectionOptionsState);
+  const facetCounts = useRecoilValue(courseFacetCountsSelector);
+  const [selectionOptions, setSelectedEctsAtom] = useRecoilState(
+    selectionOptionsState
+  );
 
   const handleSelect = (selectedOptions) => {
-    const values = selectedOptions?.map((option) => Number(option.value)) || [];
-    setSelectedEctsAtom((prev) => ({ ...prev, ects: values }));
+    const options = selectedOptions || [];
+    const values = options
+      .filter((option) => !option.comparison)
+      .map((option) => Number(option.value));
+    const keptComparisons = options
+      .filter((option) => option.comparison)
+      .map((option) => option.comparison);
+    setSelectedEctsAtom((prev) =>
+      withSyncedQuery({
+        ...prev,
+        ects: values,
+        comparisons: [
+          ...(prev.comparisons || []).filter(
+            (comparison) => !isEctsComparison(comparison)
+          ),
+          ...keptComparisons,
+        ],
+      })
+    );
   };
 
-  const sortedEctsList = [...ectsList]
-    .sort((a, b) => a - b)
-    .map((ects) => ({ value: ects, label: (ects / 100).toFixed(2) }));
+  const sortedEctsList = [...ectsList].sort((a, b) => a - b).map(toOption);
 
   return (
     <Select
       name="ects"
       id="ects"
+      value={[
+        ...selectionOptions.ects.map(toOption),
+        ...(selectionOptions.comparisons || [])
+          .filter(isEctsComparison)
+          .map(toComparisonOption),
+      ]}
       onChange={handleSelect}
       isMulti
-      options={sortedEctsList}
+      options={withFacetCounts(sortedEctsList, facetCounts.ects)}
+      isOptionDisabled={isFacetOptionDisabled}
+      formatOptionLabel={formatFacetOptionLabel}
       placeholder="ECTS"
     />
   );
@@ -0,0 +1,128 @@
+import { useRecoilState, useRecoilValue } from "recoil";
+import Select from "react-select";
+import { authTokenState } from "../../recoil/authAtom";
+import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import { examInformationLoadState } from "../../recoil/examInformationAtom";
+import {
+  selectedSemesterSelector,
+  semesterCoursesSelector,
+} from "../../recoil/unifiedCourseDataSelectors";
+import { useExaminationTypes } from "../../helpers/useExaminationTypes";
+import {
+  DEFAULT_EXAM_FILTER,
+  EXAM_FORMATS,
+  matchesExamFilter,
+} from "../../helpers/examFilter";
+
+const FORMAT_LABELS = {
+  [EXAM_FORMATS.CENTRAL]: "Central exam",
+  [EXAM_FORMATS.DECENTRAL]: "Decentral exam",
+  [EXAM_FORMATS.NO_CENTRAL]: "No central exam",
+};
+
+const PART_WEIGHT_OPTIONS = [50, 60, 70, 80, 90].map((weight) => ({
+  value: weight,
+  label: `No part above ${weight}%`,
+}));
+
+/**
+ * Exam filters: central/decentral format (with course counts), examination
+ * types and the maximum weight of a single exam part. The latter two need
+ * the exam parts of every course, which are prefetched while they are set.
+ */
+const SelectExamFilter = () => {
+  const authToken = useRecoilValue(authTokenState);
+  const [selectionOptions, setSelectionOptions] = useRecoilState(
+    selectionOptionsState
+  );
+  const semester = useRecoilValue(selectedSemesterSelector);
+  const availableCourses =
+    useRecoilValue(semesterCoursesSelector({ semester, type: "available" })) ||
+    [];
+  const loadState = useRecoilValue(examInformationLoadState);
+  const examinationTypes = useExaminationTypes(authToken);
+
+  const examFilter = { ...DEFAULT_EXAM_FILTER, ...selectionOptions.examFilter };
+
+  const updateExamFilter = (changes) => {
+    setSelectionOptions((prev) => ({
+      ...prev,
+      examFilter: { ...DEFAULT_EXAM_FILTER, ...prev.examFilter, ...changes },
+    }));
+  };
+
+  const formatOptions = Object.entries(FORMAT_LABELS).map(([format, label]) => {
+    const count = availableCourses.filter((course) =>
+      course.achievementFormStatus
+        ? matchesExamFilter(course, { format })
+        : false
+    ).length;
+    return { value: format, label: `${label} (${count})` };
+  });
+
+  const typeOptions = Object.entries(examinationTypes || {})
+    .map(([id, type]) => ({ value: id, label: type.shortName }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  const isLoadingParts = loadState.isLoading && loadState.semester === semester;
+
+  return (
+    <div style={{ marginBottom: "10px" }}>
+      <div className="grid grid-cols-1 md:grid-cols-3">
+        <Select
+          name="examFormat"
+          id="examFormat"
+          value={
+            formatOptions.find((option) => option.value === examFilter.format) ||
+            null
+          }
+          onChange={(option) =>
+            updateExamFilter({ format: option ? option.value : EXAM_FORMATS.ANY })
+          }
+          options={formatOptions}
+          placeholder="Exam format"
+          isClearable
+        />
+        <Select
+          name="examinationTypes"
+          id="examinationTypes"
+          value={typeOptions.filter((option) =>
+            examFilter.examinationTypeIds.map(String).includes(option.value)
+          )}
+          onChange={(options) =>
+            updateExamFilter({
+              examinationTypeIds: options ? options.map((o) => o.value) : [],
+            })
+          }
+          options={typeOptions}
+          isLoading={!examinationTypes && !!authToken}
+          placeholder="Exam type(s)"
+          isClearable
+          isMulti
+        />
+        <Select
+          name="maxPartWeight"
+          id="maxPartWeight"
+          value={
+            PART_WEIGHT_OPTIONS.find(
+              (option) => option.value === examFilter.maxPartWeight
+            ) || null
+          }
+          onChange={(option) =>
+            updateExamFilter({ maxPartWeight: option ? option.value : null })
+          }
+          options={PART_WEIGHT_OPTIONS}
+          placeholder="Max. exam weight"
+          isClearable
+        />
+      </div>
+      {isLoadingParts && (
+        <p className="mt-1 text-xs text-gray-500">
+          Loading exam details… {loadState.loaded}/{loadState.total} courses
+        </p>
+      )}
+    </div>
+  );
+};
+
+export { SelectExamFilter };
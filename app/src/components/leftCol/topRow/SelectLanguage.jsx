@@ -1,28 +1,52 @@
 import { useRecoilState, useRecoilValue } from "recoil";
 import { languageListSelector } from "../../recoil/languageListSelector";
 import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import { withSyncedQuery } from "../../helpers/searchQueryParser";
+import { courseFacetCountsSelector } from "../../recoil/courseFacetCountsSelector";
+import {
+  withFacetCounts,
+  isFacetOptionDisabled,
+  formatFacetOptionLabel,
+} from "./facetOptions";
 import Select from "react-select";
 
 export default function SelectLanguage() {
   const languageList = useRecoilValue(languageListSelector);
-  const [, setSelectedLanguageAtom] = useRecoilState(selectionOptionsState);
+  const facetCounts = useRecoilValue(courseFacetCountsSelector);
+  const [selectionOptions, setSelectedLanguageAtom] = useRecoilState(
+    selectionOptionsState
+  );
 
   const handleSelect = (selectedOption) => {
-    setSelectedLanguageAtom((prev) => ({
-      ...prev,
-      courseLanguage: selectedOption ? [selectedOption.value] : [],
-    }));
+    setSelectedLanguageAtom((prev) =>
+      withSyncedQuery({
+        ...prev,
+        courseLanguage: selectedOption ? [selectedOption.value] : [],
+      })
+    );
   };
 
+  const selectedLanguage = selectionOptions.courseLanguage[0];
+
   return (
     <Select
       name="language"
       id="language"
+      value={
+        selectedLanguage
+          ? { value: selectedLanguage, label: selectedLanguage }
+          : null
+      }
       onChange={handleSelect}
-      options={languageList.map((language) => ({
-        value: language,
-        label: language,
-      }))}
+      options={withFacetCounts(
+        languageList.map((language) => ({
+          value: language,
+          label: language,
+        })),
+        facetCounts.language
+      )}
+      isOptionDisabled={isFacetOptionDisabled}
+      formatOptionLabel={formatFacetOptionLabel}
       placeholder="Language"
       isClearable
     />
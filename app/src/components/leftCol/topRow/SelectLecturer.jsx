@@ -1,18 +1,30 @@
 import { useRecoilState, useRecoilValue } from "recoil";
 import { lecturersListSelector } from "../../recoil/lecturersListSelector";
 import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import { withSyncedQuery } from "../../helpers/searchQueryParser";
+import { courseFacetCountsSelector } from "../../recoil/courseFacetCountsSelector";
+import {
+  withFacetCounts,
+  isFacetOptionDisabled,
+  formatFacetOptionLabel,
+} from "./facetOptions";
 import Select from "react-select";
 
 export default function SelectLecturer() {
   const lecturerList = useRecoilValue(lecturersListSelector);
-  const [, setSelectedLecturerAtom] = useRecoilState(selectionOptionsState);
+  const facetCounts = useRecoilValue(courseFacetCountsSelector);
+  const [selectionOptions, setSelectedLecturerAtom] = useRecoilState(
+    selectionOptionsState
+  );
 
   const handleSelect = (e) => {
     const value = e.target.value;
-    setSelectedLecturerAtom((prev) => ({
-      ...prev,
-      lecturer: value,
-    }));
+    setSelectedLecturerAtom((prev) =>
+      withSyncedQuery({
+        ...prev,
+        lecturer: value,
+      })
+    );
   };
 
   return (
@@ -22,10 +34,19 @@ export default function SelectLecturer() {
       isSearchable
       isMulti
       placeholder="Lecturer(s)"
-      options={lecturerList.map((lecturer) => ({
+      value={selectionOptions.lecturer.map((lecturer) => ({
         value: lecturer,
         label: lecturer,
       }))}
+      options={withFacetCounts(
+        lecturerList.map((lecturer) => ({
+          value: lecturer,
+          label: lecturer,
+        })),
+        facetCounts.lecturer
+      )}
+      isOptionDisabled={isFacetOptionDisabled}
+      formatOptionLabel={formatFacetOptionLabel}
       onChange={(selectedOptions) =>
         handleSelect({
           target: {
@@ -1,16 +1,27 @@
-import { useRecoilValue } from "recoil";
+import { useRecoilState, useRecoilValue } from "recoil";
 import { useState } from "react";
 import Select from "react-select";
 import { useTermSelection } from "../../helpers/useTermSelection";
 import { useUnifiedSemesterState } from "../../helpers/useUnifiedSemesterState";
 import { selectedSemesterSelector } from "../../recoil/unifiedCourseDataSelectors";
+import { catalogueSearchModeState } from "../../recoil/catalogueSearchAtom";
 import { SelectClassification } from "./SelectClassification";
 import { SelectEcts } from "./SelectEcts";
 import { SelectLanguage } from "./SelectLanguage";
 import { SelectLecturer } from "./SelectLecturer";
 import { SelectRatings } from "./SelectRatings";
+import { RatingFilterPanel } from "./RatingFilterPanel";
+import { SelectTimetableFit } from "./SelectTimetableFit";
+import { AvailabilityGrid } from "./AvailabilityGrid";
+import { SelectExamFilter } from "./SelectExamFilter";
+import { OpenRequirementsToggle } from "./OpenRequirementsToggle";
 import { SearchTerm } from "./SearchTerm";
+import { CatalogueSearchToggle } from "./CatalogueSearchToggle";
+import { FilterPresets } from "./FilterPresets";
+import { SelectSort } from "./SelectSort";
 import { EventListContainer } from "../bottomRow/EventListContainer";
+import { CatalogueSearchResults } from "../bottomRow/CatalogueSearchResults";
+import { CompareTray } from "../bottomRow/CompareTray";
 import ErrorBoundary from "../../../components/errorHandling/ErrorBoundary";
 
 export default function SelectSemester() {
@@ -25,6 +36,9 @@ export default function SelectSemester() {
 
   // UI state
   const [isCollapsed, setIsCollapsed] = useState(false);
+  const [isCatalogueSearch, setIsCatalogueSearch] = useRecoilState(
+    catalogueSearchModeState
+  );
 
   const toggleCollapse = () => {
     setIsCollapsed((prev) => !prev);
@@ -40,6 +54,13 @@ export default function SelectSemester() {
     setSelectedSemester(selectedShortName, termListObject, latestValidTerm);
   };
 
+  // Picking a semester from a search result's offering history leaves the
+  // all-semesters search
+  const handleCatalogueSemesterSelect = (selectedShortName) => {
+    setIsCatalogueSearch(false);
+    handleTermSelect(selectedShortName);
+  };
+
   // Check if selected semester is projected (future)
   const selectedSemesterData = termListObject?.find(
     (term) => term.shortName === selectedSemesterShortName
@@ -117,19 +138,38 @@ export default function SelectSemester() {
             <SelectLanguage />
             <SelectRatings />
           </div>
+          <RatingFilterPanel />
+          <SelectExamFilter />
+          <SelectTimetableFit />
+          <OpenRequirementsToggle />
+          <AvailabilityGrid />
           <SearchTerm />
+          <CatalogueSearchToggle />
+          <FilterPresets />
+          <SelectSort />
         </div>
       )}
 
       <div className="flex-1 min-h-0">
         <ErrorBoundary>
-          {/* SIMPLIFIED: Pass termListObject and selectedSemesterShortName */}
-          <EventListContainer
-            termListObject={termListObject || []}
-            selectedSemesterShortName={selectedSemesterShortName || ""}
-          />
+          {isCatalogueSearch && (
+            <CatalogueSearchResults
+              selectableSemesters={sortedTermShortNames}
+              onSelectSemester={handleCatalogueSemesterSelect}
+            />
+          )}
+          {/* Stays mounted in the all-semesters search so the selected
+              semester's data keeps loading */}
+          <div className={isCatalogueSearch ? "hidden" : "h-full"}>
+            {/* SIMPLIFIED: Pass termListObject and selectedSemesterShortName */}
+            <EventListContainer
+              termListObject={termListObject || []}
+              selectedSemesterShortName={selectedSemesterShortName || ""}
+            />
+          </div>
         </ErrorBoundary>
       </div>
+      <CompareTray />
     </>
   );
 }
@@ -1,29 +1,39 @@
 import { useRecoilState } from "recoil";
 import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import { withSyncedQuery } from "../../helpers/searchQueryParser";
 import Select from "react-select";
 
+const toOption = (rating) => ({ value: rating, label: `>${rating}` });
+
 const SelectRatings = () => {
   const ratingList = [1, 2, 3, 4];
-  const [, setSelectedRatingAtom] = useRecoilState(selectionOptionsState);
+  const [selectionOptions, setSelectedRatingAtom] = useRecoilState(
+    selectionOptionsState
+  );
 
   const handleSelect = (selectedOption) => {
     const value = selectedOption ? selectedOption.value : null;
-    setSelectedRatingAtom((prev) => ({
-      ...prev,
-      ratings: value ? [Number(value)] : [],
-    }));
+    setSelectedRatingAtom((prev) =>
+      withSyncedQuery({
+        ...prev,
+        ratings: value ? [Number(value)] : [],
+      })
+    );
   };
 
+  const selectedRating =
+    selectionOptions.ratings.length > 0
+      ? Math.max(...selectionOptions.ratings)
+      : null;
+
   return (
     <Select
       name="rating"
       id="rating"
+      value={selectedRating !== null ? toOption(selectedRating) : null}
       onChange={handleSelect}
       placeholder="Ratings"
-      options={ratingList.map((rating) => ({
-        value: rating,
-        label: `>${rating}`,
-      }))}
+      options={ratingList.map(toOption)}
       isClearable
     />
   );
@@ -0,0 +1,118 @@
+import { useRecoilState } from "recoil";
+import Select from "react-select";
+import { SortAscendingIcon, SortDescendingIcon } from "@heroicons/react/outline";
+import PropTypes from "prop-types";
+import { courseSortState } from "../../recoil/courseSortAtom";
+import { SORT_KEYS, DEFAULT_COURSE_SORT } from "../../helpers/courseSorting";
+
+const SORT_OPTIONS = Object.entries(SORT_KEYS).map(([key, { label }]) => ({
+  value: key,
+  label,
+}));
+
+const DirectionToggle = ({ sortKey, onToggle }) => {
+  if (sortKey.key === "relevance") return null;
+  const isAscending = sortKey.direction === "asc";
+  const Icon = isAscending ? SortAscendingIcon : SortDescendingIcon;
+  return (
+    <button
+      type="button"
+      onClick={onToggle}
+      className="p-1.5 text-gray-600 rounded hover:bg-gray-200 hover:text-gray-900"
+      aria-label={isAscending ? "Ascending, switch to descending" : "Descending, switch to ascending"}
+      title={isAscending ? "Ascending" : "Descending"}
+    >
+      <Icon className="w-5 h-5" />
+    </button>
+  );
+};
+
+DirectionToggle.propTypes = {
+  sortKey: PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    direction: PropTypes.string.isRequired,
+  }).isRequired,
+  onToggle: PropTypes.func.isRequired,
+};
+
+const flip = (sortKey) => ({
+  ...sortKey,
+  direction: sortKey.direction === "asc" ? "desc" : "asc",
+});
+
+// Names read best A→Z, everything else best-first
+const defaultDirection = (key) => (key === "name" || key === "language" ? "asc" : "desc");
+
+/**
+ * Sort controls for the course list: primary and optional secondary key,
+ * each with its own direction, and whether enrolled/selected courses stay on top.
+ */
+const SelectSort = () => {
+  const [sort, setSort] = useRecoilState(courseSortState);
+  const { primary, secondary, pinStatus } = { ...DEFAULT_COURSE_SORT, ...sort };
+
+  const update = (changes) => setSort((prev) => ({ ...prev, ...changes }));
+
+  return (
+    <div
+      className="flex flex-wrap items-center gap-1"
+      style={{ marginBottom: "10px" }}
+    >
+      <span className="text-gray-600">Sort by</span>
+      <Select
+        className="flex-1 min-w-[140px]"
+        name="sortPrimary"
+        id="sortPrimary"
+        value={SORT_OPTIONS.find((option) => option.value === primary.key)}
+        onChange={(option) =>
+          update({
+            primary: { key: option.value, direction: defaultDirection(option.value) },
+          })
+        }
+        options={SORT_OPTIONS}
+      />
+      <DirectionToggle
+        sortKey={primary}
+        onToggle={() => update({ primary: flip(primary) })}
+      />
+      <span className="text-gray-600">then</span>
+      <Select
+        className="flex-1 min-w-[140px]"
+        name="sortSecondary"
+        id="sortSecondary"
+        value={
+          secondary
+            ? SORT_OPTIONS.find((option) => option.value === secondary.key)
+            : null
+        }
+        onChange={(option) =>
+          update({
+            secondary: option
+              ? { key: option.value, direction: defaultDirection(option.value) }
+              : null,
+          })
+        }
+        options={SORT_OPTIONS.filter((option) => option.value !== primary.key)}
+        placeholder="None"
+        isClearable
+      />
+      {secondary && (
+        <DirectionToggle
+          sortKey={secondary}
+          onToggle={() => update({ secondary: flip(secondary) })}
+        />
+      )}
+      <label className="flex items-center gap-1 ml-1 text-xs text-gray-600">
+        <input
+          type="checkbox"
+          checked={pinStatus}
+          onChange={(e) => update({ pinStatus: e.target.checked })}
+          className="rounded text-hsg-600 focus:ring-hsg-600"
+        />
+        Pin my courses
+      </label>
+    </div>
+  );
+};
+
+export { SelectSort };
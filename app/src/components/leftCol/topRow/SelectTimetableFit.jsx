@@ -0,0 +1,82 @@
+import { useRecoilState } from "recoil";
+import Select from "react-select";
+import { selectionOptionsState } from "../../recoil/selectionOptionsAtom";
+import {
+  DEFAULT_TIMETABLE_FIT,
+  TIMETABLE_FIT_MODES,
+} from "../../helpers/timetableFit";
+
+const MODE_OPTIONS = [
+  { value: TIMETABLE_FIT_MODES.FLAG, label: "Flag timetable conflicts" },
+  { value: TIMETABLE_FIT_MODES.HIDE, label: "Only courses that fit my timetable" },
+];
+
+/**
+ * "Fits my timetable" filter: flag or hide courses whose sessions collide
+ * with the enrolled and wishlisted courses of the semester.
+ */
+const SelectTimetableFit = () => {
+  const [selectionOptions, setSelectionOptions] = useRecoilState(
+    selectionOptionsState
+  );
+  const settings = selectionOptions.timetableFit || DEFAULT_TIMETABLE_FIT;
+
+  const updateSettings = (changes) => {
+    setSelectionOptions((prev) => ({
+      ...prev,
+      timetableFit: {
+        ...DEFAULT_TIMETABLE_FIT,
+        ...prev.timetableFit,
+        ...changes,
+      },
+    }));
+  };
+
+  const isActive = settings.mode !== TIMETABLE_FIT_MODES.OFF;
+
+  return (
+    <div style={{ marginBottom: "10px" }}>
+      <Select
+        name="timetableFit"
+        id="timetableFit"
+        value={MODE_OPTIONS.find((option) => option.value === settings.mode) || null}
+        onChange={(option) =>
+          updateSettings({ mode: option ? option.value : TIMETABLE_FIT_MODES.OFF })
+        }
+        options={MODE_OPTIONS}
+        placeholder="Timetable conflicts"
+        isClearable
+      />
+      {isActive && (
+        <div className="flex flex-wrap items-center mt-1 text-xs text-gray-600 gap-x-4 gap-y-1">
+          <label className="flex items-center gap-1">
+            Allow up to
+            <input
+              type="number"
+              min={0}
+              value={settings.maxOverlaps}
+              onChange={(e) =>
+                updateSettings({
+                  maxOverlaps: Math.max(0, parseInt(e.target.value, 10) || 0),
+                })
+              }
+              className="w-12 px-1 py-0 text-xs border-gray-300 rounded focus:border-hsg-600 focus:ring-hsg-600"
+            />
+            overlapping sessions
+          </label>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={settings.weeklyOnly}
+              onChange={(e) => updateSettings({ weeklyOnly: e.target.checked })}
+              className="rounded text-hsg-600 focus:ring-hsg-600"
+            />
+            Only weekly recurring overlaps
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export { SelectTimetableFit };
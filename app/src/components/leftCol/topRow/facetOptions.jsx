@@ -0,0 +1,39 @@
+/**
+ * Helpers for showing facet counts (see helpers/courseFacets.js) in the
+ * react-select menus of the filter row.
+ */
+
+/**
+ * Adds the facet count to every option. Without counts (no courses loaded
+ * yet) options keep an undefined count and stay enabled.
+ *
+ * @param {Array<{value, label}>} options
+ * @param {Map|undefined} counts - value → course count
+ * @returns {Array<{value, label, count}>}
+ */
+export const withFacetCounts = (options, counts) => {
+  if (!counts || counts.size === 0) return options;
+  return options.map((option) => ({
+    ...option,
+    count: counts.get(option.value) || 0,
+  }));
+};
+
+/**
+ * Options without results are greyed out, unless already selected
+ * (react-select never disables selected values in the control).
+ */
+export const isFacetOptionDisabled = (option) => option.count === 0;
+
+/**
+ * Shows the count right-aligned in the menu, the plain label in the control.
+ */
+export const formatFacetOptionLabel = (option, { context }) =>
+  context === "menu" && option.count !== undefined ? (
+    <div className="flex justify-between">
+      <span className="truncate">{option.label}</span>
+      <span className="ml-2 text-gray-400 tabular-nums">{option.count}</span>
+    </div>
+  ) : (
+    option.label
+  );
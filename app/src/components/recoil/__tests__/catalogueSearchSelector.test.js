@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { snapshot_UNSTABLE } from "recoil";
+import { catalogueSourcesSelector } from "../catalogueSearchSelector";
+import { courseOfferingHistorySelector } from "../courseOfferingHistorySelector";
+import { termCataloguesState } from "../catalogueSearchAtom";
+import { unifiedCourseDataState } from "../unifiedCourseDataAtom";
+import { financeCourse, marketingCourse } from "../../../test/calendarFixtures";
+
+const finance = financeCourse();
+const marketing = marketingCourse();
+
+const withSemesters = (semesters) => (state) => ({ ...state, semesters });
+
+describe("catalogueSourcesSelector", () => {
+  const available = [finance, marketing];
+  const base = snapshot_UNSTABLE(({ set }) => {
+    set(
+      unifiedCourseDataState,
+      withSemesters({
+        HS25: { available, filtered: available },
+        FS26: { available, isProjected: true },
+      })
+    );
+    set(termCataloguesState, { HS24: [finance] });
+  });
+
+  it("combines loaded semesters and term catalogues", () => {
+    const sources = base.getLoadable(catalogueSourcesSelector).contents;
+    expect(sources.map(({ semester }) => semester)).toEqual(["HS25", "HS24"]);
+    expect(sources[0].courses).toBe(available);
+  });
+
+  it("keeps the offering history when only the filtered list changes", () => {
+    const history = base.getLoadable(courseOfferingHistorySelector).contents;
+    const filtered = base.map(({ set }) =>
+      set(unifiedCourseDataState, (state) =>
+        withSemesters({
+          ...state.semesters,
+          HS25: { ...state.semesters.HS25, filtered: [finance] },
+        })(state)
+      )
+    );
+    expect(filtered.getLoadable(courseOfferingHistorySelector).contents).toBe(
+      history
+    );
+  });
+});
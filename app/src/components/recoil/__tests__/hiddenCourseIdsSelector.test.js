@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { snapshot_UNSTABLE } from "recoil";
+import { hiddenCourseIdsSelector } from "../hiddenCourseIdsSelector";
+import { unifiedCourseDataState } from "../unifiedCourseDataAtom";
+import { selectionOptionsState } from "../selectionOptionsAtom";
+import { TIMETABLE_FIT_MODES } from "../../helpers/timetableFit";
+import {
+  course,
+  financeCourse,
+  marketingCourse,
+  session,
+} from "../../../test/calendarFixtures";
+
+const finance = financeCourse([session("2025-09-15T08:15:00")]);
+// Same slot as Finance
+const law = course("7,001,1.00", "Law", [session("2025-09-15T08:15:00")]);
+const marketing = marketingCourse([session("2025-09-16T08:15:00")]);
+
+const hiddenIds = (mode, semesterOverrides = {}) =>
+  snapshot_UNSTABLE(({ set }) => {
+    set(unifiedCourseDataState, (state) => ({
+      ...state,
+      semesters: {
+        HS25: {
+          enrolledIds: ["3,135,1.00"],
+          selectedIds: [],
+          available: [finance, law, marketing],
+          ...semesterOverrides,
+        },
+      },
+    }));
+    set(selectionOptionsState, (options) => ({
+      ...options,
+      timetableFit: { mode, maxOverlaps: 0, weeklyOnly: false },
+    }));
+  }).getLoadable(hiddenCourseIdsSelector("HS25")).contents;
+
+describe("hiddenCourseIdsSelector", () => {
+  it("hides courses over the timetable tolerance in hide mode", () => {
+    expect([...hiddenIds(TIMETABLE_FIT_MODES.HIDE)]).toEqual(["7,001,1.00"]);
+  });
+
+  it("never hides wishlisted courses", () => {
+    const hidden = hiddenIds(TIMETABLE_FIT_MODES.HIDE, {
+      selectedIds: ["7,001,1.00"],
+    });
+    expect(hidden.size).toBe(0);
+  });
+
+  it("hides nothing while the filters are off", () => {
+    expect(hiddenIds(TIMETABLE_FIT_MODES.FLAG).size).toBe(0);
+    expect(hiddenIds(TIMETABLE_FIT_MODES.OFF).size).toBe(0);
+  });
+});
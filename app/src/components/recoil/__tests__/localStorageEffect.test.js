@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { localStorageEffect } from "../localStorageEffect";
+
+const KEY = "biddit_test_setting";
+
+// Runs the effect the way Recoil does and hands back the onSet handler
+const runEffect = (effect) => {
+  const setSelf = vi.fn();
+  let handler;
+  effect({ setSelf, onSet: (fn) => (handler = fn) });
+  return { setSelf, set: (value, isReset = false) => handler(value, null, isReset) };
+};
+
+describe("localStorageEffect", () => {
+  beforeEach(() => localStorage.clear());
+
+  it("restores the saved value through parse", () => {
+    localStorage.setItem(KEY, JSON.stringify({ a: 2 }));
+    const { setSelf } = runEffect(
+      localStorageEffect(KEY, { parse: (saved) => ({ a: 1, b: 1, ...saved }) })
+    );
+    expect(setSelf).toHaveBeenCalledWith({ a: 2, b: 1 });
+  });
+
+  it("keeps the default without a saved value or when parse rejects it", () => {
+    expect(runEffect(localStorageEffect(KEY)).setSelf).not.toHaveBeenCalled();
+
+    localStorage.setItem(KEY, JSON.stringify("not a list"));
+    const { setSelf } = runEffect(
+      localStorageEffect(KEY, {
+        parse: (saved) => (Array.isArray(saved) ? saved : undefined),
+      })
+    );
+    expect(setSelf).not.toHaveBeenCalled();
+  });
+
+  it("ignores unreadable JSON", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    localStorage.setItem(KEY, "{broken");
+    expect(runEffect(localStorageEffect(KEY)).setSelf).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it("saves changes and removes the key on reset", () => {
+    const { set } = runEffect(localStorageEffect(KEY));
+    set([1, 2]);
+    expect(JSON.parse(localStorage.getItem(KEY))).toEqual([1, 2]);
+    set(null, true);
+    expect(localStorage.getItem(KEY)).toBeNull();
+  });
+});
@@ -6,32 +6,19 @@ import {
   semesterCoursesSelector,
   selectedSemesterSelector,
 } from "./unifiedCourseDataSelectors";
-
-/**
- * Union-Find data structure for clustering overlapping events into collision groups.
- * Uses path compression for efficient lookups.
- */
-class UnionFind {
-  constructor() {
-    this.parent = new Map();
-  }
-
-  find(x) {
-    if (!this.parent.has(x)) this.parent.set(x, x);
-    if (this.parent.get(x) !== x) {
-      this.parent.set(x, this.find(this.parent.get(x))); // Path compression
-    }
-    return this.parent.get(x);
-  }
-
-  union(x, y) {
-    const rootX = this.find(x);
-    const rootY = this.find(y);
-    if (rootX !== rootY) {
-      this.parent.set(rootX, rootY);
-    }
-  }
-}
+import { personalCoursesSelector } from "./personalEventsSelector";
+import { overlapSeverityState } from "./overlapSeverityAtom";
+import {
+  SEVERITY_COLORS,
+  buildOverlapReport,
+  getEntryOverlaps,
+  maxSeverity,
+} from "../helpers/overlapReport";
+import {
+  findTravelWarnings,
+  getEntryTravelWarnings,
+} from "../helpers/travelBuffer";
+import { buildCollisionGroups } from "../helpers/calendarOverlap";
 
 /**
  * Single warning color for all collision groups.
@@ -43,112 +30,15 @@ export const COLLISION_COLOR = "#FCA311"; // Orange warning color
 export const COLLISION_COLORS = [COLLISION_COLOR];
 export const getCollisionColor = () => COLLISION_COLOR;
 
-/**
- * Check if two time intervals overlap (exclusive of touching boundaries).
- * Intervals [aStart, aEnd) and [bStart, bEnd) overlap if aStart < bEnd AND bStart < aEnd.
- */
-const intervalsOverlap = (entryA, entryB) => {
-  // Exact same slot counts as overlap
-  if (entryA.start.isSame(entryB.start) && entryA.end.isSame(entryB.end)) {
-    return true;
-  }
-  // Adjacent intervals (touching at boundary) are NOT overlaps
-  if (entryA.end.isSame(entryB.start) || entryB.end.isSame(entryA.start)) {
-    return false;
-  }
-  // Standard interval overlap check
-  return entryA.start.isBefore(entryB.end) && entryB.start.isBefore(entryA.end);
-};
+// Personal commitments (see helpers/personalEvents.js)
+export const PERSONAL_EVENT_COLOR = "rgb(71 85 105)"; // Slate
 
 /**
- * Build collision groups using Union-Find to cluster overlapping events.
- * Returns metadata about each entry including its collision group and conflicting courses.
+ * Courses shown in the calendar: the enrolled and wishlisted courses of the
+ * selected semester, followed by the personal commitments.
  */
-const buildCollisionGroups = (courses) => {
-  const uf = new UnionFind();
-  const entries = [];
-
-  // Collect all calendar entries with unique IDs and precomputed time bounds
-  courses.forEach((course, courseIdx) => {
-    if (!course.calendarEntry) return;
-    course.calendarEntry.forEach((entry, entryIdx) => {
-      const entryId = `${courseIdx}-${entryIdx}`;
-      const start = moment(entry.eventDate);
-      const end = moment(start).add(entry.durationInMinutes, "minutes");
-      entries.push({
-        id: entryId,
-        entry,
-        course,
-        courseIdx,
-        entryIdx,
-        start,
-        end,
-      });
-    });
-  });
-
-  // Pairwise comparison to find overlaps and union them
-  for (let i = 0; i < entries.length; i++) {
-    for (let j = i + 1; j < entries.length; j++) {
-      if (intervalsOverlap(entries[i], entries[j])) {
-        uf.union(entries[i].id, entries[j].id);
-      }
-    }
-  }
-
-  // Build group mapping: root → groupId (sequential numbers starting from 0)
-  const rootToGroupId = new Map();
-  let nextGroupId = 0;
-
-  // Count members per group to identify actual collision groups (size > 1)
-  const groupMembers = new Map();
-  entries.forEach(({ id }) => {
-    const root = uf.find(id);
-    if (!groupMembers.has(root)) {
-      groupMembers.set(root, []);
-    }
-    groupMembers.get(root).push(id);
-  });
-
-  // Only assign group IDs to groups with more than one member (actual collisions)
-  groupMembers.forEach((members, root) => {
-    if (members.length > 1) {
-      rootToGroupId.set(root, nextGroupId++);
-    }
-  });
-
-  // Build final entry metadata with collision info
-  const entryMetadata = new Map();
-  entries.forEach((entryData) => {
-    const root = uf.find(entryData.id);
-    const groupId = rootToGroupId.has(root) ? rootToGroupId.get(root) : null;
-
-    // Find conflicting courses for this entry
-    const conflictsWith = [];
-    if (groupId !== null) {
-      entries.forEach((other) => {
-        if (other.id !== entryData.id && intervalsOverlap(entryData, other)) {
-          const courseName = other.course?.shortName || other.course?.courseName;
-          if (courseName && !conflictsWith.includes(courseName)) {
-            conflictsWith.push(courseName);
-          }
-        }
-      });
-    }
-
-    entryMetadata.set(entryData.id, {
-      ...entryData,
-      collisionGroupId: groupId,
-      conflictsWith,
-      overlapping: groupId !== null,
-    });
-  });
-
-  return { entries, entryMetadata, groupCount: nextGroupId };
-};
-
-export const calendarEntriesSelector = selector({
-  key: "calendarEntriesSelector",
+export const calendarCoursesSelector = selector({
+  key: "calendarCoursesSelector",
   get: ({ get }) => {
     // Get the currently selected semester from unified state
     const selectedSemester = get(selectedSemesterSelector);
@@ -198,8 +88,36 @@ export const calendarEntriesSelector = selector({
       );
     }
 
-    // Use currentCourses as the relevant courses for the calendar
-    const relevantCourses = currentCourses;
+    // Personal commitments block time like course sessions
+    return [...currentCourses, ...get(personalCoursesSelector(semShortName))];
+  },
+});
+
+/**
+ * Per course pair overlap report of the calendar courses, with severities
+ * from the user's thresholds (see helpers/overlapReport.js).
+ */
+export const overlapReportSelector = selector({
+  key: "overlapReportSelector",
+  get: ({ get }) =>
+    buildOverlapReport(get(calendarCoursesSelector), get(overlapSeverityState)),
+});
+
+/**
+ * Consecutive sessions whose break is too short to reach the next room
+ * (see helpers/travelBuffer.js).
+ */
+export const travelWarningsSelector = selector({
+  key: "travelWarningsSelector",
+  get: ({ get }) => findTravelWarnings(get(calendarCoursesSelector)),
+});
+
+export const calendarEntriesSelector = selector({
+  key: "calendarEntriesSelector",
+  get: ({ get }) => {
+    const relevantCourses = get(calendarCoursesSelector);
+    const overlapReport = get(overlapReportSelector);
+    const travelWarnings = get(travelWarningsSelector);
 
     // Build collision groups using Union-Find algorithm
     const { entryMetadata } = buildCollisionGroups(relevantCourses);
@@ -227,10 +145,23 @@ export const calendarEntriesSelector = selector({
           conflictsWith: [],
         };
 
+        // How much this session's course pairs overlap, most severe decides
+        const overlapDetails = metadata.overlapping
+          ? getEntryOverlaps(overlapReport, entryId)
+          : [];
+        const overlapSeverity = overlapDetails.reduce(
+          (severity, detail) => maxSeverity(severity, detail.severity),
+          null
+        );
+        const travelDetails = getEntryTravelWarnings(travelWarnings, entryId);
+
         // Determine color based on overlap or enrollment status
         let color;
         if (metadata.overlapping) {
-          color = COLLISION_COLOR; // Orange for all overlapping courses
+          // Same-course overlaps have no pair severity; keep the warning color
+          color = SEVERITY_COLORS[overlapSeverity] || COLLISION_COLOR;
+        } else if (course.isPersonal) {
+          color = PERSONAL_EVENT_COLOR;
         } else if (course.enrolled) {
           color = "rgba(0,102,37, 1)"; // Green for enrolled courses
         } else {
@@ -248,6 +179,9 @@ export const calendarEntriesSelector = selector({
           overlapping: metadata.overlapping,
           collisionGroupId: metadata.collisionGroupId,
           conflictsWith: metadata.conflictsWith,
+          overlapSeverity,
+          overlapDetails,
+          travelDetails,
           color,
         };
       });
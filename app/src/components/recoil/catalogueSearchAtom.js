@@ -0,0 +1,18 @@
+import { atom } from "recoil";
+
+/**
+ * Whether the search runs over all semesters instead of the selected one.
+ */
+export const catalogueSearchModeState = atom({
+  key: "catalogueSearchModeState",
+  default: false,
+});
+
+/**
+ * Flattened course catalogues of terms from the cisIdList that are not
+ * loaded in unifiedCourseDataState: { [semesterShortName]: courses[] }.
+ */
+export const termCataloguesState = atom({
+  key: "termCataloguesState",
+  default: {},
+});
@@ -0,0 +1,86 @@
+import { selector, selectorFamily } from "recoil";
+import { unifiedCourseDataState } from "./unifiedCourseDataAtom";
+import { termCataloguesState } from "./catalogueSearchAtom";
+import { selectionOptionsState } from "./selectionOptionsAtom";
+import { searchCatalogue } from "../helpers/catalogueSearch";
+
+const isCatalogueSemester = (data) =>
+  Boolean(data?.available?.length) &&
+  !data.isProjected &&
+  !data.isFutureSemester;
+
+/**
+ * Loaded semesters that count as catalogues, joined with "|". A string, so
+ * subscribers only update when the list changes, not on every filter change.
+ * Projected and future semesters are skipped, their courses are copied from
+ * a reference semester and would show up as extra offerings.
+ */
+export const loadedCatalogueSemestersSelector = selector({
+  key: "loadedCatalogueSemestersSelector",
+  get: ({ get }) => {
+    const { semesters } = get(unifiedCourseDataState);
+    return Object.entries(semesters || {})
+      .filter(([, data]) => isCatalogueSemester(data))
+      .map(([semester]) => semester)
+      .join("|");
+  },
+});
+
+// The available courses keep their identity while filters change
+const semesterCatalogueSelector = selectorFamily({
+  key: "semesterCatalogueSelector",
+  get:
+    (semester) =>
+    ({ get }) =>
+      get(unifiedCourseDataState).semesters?.[semester]?.available || [],
+});
+
+/**
+ * Course lists to search across: every loaded semester plus the term
+ * catalogues. Only depends on the catalogue data, so it (and the offering
+ * history built on it) is not recomputed when filters change.
+ */
+export const catalogueSourcesSelector = selector({
+  key: "catalogueSourcesSelector",
+  get: ({ get }) => {
+    const loadedSemesters = get(loadedCatalogueSemestersSelector);
+    const termCatalogues = get(termCataloguesState);
+    const catalogues = new Map();
+
+    loadedSemesters
+      .split("|")
+      .filter(Boolean)
+      .forEach((semester) =>
+        catalogues.set(semester, get(semesterCatalogueSelector(semester)))
+      );
+
+    // Loaded semesters have the full course data, so they win
+    Object.entries(termCatalogues).forEach(([semester, courses]) => {
+      if (!catalogues.has(semester)) catalogues.set(semester, courses);
+    });
+
+    return Array.from(catalogues, ([semester, courses]) => ({
+      semester,
+      courses,
+    }));
+  },
+});
+
+/**
+ * Results of the cross-semester search for the current free-text criteria.
+ */
+export const catalogueSearchResultsSelector = selector({
+  key: "catalogueSearchResultsSelector",
+  get: ({ get }) => {
+    const catalogues = get(catalogueSourcesSelector);
+    const { searchTerm, phrases, excludedTerms } = get(selectionOptionsState);
+    return {
+      semesters: catalogues.map(({ semester }) => semester),
+      groups: searchCatalogue(catalogues, {
+        searchTerm,
+        phrases,
+        excludedTerms,
+      }),
+    };
+  },
+});
@@ -0,0 +1,31 @@
+import { selector } from "recoil";
+import { compareTrayState } from "./compareTrayAtom";
+import { unifiedCourseDataState } from "./unifiedCourseDataAtom";
+import { timetableCollisionsSelector } from "./timetableCollisionsSelector";
+import { attachCourseDetails } from "../helpers/courseUtils";
+import { findTrayCourse } from "../helpers/courseComparison";
+
+/**
+ * Courses in the compare tray with ratings and exam parts attached, plus
+ * their timetable collisions with the selection of their own semester.
+ * course is null when the semester's courses are no longer loaded.
+ */
+export const compareCoursesSelector = selector({
+  key: "compareCoursesSelector",
+  get: ({ get }) => {
+    const tray = get(compareTrayState);
+    const { semesters } = get(unifiedCourseDataState);
+
+    return tray.map((entry) => {
+      const course = findTrayCourse(semesters, entry);
+      if (!course) return { ...entry, course: null, collision: null };
+      return {
+        ...entry,
+        course: attachCourseDetails(course, semesters[entry.semester]),
+        collision:
+          get(timetableCollisionsSelector(entry.semester)).get(entry.courseId) ||
+          null,
+      };
+    });
+  },
+});
@@ -0,0 +1,12 @@
+import { atom } from "recoil";
+
+export const MAX_COMPARE_COURSES = 4;
+
+/**
+ * Courses in the compare tray: [{ courseId, semester, shortName }].
+ * The course data itself is looked up in unifiedCourseDataState.
+ */
+export const compareTrayState = atom({
+  key: "compareTrayState",
+  default: [],
+});
@@ -0,0 +1,22 @@
+import { selectorFamily } from "recoil";
+import { semesterCoursesSelector } from "./unifiedCourseDataSelectors";
+import { busyCoursesSelector } from "./timetableCollisionsSelector";
+import { resolveConflicts } from "../helpers/conflictResolution";
+
+/**
+ * Timetable conflicts of a semester with the wishlist changes that resolve
+ * them (see helpers/conflictResolution.js).
+ */
+export const conflictResolutionSelector = selectorFamily({
+  key: "conflictResolutionSelector",
+  get:
+    (semester) =>
+    ({ get }) => {
+      if (!semester) return [];
+
+      return resolveConflicts(
+        get(busyCoursesSelector(semester)),
+        get(semesterCoursesSelector({ semester, type: "available" }))
+      );
+    },
+});
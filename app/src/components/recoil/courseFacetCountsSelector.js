@@ -0,0 +1,37 @@
+import { selector } from "recoil";
+import {
+  selectedSemesterSelector,
+  semesterCourseDataSelector,
+} from "./unifiedCourseDataSelectors";
+import { selectionOptionsState } from "./selectionOptionsAtom";
+import { hiddenCourseIdsSelector } from "./hiddenCourseIdsSelector";
+import {
+  attachCourseDetails,
+  getCourseIdentifier,
+} from "../helpers/courseUtils";
+import { runCourseSearch } from "../helpers/courseSearchIndex";
+import { computeFacetCounts } from "../helpers/courseFacets";
+
+/**
+ * Live facet counts for the filter dropdowns of the selected semester:
+ * { classification, ects, language, lecturer }, each a Map of value → count.
+ * Courses the list hides (hiddenCourseIdsSelector) are not counted.
+ */
+export const courseFacetCountsSelector = selector({
+  key: "courseFacetCountsSelector",
+  get: ({ get }) => {
+    const semester = get(selectedSemesterSelector);
+    const selectionOptions = get(selectionOptionsState);
+    const semesterData = get(semesterCourseDataSelector(semester));
+    const hiddenCourseIds = get(hiddenCourseIdsSelector(semester));
+    const available = (semesterData.available || []).filter(
+      (course) => !hiddenCourseIds.has(getCourseIdentifier(course))
+    );
+
+    const searchResults = runCourseSearch(available, selectionOptions);
+    const courses = available.map((course) =>
+      attachCourseDetails(course, semesterData)
+    );
+    return computeFacetCounts(courses, selectionOptions, searchResults);
+  },
+});
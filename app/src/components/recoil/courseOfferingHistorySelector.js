@@ -0,0 +1,13 @@
+import { selector } from "recoil";
+import { catalogueSourcesSelector } from "./catalogueSearchSelector";
+import { buildOfferingHistory } from "../helpers/offeringHistory";
+
+/**
+ * Offering history over every loaded semester and term catalogue
+ * (see helpers/offeringHistory.js). The term catalogues are loaded by
+ * useTermCatalogues.
+ */
+export const courseOfferingHistorySelector = selector({
+  key: "courseOfferingHistorySelector",
+  get: ({ get }) => buildOfferingHistory(get(catalogueSourcesSelector)),
+});
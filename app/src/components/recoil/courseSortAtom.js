@@ -0,0 +1,20 @@
+import { atom } from "recoil";
+import { DEFAULT_COURSE_SORT } from "../helpers/courseSorting";
+import { localStorageEffect } from "./localStorageEffect";
+
+export const COURSE_SORT_STORAGE_KEY = "biddit_course_sort";
+
+/**
+ * Sort of the course list: { primary, secondary, pinStatus }
+ * (see helpers/courseSorting.js). Kept in localStorage, so it survives
+ * semester switches and reloads.
+ */
+export const courseSortState = atom({
+  key: "courseSortState",
+  default: DEFAULT_COURSE_SORT,
+  effects: [
+    localStorageEffect(COURSE_SORT_STORAGE_KEY, {
+      parse: (saved) => ({ ...DEFAULT_COURSE_SORT, ...saved }),
+    }),
+  ],
+});
@@ -10,6 +10,8 @@ import {
 } from "./curriculumPlanAtom";
 import { findMainProgram } from "../helpers/academicDataTransformers";
 import { processExerciseGroupECTS } from "../helpers/smartExerciseGroupHandler";
+import { buildAvailabilityWarnings } from "../helpers/offeringHistory";
+import { courseOfferingHistorySelector } from "./courseOfferingHistorySelector";
 
 // ────────────────────────────────────────────────────────────────────────────
 // Pure helper functions
@@ -314,7 +316,7 @@ const buildCategoryHierarchy = (categories, flatCategories) => {
  *
  * @returns {object|undefined} The matched category, or undefined if no match
  */
-const matchClassificationToCategory = (classification, flatCategories) => {
+export const matchClassificationToCategory = (classification, flatCategories) => {
   const lowerClassification = classification.toLowerCase();
 
   return (
@@ -940,7 +942,16 @@ export const curriculumMapSelector = selector({
       categoryHierarchy,
       semesters,
       coursesBySemesterAndCategory,
-      validations: curriculumPlan.validations,
+      validations: {
+        ...curriculumPlan.validations,
+        // Derived from the offering history, not stored with the plan; stays
+        // empty until past catalogues load (CurriculumMap's availability check)
+        availabilityWarnings: buildAvailabilityWarnings(
+          coursesBySemesterAndCategory,
+          semesters,
+          get(courseOfferingHistorySelector),
+        ),
+      },
     };
   },
 });
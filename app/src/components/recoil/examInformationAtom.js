@@ -0,0 +1,15 @@
+import { atom } from "recoil";
+
+/**
+ * Progress of the exam information prefetch used by the exam filter.
+ * The loaded data itself lives in unifiedCourseDataState (semester.examInformation).
+ */
+export const examInformationLoadState = atom({
+  key: "examInformationLoadState",
+  default: {
+    semester: null,
+    loaded: 0,
+    total: 0,
+    isLoading: false,
+  },
+});
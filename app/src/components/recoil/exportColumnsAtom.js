@@ -0,0 +1,27 @@
+import { atom } from "recoil";
+import {
+  DEFAULT_EXPORT_COLUMN_IDS,
+  EXPORT_COLUMNS,
+} from "../helpers/courseListExport";
+import { localStorageEffect } from "./localStorageEffect";
+
+export const EXPORT_COLUMNS_STORAGE_KEY = "biddit_export_columns";
+
+/**
+ * Column ids picked for the course list export (see helpers/courseListExport.js).
+ * Kept in localStorage; unknown ids from older versions are dropped.
+ */
+export const exportColumnsState = atom({
+  key: "exportColumnsState",
+  default: DEFAULT_EXPORT_COLUMN_IDS,
+  effects: [
+    localStorageEffect(EXPORT_COLUMNS_STORAGE_KEY, {
+      parse: (saved) =>
+        Array.isArray(saved)
+          ? saved.filter((id) =>
+              EXPORT_COLUMNS.some((column) => column.id === id)
+            )
+          : undefined,
+    }),
+  ],
+});
@@ -0,0 +1,22 @@
+import { atom } from "recoil";
+import { localStorageEffect } from "./localStorageEffect";
+
+export const EXPORTED_SESSIONS_STORAGE_KEY = "biddit_exported_sessions";
+
+/**
+ * Sessions written to .ics files so far, per semester:
+ * { [semester]: { [uid]: session } } (see buildIcsCalendar). Lets the next
+ * export cancel sessions of courses that were dropped in between.
+ */
+export const exportedSessionsState = atom({
+  key: "exportedSessionsState",
+  default: {},
+  effects: [
+    localStorageEffect(EXPORTED_SESSIONS_STORAGE_KEY, {
+      parse: (saved) =>
+        saved && typeof saved === "object" && !Array.isArray(saved)
+          ? saved
+          : undefined,
+    }),
+  ],
+});
@@ -0,0 +1,32 @@
+import { atom } from "recoil";
+
+export const generatePresetId = () =>
+  `preset-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+
+/**
+ * Named snapshots of selectionOptionsState.
+ *
+ * presets: { [presetId]: { id, name, options, createdAt, lastModified } }
+ * source: "api" when synced with the SHSG API, "local" when falling back to localStorage
+ *
+ * Loaded by useFilterPresets on first use.
+ */
+export const filterPresetsState = atom({
+  key: "filterPresetsState",
+  default: {
+    presets: {},
+    isLoaded: false,
+    source: "api",
+  },
+});
+
+/**
+ * Most recent search queries (newest first), persisted per user in localStorage.
+ */
+export const searchHistoryState = atom({
+  key: "searchHistoryState",
+  default: {
+    entries: [],
+    isLoaded: false,
+  },
+});
@@ -0,0 +1,72 @@
+import { selectorFamily } from "recoil";
+import { semesterCourseDataSelector } from "./unifiedCourseDataSelectors";
+import { selectionOptionsState } from "./selectionOptionsAtom";
+import { timetableCollisionsSelector } from "./timetableCollisionsSelector";
+import { curriculumCategoriesSelector } from "./curriculumMapSelector";
+import { getCourseIdentifier } from "../helpers/courseUtils";
+import {
+  DEFAULT_TIMETABLE_FIT,
+  TIMETABLE_FIT_MODES,
+  exceedsTimetableTolerance,
+} from "../helpers/timetableFit";
+import { findOpenCategoryForCourse } from "../helpers/curriculumGapFilter";
+
+/**
+ * Ids of the available courses of a semester that the course list hides on
+ * top of the filter criteria: courses over the "fits my timetable" tolerance
+ * in hide mode, and courses filling no open requirement when "open
+ * requirements only" is on. Enrolled and wishlisted courses are never hidden.
+ * The course list and the facet counts both use this, so they agree.
+ */
+export const hiddenCourseIdsSelector = selectorFamily({
+  key: "hiddenCourseIdsSelector",
+  get:
+    (semester) =>
+    ({ get }) => {
+      const hidden = new Set();
+      if (!semester) return hidden;
+
+      const selectionOptions = get(selectionOptionsState);
+      const timetableFit =
+        selectionOptions.timetableFit || DEFAULT_TIMETABLE_FIT;
+      const hideCollisions = timetableFit.mode === TIMETABLE_FIT_MODES.HIDE;
+      const flatCategories = selectionOptions.openRequirementsOnly
+        ? get(curriculumCategoriesSelector)
+        : [];
+      const openRequirementsOnly = flatCategories.length > 0;
+      if (!hideCollisions && !openRequirementsOnly) return hidden;
+
+      const semesterData = get(semesterCourseDataSelector(semester));
+      const scheduledIds = new Set([
+        ...(semesterData.enrolledIds || []),
+        ...(semesterData.selectedIds || []),
+      ]);
+      const collisions = hideCollisions
+        ? get(timetableCollisionsSelector(semester))
+        : new Map();
+
+      const openCategoryByClassification = new Map();
+      const fillsOpenRequirement = (classification) => {
+        if (!openCategoryByClassification.has(classification)) {
+          openCategoryByClassification.set(
+            classification,
+            findOpenCategoryForCourse(classification, flatCategories)
+          );
+        }
+        return Boolean(openCategoryByClassification.get(classification));
+      };
+
+      (semesterData.available || []).forEach((course) => {
+        const id = getCourseIdentifier(course);
+        if (scheduledIds.has(id)) return;
+        if (
+          (hideCollisions &&
+            exceedsTimetableTolerance(collisions.get(id), timetableFit)) ||
+          (openRequirementsOnly && !fillsOpenRequirement(course.classification))
+        ) {
+          hidden.add(id);
+        }
+      });
+      return hidden;
+    },
+});
@@ -0,0 +1,7 @@
+import { atom } from "recoil";
+
+// displayName of the lecturer whose profile is open, null when closed
+export const selectedLecturerState = atom({
+  key: "selectedLecturerState",
+  default: null,
+});
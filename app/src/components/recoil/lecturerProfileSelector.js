@@ -0,0 +1,15 @@
+import { selectorFamily } from "recoil";
+import { unifiedCourseDataState } from "./unifiedCourseDataAtom";
+import { buildLecturerProfile } from "../helpers/lecturerProfile";
+
+/**
+ * Courses, aggregated ratings and exam formats of a lecturer over the
+ * loaded semesters, by lecturer displayName.
+ */
+export const lecturerProfileSelector = selectorFamily({
+  key: "lecturerProfileSelector",
+  get:
+    (lecturerName) =>
+    ({ get }) =>
+      buildLecturerProfile(lecturerName, get(unifiedCourseDataState).semesters),
+});
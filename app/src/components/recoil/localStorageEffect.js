@@ -0,0 +1,36 @@
+/**
+ * Atom effect that keeps an atom's value in localStorage, so it survives
+ * reloads. Reading and writing failures (private mode, full storage, bad
+ * JSON) only log a warning and keep the in-memory value.
+ *
+ * @param {string} key - localStorage key
+ * @param {Object} [options]
+ * @param {Function} [options.parse] - Turns the stored JSON value into the
+ *   atom value, e.g. to merge it with defaults; undefined keeps the default
+ * @returns {Function} Recoil atom effect
+ */
+export const localStorageEffect =
+  (key, { parse = (value) => value } = {}) =>
+  ({ setSelf, onSet }) => {
+    try {
+      const saved = localStorage.getItem(key);
+      if (saved !== null) {
+        const value = parse(JSON.parse(saved));
+        if (value !== undefined) setSelf(value);
+      }
+    } catch (error) {
+      console.warn(`[localStorageEffect] Could not read ${key}`, error);
+    }
+
+    onSet((newValue, _, isReset) => {
+      try {
+        if (isReset) {
+          localStorage.removeItem(key);
+        } else {
+          localStorage.setItem(key, JSON.stringify(newValue));
+        }
+      } catch (error) {
+        console.warn(`[localStorageEffect] Could not save ${key}`, error);
+      }
+    });
+  };
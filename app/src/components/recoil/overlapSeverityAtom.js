@@ -0,0 +1,20 @@
+import { atom } from "recoil";
+import { DEFAULT_SEVERITY_THRESHOLDS } from "../helpers/overlapReport";
+import { localStorageEffect } from "./localStorageEffect";
+
+export const OVERLAP_SEVERITY_STORAGE_KEY = "biddit_overlap_severity";
+
+/**
+ * Thresholds that decide how severe an overlap is:
+ * { blockingShare, majorShare, majorMinutes } (see helpers/overlapReport.js)
+ * Kept in localStorage, so they survive reloads.
+ */
+export const overlapSeverityState = atom({
+  key: "overlapSeverityState",
+  default: DEFAULT_SEVERITY_THRESHOLDS,
+  effects: [
+    localStorageEffect(OVERLAP_SEVERITY_STORAGE_KEY, {
+      parse: (saved) => ({ ...DEFAULT_SEVERITY_THRESHOLDS, ...saved }),
+    }),
+  ],
+});
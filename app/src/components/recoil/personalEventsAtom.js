@@ -0,0 +1,19 @@
+import { atom } from "recoil";
+import { localStorageEffect } from "./localStorageEffect";
+
+export const PERSONAL_EVENTS_STORAGE_KEY = "biddit_personal_events";
+
+/**
+ * Personal commitments imported from .ics files or drawn on the calendar
+ * (see helpers/personalEvents.js for the event shape). Kept in
+ * localStorage; they never leave the browser.
+ */
+export const personalEventsState = atom({
+  key: "personalEventsState",
+  default: [],
+  effects: [
+    localStorageEffect(PERSONAL_EVENTS_STORAGE_KEY, {
+      parse: (saved) => (Array.isArray(saved) ? saved : undefined),
+    }),
+  ],
+});
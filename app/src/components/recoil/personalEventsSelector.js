@@ -0,0 +1,32 @@
+import { selectorFamily } from "recoil";
+import { semesterCoursesSelector } from "./unifiedCourseDataSelectors";
+import { personalEventsState } from "./personalEventsAtom";
+import {
+  getSemesterDateRange,
+  toPersonalCourse,
+} from "../helpers/personalEvents";
+
+/**
+ * Personal events of a semester as pseudo-courses
+ * ({ courseNumber: "personal-<id>", shortName, isPersonal, calendarEntry }).
+ * Weekly events without an end repeat over the semester's lecture period.
+ */
+export const personalCoursesSelector = selectorFamily({
+  key: "personalCoursesSelector",
+  get:
+    (semester) =>
+    ({ get }) => {
+      if (!semester) return [];
+
+      const events = get(personalEventsState);
+      if (events.length === 0) return [];
+
+      const range = getSemesterDateRange(
+        get(semesterCoursesSelector({ semester, type: "available" }))
+      );
+
+      return events
+        .map((event) => toPersonalCourse(event, range))
+        .filter((course) => course.calendarEntry.length > 0);
+    },
+});
@@ -4,3 +4,19 @@ export const selectedTabAtom = atom({
   key: "selectedTab",
   default: 0,
 });
+
+// Index of the course comparison tab in TabComponent
+export const COMPARE_TAB_INDEX = 7;
+
+// Tab names in TabComponent order, for navigation outside the tab bar
+export const TAB_LABELS = [
+  "Course Details",
+  "Calendar",
+  "Semester Summary",
+  "Transcript",
+  "Study Overview",
+  "Curriculum Map",
+  "Smart Search",
+  "Compare",
+  "Optimizer",
+];
@@ -9,5 +9,39 @@ export const selectionOptionsState = atom({
     ratings: [],
     courseLanguage: [],
     searchTerm: "",
+    // Structured search query (see helpers/searchQueryParser.js)
+    query: "", // raw text of the search box
+    phrases: [], // quoted phrases that must occur
+    excludedTerms: [], // negated words/phrases ("-exercise")
+    comparisons: [], // numeric comparisons: { field: "ects" | "rating", op, value }
+    excludedClassifications: [],
+    excludedLecturers: [],
+    excludedLanguages: [],
+    // "Fits my timetable" filter (see helpers/timetableFit.js)
+    timetableFit: {
+      mode: "off", // "off" | "flag" | "hide"
+      maxOverlaps: 0, // colliding sessions allowed before a course is hidden
+      weeklyOnly: false, // only count weekly recurring collisions
+    },
+    // Rating details panel (see helpers/ratingFilter.js)
+    ratingFilter: {
+      dimensions: {}, // { topic: [min, max], ... } on the 1–5 scale
+      minRatings: 0,
+      includeUnrated: true,
+    },
+    // Exam filter (see helpers/examFilter.js)
+    examFilter: {
+      format: "any", // "any" | "central" | "decentral" | "noCentral"
+      examinationTypeIds: [], // ids from examinationTypesState
+      maxPartWeight: null, // % no single exam part may exceed
+    },
+    // Only courses counting toward an under-filled curriculum category
+    openRequirementsOnly: false,
+    // Weekly availability grid (see helpers/availabilityFilter.js)
+    availability: {
+      blockedSlots: [], // "day-hour" keys, e.g. "5-8" = Friday 08:00–09:00
+      weeklyThreshold: 50, // % of weekly sessions that may be blocked
+      blockThreshold: 50, // % of one-off block sessions that may be blocked
+    },
   },
 });
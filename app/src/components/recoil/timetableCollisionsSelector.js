@@ -0,0 +1,71 @@
+import { selectorFamily } from "recoil";
+import { semesterCoursesSelector } from "./unifiedCourseDataSelectors";
+import { personalCoursesSelector } from "./personalEventsSelector";
+import { getCourseIdentifier } from "../helpers/courseUtils";
+import { computeTimetableCollisions } from "../helpers/timetableFit";
+
+/**
+ * Enrolled and wishlisted courses of a semester, each once.
+ */
+export const scheduledCoursesSelector = selectorFamily({
+  key: "scheduledCoursesSelector",
+  get:
+    (semester) =>
+    ({ get }) => {
+      if (!semester) return [];
+
+      const enrolled = get(
+        semesterCoursesSelector({ semester, type: "enrolled" })
+      );
+      const selected = get(
+        semesterCoursesSelector({ semester, type: "selected" })
+      );
+
+      // A course can be both enrolled and wishlisted; schedule it once
+      const scheduledIds = new Set();
+      return [...enrolled, ...selected].filter((course) => {
+        const id = getCourseIdentifier(course);
+        if (scheduledIds.has(id)) return false;
+        scheduledIds.add(id);
+        return true;
+      });
+    },
+});
+
+/**
+ * Everything that occupies time in a semester: the scheduled courses plus
+ * the personal commitments (as pseudo-courses).
+ */
+export const busyCoursesSelector = selectorFamily({
+  key: "busyCoursesSelector",
+  get:
+    (semester) =>
+    ({ get }) => [
+      ...get(scheduledCoursesSelector(semester)),
+      ...get(personalCoursesSelector(semester)),
+    ],
+});
+
+/**
+ * Timetable collisions of every available course in a semester against the
+ * enrolled and wishlisted courses and personal commitments of that semester.
+ * Returns a Map of course id → { count, weeklyCount, conflictsWith }.
+ * Pass a null semester to skip the computation (filter switched off).
+ */
+export const timetableCollisionsSelector = selectorFamily({
+  key: "timetableCollisionsSelector",
+  get:
+    (semester) =>
+    ({ get }) => {
+      if (!semester) return new Map();
+
+      const available = get(
+        semesterCoursesSelector({ semester, type: "available" })
+      );
+
+      return computeTimetableCollisions(
+        available,
+        get(busyCoursesSelector(semester))
+      );
+    },
+});
@@ -0,0 +1,25 @@
+import { atom } from "recoil";
+import { DEFAULT_HOURS_PER_ECTS } from "../helpers/workload";
+import { localStorageEffect } from "./localStorageEffect";
+
+export const WORKLOAD_SETTINGS_STORAGE_KEY = "biddit_workload_settings";
+
+export const DEFAULT_WORKLOAD_SETTINGS = {
+  hoursPerEcts: DEFAULT_HOURS_PER_ECTS,
+  showSelfStudy: false,
+};
+
+/**
+ * Workload heatmap settings: { hoursPerEcts, showSelfStudy }
+ * (see helpers/workload.js)
+ * Kept in localStorage, so they survive reloads.
+ */
+export const workloadSettingsState = atom({
+  key: "workloadSettingsState",
+  default: DEFAULT_WORKLOAD_SETTINGS,
+  effects: [
+    localStorageEffect(WORKLOAD_SETTINGS_STORAGE_KEY, {
+      parse: (saved) => ({ ...DEFAULT_WORKLOAD_SETTINGS, ...saved }),
+    }),
+  ],
+});
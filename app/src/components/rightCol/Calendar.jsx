@@ -4,6 +4,7 @@ import { Tooltip as ReactTooltip } from "react-tooltip";
 import FullCalendar from "@fullcalendar/react"; // must go before plugins
 import timeGridPlugin from "@fullcalendar/timegrid";
 import dayGridPlugin from "@fullcalendar/daygrid";
+import interactionPlugin from "@fullcalendar/interaction";
 import {
   ChevronRightIcon,
   ChevronLeftIcon,
@@ -16,6 +17,11 @@ import "./calendar.css";
 import { useRecoilValue } from "recoil";
 import { calendarEntriesSelector } from "../recoil/calendarEntriesSelector";
 import LoadingText from "../common/LoadingText";
+import { CalendarExport } from "./CalendarExport";
+import { PersonalCommitments } from "./PersonalCommitments";
+import { PersonalBlockDialog } from "./PersonalBlockDialog";
+import { ConflictResolutionPanel } from "./ConflictResolutionPanel";
+import { SEVERITY_COLORS, SEVERITY_LABELS } from "../helpers/overlapReport";
 
 //Debug attempt for calendar not showing labels when clicking calendar while app is still loading
 import { currentSemesterSelector } from "../recoil/unifiedCourseDataSelectors";
@@ -34,6 +40,10 @@ export default function Calendar() {
   const calendarRef = React.useRef();
   // Add state to track initial date for mounting the calendar
   const [initialDate, setInitialDate] = React.useState(new Date());
+  // Range drawn on the grid / personal session clicked, for PersonalBlockDialog
+  const [draftBlock, setDraftBlock] = React.useState(null);
+  const [clickedPersonalSession, setClickedPersonalSession] =
+    React.useState(null);
 
   // Get future semester state
   const isFutureSemesterSelectedState = useRecoilValue(
@@ -117,6 +127,8 @@ export default function Calendar() {
     });
     let room = info.event._def.extendedProps.room;
     let conflictsWith = info.event._def.extendedProps.conflictsWith || [];
+    let overlapDetails = info.event._def.extendedProps.overlapDetails || [];
+    let travelDetails = info.event._def.extendedProps.travelDetails || [];
 
     info.el.setAttribute("data-tip", `${title}`);
     info.el.setAttribute("data-tooltip-id", "event-tooltip");
@@ -125,6 +137,8 @@ export default function Calendar() {
     info.el.setAttribute("data-start-time", `${startTime}`);
     info.el.setAttribute("data-end-time", `${endTime}`);
     info.el.setAttribute("data-conflicts-with", conflictsWith.join(", "));
+    info.el.setAttribute("data-overlap-details", JSON.stringify(overlapDetails));
+    info.el.setAttribute("data-travel-details", JSON.stringify(travelDetails));
   };
 
   // Text to be displayed when hovering
@@ -134,12 +148,40 @@ export default function Calendar() {
         <p className="truncate">{eventInfo.timeText}</p>
         <p className="font-bold truncate">{eventInfo.event.title}</p>
         <p className="truncate text-red">
+          {eventInfo.event._def.extendedProps.travelDetails?.length > 0 && (
+            <span title="Tight connection">🚶 </span>
+          )}
           {eventInfo.event._def.extendedProps.room}
         </p>
       </>
     );
   }
 
+  // Drawing on the grid blocks time for a personal commitment
+  const selectBlock = (info) => {
+    info.view.calendar.unselect();
+    setDraftBlock({ start: info.start, end: info.end });
+  };
+
+  const clickEvent = (info) => {
+    const { isPersonal, personalEventId, eventDate, isRecurring } =
+      info.event.extendedProps;
+    if (!isPersonal) return;
+    setClickedPersonalSession({
+      personalEventId,
+      eventDate,
+      isRecurring,
+      title: info.event.title,
+      start: info.event.start,
+      end: info.event.end,
+    });
+  };
+
+  const closeBlockDialog = () => {
+    setDraftBlock(null);
+    setClickedPersonalSession(null);
+  };
+
   const WeekChange = (value) => {
     let calendarApi = calendarRef.current.getApi();
 
@@ -202,6 +244,12 @@ export default function Calendar() {
         render={({ content, activeAnchor }) => {
           const conflictsWith = activeAnchor?.getAttribute("data-conflicts-with");
           const conflictList = conflictsWith ? conflictsWith.split(", ") : [];
+          const overlapDetails = JSON.parse(
+            activeAnchor?.getAttribute("data-overlap-details") || "[]"
+          );
+          const travelDetails = JSON.parse(
+            activeAnchor?.getAttribute("data-travel-details") || "[]"
+          );
           return (
             <div>
               <div className="font-medium">{content}</div>
@@ -216,8 +264,38 @@ export default function Calendar() {
                 <div className="text-amber-300 mt-1 pt-1 border-t border-gray-600">
                   <div className="font-medium">⚠ Conflicts with:</div>
                   <ul className="list-disc list-inside text-sm">
-                    {conflictList.map((course, idx) => (
-                      <li key={idx} className="truncate">{course}</li>
+                    {overlapDetails.length > 0
+                      ? overlapDetails.map((detail, idx) => (
+                          <li key={idx}>
+                            <span className="font-medium">{detail.with}</span>
+                            <span
+                              className="ml-1 text-xs"
+                              style={{ color: SEVERITY_COLORS[detail.severity] }}
+                            >
+                              {SEVERITY_LABELS[detail.severity]}
+                            </span>
+                            <div className="pl-4 text-xs text-gray-300">
+                              {detail.summary}
+                            </div>
+                          </li>
+                        ))
+                      : conflictList.map((course, idx) => (
+                          <li key={idx} className="truncate">{course}</li>
+                        ))}
+                  </ul>
+                </div>
+              )}
+              {travelDetails.length > 0 && (
+                <div className="text-sky-300 mt-1 pt-1 border-t border-gray-600">
+                  <div className="font-medium">🚶 Tight connection:</div>
+                  <ul className="list-disc list-inside text-sm">
+                    {travelDetails.map((detail, idx) => (
+                      <li key={idx}>
+                        <span className="font-medium">{detail.with}</span>
+                        <div className="pl-4 text-xs text-gray-300">
+                          {detail.summary}
+                        </div>
+                      </li>
                     ))}
                   </ul>
                 </div>
@@ -238,6 +316,17 @@ export default function Calendar() {
         </div>
       )}
 
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <PersonalCommitments />
+        {!displaySelectCoursesFirst && <CalendarExport />}
+      </div>
+      {!displaySelectCoursesFirst && <ConflictResolutionPanel />}
+      <PersonalBlockDialog
+        draft={draftBlock}
+        session={clickedPersonalSession}
+        onClose={closeBlockDialog}
+      />
+
       {displaySelectCoursesFirst ? (
         <div className="flex flex-col items-center justify-center h-full p-8 text-center">
           <div className="bg-gray-100 rounded-full p-4 mb-4">
@@ -315,7 +404,7 @@ export default function Calendar() {
           <div className="relative flex-1" key={calendarKey}>
             <FullCalendar
               ref={calendarRef}
-              plugins={[timeGridPlugin, dayGridPlugin]}
+              plugins={[timeGridPlugin, dayGridPlugin, interactionPlugin]}
               initialView="timeGridWeek"
               initialDate={initialDate} // This ensures correct date on mount
               height="100%"
@@ -329,6 +418,10 @@ export default function Calendar() {
               slotEventOverlap={false}
               eventContent={renderEventContent}
               eventMouseEnter={hoverEvent}
+              selectable={!isFutureSemesterSelectedState}
+              selectMirror={true}
+              select={selectBlock}
+              eventClick={clickEvent}
               allDaySlot={false}
               headerToolbar={false}
               footerToolbar={false}
@@ -0,0 +1,80 @@
+import { useState } from "react";
+import { useRecoilState, useRecoilValue } from "recoil";
+import { toast } from "react-toastify";
+import { CalendarIcon } from "@heroicons/react/outline";
+import { selectedSemesterSelector } from "../recoil/unifiedCourseDataSelectors";
+import { scheduledCoursesSelector } from "../recoil/timetableCollisionsSelector";
+import { isFutureSemesterSelected } from "../recoil/isFutureSemesterSelected";
+import { exportedSessionsState } from "../recoil/exportedSessionsAtom";
+import { buildIcsCalendar } from "../helpers/icsExport";
+import { downloadFile } from "../helpers/courseListExport";
+import { errorHandlingService } from "../errorHandling/ErrorHandlingService";
+
+/**
+ * Downloads the sessions of the enrolled (and optionally wishlisted) courses
+ * as an .ics file for Outlook, Google or Apple Calendar. Sessions of earlier
+ * exports that are no longer scheduled are included as cancelled events.
+ */
+export default function CalendarExport() {
+  const semester = useRecoilValue(selectedSemesterSelector);
+  const courses = useRecoilValue(scheduledCoursesSelector(semester));
+  const isProjected = useRecoilValue(isFutureSemesterSelected);
+  const [includeWishlist, setIncludeWishlist] = useState(true);
+  const [exportedSessions, setExportedSessions] = useRecoilState(
+    exportedSessionsState
+  );
+
+  const exportIcs = () => {
+    try {
+      const { ics, eventCount, cancelledCount, exportedSessions: sessions } =
+        buildIcsCalendar(courses, {
+          semester,
+          includeWishlist,
+          previousSessions: exportedSessions[semester],
+        });
+      if (eventCount === 0 && cancelledCount === 0) {
+        toast.info(
+          includeWishlist
+            ? `No sessions to export for ${semester}.`
+            : `None of your enrolled ${semester} courses has sessions.`,
+          { toastId: "ics-export-empty" }
+        );
+        return;
+      }
+      downloadFile(ics, `courses-${semester}.ics`, "text/calendar;charset=utf-8");
+      setExportedSessions((prev) => ({ ...prev, [semester]: sessions }));
+    } catch (error) {
+      errorHandlingService.handleError(error);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-end gap-3 pb-2 text-sm text-gray-600">
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={includeWishlist}
+          onChange={(e) => setIncludeWishlist(e.target.checked)}
+          className="rounded text-hsg-700 focus:ring-hsg-500"
+        />
+        Include wishlist
+      </label>
+      <button
+        type="button"
+        onClick={exportIcs}
+        disabled={isProjected || courses.length === 0}
+        title={
+          isProjected
+            ? "Projected dates can't be exported; they will change once HSG publishes the schedule"
+            : "Re-importing an updated file updates the events instead of duplicating them, and removes dropped courses"
+        }
+        className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-white rounded-md bg-hsg-600 hover:bg-hsg-700 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <CalendarIcon className="w-4 h-4" aria-hidden="true" />
+        Export to calendar (.ics)
+      </button>
+    </div>
+  );
+}
+
+export { CalendarExport };
@@ -0,0 +1,170 @@
+import { useState } from "react";
+import { useRecoilValue } from "recoil";
+import { toast } from "react-toastify";
+import {
+  ExclamationIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+} from "@heroicons/react/outline";
+import { authTokenState } from "../recoil/authAtom";
+import {
+  selectedSemesterSelector,
+  selectedCoursesSelector,
+} from "../recoil/unifiedCourseDataSelectors";
+import { conflictResolutionSelector } from "../recoil/conflictResolutionSelector";
+import { useCourseSelection } from "../helpers/useCourseSelection";
+import { RESOLUTION_TYPES } from "../helpers/conflictResolution";
+import { getCourseIdentifier } from "../helpers/courseUtils";
+import { errorHandlingService } from "../errorHandling/ErrorHandlingService";
+
+const courseName = (course) =>
+  course.shortName || course.courseName || getCourseIdentifier(course);
+
+const describeOption = ({ type, remove, add }) => {
+  switch (type) {
+    case RESOLUTION_TYPES.GROUP:
+      return `Switch ${courseName(remove)} to ${courseName(add)}`;
+    case RESOLUTION_TYPES.SECTION:
+      return `Take the parallel section ${courseName(add)} instead`;
+    default:
+      return `Drop ${courseName(remove)} from the wishlist`;
+  }
+};
+
+const describeFixedSide = (course) => {
+  if (course.isPersonal) return "personal commitment";
+  if (course.enrolled) return "enrolled";
+  return null;
+};
+
+/**
+ * Lists the timetable conflicts of the selected semester with one-click
+ * wishlist changes that resolve them. Renders nothing without conflicts.
+ */
+export default function ConflictResolutionPanel() {
+  const authToken = useRecoilValue(authTokenState);
+  const semester = useRecoilValue(selectedSemesterSelector);
+  const conflicts = useRecoilValue(conflictResolutionSelector(semester));
+  const selectedCourseIds =
+    useRecoilValue(selectedCoursesSelector(semester || "")) || [];
+  const [isOpen, setIsOpen] = useState(false);
+  const [applyingKey, setApplyingKey] = useState(null);
+
+  const { addOrRemoveCourse } = useCourseSelection({
+    selectedCourseIds,
+    setSelectedCourseIds: null,
+    selectedSemesterShortName: semester || "",
+    authToken,
+  });
+
+  if (conflicts.length === 0) return null;
+
+  const applyOption = async (conflictKey, option) => {
+    setApplyingKey(conflictKey);
+    try {
+      await addOrRemoveCourse(option.remove);
+      if (option.add) await addOrRemoveCourse(option.add);
+      toast.info(
+        `${describeOption(option)}: ${option.freed} colliding session${
+          option.freed === 1 ? "" : "s"
+        } fewer.`,
+        { toastId: "conflict-resolved" }
+      );
+    } catch (error) {
+      errorHandlingService.handleError(error);
+    } finally {
+      setApplyingKey(null);
+    }
+  };
+
+  return (
+    <div className="mb-2 text-sm border rounded-lg border-warning/50 bg-amber-50">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        className="flex items-center w-full gap-2 px-3 py-2 font-medium text-left text-gray-900"
+      >
+        <ExclamationIcon className="w-4 h-4 text-warning" aria-hidden="true" />
+        <span className="flex-1">
+          {conflicts.length} conflict{conflicts.length === 1 ? "" : "s"} in your
+          timetable
+        </span>
+        <span className="text-xs text-gray-500">
+          {isOpen ? "Hide" : "Resolve"}
+        </span>
+        {isOpen ? (
+          <ChevronDownIcon className="w-4 h-4 text-gray-500" aria-hidden="true" />
+        ) : (
+          <ChevronRightIcon className="w-4 h-4 text-gray-500" aria-hidden="true" />
+        )}
+      </button>
+
+      {isOpen && (
+        <ul className="px-3 pb-3 space-y-3 overflow-y-auto max-h-72">
+          {conflicts.map((conflict) => (
+            <li key={conflict.key} className="pt-2 border-t border-warning/30">
+              <p className="font-medium text-gray-900">
+                {conflict.courses.map((course, idx) => {
+                  const fixed = describeFixedSide(course);
+                  return (
+                    <span key={getCourseIdentifier(course)}>
+                      {idx > 0 && " ↔ "}
+                      {courseName(course)}
+                      {fixed && (
+                        <span className="font-normal text-gray-500">
+                          {" "}
+                          ({fixed})
+                        </span>
+                      )}
+                    </span>
+                  );
+                })}
+              </p>
+              <p className="text-xs text-gray-500">
+                {conflict.sessionCount} overlapping session
+                {conflict.sessionCount === 1 ? "" : "s"}
+              </p>
+
+              {conflict.options.length === 0 ? (
+                <p className="mt-1 text-xs text-gray-600">
+                  No wishlist change resolves this; neither side can be swapped
+                  or dropped here.
+                </p>
+              ) : (
+                <ul className="mt-1 space-y-1">
+                  {conflict.options.map((option) => (
+                    <li
+                      key={`${option.type}-${getCourseIdentifier(option.remove)}-${
+                        option.add ? getCourseIdentifier(option.add) : ""
+                      }`}
+                      className="flex items-center gap-2"
+                    >
+                      <span className="flex-1 text-gray-700">
+                        {describeOption(option)}
+                        <span className="ml-1 text-xs text-gray-500">
+                          frees {option.freed} session
+                          {option.freed === 1 ? "" : "s"}
+                        </span>
+                      </span>
+                      <button
+                        type="button"
+                        disabled={applyingKey !== null}
+                        onClick={() => applyOption(conflict.key, option)}
+                        className="px-2 py-1 text-xs font-medium text-white rounded bg-hsg-600 hover:bg-hsg-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Apply
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export { ConflictResolutionPanel };
@@ -0,0 +1,268 @@
+import { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useRecoilValue } from "recoil";
+import { XIcon } from "@heroicons/react/outline";
+import { authTokenState } from "../recoil/authAtom";
+import { compareCoursesSelector } from "../recoil/compareCoursesSelector";
+import { MAX_COMPARE_COURSES } from "../recoil/compareTrayAtom";
+import { useCompareTray } from "../helpers/useCompareTray";
+import { useExaminationTypes } from "../helpers/useExaminationTypes";
+import { fetchCourseExamInformation } from "../helpers/examInformationApi";
+import { RATING_DIMENSIONS } from "../helpers/ratingFilter";
+import {
+  getContactHours,
+  summarizeWeeklySchedule,
+} from "../helpers/courseComparison";
+import { errorHandlingService } from "../errorHandling/ErrorHandlingService";
+
+const formatCredits = (credits) =>
+  credits ? (credits / 100).toFixed(credits % 100 === 0 ? 0 : 1) : "–";
+
+const getLecturers = (course) =>
+  (course.courses?.[0]?.lecturers || course.lecturers || [])
+    .map((lecturer) => lecturer.displayName)
+    .join(", ");
+
+const entryKey = (entry) => `${entry.semester}-${entry.courseId}`;
+
+const Section = ({ title, children }) => (
+  <div className="py-2 border-t border-gray-200">
+    <h3 className="text-xs font-semibold uppercase text-gray-500 pb-1">
+      {title}
+    </h3>
+    <div className="text-sm text-gray-800">{children}</div>
+  </div>
+);
+
+Section.propTypes = {
+  title: PropTypes.string.isRequired,
+  children: PropTypes.node,
+};
+
+const ComparisonColumn = ({ entry, examinationParts, examinationTypes }) => {
+  const { removeFromTray } = useCompareTray();
+  const { course, collision } = entry;
+
+  const header = (
+    <div className="flex items-start justify-between gap-2 pb-2">
+      <div>
+        <div className="font-bold text-gray-800 leading-tight">
+          {entry.shortName}
+        </div>
+        <div className="text-xs text-gray-500">
+          {entry.courseId} · {entry.semester}
+        </div>
+      </div>
+      <button
+        type="button"
+        onClick={() => removeFromTray(entry)}
+        className="text-gray-400 hover:text-gray-700"
+        aria-label={`Remove ${entry.shortName} from comparison`}
+        title="Remove from comparison"
+      >
+        <XIcon className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  if (!course) {
+    return (
+      <div className="min-w-[14rem] flex-1 p-3 bg-white rounded-lg shadow-sm">
+        {header}
+        <p className="text-sm text-gray-500">
+          Course data for {entry.semester} is not loaded. Select the semester
+          in the course list to load it.
+        </p>
+      </div>
+    );
+  }
+
+  const schedule = summarizeWeeklySchedule(course.calendarEntry);
+  const contactHours = getContactHours(course.calendarEntry);
+
+  return (
+    <div className="min-w-[14rem] flex-1 p-3 bg-white rounded-lg shadow-sm">
+      {header}
+
+      <Section title="Credits">{formatCredits(course.credits)} ECTS</Section>
+
+      <Section title="Classification">{course.classification || "–"}</Section>
+
+      <Section title="Lecturers">{getLecturers(course) || "–"}</Section>
+
+      <Section title="Exam">
+        {examinationParts === undefined ? (
+          <span className="text-gray-500">Loading…</span>
+        ) : examinationParts?.length ? (
+          examinationParts.map((part, index) => (
+            <div key={index} className="flex justify-between gap-2">
+              <span>
+                {examinationTypes?.[part.examinationTypeId]?.shortName ||
+                  "Exam"}
+              </span>
+              <span>{part.weightage / 100}%</span>
+            </div>
+          ))
+        ) : (
+          <span className="text-gray-500">No exam information</span>
+        )}
+      </Section>
+
+      <Section title="Ratings">
+        {course.avgRatings ? (
+          <>
+            {RATING_DIMENSIONS.map((dimension) => (
+              <div key={dimension} className="flex justify-between gap-2">
+                <span className="capitalize">{dimension}</span>
+                <span>
+                  {course.avgRatings[dimension] !== undefined
+                    ? `Ø ${course.avgRatings[dimension]}`
+                    : "–"}
+                </span>
+              </div>
+            ))}
+            {course.nbOfRatings !== undefined && (
+              <div className="text-xs text-gray-500">
+                {course.nbOfRatings} ratings
+              </div>
+            )}
+          </>
+        ) : (
+          <span className="text-gray-500">No ratings</span>
+        )}
+      </Section>
+
+      <Section title="Weekly schedule">
+        {schedule.weekly.length === 0 && schedule.blockSessions === 0 && (
+          <span className="text-gray-500">No sessions</span>
+        )}
+        {schedule.weekly.map((slot) => (
+          <div key={slot.label} className="flex justify-between gap-2">
+            <span>{slot.label}</span>
+            <span className="text-gray-500">{slot.sessions}×</span>
+          </div>
+        ))}
+        {schedule.blockSessions > 0 && (
+          <div className="text-gray-500">
+            {schedule.blockSessions} block session
+            {schedule.blockSessions === 1 ? "" : "s"}
+          </div>
+        )}
+      </Section>
+
+      <Section title="Contact hours">
+        {contactHours > 0 ? `${Math.round(contactHours * 10) / 10} h` : "–"}
+      </Section>
+
+      <Section title="Conflicts">
+        {collision?.count ? (
+          <span className="text-warning">
+            {collision.count} session{collision.count === 1 ? "" : "s"} collide
+            with {collision.conflictsWith.join(", ")}
+          </span>
+        ) : (
+          <span className="text-gray-500">
+            No conflicts with your {entry.semester} selection
+          </span>
+        )}
+      </Section>
+    </div>
+  );
+};
+
+ComparisonColumn.propTypes = {
+  entry: PropTypes.object.isRequired,
+  examinationParts: PropTypes.array,
+  examinationTypes: PropTypes.object,
+};
+
+/**
+ * Side-by-side comparison of the courses in the compare tray.
+ * Exam parts missing from the prefetched exam information are loaded here.
+ */
+export default function CourseComparison() {
+  const authToken = useRecoilValue(authTokenState);
+  const entries = useRecoilValue(compareCoursesSelector);
+  const examinationTypes = useExaminationTypes(authToken);
+  const { clearTray } = useCompareTray();
+  const [fetchedExamParts, setFetchedExamParts] = useState({});
+  const requestedRef = useRef(new Set());
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!authToken) return;
+
+    entries
+      .filter(
+        (entry) =>
+          entry.course &&
+          !entry.course.examinationParts &&
+          !requestedRef.current.has(entryKey(entry))
+      )
+      .forEach((entry) => {
+        const key = entryKey(entry);
+        requestedRef.current.add(key);
+        fetchCourseExamInformation(entry.course, authToken)
+          .then((data) => data?.examinationParts || [])
+          .catch((err) => {
+            errorHandlingService.handleError(err);
+            return null;
+          })
+          .then((parts) => {
+            if (!mountedRef.current) return;
+            setFetchedExamParts((prev) => ({ ...prev, [key]: parts }));
+          });
+      });
+  }, [entries, authToken]);
+
+  if (entries.length < 2) {
+    return (
+      <div className="p-4 text-gray-600">
+        <h2 className="text-lg font-bold text-gray-700 pb-2">Compare Courses</h2>
+        <p>
+          Add {entries.length === 0 ? "two to" : "at least one more, up to"}{" "}
+          {MAX_COMPARE_COURSES} courses with the scale icon in the course list,
+          the similar courses or the curriculum map to compare them side by
+          side.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col h-full p-2 overflow-hidden">
+      <div className="flex items-center justify-between px-1 pb-2">
+        <h2 className="text-lg font-bold text-gray-700">Compare Courses</h2>
+        <button
+          type="button"
+          onClick={clearTray}
+          className="text-sm text-gray-500 hover:text-gray-800"
+        >
+          Clear all
+        </button>
+      </div>
+      <div className="flex gap-2 overflow-auto flex-1">
+        {entries.map((entry) => (
+          <ComparisonColumn
+            key={entryKey(entry)}
+            entry={entry}
+            examinationParts={
+              entry.course?.examinationParts ??
+              fetchedExamParts[entryKey(entry)]
+            }
+            examinationTypes={examinationTypes}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export { CourseComparison };
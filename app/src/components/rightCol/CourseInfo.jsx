@@ -1,13 +1,17 @@
-import { useRecoilValue, useRecoilState } from "recoil";
+import { useRecoilValue, useSetRecoilState } from "recoil";
 import { ExternalLinkIcon } from "@heroicons/react/outline";
 import { authTokenState } from "../recoil/authAtom";
+import { selectedLecturerState } from "../recoil/lecturerProfileAtom";
 import { apiClient } from "../helpers/axiosClient";
+import { fetchCourseExamInformation } from "../helpers/examInformationApi";
+import { useExaminationTypes } from "../helpers/useExaminationTypes";
 import { useEffect, useState } from "react";
-import { examinationTypesState } from "../recoil/examinationTypesAtom";
 import Collapsible from "./Collapsible";
 import { StarIcon } from "@heroicons/react/solid";
 import { Tooltip as ReactTooltip } from "react-tooltip";
 import SimilarCourses from "./SimilarCourses.jsx";
+import OfferingHistory from "./OfferingHistory.jsx";
+import LecturerProfile from "./LecturerProfile.jsx";
 import { RATING_TOOLTIP_TEXTS } from "../../constants/ratingTooltips";
 import ExerciseGroupDisclaimer from "../common/ExerciseGroupDisclaimer";
 import { isExerciseGroup } from "../helpers/smartExerciseGroupHandler";
@@ -24,47 +28,18 @@ export default function CourseInfo() {
   const selectedCourse = useRecoilValue(selectedCourseInfoSelector);
   const semesterAbbreviation = useRecoilValue(selectedCourseSemesterSelector);
   const authToken = useRecoilValue(authTokenState);
-  const [examinationIdState, setExaminationIdState] = useRecoilState(
-    examinationTypesState
-  );
+  const setSelectedLecturer = useSetRecoilState(selectedLecturerState);
   const [examInformationState, setExamInformation] = useState(null);
   const [containsCourseRatings, setContainsCourseRatings] = useState(false);
 
   // fetch achievement parts information (will be done every time a course is selected)
   async function fetchCourseInformation(selectedCourse, authToken) {
     try {
-      const res = await apiClient.get(
-        `https://integration.unisg.ch/EventApi/CourseInformationSheets/latestPublishedByHsgEntityId/${selectedCourse.hsgEntityId}`,
-        authToken,
-        {
-          headers: {
-            "API-Version": "3",
-          },
-        }
-      );
-
-      return res.data;
+      return await fetchCourseExamInformation(selectedCourse, authToken);
     } catch (err) {
-      try {
-        const res = await apiClient.get(
-          `https://integration.unisg.ch/EventApi/CourseInformationSheets/latestPublishedByHsgEntityId/${
-            selectedCourse.courses?.[0]?.courseNumber ||
-            selectedCourse.courseNumber
-          }`,
-          authToken,
-          {
-            headers: {
-              "API-Version": "3",
-            },
-          }
-        );
-
-        return res.data;
-      } catch (err) {
-        console.log(err);
-        errorHandlingService.handleError(err);
-        return null;
-      }
+      console.log(err);
+      errorHandlingService.handleError(err);
+      return null;
     }
   }
 
@@ -76,37 +51,8 @@ export default function CourseInfo() {
     }
   }, [selectedCourse, authToken]);
 
-  // fetch exam types (will be done only once)
-
-  async function fetchExaminationIds() {
-    try {
-      const res = await apiClient.get(
-        `https://integration.unisg.ch/AcametaApi/ExaminationTypes?fields=id,shortName,description`,
-        authToken
-      );
-
-      const examinationIdObject = {};
-      res.data.forEach((examinationId) => {
-        examinationIdObject[examinationId.id] = {
-          shortName: examinationId.shortName,
-          description: examinationId.description,
-        };
-      });
-
-      setExaminationIdState(examinationIdObject);
-    } catch (err) {
-      console.log(err);
-      errorHandlingService.handleError(err);
-    }
-  }
-
-  useEffect(() => {
-    if (authToken) {
-      fetchExaminationIds();
-    }
-    //never include setters
-    // eslint-disable-next-line
-  }, [authToken]);
+  // exam types (loaded only once)
+  const examinationIdState = useExaminationTypes(authToken);
 
   // fetch ratings (will be done every time a course is selected)
   const [courseWithRatings, setCourseWithRatings] = useState(null);
@@ -218,10 +164,19 @@ export default function CourseInfo() {
                     selectedCourse.courses?.[0]?.lecturers ||
                     selectedCourse.lecturers
                   )
-                    .map((prof) => {
-                      return prof.displayName;
-                    })
-                    .join(" • ")}
+                    .map((prof, index) => (
+                      <span key={prof.displayName}>
+                        {index > 0 && " • "}
+                        <button
+                          type="button"
+                          onClick={() => setSelectedLecturer(prof.displayName)}
+                          className="font-semibold hover:underline hover:text-hsg-800"
+                          title={`Show profile of ${prof.displayName}`}
+                        >
+                          {prof.displayName}
+                        </button>
+                      </span>
+                    ))}
               </div>
             </div>
           ) : null}
@@ -346,7 +301,7 @@ export default function CourseInfo() {
                     <div key={index} className="w-full text-sm">
                       <div className="grid grid-cols-3">
                         <div className="font-semibold">
-                          {examinationIdState[part.examinationTypeId].shortName}
+                          {examinationIdState?.[part.examinationTypeId]?.shortName}
                         </div>
                         <div>{part.remark}</div>
                         <div className="text-left">{part.weightage / 100}%</div>
@@ -361,6 +316,9 @@ export default function CourseInfo() {
               )}
             </div>
           </section>
+          {selectedCourse && selectedCourse.shortName !== undefined && (
+            <OfferingHistory selectedCourse={selectedCourse} />
+          )}
           {/* // General Course Description // */}
           <section className="flex flex-col flex-1" label="Course Information">
             <h2 className="flex-none pb-2 text-xl font-bold text-gray-700 ">
@@ -419,6 +377,7 @@ export default function CourseInfo() {
           {selectedCourse && <SimilarCourses selectedCourse={selectedCourse} />}
         </div>
       </div>
+      <LecturerProfile />
     </>
   );
 }
@@ -18,6 +18,7 @@ import { CSS } from "@dnd-kit/utilities";
 import { unifiedCourseDataState } from "../../recoil/unifiedCourseDataAtom";
 import { localSelectedCoursesSemKeyState } from "../../recoil/localSelectedCoursesSemKeyAtom";
 import { curriculumPlanState, filterCurrentAndFutureSemesters } from "../../recoil/curriculumPlanAtom";
+import { CompareButton } from "../../leftCol/bottomRow/CompareButton";
 
 /**
  * PickerCourseCard - A draggable course card in the picker
@@ -63,8 +64,11 @@ const PickerCourseCard = ({ course, semesterKey }) => {
       title={`${course.shortName}\n${creditsDisplay} ECTS\nDrag to add to grid`}
     >
       {/* Course name */}
-      <div className="font-medium text-gray-900 leading-tight truncate">
-        {displayName}
+      <div className="flex items-center gap-1">
+        <div className="flex-1 font-medium text-gray-900 leading-tight truncate">
+          {displayName}
+        </div>
+        <CompareButton course={course} semester={semesterKey} />
       </div>
 
       {/* Course details */}
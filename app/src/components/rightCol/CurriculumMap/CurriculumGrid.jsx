@@ -189,9 +189,15 @@ const CurriculumGrid = ({
           v.semesterKey === semester.key &&
           courses.some((c) => v.courses?.includes(c.id))
       ),
-      warnings: (validations?.categoryWarnings || []).filter(
-        (v) => v.categoryPath === category.path
-      ),
+      warnings: [
+        ...(validations?.categoryWarnings || []).filter(
+          (v) => v.categoryPath === category.path
+        ),
+        ...(validations?.availabilityWarnings || []).filter(
+          (v) =>
+            v.semesterKey === semester.key && v.categoryPath === category.path
+        ),
+      ],
     };
 
     const isColumnComplete = category.isComplete || parentCompletionMap[category.path];
@@ -13,13 +13,20 @@
 import { useRecoilValue } from "recoil";
 import { useState, useEffect } from "react";
 import { DownloadIcon, ArrowLeftIcon } from "@heroicons/react/solid";
-import { EyeIcon, EyeOffIcon, SwitchHorizontalIcon } from "@heroicons/react/outline";
+import {
+  ClockIcon,
+  EyeIcon,
+  EyeOffIcon,
+  SwitchHorizontalIcon,
+} from "@heroicons/react/outline";
 import { curriculumMapSelector } from "../../recoil/curriculumMapSelector";
 import { authTokenState } from "../../recoil/authAtom";
 import { curriculumPlansRegistryState } from "../../recoil/curriculumPlansRegistryAtom";
+import { termCataloguesState } from "../../recoil/catalogueSearchAtom";
 import { useScorecardFetching } from "../../helpers/useScorecardFetching";
 import { useInitializeScoreCards } from "../../helpers/useInitializeScorecards";
 import usePlanManager from "../../helpers/usePlanManager";
+import { useTermCatalogues } from "../../helpers/useTermCatalogues";
 import { useErrorHandler } from "../../errorHandling/useErrorHandler";
 import LoadingText from "../../common/LoadingText";
 import CurriculumGrid from "./CurriculumGrid";
@@ -105,6 +112,15 @@ const CurriculumMap = () => {
   const [isAxisFlipped, setIsAxisFlipped] = useState(
     () => localStorage.getItem(AXIS_FLIPPED_STORAGE_KEY) === "true",
   );
+  // Season warnings need the past term catalogues, which are only loaded
+  // when asked for (or by the catalogue search and offering history)
+  const [isAvailabilityCheckOn, setIsAvailabilityCheckOn] = useState(false);
+  const availabilityCheck = useTermCatalogues(
+    authToken,
+    isAvailabilityCheckOn,
+  );
+  const termCatalogues = useRecoilValue(termCataloguesState);
+  const hasTermCatalogues = Object.keys(termCatalogues).length > 0;
   // Click-to-place is disabled; placementMode stays null. Grid still receives
   // it so re-enabling later only requires restoring the useState + handlers.
   const placementMode = null;
@@ -250,6 +266,24 @@ const CurriculumMap = () => {
             <SwitchHorizontalIcon className="w-4 h-4" />
             Flip Axes
           </button>
+          <button
+            onClick={() => setIsAvailabilityCheckOn(true)}
+            disabled={isAvailabilityCheckOn}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-60 disabled:cursor-not-allowed rounded-md transition-colors"
+            title="Load past semesters to warn about courses planned in a season they are not offered in"
+          >
+            <ClockIcon className="w-4 h-4" />
+            {!isAvailabilityCheckOn
+              ? "Check Availability"
+              : availabilityCheck.isLoading
+                ? `Checking... (${availabilityCheck.loaded}/${availabilityCheck.total})`
+                : "Availability Checked"}
+          </button>
+          {!isAvailabilityCheckOn && !hasTermCatalogues && (
+            <span className="text-xs text-gray-500">
+              Offering history not loaded, so no season warnings yet
+            </span>
+          )}
         </div>
         <PlaceholderCreator />
       </div>
@@ -1,11 +1,37 @@
 // Heatmap.jsx //
 
-import { useRecoilValue } from "recoil";
-import { calendarEntriesSelector } from "../recoil/calendarEntriesSelector";
+import { useRecoilState, useRecoilValue } from "recoil";
+import {
+  calendarCoursesSelector,
+  calendarEntriesSelector,
+  travelWarningsSelector,
+} from "../recoil/calendarEntriesSelector";
 import PropTypes from "prop-types";
 import { cisIdList as cisIdListAtom } from "../recoil/cisIdListAtom";
 import { selectedSemesterSelector } from "../recoil/unifiedCourseDataSelectors";
 import { useMemo, useCallback } from "react";
+import { Tooltip as ReactTooltip } from "react-tooltip";
+import moment from "moment";
+import {
+  WEEKLY_HOURS_LIMIT,
+  buildWorkload,
+  getHoursLevel,
+  getWeekKey,
+} from "../helpers/workload";
+import { workloadSettingsState } from "../recoil/workloadSettingsAtom";
+
+// Cell colour per level of getHoursLevel
+const LEVEL_CLASSES = [
+  " opacity-50 bg-gray-800 bg-opacity-20",
+  " bg-main bg-opacity-30 border-main border-opacity-30 ",
+  " bg-main bg-opacity-50 border-main border-opacity-50",
+  " bg-main bg-opacity-75 border-main border-opacity-75",
+  " bg-main bg-opacity-90 border-main border-opacity-90",
+  " bg-main border-main border-opacity-1",
+];
+
+const formatHours = (hours) =>
+  hours >= 10 || Number.isInteger(hours) ? hours.toFixed(0) : hours.toFixed(1);
 
 // Helper to get date from calendar week
 // Helper to get date from calendar week
@@ -141,6 +167,12 @@ export const Heatmap = ({
   setHoveredDate,
 }) => {
   const events = useRecoilValue(calendarEntriesSelector);
+  const { warnings: travelWarnings } = useRecoilValue(travelWarningsSelector);
+  const calendarCourses = useRecoilValue(calendarCoursesSelector);
+  const [workloadSettings, setWorkloadSettings] = useRecoilState(
+    workloadSettingsState
+  );
+  const { hoursPerEcts, showSelfStudy } = workloadSettings;
 
   const cisIdList = useRecoilValue(cisIdListAtom);
   const selectedSemesterShortName = useRecoilValue(selectedSemesterSelector);
@@ -155,6 +187,16 @@ export const Heatmap = ({
     return getDatesInRange(semesterStartDate, semesterEndDate);
   }, [semesterStartDate, semesterEndDate]);
 
+  // Contact and self-study hours per day and week, in the heatmap's year
+  const workload = useMemo(
+    () =>
+      buildWorkload(calendarCourses, {
+        hoursPerEcts,
+        year: semesterStartDate.getFullYear(),
+      }),
+    [calendarCourses, hoursPerEcts, semesterStartDate]
+  );
+
   // works correctly:
   //const semesterStartDate = new Date("2024-09-16"); // comment for future reference: this also needs to be changed for #changesemester
   //const semesterEndDate = new Date("2024-12-21"); // comment for future reference: this also needs to be changed for #changesemester
@@ -176,26 +218,20 @@ export const Heatmap = ({
     return false;
   }
 
-  function checkIfEventsOverlap(date) {
+  // Check if a break on this date is too short to reach the next room
+  function checkIfTightConnection(date) {
     const targetYear = date.getFullYear();
-    const eventsOnDate = [];
-
-    for (let i = 0; i < events.length; i++) {
-      const event = events[i];
-      const eventDate = getShiftedEventDate(new Date(event.start), targetYear);
-
-      // Check if the event is on the same date
-      if (
-        eventDate.getDate() === date.getDate() &&
-        eventDate.getMonth() === date.getMonth() &&
-        eventDate.getFullYear() === date.getFullYear()
-      ) {
-        eventsOnDate.push(event);
-      }
-    }
-
-    // Return true if any event on this date has overlapping flag
-    return eventsOnDate.some((event) => event.overlapping);
+    return travelWarnings.some((warning) => {
+      const warningDate = getShiftedEventDate(
+        new Date(`${warning.date}T00:00:00`),
+        targetYear
+      );
+      return (
+        warningDate.getDate() === date.getDate() &&
+        warningDate.getMonth() === date.getMonth() &&
+        warningDate.getFullYear() === date.getFullYear()
+      );
+    });
   }
 
   function getDatesInRange(startDate, endDate) {
@@ -234,36 +270,19 @@ export const Heatmap = ({
     return shifted;
   }
 
-  // function to check if there is an event on a specific date
-  function checkIfEventOnDate(date) {
-    let dur = 0;
-    if (events.length === 0) {
-      return dur;
-    }
-
-    // Get target year from the heatmap (for future semester date shifting)
-    const targetYear = date.getFullYear();
-
-    for (let i = 0; i < events.length; i++) {
-      const event = events[i];
-
-      // Shift event dates to target year for future semesters
-      const eventDate = getShiftedEventDate(new Date(event.start), targetYear);
-      const eventEndDate = getShiftedEventDate(new Date(event.end), targetYear);
-
-      if (
-        (eventDate.getDate() === date.getDate() &&
-          eventDate.getMonth() === date.getMonth() &&
-          eventDate.getFullYear() === date.getFullYear()) ||
-        (eventEndDate.getDate() === date.getDate() &&
-          eventEndDate.getMonth() === date.getMonth() &&
-          eventEndDate.getFullYear() === date.getFullYear())
-      ) {
-        dur += event.durationInMinutes;
-      }
-    }
+  function getDayWorkload(date) {
+    const day = workload.days.get(moment(date).format("YYYY-MM-DD"));
+    if (!day) return { contactHours: 0, selfStudyHours: 0, hours: 0 };
+    return {
+      ...day,
+      hours: day.contactHours + (showSelfStudy ? day.selfStudyHours : 0),
+    };
+  }
 
-    return dur / 60;
+  function getWeekHours(monday) {
+    const week = workload.weeks.get(getWeekKey(monday));
+    if (!week) return 0;
+    return week.contactHours + (showSelfStudy ? week.selfStudyHours : 0);
   }
 
   const returnAllCoursesFromDate = useCallback(
@@ -346,11 +365,77 @@ export const Heatmap = ({
 
   return (
     <div className="flex flex-col">
+      <ReactTooltip
+        id="heatmap-day-tooltip"
+        style={{ zIndex: 9999, maxWidth: "min(320px, 85vw)" }}
+        render={({ activeAnchor }) => {
+          const day = workload.days.get(activeAnchor?.getAttribute("data-day"));
+          if (!day) return null;
+          return (
+            <div className="text-sm">
+              <ul>
+                {day.sessions.map((session, idx) => (
+                  <li key={idx}>
+                    {session.start}–{session.end}{" "}
+                    <span className="font-medium">{session.title}</span>
+                    {session.room && (
+                      <span className="text-gray-300"> ({session.room})</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              <div className="pt-1 mt-1 text-xs text-gray-300 border-t border-gray-600">
+                {formatHours(day.contactHours)}h contact
+                {showSelfStudy &&
+                  `, ~${formatHours(day.selfStudyHours)}h self-study`}
+              </div>
+            </div>
+          );
+        }}
+      />
       <div className="justify-center flex-1 w-full ml-2 font-semibold text-center text-md align-center">
         {hoveredDate
           ? getDateString(hoveredDate)
           : "Hover over a date or course for details"}
       </div>
+      <div className="flex flex-wrap items-center justify-center gap-3 mt-1 text-xs text-gray-700">
+        <label className="flex items-center gap-1 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showSelfStudy}
+            onChange={(e) =>
+              setWorkloadSettings({
+                ...workloadSettings,
+                showSelfStudy: e.target.checked,
+              })
+            }
+          />
+          Include self-study
+        </label>
+        {showSelfStudy && (
+          <label className="flex items-center gap-1">
+            <input
+              type="number"
+              min="1"
+              max="60"
+              value={hoursPerEcts}
+              onChange={(e) => {
+                const value = Number(e.target.value);
+                if (value > 0) {
+                  setWorkloadSettings({ ...workloadSettings, hoursPerEcts: value });
+                }
+              }}
+              className="w-12 px-1 py-0.5 border border-gray-300 rounded"
+            />
+            hours per ECTS
+          </label>
+        )}
+        <span className="text-gray-500">
+          Semester: {formatHours(workload.totals.contactHours)}h contact
+          {showSelfStudy &&
+            ` + ~${formatHours(workload.totals.selfStudyHours)}h self-study`}
+        </span>
+      </div>
 
       <div className="flex p-2 bg-white border-none outline-none text-xxs scrollbar-hide">
         <div className="bg-white outline-none">
@@ -365,6 +450,7 @@ export const Heatmap = ({
             <div className="flex items-center h-4 xl:h-6">Fri</div>
             <div className="flex items-center h-4 xl:h-6">Sat</div>
           </div>
+          <div className="flex items-center h-4 px-2 font-bold xl:h-6">Σ h</div>
         </div>
         <div className="flex flex-col flex-1 border-0 outline-none scrollbar-hide">
           <div className="grid justify-between h-4 grid-flow-col gap-1 p-2 mb-2 outline-none scrollbar-hide">
@@ -395,25 +481,16 @@ export const Heatmap = ({
                   ? "transform scale-125 font-bold"
                   : ""
               }
-                  ${
-                    checkIfEventsOverlap(date)
-                      ? "bg-warning border-warning opacity-1"
-                      : checkIfEventOnDate(date) >= 8
-                      ? " bg-main border-main border-opacity-1"
-                      : checkIfEventOnDate(date) >= 6
-                      ? " bg-main bg-opacity-90 border-main border-opacity-90"
-                      : checkIfEventOnDate(date) >= 4
-                      ? " bg-main bg-opacity-75 border-main border-opacity-75"
-                      : checkIfEventOnDate(date) >= 2
-                      ? " bg-main bg-opacity-50 border-main border-opacity-50"
-                      : checkIfEventOnDate(date) > 0
-                      ? " bg-main bg-opacity-30 border-main border-opacity-30 "
-                      : " opacity-50 bg-gray-800 bg-opacity-20"
-                  } 
+              ${checkIfTightConnection(date) ? "ring-2 ring-sky-500" : ""}
+                  ${LEVEL_CLASSES[getHoursLevel(getDayWorkload(date).hours)]}
                 ${date.getDate() === 1 ? "font-semibold text-black" : ""}
                 
                 
                 `}
+                data-tooltip-id={
+                  getDayWorkload(date).hours > 0 ? "heatmap-day-tooltip" : undefined
+                }
+                data-day={moment(date).format("YYYY-MM-DD")}
                 onMouseEnter={() => handleMouseEnter(date)}
                 onMouseLeave={() => {
                   setHoveredDate(null);
@@ -426,13 +503,34 @@ export const Heatmap = ({
                 ) : checkIfCourseHasEvent(date) ? (
                   <div></div>
                 ) : checkIfHoveredDate(date) ? (
-                  <div>{checkIfEventOnDate(date).toFixed(0)}h</div>
+                  <div>{getDayWorkload(date).hours.toFixed(0)}h</div>
                 ) : (
                   <div></div>
                 )}
               </div>
             ))}
           </div>
+          {/* Week totals, to spot overloaded weeks */}
+          <div className="grid justify-between grid-flow-col gap-1 px-2 outline-none scrollbar-hide">
+            {dates.map((date) => {
+              if (date.getDay() !== 1) return null;
+              const hours = getWeekHours(date);
+              const isOverloaded = hours > WEEKLY_HOURS_LIMIT;
+              return (
+                <div
+                  key={date.toISOString()}
+                  className={`flex items-center justify-center w-4 h-4 text-center xl:w-6 xl:h-6 text-xxs ${
+                    isOverloaded ? "font-bold text-red-600" : "text-gray-700"
+                  }`}
+                  title={`CW ${getWeekNumber(date)[1]}: ${formatHours(hours)}h${
+                    isOverloaded ? `, over ${WEEKLY_HOURS_LIMIT}h` : ""
+                  }`}
+                >
+                  {hours > 0 ? Math.round(hours) : ""}
+                </div>
+              );
+            })}
+          </div>
         </div>
       </div>
       <div className="flex justify-center flex-1 w-full h-full px-2 text-xxs">
@@ -457,14 +555,17 @@ export const Heatmap = ({
           {">"} 0h
         </div>
         <div className="flex items-center px-2">
-          <div className="flex w-2 h-2 mr-2 rounded-sm bg-warning" />
-          courses overlap
+          <span className="mr-1 font-bold text-red-600">Σ</span>
+          week over {WEEKLY_HOURS_LIMIT}h
+        </div>
+        <div className="flex items-center px-2">
+          <div className="flex w-2 h-2 mr-2 rounded-sm ring-2 ring-sky-500" />
+          tight connection
         </div>
       </div>
     </div>
   );
 };
-// {checkIfEventOnDate(date).toFixed(1)}h
 
 Heatmap.propTypes = {
   hovered: PropTypes.object,
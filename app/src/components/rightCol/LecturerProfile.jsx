@@ -0,0 +1,247 @@
+import { Fragment, useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+import { useRecoilState, useRecoilValue, useSetRecoilState } from "recoil";
+import { Dialog, Transition } from "@headlessui/react";
+import { FilterIcon, XIcon } from "@heroicons/react/outline";
+import { authTokenState } from "../recoil/authAtom";
+import { selectedLecturerState } from "../recoil/lecturerProfileAtom";
+import { lecturerProfileSelector } from "../recoil/lecturerProfileSelector";
+import { selectionOptionsState } from "../recoil/selectionOptionsAtom";
+import { catalogueSearchModeState } from "../recoil/catalogueSearchAtom";
+import { isLeftViewVisible } from "../recoil/isLeftViewVisible";
+import { selectedTabAtom } from "../recoil/selectedTabAtom";
+import { withSyncedQuery } from "../helpers/searchQueryParser";
+import { useExaminationTypes } from "../helpers/useExaminationTypes";
+import { useUnifiedCourseData } from "../helpers/useUnifiedCourseData";
+import { getCourseIdentifier } from "../helpers/courseUtils";
+import { fetchExamInformationBulk } from "../helpers/examInformationApi";
+import { RATING_TOOLTIP_TEXTS } from "../../constants/ratingTooltips";
+
+const ProfileContent = ({ lecturerName, onClose }) => {
+  const profile = useRecoilValue(lecturerProfileSelector(lecturerName));
+  const authToken = useRecoilValue(authTokenState);
+  const examinationTypes = useExaminationTypes(authToken);
+  const setSelectionOptions = useSetRecoilState(selectionOptionsState);
+  const setCatalogueSearchMode = useSetRecoilState(catalogueSearchModeState);
+  const setIsLeftViewVisible = useSetRecoilState(isLeftViewVisible);
+  const setSelectedTab = useSetRecoilState(selectedTabAtom);
+  const { updateSelectedCourseInfo, updateExamInformation } =
+    useUnifiedCourseData();
+  const requestedRef = useRef(new Set());
+  const mountedRef = useRef(true);
+
+  const { offerings, ratings, examFormats } = profile;
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Exam parts are only prefetched for the exam filter; a lecturer teaches
+  // few enough courses to load the missing ones here
+  useEffect(() => {
+    if (!authToken) return;
+    const missingBySemester = {};
+    offerings.forEach(({ semester, course, isLatest }) => {
+      const key = `${semester}-${getCourseIdentifier(course)}`;
+      if (
+        !isLatest ||
+        course.examinationParts ||
+        requestedRef.current.has(key)
+      ) {
+        return;
+      }
+      requestedRef.current.add(key);
+      (missingBySemester[semester] = missingBySemester[semester] || []).push(
+        course
+      );
+    });
+
+    Object.entries(missingBySemester).forEach(([semester, courses]) => {
+      fetchExamInformationBulk(courses, authToken, {
+        getId: getCourseIdentifier,
+        isCancelled: () => !mountedRef.current,
+      }).then((results) => {
+        if (mountedRef.current) updateExamInformation(semester, results);
+      });
+    });
+    // updateExamInformation changes on every render
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [offerings, authToken]);
+
+  const filterByLecturer = () => {
+    setSelectionOptions((prev) =>
+      withSyncedQuery({ ...prev, lecturer: [lecturerName] })
+    );
+    setCatalogueSearchMode(false);
+    setIsLeftViewVisible(true);
+    onClose();
+  };
+
+  const openCourse = (course) => {
+    updateSelectedCourseInfo(course);
+    setSelectedTab(0);
+    onClose();
+  };
+
+  return (
+    <>
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <Dialog.Title as="h3" className="text-xl font-bold text-gray-800">
+            {lecturerName}
+          </Dialog.Title>
+          <p className="text-sm text-gray-500">
+            {profile.courseCount} course{profile.courseCount === 1 ? "" : "s"}{" "}
+            in the loaded semesters
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-700"
+          aria-label="Close lecturer profile"
+        >
+          <XIcon className="w-6 h-6" />
+        </button>
+      </div>
+
+      <button
+        type="button"
+        onClick={filterByLecturer}
+        className="inline-flex items-center gap-1 px-3 py-1.5 mt-3 text-sm font-semibold text-white rounded bg-hsg-700 hover:bg-hsg-800"
+      >
+        <FilterIcon className="w-4 h-4" />
+        Filter course list by this lecturer
+      </button>
+
+      <section className="pt-4">
+        <h4 className="text-lg font-bold text-gray-700">Ratings</h4>
+        {ratings.ratedCourses === 0 ? (
+          <p className="text-sm text-gray-500">No ratings yet</p>
+        ) : (
+          <>
+            <div className="text-sm text-gray-700">
+              {Object.entries(ratings.dimensions).map(([dimension, value]) => (
+                <div
+                  key={dimension}
+                  className="grid grid-cols-3"
+                  title={RATING_TOOLTIP_TEXTS[dimension]}
+                >
+                  <div className="font-semibold capitalize">{dimension}</div>
+                  <div className="col-span-2">Ø {value}</div>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500">
+              {ratings.nbOfRatings} ratings over {ratings.ratedCourses} course
+              {ratings.ratedCourses === 1 ? "" : "s"}
+            </p>
+          </>
+        )}
+      </section>
+
+      <section className="pt-4">
+        <h4 className="text-lg font-bold text-gray-700">Typical Exams</h4>
+        <p className="text-sm text-gray-700">
+          {examFormats.central} central · {examFormats.decentral} decentral
+        </p>
+        {examFormats.types.length > 0 ? (
+          <div className="text-sm text-gray-700">
+            {examFormats.types.map((type) => (
+              <div key={type.examinationTypeId} className="grid grid-cols-3">
+                <div className="font-semibold">
+                  {examinationTypes?.[type.examinationTypeId]?.shortName ||
+                    "Exam"}
+                </div>
+                <div>
+                  {type.courses} of {examFormats.withParts} courses
+                </div>
+                <div>Ø {type.averageWeight}% of the grade</div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-xs text-gray-500">No exam information</p>
+        )}
+      </section>
+
+      <section className="pt-4">
+        <h4 className="text-lg font-bold text-gray-700">Courses</h4>
+        <ul className="text-sm divide-y divide-gray-100">
+          {offerings.map(({ semester, course }) => (
+            <li key={`${semester}-${course.id || course.courseNumber}`}>
+              <button
+                type="button"
+                onClick={() => openCourse(course)}
+                className="flex justify-between w-full gap-2 py-1 text-left hover:text-hsg-800"
+              >
+                <span className="truncate">{course.shortName}</span>
+                <span className="text-gray-500 whitespace-nowrap">
+                  {semester}
+                  {course.avgRating ? ` · ★ ${course.avgRating}` : ""}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </section>
+    </>
+  );
+};
+
+ProfileContent.propTypes = {
+  lecturerName: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+/**
+ * Lecturer profile dialog, opened by clicking a lecturer in the course
+ * details.
+ */
+export default function LecturerProfile() {
+  const [lecturerName, setLecturerName] = useRecoilState(selectedLecturerState);
+  const onClose = () => setLecturerName(null);
+
+  return (
+    <Transition.Root show={lecturerName !== null} as={Fragment}>
+      <Dialog as="div" className="relative z-10" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 transition-opacity backdrop-filter backdrop-blur" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 z-10 overflow-y-auto">
+          <div className="flex items-start justify-center min-h-full p-4 sm:items-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+              enterTo="opacity-100 translate-y-0 sm:scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 translate-y-0 sm:scale-100"
+              leaveTo="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+            >
+              <Dialog.Panel className="relative w-full p-6 overflow-hidden bg-white rounded-lg shadow-xl sm:max-w-lg">
+                {lecturerName && (
+                  <ProfileContent lecturerName={lecturerName} onClose={onClose} />
+                )}
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  );
+}
+
+export { LecturerProfile };
@@ -0,0 +1,120 @@
+import PropTypes from "prop-types";
+import { useState } from "react";
+import { useRecoilValue } from "recoil";
+import { ChevronDownIcon, ChevronRightIcon } from "@heroicons/react/solid";
+import { authTokenState } from "../recoil/authAtom";
+import { courseOfferingHistorySelector } from "../recoil/courseOfferingHistorySelector";
+import { useTermCatalogues } from "../helpers/useTermCatalogues";
+import {
+  getCourseOfferings,
+  predictUpcomingOfferings,
+} from "../helpers/offeringHistory";
+
+const describeLikelihood = (likelihood) => {
+  if (likelihood === null) return "No data";
+  if (likelihood >= 0.75) return "Likely offered";
+  if (likelihood >= 0.25) return "Uncertain";
+  return "Unlikely";
+};
+
+const describeConfidence = (confidence) => {
+  if (confidence >= 1) return "high confidence";
+  if (confidence >= 0.5) return "medium confidence";
+  return "low confidence";
+};
+
+/**
+ * Offering history of the selected course over the loaded term catalogues,
+ * with a prediction for the next two semesters. Collapsed by default; the
+ * past term catalogues are only fetched once it is expanded.
+ */
+const OfferingHistory = ({ selectedCourse }) => {
+  const authToken = useRecoilValue(authTokenState);
+  const history = useRecoilValue(courseOfferingHistorySelector);
+  const [isOpen, setIsOpen] = useState(false);
+  const { isLoading, loaded, total } = useTermCatalogues(authToken, isOpen);
+
+  const { observedSemesters } = history;
+  const offeredIn = getCourseOfferings(history, {
+    courseNumber:
+      selectedCourse.courses?.[0]?.courseNumber || selectedCourse.courseNumber,
+    shortName: selectedCourse.shortName,
+  });
+
+  if (observedSemesters.length === 0) return null;
+
+  const offered = new Set(offeredIn || []);
+  const predictions = predictUpcomingOfferings(
+    offeredIn || [],
+    observedSemesters,
+    observedSemesters[observedSemesters.length - 1]
+  );
+
+  return (
+    <section className="pb-2">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        className="flex items-center gap-1 text-lg font-bold text-gray-700"
+      >
+        Offering History
+        {isOpen ? (
+          <ChevronDownIcon className="w-4 h-4" aria-hidden="true" />
+        ) : (
+          <ChevronRightIcon className="w-4 h-4" aria-hidden="true" />
+        )}
+      </button>
+      {isOpen && isLoading && (
+        <p className="text-xs text-gray-500">
+          Loading past semesters {loaded}/{total}…
+        </p>
+      )}
+      {isOpen && (
+        <>
+          <div className="flex flex-wrap gap-1 pb-1">
+            {[...observedSemesters].reverse().map((semesterKey) => (
+              <span
+                key={semesterKey}
+                className={`px-1.5 rounded-full text-xs ${
+                  offered.has(semesterKey)
+                    ? "bg-hsg-600 text-white"
+                    : "text-gray-400 border border-gray-200"
+                }`}
+                title={`${offered.has(semesterKey) ? "Offered" : "Not offered"} in ${semesterKey}`}
+              >
+                {semesterKey}
+              </span>
+            ))}
+          </div>
+          <div className="text-sm text-gray-700">
+            {predictions.map((prediction) => (
+              <div key={prediction.semester} className="grid grid-cols-3">
+                <div className="font-semibold">{prediction.semester}</div>
+                <div>
+                  {describeLikelihood(prediction.likelihood)}
+                  {prediction.likelihood !== null &&
+                    ` (${Math.round(prediction.likelihood * 100)}%)`}
+                </div>
+                <div
+                  className="text-gray-500"
+                  title={`Based on ${prediction.observedCount} past ${prediction.season} semester${
+                    prediction.observedCount === 1 ? "" : "s"
+                  }, offered in ${prediction.offeredCount}`}
+                >
+                  {describeConfidence(prediction.confidence)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+OfferingHistory.propTypes = {
+  selectedCourse: PropTypes.object.isRequired,
+};
+
+export default OfferingHistory;
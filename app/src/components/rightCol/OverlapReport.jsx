@@ -0,0 +1,163 @@
+import PropTypes from "prop-types";
+import { useRecoilState, useRecoilValue, useResetRecoilState } from "recoil";
+import { Popover } from "@headlessui/react";
+import { AdjustmentsIcon } from "@heroicons/react/outline";
+import moment from "moment";
+import { overlapReportSelector } from "../recoil/calendarEntriesSelector";
+import { overlapSeverityState } from "../recoil/overlapSeverityAtom";
+import { SEVERITY_COLORS, SEVERITY_LABELS } from "../helpers/overlapReport";
+import { getCourseIdentifier } from "../helpers/courseUtils";
+
+const MAX_LISTED_DATES = 4;
+
+const courseName = (course) =>
+  course.shortName || course.courseName || getCourseIdentifier(course);
+
+const formatDates = (dates) => {
+  const listed = dates
+    .slice(0, MAX_LISTED_DATES)
+    .map((date) => moment(date).format("ddd D MMM"))
+    .join(", ");
+  return dates.length > MAX_LISTED_DATES
+    ? `${listed} +${dates.length - MAX_LISTED_DATES} more`
+    : listed;
+};
+
+function SeverityBadge({ severity }) {
+  return (
+    <span
+      className="px-1.5 py-0.5 text-xs font-medium text-white rounded"
+      style={{ backgroundColor: SEVERITY_COLORS[severity] }}
+    >
+      {SEVERITY_LABELS[severity]}
+    </span>
+  );
+}
+
+SeverityBadge.propTypes = {
+  severity: PropTypes.string.isRequired,
+};
+
+function ThresholdSettings() {
+  const [thresholds, setThresholds] = useRecoilState(overlapSeverityState);
+  const resetThresholds = useResetRecoilState(overlapSeverityState);
+
+  const update = (key, value, scale = 1) => {
+    const number = Number(value);
+    if (value === "" || Number.isNaN(number) || number < 0) return;
+    setThresholds({ ...thresholds, [key]: number / scale });
+  };
+
+  const fields = [
+    {
+      key: "blockingShare",
+      label: "Blocking from",
+      unit: "% of sessions",
+      scale: 100,
+    },
+    {
+      key: "majorShare",
+      label: "Major from",
+      unit: "% of sessions",
+      scale: 100,
+    },
+    {
+      key: "majorMinutes",
+      label: "…or from",
+      unit: "min in total",
+      scale: 1,
+    },
+  ];
+
+  return (
+    <Popover className="relative">
+      <Popover.Button
+        className="p-1 text-gray-500 rounded hover:bg-gray-200 hover:text-gray-900"
+        title="Severity thresholds"
+      >
+        <AdjustmentsIcon className="w-4 h-4" aria-hidden="true" />
+      </Popover.Button>
+      <Popover.Panel className="absolute right-0 z-30 p-3 mt-1 text-sm bg-white border border-gray-200 rounded-lg shadow-lg w-72">
+        <p className="mb-2 text-xs text-gray-500">
+          A pair is rated by the larger share of either course&apos;s sessions
+          that overlap. Anything below the major thresholds is minor.
+        </p>
+        <div className="space-y-2">
+          {fields.map(({ key, label, unit, scale }) => (
+            <label key={key} className="flex items-center gap-2">
+              <span className="w-24 text-gray-700">{label}</span>
+              <input
+                type="number"
+                min="0"
+                max={scale === 100 ? 100 : undefined}
+                value={Math.round(thresholds[key] * scale)}
+                onChange={(e) => update(key, e.target.value, scale)}
+                className="w-16 px-1 py-0.5 text-sm border border-gray-300 rounded"
+              />
+              <span className="text-xs text-gray-500">{unit}</span>
+            </label>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={resetThresholds}
+          className="mt-3 text-xs text-gray-600 underline hover:text-gray-900"
+        >
+          Reset to defaults
+        </button>
+      </Popover.Panel>
+    </Popover>
+  );
+}
+
+/**
+ * Per course pair overlap figures of the calendar: overlapping sessions of
+ * each side, minutes and dates, rated by the user's severity thresholds.
+ * Renders nothing without overlaps.
+ */
+export default function OverlapReport() {
+  const { pairs } = useRecoilValue(overlapReportSelector);
+
+  if (pairs.length === 0) return null;
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="flex items-center justify-between px-2 pb-1">
+        <h3 className="font-semibold text-gray-900">
+          Overlaps ({pairs.length} pair{pairs.length === 1 ? "" : "s"})
+        </h3>
+        <ThresholdSettings />
+      </div>
+      <ul className="overflow-y-auto divide-y divide-gray-100 rounded-lg ring-1 ring-black ring-opacity-5 max-h-64">
+        {pairs.map((pair) => (
+          <li key={pair.key} className="flex items-start gap-2 px-2 py-1.5">
+            <SeverityBadge severity={pair.severity} />
+            <div className="flex-1 min-w-0">
+              <p className="font-medium text-gray-900 truncate">
+                {courseName(pair.courses[0])} ↔ {courseName(pair.courses[1])}
+              </p>
+              <p className="text-xs text-gray-600">
+                {pair.sessions
+                  .map(
+                    ({ overlapping, total }) => `${overlapping}/${total}`
+                  )
+                  .join(" and ")}{" "}
+                sessions, {pair.overlapMinutes} min
+              </p>
+              <p
+                className="text-xs text-gray-500 truncate"
+                title={pair.dates
+                  .map((date) => moment(date).format("ddd D MMM YYYY"))
+                  .join(", ")}
+              >
+                {formatDates(pair.dates)}
+              </p>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export { OverlapReport };
@@ -0,0 +1,162 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { useSetRecoilState } from "recoil";
+import { Dialog } from "@headlessui/react";
+import moment from "moment";
+import { personalEventsState } from "../recoil/personalEventsAtom";
+import { createPersonalEvent } from "../helpers/personalEvents";
+
+const formatRange = (start, end) =>
+  `${moment(start).format("ddd D MMM, HH:mm")}–${moment(end).format("HH:mm")}`;
+
+/**
+ * Dialog for personal blocks on the calendar. With a `draft` (a range drawn
+ * on the week grid) it creates a block; with a `session` (a clicked
+ * personal event) it removes that week or the whole commitment.
+ */
+export default function PersonalBlockDialog({ draft, session, onClose }) {
+  const setEvents = useSetRecoilState(personalEventsState);
+  const [title, setTitle] = useState("");
+  const [weekly, setWeekly] = useState(true);
+  const isOpen = Boolean(draft || session);
+
+  useEffect(() => {
+    if (draft) {
+      setTitle("");
+      setWeekly(true);
+    }
+  }, [draft]);
+
+  const save = (e) => {
+    e.preventDefault();
+    setEvents((prev) => [...prev, createPersonalEvent({ ...draft, title, weekly })]);
+    onClose();
+  };
+
+  const skipWeek = () => {
+    setEvents((prev) =>
+      prev.map((event) =>
+        event.id === session.personalEventId
+          ? {
+              ...event,
+              exceptions: [...(event.exceptions || []), session.eventDate],
+            }
+          : event
+      )
+    );
+    onClose();
+  };
+
+  const remove = () => {
+    setEvents((prev) =>
+      prev.filter((event) => event.id !== session.personalEventId)
+    );
+    onClose();
+  };
+
+  return (
+    <Dialog open={isOpen} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-gray-900/30" aria-hidden="true" />
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="w-full max-w-sm p-5 bg-white rounded-lg shadow-xl">
+          {draft && (
+            <form onSubmit={save}>
+              <Dialog.Title className="text-lg font-medium text-gray-900">
+                Block time
+              </Dialog.Title>
+              <p className="mt-1 text-sm text-gray-500">
+                {formatRange(draft.start, draft.end)}
+              </p>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder="e.g. Part-time job"
+                autoFocus
+                className="w-full mt-4 text-sm border-gray-300 rounded-md focus:ring-hsg-500 focus:border-hsg-500"
+              />
+              <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={weekly}
+                  onChange={(e) => setWeekly(e.target.checked)}
+                  className="rounded text-hsg-700 focus:ring-hsg-500"
+                />
+                Every week of the semester
+              </label>
+              <div className="flex justify-end gap-2 mt-5">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-3 py-1.5 text-sm text-gray-700 rounded-md hover:bg-gray-100"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-3 py-1.5 text-sm font-medium text-white rounded-md bg-hsg-600 hover:bg-hsg-700"
+                >
+                  Save
+                </button>
+              </div>
+            </form>
+          )}
+
+          {session && (
+            <>
+              <Dialog.Title className="text-lg font-medium text-gray-900">
+                {session.title}
+              </Dialog.Title>
+              <p className="mt-1 text-sm text-gray-500">
+                {formatRange(session.start, session.end)}
+              </p>
+              <div className="flex flex-wrap justify-end gap-2 mt-5">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-3 py-1.5 text-sm text-gray-700 rounded-md hover:bg-gray-100"
+                >
+                  Cancel
+                </button>
+                {session.isRecurring && (
+                  <button
+                    type="button"
+                    onClick={skipWeek}
+                    className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+                  >
+                    Remove this date only
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={remove}
+                  className="px-3 py-1.5 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700"
+                >
+                  Delete commitment
+                </button>
+              </div>
+            </>
+          )}
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+}
+
+PersonalBlockDialog.propTypes = {
+  draft: PropTypes.shape({
+    start: PropTypes.instanceOf(Date).isRequired,
+    end: PropTypes.instanceOf(Date).isRequired,
+  }),
+  session: PropTypes.shape({
+    personalEventId: PropTypes.string.isRequired,
+    eventDate: PropTypes.string.isRequired,
+    isRecurring: PropTypes.bool,
+    title: PropTypes.string,
+    start: PropTypes.instanceOf(Date),
+    end: PropTypes.instanceOf(Date),
+  }),
+  onClose: PropTypes.func.isRequired,
+};
+
+export { PersonalBlockDialog };
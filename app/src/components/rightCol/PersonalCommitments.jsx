@@ -0,0 +1,136 @@
+import { useRef } from "react";
+import { useRecoilState } from "recoil";
+import { toast } from "react-toastify";
+import { Popover } from "@headlessui/react";
+import { UploadIcon, TrashIcon } from "@heroicons/react/outline";
+import moment from "moment";
+import { personalEventsState } from "../recoil/personalEventsAtom";
+import {
+  LOCAL_DATE_TIME_FORMAT,
+  mergeImportedEvents,
+  parseIcsPersonalEvents,
+} from "../helpers/personalEvents";
+import { errorHandlingService } from "../errorHandling/ErrorHandlingService";
+
+const describeSchedule = (event) => {
+  const start = moment(event.start, LOCAL_DATE_TIME_FORMAT);
+  const end = moment(start).add(event.durationInMinutes, "minutes");
+  const time = `${start.format("HH:mm")}–${end.format("HH:mm")}`;
+  if (!event.repeat) return `${start.format("ddd D MMM YYYY")}, ${time}`;
+
+  const every =
+    event.repeat.intervalWeeks > 1
+      ? `Every ${event.repeat.intervalWeeks} weeks on ${start.format("dddd")}`
+      : `${start.format("dddd")}s`;
+  const until = event.repeat.until
+    ? ` until ${moment(event.repeat.until).format("D MMM YYYY")}`
+    : "";
+  return `${every}, ${time}${until}`;
+};
+
+/**
+ * Imports personal commitments from an .ics file and lists the stored ones.
+ * Drawing blocks on the week grid is handled by the calendar itself.
+ */
+export default function PersonalCommitments() {
+  const [events, setEvents] = useRecoilState(personalEventsState);
+  const fileInputRef = useRef(null);
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const { events: imported, skipped, simplified } = parseIcsPersonalEvents(
+        await file.text()
+      );
+      if (imported.length === 0) {
+        toast.info(`No timed events found in ${file.name}.`, {
+          toastId: "personal-import-empty",
+        });
+        return;
+      }
+      setEvents((prev) => mergeImportedEvents(prev, imported));
+
+      const notes = [
+        skipped > 0 && `${skipped} all-day or cancelled skipped`,
+        simplified > 0 &&
+          `${simplified} with an unsupported repeat rule imported once`,
+      ].filter(Boolean);
+      toast.info(
+        `Imported ${imported.length} commitment${
+          imported.length === 1 ? "" : "s"
+        }${notes.length ? ` (${notes.join(", ")})` : ""}.`,
+        { toastId: "personal-import-done" }
+      );
+    } catch (error) {
+      errorHandlingService.handleError(error);
+    }
+  };
+
+  const removeEvent = (id) =>
+    setEvents((prev) => prev.filter((event) => event.id !== id));
+
+  return (
+    <div className="flex items-center gap-2 pb-2 text-sm text-gray-600">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".ics,text/calendar"
+        onChange={importFile}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        title="Import your job, training or other commitments so they count as busy time. Drag on the calendar to add a block by hand."
+        className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-100"
+      >
+        <UploadIcon className="w-4 h-4" aria-hidden="true" />
+        Import commitments (.ics)
+      </button>
+
+      {events.length > 0 && (
+        <Popover className="relative">
+          <Popover.Button className="px-2 py-1 text-xs text-gray-600 rounded hover:bg-gray-200 hover:text-gray-900">
+            {events.length} commitment{events.length === 1 ? "" : "s"}
+          </Popover.Button>
+          <Popover.Panel className="absolute left-0 z-30 p-3 mt-1 overflow-y-auto text-sm bg-white border border-gray-200 rounded-lg shadow-lg w-72 max-h-80">
+            <ul className="divide-y divide-gray-100">
+              {events.map((event) => (
+                <li key={event.id} className="flex items-start gap-2 py-1.5">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-900 truncate">
+                      {event.title}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {describeSchedule(event)}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => removeEvent(event.id)}
+                    aria-label={`Delete ${event.title}`}
+                    className="p-1 text-gray-400 rounded hover:text-red-600 hover:bg-gray-100"
+                  >
+                    <TrashIcon className="w-4 h-4" aria-hidden="true" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button
+              type="button"
+              onClick={() => setEvents([])}
+              className="w-full px-2 py-1 mt-2 text-xs font-medium text-red-600 rounded hover:bg-red-50"
+            >
+              Delete all
+            </button>
+          </Popover.Panel>
+        </Popover>
+      )}
+    </div>
+  );
+}
+
+export { PersonalCommitments };
@@ -18,6 +18,9 @@ import { selectedTabAtom } from "../recoil/selectedTabAtom";
 import { useUnifiedCourseData } from "../helpers/useUnifiedCourseData";
 
 import { Heatmap } from "./Heatmap";
+import { ConflictResolutionPanel } from "./ConflictResolutionPanel";
+import { OverlapReport } from "./OverlapReport";
+import { TravelWarnings } from "./TravelWarnings";
 
 //TODO: fix missing reactivity of course list when selected courses change + found bug where fake overlap is shown (also on current prod)
 
@@ -223,6 +226,9 @@ export default function SemesterSummary() {
             );
           }}
         />
+        <ConflictResolutionPanel />
+        <OverlapReport />
+        <TravelWarnings />
         <Heatmap
           hovered={hoveredCourse}
           setCourseOnDay={setCourseOnDay}
@@ -14,6 +14,7 @@ import { authTokenState } from "../recoil/authAtom";
 import { unifiedAcademicDataState } from "../recoil/unifiedAcademicDataAtom";
 import { LockOpen } from "../leftCol/bottomRow/LockOpen";
 import { LockClosed } from "../leftCol/bottomRow/LockClosed";
+import { CompareButton } from "../leftCol/bottomRow/CompareButton";
 import LoadingText from "../common/LoadingText";
 
 // Import error handling service
@@ -525,6 +526,9 @@ export default function SimilarCourses({ selectedCourse }) {
                 >
                   Similarity Rank
                 </th>
+                <th scope="col" className="px-6 py-3">
+                  <span className="sr-only">Compare</span>
+                </th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
@@ -613,6 +617,19 @@ export default function SimilarCourses({ selectedCourse }) {
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {similarCourses.ids[0].indexOf(id) + 1}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {(() => {
+                        const course = coursesCurrentSemester.find(
+                          (c) => c.courseNumber === id.replace(/[A-Z]+\d+/g, "")
+                        );
+                        return course ? (
+                          <CompareButton
+                            course={course}
+                            semester={selectedSemesterShortName}
+                          />
+                        ) : null;
+                      })()}
+                    </td>
                   </tr>
                 ))}
             </tbody>
@@ -0,0 +1,496 @@
+import { useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { useRecoilValue } from "recoil";
+import { toast } from "react-toastify";
+import { XIcon } from "@heroicons/react/outline";
+import { authTokenState } from "../recoil/authAtom";
+import {
+  selectedSemesterSelector,
+  selectedCoursesSelector,
+  semesterCoursesSelector,
+} from "../recoil/unifiedCourseDataSelectors";
+import { scheduledCoursesSelector } from "../recoil/timetableCollisionsSelector";
+import { personalCoursesSelector } from "../recoil/personalEventsSelector";
+import { COLLISION_COLOR } from "../recoil/calendarEntriesSelector";
+import { useCourseSelection } from "../helpers/useCourseSelection";
+import { useTimetableOptimizer } from "../helpers/useTimetableOptimizer";
+import { getCourseIdentifier } from "../helpers/courseUtils";
+import { isExerciseGroup } from "../helpers/smartExerciseGroupHandler";
+import {
+  DEFAULT_ECTS_RANGE,
+  OPTIMIZER_ROLES,
+  buildOptimizerUnits,
+  getEcts,
+  getWeeklyPreview,
+} from "../helpers/timetableOptimizer";
+import { errorHandlingService } from "../errorHandling/ErrorHandlingService";
+
+const TOP_N_CHOICES = [3, 5, 10];
+const MAX_SUGGESTIONS = 8;
+const DAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri"];
+const PREVIEW_START = 8 * 60;
+const PREVIEW_END = 22 * 60;
+
+const ROLE_LABELS = {
+  [OPTIMIZER_ROLES.MUST]: "Must",
+  [OPTIMIZER_ROLES.OPTIONAL]: "Optional",
+  [OPTIMIZER_ROLES.EXCLUDED]: "Exclude",
+};
+
+const WeekPreview = ({ courses }) => {
+  const { blocks, blockSessions } = useMemo(
+    () => getWeeklyPreview(courses),
+    [courses]
+  );
+  const toPercent = (minutes) =>
+    ((minutes - PREVIEW_START) / (PREVIEW_END - PREVIEW_START)) * 100;
+
+  return (
+    <div>
+      <div className="grid grid-cols-5 gap-1">
+        {DAY_LABELS.map((label, index) => (
+          <div key={label}>
+            <div className="text-xs text-center text-gray-500">{label}</div>
+            <div className="relative h-32 bg-gray-100 rounded">
+              {blocks
+                .filter((block) => block.weekday === index + 1)
+                .map((block) => (
+                  <div
+                    key={block.key}
+                    title={block.name}
+                    className="absolute overflow-hidden text-white rounded-sm left-0.5 right-0.5 text-[9px] leading-tight px-0.5"
+                    style={{
+                      top: `${Math.max(toPercent(block.startMinutes), 0)}%`,
+                      height: `${Math.max(
+                        toPercent(block.endMinutes) - toPercent(block.startMinutes),
+                        2
+                      )}%`,
+                      backgroundColor: block.overlapping
+                        ? COLLISION_COLOR
+                        : block.isPersonal
+                        ? "rgb(71 85 105)"
+                        : "#006625",
+                    }}
+                  >
+                    {block.name}
+                  </div>
+                ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      {blockSessions > 0 && (
+        <p className="pt-1 text-xs text-gray-500">
+          + {blockSessions} one-off session{blockSessions === 1 ? "" : "s"}
+        </p>
+      )}
+    </div>
+  );
+};
+
+WeekPreview.propTypes = {
+  courses: PropTypes.array.isRequired,
+};
+
+/**
+ * Suggests conflict-free timetables from must-have and optional courses
+ * within an ECTS range. The search runs in a Web Worker; a result can be
+ * applied to the wishlist.
+ */
+export default function TimetableOptimizer() {
+  const authToken = useRecoilValue(authTokenState);
+  const semester = useRecoilValue(selectedSemesterSelector);
+  const scheduled = useRecoilValue(scheduledCoursesSelector(semester));
+  const personalCourses = useRecoilValue(personalCoursesSelector(semester));
+  const available = useRecoilValue(
+    semesterCoursesSelector({ semester, type: "available" })
+  );
+  const filtered = useRecoilValue(
+    semesterCoursesSelector({ semester, type: "filtered" })
+  );
+  const selectedCourseIds =
+    useRecoilValue(selectedCoursesSelector(semester || "")) || [];
+
+  const [roles, setRoles] = useState({});
+  const [candidates, setCandidates] = useState([]);
+  const [query, setQuery] = useState("");
+  const [ectsRange, setEctsRange] = useState(DEFAULT_ECTS_RANGE);
+  const [topN, setTopN] = useState(5);
+  const [respectPersonal, setRespectPersonal] = useState(true);
+  const [isApplying, setIsApplying] = useState(false);
+  // Units of the last search; results refer to them by index
+  const [searchedUnits, setSearchedUnits] = useState([]);
+  const optimizer = useTimetableOptimizer();
+
+  const { addOrRemoveCourse } = useCourseSelection({
+    selectedCourseIds,
+    setSelectedCourseIds: null,
+    selectedSemesterShortName: semester || "",
+    authToken,
+  });
+
+  // Ratings are attached to the filtered list; prefer its copy of a course
+  const withRatings = useMemo(() => {
+    const byId = new Map(
+      [...available, ...filtered].map((course) => [
+        getCourseIdentifier(course),
+        course,
+      ])
+    );
+    return (course) => ({
+      ...course,
+      avgRating:
+        course.avgRating ?? byId.get(getCourseIdentifier(course))?.avgRating,
+    });
+  }, [available, filtered]);
+
+  const pool = useMemo(() => {
+    const scheduledIds = new Set(scheduled.map(getCourseIdentifier));
+    return [
+      ...scheduled,
+      ...candidates.filter(
+        (course) => !scheduledIds.has(getCourseIdentifier(course))
+      ),
+    ].map((course) => {
+      const id = getCourseIdentifier(course);
+      const defaultRole = course.enrolled
+        ? OPTIMIZER_ROLES.MUST
+        : OPTIMIZER_ROLES.OPTIONAL;
+      return {
+        id,
+        course: withRatings(course),
+        role: course.enrolled ? OPTIMIZER_ROLES.MUST : roles[id] || defaultRole,
+      };
+    });
+  }, [scheduled, candidates, roles, withRatings]);
+
+  const suggestions = useMemo(() => {
+    const term = query.trim().toLowerCase();
+    if (term.length < 2) return [];
+    const poolIds = new Set(pool.map((item) => item.id));
+    return available
+      .filter(
+        (course) =>
+          !poolIds.has(getCourseIdentifier(course)) &&
+          !isExerciseGroup(course) &&
+          (course.shortName || "").toLowerCase().includes(term)
+      )
+      .slice(0, MAX_SUGGESTIONS);
+  }, [query, available, pool]);
+
+  const units = useMemo(() => {
+    const courseUnits = buildOptimizerUnits(pool, available);
+    if (!respectPersonal) return courseUnits;
+    return [
+      ...courseUnits,
+      ...personalCourses.map((course) => ({
+        id: getCourseIdentifier(course),
+        course,
+        isMustHave: true,
+        options: [{ courses: [course] }],
+      })),
+    ];
+  }, [pool, available, personalCourses, respectPersonal]);
+
+  const setRole = (id, role) => setRoles((prev) => ({ ...prev, [id]: role }));
+
+  const addCandidate = (course) => {
+    setCandidates((prev) => [...prev, course]);
+    setQuery("");
+  };
+
+  const removeCandidate = (id) =>
+    setCandidates((prev) =>
+      prev.filter((course) => getCourseIdentifier(course) !== id)
+    );
+
+  const runSearch = () => {
+    if (ectsRange.min > ectsRange.max) {
+      toast.info("The minimum ECTS must not exceed the maximum.", {
+        toastId: "optimizer-ects-range",
+      });
+      return;
+    }
+    setSearchedUnits(units);
+    optimizer.run({ units, ectsRange, topN });
+  };
+
+  const getResultCourses = (result) =>
+    result.choices.flatMap(
+      ([unitIndex, optionIndex]) =>
+        searchedUnits[unitIndex].options[optionIndex].courses
+    );
+
+  const isInWishlist = (course) =>
+    [
+      course.id,
+      course.courseNumber,
+      course.courseId,
+      course.courses?.[0]?.courseNumber,
+    ].some((id) => id && selectedCourseIds.includes(id));
+
+  const applyResult = async (result) => {
+    const chosen = getResultCourses(result).filter(
+      (course) => !course.isPersonal
+    );
+    const chosenIds = new Set(chosen.map(getCourseIdentifier));
+    setIsApplying(true);
+    try {
+      for (const course of scheduled) {
+        if (
+          !course.enrolled &&
+          isInWishlist(course) &&
+          !chosenIds.has(getCourseIdentifier(course))
+        ) {
+          await addOrRemoveCourse(course);
+        }
+      }
+      for (const course of chosen) {
+        if (!course.enrolled && !isInWishlist(course)) {
+          await addOrRemoveCourse(course);
+        }
+      }
+      toast.info(`Wishlist updated to the selected ${semester} timetable.`, {
+        toastId: "optimizer-applied",
+      });
+    } catch (error) {
+      errorHandlingService.handleError(error);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  if (!semester) return null;
+
+  return (
+    <div className="flex flex-col h-full gap-4 p-4 overflow-y-auto text-sm">
+      <section>
+        <h2 className="text-base font-semibold text-gray-900">
+          Timetable optimizer · {semester}
+        </h2>
+        <p className="text-gray-500">
+          Mark your courses as must-have or optional, add candidates, and find
+          combinations with the fewest overlapping sessions.
+        </p>
+      </section>
+
+      <section>
+        <ul className="border border-gray-200 divide-y divide-gray-100 rounded-lg">
+          {pool.length === 0 && (
+            <li className="px-3 py-2 text-gray-500">
+              Wishlist some courses or add candidates below.
+            </li>
+          )}
+          {pool.map(({ id, course, role }) => (
+            <li key={id} className="flex items-center gap-2 px-3 py-1.5">
+              <span className="flex-1 truncate text-gray-900">
+                {course.shortName}
+              </span>
+              <span className="w-14 text-xs text-right text-gray-500">
+                {getEcts(course) || "–"} ECTS
+              </span>
+              <span className="w-10 text-xs text-right text-gray-500">
+                {typeof course.avgRating === "number"
+                  ? `★ ${course.avgRating.toFixed(1)}`
+                  : ""}
+              </span>
+              {course.enrolled ? (
+                <span className="w-24 text-xs text-center text-gray-500">
+                  Enrolled
+                </span>
+              ) : (
+                <select
+                  value={role}
+                  onChange={(e) => setRole(id, e.target.value)}
+                  className="w-24 py-0.5 text-xs border-gray-300 rounded"
+                  aria-label={`Role of ${course.shortName}`}
+                >
+                  {Object.values(OPTIMIZER_ROLES).map((value) => (
+                    <option key={value} value={value}>
+                      {ROLE_LABELS[value]}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {candidates.some((c) => getCourseIdentifier(c) === id) ? (
+                <button
+                  type="button"
+                  onClick={() => removeCandidate(id)}
+                  aria-label={`Remove ${course.shortName}`}
+                  className="text-gray-400 hover:text-gray-700"
+                >
+                  <XIcon className="w-4 h-4" aria-hidden="true" />
+                </button>
+              ) : (
+                <span className="w-4" />
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="relative mt-2">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Add a candidate course…"
+            className="w-full text-sm border-gray-300 rounded-md focus:ring-hsg-500 focus:border-hsg-500"
+          />
+          {suggestions.length > 0 && (
+            <ul className="absolute z-20 w-full mt-1 bg-white border border-gray-200 rounded-md shadow-lg">
+              {suggestions.map((course) => (
+                <li key={getCourseIdentifier(course)}>
+                  <button
+                    type="button"
+                    onClick={() => addCandidate(course)}
+                    className="w-full px-3 py-1.5 text-left hover:bg-gray-100"
+                  >
+                    {course.shortName}
+                    <span className="ml-2 text-xs text-gray-500">
+                      {getEcts(course)} ECTS
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </section>
+
+      <section className="flex flex-wrap items-end gap-4">
+        <label className="flex flex-col text-xs text-gray-600">
+          Min ECTS
+          <input
+            type="number"
+            min={0}
+            step={0.5}
+            value={ectsRange.min}
+            onChange={(e) =>
+              setEctsRange((prev) => ({ ...prev, min: Number(e.target.value) }))
+            }
+            className="w-20 text-sm border-gray-300 rounded-md"
+          />
+        </label>
+        <label className="flex flex-col text-xs text-gray-600">
+          Max ECTS
+          <input
+            type="number"
+            min={0}
+            step={0.5}
+            value={ectsRange.max}
+            onChange={(e) =>
+              setEctsRange((prev) => ({ ...prev, max: Number(e.target.value) }))
+            }
+            className="w-20 text-sm border-gray-300 rounded-md"
+          />
+        </label>
+        <label className="flex flex-col text-xs text-gray-600">
+          Show
+          <select
+            value={topN}
+            onChange={(e) => setTopN(Number(e.target.value))}
+            className="text-sm border-gray-300 rounded-md"
+          >
+            {TOP_N_CHOICES.map((n) => (
+              <option key={n} value={n}>
+                Top {n}
+              </option>
+            ))}
+          </select>
+        </label>
+        {personalCourses.length > 0 && (
+          <label className="flex items-center gap-1 pb-2 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={respectPersonal}
+              onChange={(e) => setRespectPersonal(e.target.checked)}
+              className="rounded text-hsg-700 focus:ring-hsg-500"
+            />
+            Avoid personal commitments
+          </label>
+        )}
+        {optimizer.status === "running" ? (
+          <button
+            type="button"
+            onClick={optimizer.cancel}
+            className="px-3 py-1.5 text-sm font-medium text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+          >
+            Searching… Cancel
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={runSearch}
+            disabled={pool.length === 0}
+            className="px-3 py-1.5 text-sm font-medium text-white rounded-md bg-hsg-600 hover:bg-hsg-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Find timetables
+          </button>
+        )}
+      </section>
+
+      {optimizer.status === "done" && (
+        <section className="space-y-3">
+          {optimizer.reason && (
+            <p className="text-gray-600">{optimizer.reason}</p>
+          )}
+          {optimizer.truncated && (
+            <p className="text-xs text-gray-500">
+              Stopped after the search limit; with fewer optional courses the
+              results are exhaustive.
+            </p>
+          )}
+          {optimizer.results.map((result, index) => {
+            const courses = getResultCourses(result);
+            return (
+              <div
+                key={result.choices.map((choice) => choice.join(":")).join("|")}
+                className="p-3 border border-gray-200 rounded-lg"
+              >
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-1 pb-2">
+                  <span className="font-semibold text-gray-900">
+                    #{index + 1}
+                  </span>
+                  <span>{result.ects} ECTS</span>
+                  <span
+                    className={
+                      result.overlapCount > 0 ? "text-warning" : "text-hsg-700"
+                    }
+                  >
+                    {result.overlapCount === 0
+                      ? "No overlaps"
+                      : `${result.overlapCount} overlapping sessions`}
+                  </span>
+                  <span className="text-gray-500">
+                    {result.freeDays.length > 0
+                      ? `Free: ${result.freeDays
+                          .map((day) => DAY_LABELS[day - 1])
+                          .join(", ")}`
+                      : "No free weekday"}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => applyResult(result)}
+                    disabled={isApplying}
+                    className="px-2 py-1 ml-auto text-xs font-medium text-white rounded bg-hsg-600 hover:bg-hsg-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Apply to wishlist
+                  </button>
+                </div>
+                <p className="pb-2 text-xs text-gray-600">
+                  {courses
+                    .filter((course) => !course.isPersonal)
+                    .map((course) => course.shortName)
+                    .join(" · ")}
+                </p>
+                <WeekPreview courses={courses} />
+              </div>
+            );
+          })}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export { TimetableOptimizer };
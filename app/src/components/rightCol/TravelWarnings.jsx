@@ -0,0 +1,55 @@
+import { useRecoilValue } from "recoil";
+import moment from "moment";
+import { travelWarningsSelector } from "../recoil/calendarEntriesSelector";
+import { groupTravelWarnings } from "../helpers/travelBuffer";
+
+const MAX_LISTED_DATES = 4;
+
+const formatDates = (dates) => {
+  const listed = dates
+    .slice(0, MAX_LISTED_DATES)
+    .map((date) => moment(date).format("ddd D MMM"))
+    .join(", ");
+  return dates.length > MAX_LISTED_DATES
+    ? `${listed} +${dates.length - MAX_LISTED_DATES} more`
+    : listed;
+};
+
+/**
+ * Back-to-back sessions whose break is shorter than the walk to the next
+ * room, with weekly repeats folded together. Renders nothing without any.
+ */
+export default function TravelWarnings() {
+  const { warnings } = useRecoilValue(travelWarningsSelector);
+
+  if (warnings.length === 0) return null;
+
+  const groups = groupTravelWarnings(warnings);
+
+  return (
+    <div className="mb-4 text-sm">
+      <h3 className="px-2 pb-1 font-semibold text-gray-900">
+        Tight connections ({groups.length})
+      </h3>
+      <ul className="overflow-y-auto divide-y divide-gray-100 rounded-lg ring-1 ring-black ring-opacity-5 max-h-64">
+        {groups.map((group) => (
+          <li key={group.key} className="px-2 py-1.5">
+            <p className="font-medium text-gray-900 truncate">
+              🚶 {group.from.courseName} → {group.to.courseName}
+            </p>
+            <p className="text-xs text-gray-600">
+              {group.from.locationName} → {group.to.locationName}:{" "}
+              {group.gapMinutes} min break, about {group.travelMinutes} min
+              needed
+            </p>
+            <p className="text-xs text-gray-500 truncate">
+              {group.from.time}, {formatDates(group.dates)}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export { TravelWarnings };
@@ -17,6 +17,7 @@ import {
   useSensors,
 } from "@dnd-kit/core";
 import { useCurriculumPlan } from "../components/helpers/useCurriculumPlan";
+import { useUrlSync } from "../components/helpers/useUrlSync";
 
 /**
  * Format credits for display, handling both "cents" format (300 = 3 ECTS)
@@ -35,6 +36,7 @@ import { InformationCircleIcon, XCircleIcon } from "@heroicons/react/solid";
 
 // Tab & Contents
 import { TabComponent } from "./TabComponent";
+import { CommandPalette } from "../components/common/CommandPalette";
 
 //mobile view
 import { isLeftViewVisible } from "../components/recoil/isLeftViewVisible";
@@ -91,6 +93,9 @@ export default function Biddit2() {
     removePlaceholder,
   } = useCurriculumPlan();
 
+  // Semester, course, tab and filters in the address bar
+  useUrlSync();
+
   // Configure drag sensors with activation constraint to prevent accidental drags
   const sensors = useSensors(
     useSensor(PointerSensor, {
@@ -330,6 +335,8 @@ export default function Biddit2() {
         </div>
       </div>
 
+      <CommandPalette />
+
       {/* Drag overlay - follows cursor during drag */}
       <DragOverlay>
         {activeDragItem && (
@@ -15,10 +15,13 @@ import Transcript from "../components/rightCol/Transcript";
 import StudyOverview from "../components/rightCol/StudyOverview";
 import SmartSearch from "../components/rightCol/SmartSearch";
 import CurriculumMap from "../components/rightCol/CurriculumMap";
+import CourseComparison from "../components/rightCol/CourseComparison";
+import TimetableOptimizer from "../components/rightCol/TimetableOptimizer";
 
 
 // For dynamic tab text
 import { selectedSemesterSelector } from "../components/recoil/unifiedCourseDataSelectors";
+import { compareTrayState } from "../components/recoil/compareTrayAtom";
 import { useRecoilValue } from "recoil";
 
 export default function TabComponent({ selectedTab, onTabSelect }) {
@@ -27,6 +30,7 @@ export default function TabComponent({ selectedTab, onTabSelect }) {
 
   // Access selected semester from unified system
   const selectedSemester = useRecoilValue(selectedSemesterSelector);
+  const compareTray = useRecoilValue(compareTrayState);
 
   // Local state for dynamic tab text
   const [dynamicSummaryText, setDynamicSummaryText] =
@@ -54,6 +58,10 @@ export default function TabComponent({ selectedTab, onTabSelect }) {
         <Tab className={tabStyle}>Study Overview</Tab>
         <Tab className={tabStyle}>Curriculum Map</Tab>
         <Tab className={tabStyle}>Smart Search</Tab>
+        <Tab className={tabStyle}>
+          Compare{compareTray.length > 0 ? ` (${compareTray.length})` : ""}
+        </Tab>
+        <Tab className={tabStyle}>Optimizer</Tab>
       </TabList>
 
       <TabPanel>
@@ -113,6 +121,20 @@ export default function TabComponent({ selectedTab, onTabSelect }) {
           </Suspense>
         </ErrorBoundary>
       </TabPanel>
+      <TabPanel>
+        <ErrorBoundary>
+          <Suspense fallback={<LoadingText>Loading Comparison...</LoadingText>}>
+            <CourseComparison />
+          </Suspense>
+        </ErrorBoundary>
+      </TabPanel>
+      <TabPanel>
+        <ErrorBoundary>
+          <Suspense fallback={<LoadingText>Loading Optimizer...</LoadingText>}>
+            <TimetableOptimizer />
+          </Suspense>
+        </ErrorBoundary>
+      </TabPanel>
     </Tabs>
   );
 }
@@ -0,0 +1,61 @@
+/**
+ * Course and session factories shared by the calendar, timetable and course
+ * list tests. Files only add the fixtures specific to what they test.
+ */
+
+/**
+ * A calendarEntry item.
+ * @param {string} eventDate - Local date-time, e.g. "2025-09-15T10:15:00"
+ * @param {number} [durationInMinutes=90]
+ * @param {string} [room]
+ */
+export const session = (eventDate, durationInMinutes = 90, room) => ({
+  eventDate,
+  durationInMinutes,
+  ...(room !== undefined && { room }),
+});
+
+/**
+ * The same slot on consecutive weeks.
+ * @param {string} firstDate - Local date-time of the first session
+ * @param {number} weeks - Number of sessions
+ * @param {number} [durationInMinutes=90]
+ */
+export const weeklySessions = (firstDate, weeks, durationInMinutes = 90) => {
+  const [day, time] = firstDate.split("T");
+  return Array.from({ length: weeks }, (_, week) => {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + week * 7);
+    return session(
+      `${date.toISOString().slice(0, 10)}T${time}`,
+      durationInMinutes
+    );
+  });
+};
+
+/**
+ * A course as in the semester's available list.
+ * @param {string} courseNumber
+ * @param {string} shortName
+ * @param {Array} [calendarEntry=[]]
+ * @param {Object} [extra] - Further fields, e.g. { enrolled: true }
+ */
+export const course = (
+  courseNumber,
+  shortName,
+  calendarEntry = [],
+  extra = {}
+) => ({
+  id: courseNumber,
+  courseNumber,
+  shortName,
+  calendarEntry,
+  ...extra,
+});
+
+// The two courses most tests need
+export const financeCourse = (calendarEntry, extra) =>
+  course("3,135,1.00", "Corporate Finance", calendarEntry, extra);
+
+export const marketingCourse = (calendarEntry, extra) =>
+  course("4,200,1.00", "Marketing", calendarEntry, extra);